@@ -0,0 +1,22 @@
+/**
+ * Metering
+ * Each /api/v1 route is tagged with an operation; the operation decides how
+ * many cost units a request consumes against the client's monthly quota and
+ * which usage series it counts towards.
+ */
+const OPERATION_COSTS = {
+  read: { units: 1 },
+  write: { units: 1 },
+  // LinkedIn data + OpenAI enrichment (+ embeddings)
+  enrichment: { units: 10, category: 'enrichments' },
+  // Candidate search, scoring and mutual reasoning
+  match: { units: 5, category: 'matches' },
+  compare: { units: 2, category: 'matches' },
+  // Match reasons + one LLM completion (cached drafts cost the same)
+  introduction: { units: 5, category: 'matches' }
+};
+
+// Usage series reported by GET /api/admin/keys/:clientId/usage
+const USAGE_SERIES = ['calls', 'units', 'enrichments', 'matches'];
+
+module.exports = { OPERATION_COSTS, USAGE_SERIES };
@@ -0,0 +1,25 @@
+/**
+ * Admin permissions
+ * Granted per admin user and checked by requirePermission on /api/admin routes.
+ */
+const ADMIN_PERMISSIONS = [
+  'keys:manage', // Create, update, regenerate and revoke API keys
+  'stats:read', // Usage statistics and delivery logs
+  'audit:read', // Request audit log
+  'users:manage', // Grant or revoke admin access
+  'prompts:manage' // Edit, activate and dry-run LLM prompt templates
+];
+
+/**
+ * API key scopes
+ * Assigned per API key and checked by requireScope on /api/v1 routes.
+ */
+const API_KEY_SCOPES = [
+  'profiles:read', // Get and list profiles, connections and job status
+  'profiles:write', // Create, import, update, enrich and delete profiles; manage connections
+  'matches:read', // Compare profiles, draft introductions and read match history
+  'matches:write', // Run matching (stores match records) and submit match feedback
+  'webhooks:manage' // Manage webhook subscriptions
+];
+
+module.exports = { ADMIN_PERMISSIONS, API_KEY_SCOPES };
@@ -1,21 +1,114 @@
 const { ApiKey } = require('../models/ApiKey');
+const User = require('../models/User');
+const { ADMIN_PERMISSIONS, API_KEY_SCOPES } = require('../config/permissions');
 const { generateApiKey } = require('../middleware/apiKeyAuth');
+const { getScoringProfile, prepareScoringUpdate, saveScoringUpdate } = require('../services/scoringProfileService');
+const { escapeRegex } = require('../utils/escapeRegex');
+const { PROFILE_DATA_PROVIDERS } = require('../services/profileDataProviders');
+const { normalizeLlmSettings } = require('../services/llmProviders');
+const { hasQuota, getMonthlyUnits, getUsageSeries, nextMonthStart } = require('../services/usageService');
+
+// How long a rotated key keeps working, unless the request overrides it
+const DEFAULT_ROTATION_GRACE_HOURS = process.env.API_KEY_ROTATION_GRACE_HOURS !== undefined
+  ? parseFloat(process.env.API_KEY_ROTATION_GRACE_HOURS)
+  : 24;
+
+/**
+ * Lifecycle state of a single key
+ */
+const keyStatus = (key) => {
+  if (key.revokedAt || !key.isActive) return 'revoked';
+  if (key.expiresAt && key.expiresAt <= new Date()) return 'expired';
+  if (key.rotatedAt) return 'rotating'; // Still valid during its grace window
+  return 'active';
+};
+
+/**
+ * Per-key details (never includes the secret)
+ */
+const formatKey = (key) => ({
+  keyId: key._id,
+  keyName: key.keyName,
+  keyPreview: key.keyPreview,
+  status: keyStatus(key),
+  isActive: key.isActive,
+  scopes: key.scopes,
+  usageCount: key.usageCount,
+  usageUnits: key.usageUnits,
+  lastUsed: key.lastUsed,
+  createdAt: key.createdAt,
+  expiresAt: key.expiresAt,
+  rotatedAt: key.rotatedAt,
+  replacedBy: key.replacedBy,
+  revokedAt: key.revokedAt
+});
+
+/**
+ * Client-level view built from all of a client's keys (oldest first)
+ */
+const formatClient = (keys) => {
+  const latest = keys[keys.length - 1];
+
+  return {
+    name: latest.name,
+    clientId: latest.clientId,
+    isActive: keys.some(k => keyStatus(k) !== 'revoked' && keyStatus(k) !== 'expired'),
+    rateLimit: latest.rateLimit,
+    burstLimit: latest.burstLimit,
+    monthlyQuota: latest.monthlyQuota,
+    profileDataProviders: latest.profileDataProviders || [],
+    llmSettings: latest.llmSettings || {},
+    allowedIPs: latest.allowedIPs,
+    contactEmail: latest.contactEmail,
+    notes: latest.notes,
+    usageCount: keys.reduce((sum, k) => sum + (k.usageCount || 0), 0),
+    lastUsed: keys.reduce((last, k) => (k.lastUsed && (!last || k.lastUsed > last) ? k.lastUsed : last), null),
+    createdAt: keys[0].createdAt,
+    keys: keys.map(formatKey)
+  };
+};
+
+const keyNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'API key not found'
+});
+
+/**
+ * Check a scopes list from a request body
+ */
+const isValidScopes = (scopes) =>
+  Array.isArray(scopes) && scopes.every(scope => API_KEY_SCOPES.includes(scope));
+
+const invalidScopesResponse = (res) => res.status(400).json({
+  success: false,
+  error: `scopes must be a list of: ${API_KEY_SCOPES.join(', ')}`,
+  code: 'INVALID_SCOPES'
+});
+
+const expiryFromDays = (expiresInDays) => (expiresInDays
+  ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  : null);
 
 /**
  * @route   POST /api/admin/keys
- * @desc    Create new API key
+ * @desc    Create a client with its first API key
  * @access  Admin only
+ * @body    { name, clientId, keyName?, rateLimit?, burstLimit?, monthlyQuota?, expiresInDays?, allowedIPs?, contactEmail?, notes?, scopes? }
  */
 const createApiKey = async (req, res) => {
   try {
     const {
       name,
       clientId,
+      keyName = 'default',
       rateLimit = 100,
+      burstLimit = 20,
+      monthlyQuota = null,
       expiresInDays,
       allowedIPs = [],
       contactEmail,
-      notes
+      notes,
+      scopes = API_KEY_SCOPES
     } = req.body;
 
     if (!name || !clientId) {
@@ -25,31 +118,36 @@ const createApiKey = async (req, res) => {
       });
     }
 
+    if (!isValidScopes(scopes)) {
+      return invalidScopesResponse(res);
+    }
+
     // Check if clientId already exists
-    const existing = await ApiKey.findOne({ clientId });
+    const existing = await ApiKey.exists({ clientId });
     if (existing) {
       return res.status(400).json({
         success: false,
-        error: 'Client ID already exists'
+        error: `Client ID already exists. Use POST /api/admin/keys/${clientId}/keys to add another key`
       });
     }
 
     const key = generateApiKey('sk');
-    
-    const expiresAt = expiresInDays 
-      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
-      : null;
 
-    const apiKey = await ApiKey.create({
-      key,
+    const apiKey = new ApiKey({
       name,
       clientId,
+      keyName,
       rateLimit,
-      expiresAt,
+      burstLimit,
+      monthlyQuota,
+      expiresAt: expiryFromDays(expiresInDays),
       allowedIPs,
       contactEmail,
-      notes
+      notes,
+      scopes: [...new Set(scopes)]
     });
+    apiKey.setKey(key); // Only the hash and prefix are stored
+    await apiKey.save();
 
     console.log(`✅ API Key created for: ${name} (${clientId})`);
 
@@ -58,9 +156,15 @@ const createApiKey = async (req, res) => {
       message: 'API key created successfully',
       data: {
         apiKey: key, // Show only once!
+        keyId: apiKey._id,
+        keyName: apiKey.keyName,
+        keyPreview: apiKey.keyPreview,
         clientId: apiKey.clientId,
         name: apiKey.name,
         rateLimit: apiKey.rateLimit,
+        burstLimit: apiKey.burstLimit,
+        monthlyQuota: apiKey.monthlyQuota,
+        scopes: apiKey.scopes,
         expiresAt: apiKey.expiresAt,
         createdAt: apiKey.createdAt
       },
@@ -76,9 +180,78 @@ const createApiKey = async (req, res) => {
   }
 };
 
+/**
+ * @route   POST /api/admin/keys/:clientId/keys
+ * @desc    Add another named key to an existing client
+ * @access  Admin only
+ * @body    { keyName, scopes?, expiresInDays? }
+ */
+const addClientKey = async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { keyName, expiresInDays } = req.body;
+
+    if (!keyName) {
+      return res.status(400).json({
+        success: false,
+        error: 'keyName is required'
+      });
+    }
+
+    // New keys inherit the client's settings from its most recent key
+    const template = await ApiKey.findOne({ clientId }).sort({ createdAt: -1 });
+    if (!template) {
+      return keyNotFound(res);
+    }
+
+    const scopes = req.body.scopes === undefined ? template.scopes : req.body.scopes;
+    if (!isValidScopes(scopes)) {
+      return invalidScopesResponse(res);
+    }
+
+    const key = generateApiKey('sk');
+
+    const apiKey = new ApiKey({
+      name: template.name,
+      clientId,
+      keyName,
+      rateLimit: template.rateLimit,
+      burstLimit: template.burstLimit,
+      monthlyQuota: template.monthlyQuota,
+      profileDataProviders: template.profileDataProviders,
+      llmSettings: template.llmSettings,
+      expiresAt: expiryFromDays(expiresInDays),
+      allowedIPs: template.allowedIPs,
+      contactEmail: template.contactEmail,
+      notes: template.notes,
+      scopes: [...new Set(scopes)]
+    });
+    apiKey.setKey(key);
+    await apiKey.save();
+
+    console.log(`✅ API Key "${keyName}" added for: ${apiKey.name} (${clientId})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully',
+      data: {
+        apiKey: key, // Show only once!
+        ...formatKey(apiKey)
+      },
+      warning: 'Save this API key securely. It will not be shown again.'
+    });
+  } catch (error) {
+    console.error('❌ Add API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key'
+    });
+  }
+};
+
 /**
  * @route   GET /api/admin/keys
- * @desc    List all API keys
+ * @desc    List all API keys (one entry per key)
  * @access  Admin only
  */
 const listApiKeys = async (req, res) => {
@@ -90,14 +263,16 @@ const listApiKeys = async (req, res) => {
       query.isActive = active === 'true';
     }
     if (search) {
+      // Matched literally, not as a pattern
+      const pattern = escapeRegex(String(search).slice(0, 100));
       query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { clientId: { $regex: search, $options: 'i' } }
+        { name: { $regex: pattern, $options: 'i' } },
+        { clientId: { $regex: pattern, $options: 'i' } },
+        { keyName: { $regex: pattern, $options: 'i' } }
       ];
     }
 
     const keys = await ApiKey.find(query)
-      .select('-key') // Never return the actual key
       .sort({ createdAt: -1 });
 
     res.json({
@@ -107,14 +282,11 @@ const listApiKeys = async (req, res) => {
         id: k._id,
         name: k.name,
         clientId: k.clientId,
-        isActive: k.isActive,
         rateLimit: k.rateLimit,
-        usageCount: k.usageCount,
-        lastUsed: k.lastUsed,
-        createdAt: k.createdAt,
-        expiresAt: k.expiresAt,
+        burstLimit: k.burstLimit,
+        monthlyQuota: k.monthlyQuota,
         contactEmail: k.contactEmail,
-        keyPreview: '••••••••' + k.key.slice(-8)
+        ...formatKey(k)
       }))
     });
   } catch (error) {
@@ -128,38 +300,26 @@ const listApiKeys = async (req, res) => {
 
 /**
  * @route   GET /api/admin/keys/:clientId
- * @desc    Get API key details
+ * @desc    Get client details with all of its keys
  * @access  Admin only
  */
 const getApiKey = async (req, res) => {
   try {
     const { clientId } = req.params;
 
-    const apiKey = await ApiKey.findOne({ clientId }).select('-key');
+    const keys = await ApiKey.find({ clientId }).sort({ createdAt: 1 });
 
-    if (!apiKey) {
-      return res.status(404).json({
-        success: false,
-        error: 'API key not found'
-      });
+    if (keys.length === 0) {
+      return keyNotFound(res);
     }
 
+    const scoringProfile = await getScoringProfile(clientId);
+
     res.json({
       success: true,
       data: {
-        id: apiKey._id,
-        name: apiKey.name,
-        clientId: apiKey.clientId,
-        isActive: apiKey.isActive,
-        rateLimit: apiKey.rateLimit,
-        usageCount: apiKey.usageCount,
-        lastUsed: apiKey.lastUsed,
-        createdAt: apiKey.createdAt,
-        expiresAt: apiKey.expiresAt,
-        allowedIPs: apiKey.allowedIPs,
-        contactEmail: apiKey.contactEmail,
-        notes: apiKey.notes,
-        keyPreview: '••••••••' + apiKey.key.slice(-8)
+        ...formatClient(keys),
+        scoringProfile
       }
     });
   } catch (error) {
@@ -171,15 +331,44 @@ const getApiKey = async (req, res) => {
   }
 };
 
+/**
+ * @route   GET /api/admin/keys/:clientId/keys
+ * @desc    List a client's keys with per-key usage
+ * @access  Admin only
+ */
+const listClientKeys = async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ clientId: req.params.clientId }).sort({ createdAt: 1 });
+
+    if (keys.length === 0) {
+      return keyNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      count: keys.length,
+      data: keys.map(formatKey)
+    });
+  } catch (error) {
+    console.error('❌ List client keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list API keys'
+    });
+  }
+};
+
 /**
  * @route   PUT /api/admin/keys/:clientId
- * @desc    Update API key settings
+ * @desc    Update settings on all of a client's (non-revoked) keys and
+ *          (optionally) the client's match scoring profile
  * @access  Admin only
+ * @body    { name?, isActive?, rateLimit?, burstLimit?, monthlyQuota?, scopes?, profileDataProviders?, llmSettings?: { model?, temperature?, maxTokens? }, ..., scoringProfile?: { weights?, sameRolePenalty?, complementPairs? } }
  */
 const updateApiKey = async (req, res) => {
   try {
     const { clientId } = req.params;
-    const allowedUpdates = ['name', 'isActive', 'rateLimit', 'expiresAt', 'allowedIPs', 'contactEmail', 'notes'];
+    const allowedUpdates = ['name', 'isActive', 'rateLimit', 'burstLimit', 'monthlyQuota', 'expiresAt', 'allowedIPs', 'contactEmail', 'notes', 'scopes', 'profileDataProviders'];
     
     const updates = {};
     allowedUpdates.forEach(field => {
@@ -188,27 +377,99 @@ const updateApiKey = async (req, res) => {
       }
     });
 
-    const apiKey = await ApiKey.findOneAndUpdate(
-      { clientId },
-      updates,
-      { new: true, runValidators: true }
-    ).select('-key');
+    if (updates.scopes !== undefined) {
+      if (!isValidScopes(updates.scopes)) {
+        return invalidScopesResponse(res);
+      }
+      updates.scopes = [...new Set(updates.scopes)];
+    }
 
-    if (!apiKey) {
-      return res.status(404).json({
+    if (updates.profileDataProviders !== undefined) {
+      const providers = updates.profileDataProviders;
+      if (!Array.isArray(providers) || providers.some(p => !PROFILE_DATA_PROVIDERS.includes(p))) {
+        return res.status(400).json({
+          success: false,
+          error: `profileDataProviders must be a list of: ${PROFILE_DATA_PROVIDERS.join(', ')}`,
+          code: 'INVALID_PROFILE_DATA_PROVIDERS'
+        });
+      }
+    }
+
+    if (req.body.llmSettings !== undefined) {
+      updates.llmSettings = normalizeLlmSettings(req.body.llmSettings);
+    }
+
+    // Check every field before anything is written
+    const invalid = new ApiKey(updates).validateSync(Object.keys(updates));
+    if (invalid) {
+      return res.status(400).json({
         success: false,
-        error: 'API key not found'
+        error: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        details: Object.values(invalid.errors).map(err => err.message)
       });
     }
 
-    console.log(`✅ API Key updated: ${apiKey.name} (${clientId})`);
+    if (!(await ApiKey.exists({ clientId }))) {
+      return keyNotFound(res);
+    }
+
+    // Scoring profile is stored separately and versioned on every change
+    const scoringUpdate = req.body.scoringProfile !== undefined
+      ? await prepareScoringUpdate(clientId, req.body.scoringProfile, req.user?.email || 'admin')
+      : null;
+
+    // Revoked keys stay revoked, and rotated keys keep the expiry of their
+    // grace window: expiresAt / isActive only go to current keys (deactivating
+    // still applies to rotated keys, since it can only shorten their life)
+    const { expiresAt, isActive, ...sharedUpdates } = updates;
+    const currentKeyUpdates = {
+      ...(expiresAt !== undefined && { expiresAt }),
+      ...(isActive !== undefined && { isActive })
+    };
+
+    await ApiKey.updateMany(
+      { clientId, revokedAt: null, rotatedAt: null },
+      { ...sharedUpdates, ...currentKeyUpdates },
+      { runValidators: true }
+    );
+    await ApiKey.updateMany(
+      { clientId, revokedAt: null, rotatedAt: { $ne: null } },
+      { ...sharedUpdates, ...(isActive === false && { isActive }) },
+      { runValidators: true }
+    );
+
+    const scoringProfile = scoringUpdate && await saveScoringUpdate(scoringUpdate);
+
+    const keys = await ApiKey.find({ clientId }).sort({ createdAt: 1 });
+
+    console.log(`✅ API Key updated: ${keys[0].name} (${clientId})`);
 
     res.json({
       success: true,
       message: 'API key updated successfully',
-      data: apiKey
+      data: formatClient(keys),
+      ...(scoringProfile && { scoringProfile })
     });
   } catch (error) {
+    if (['INVALID_SCORING_PROFILE', 'INVALID_LLM_SETTINGS'].includes(error.code)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        details: error.errors ? Object.values(error.errors).map(err => err.message) : [error.message]
+      });
+    }
+
     console.error('❌ Update API key error:', error);
     res.status(500).json({
       success: false,
@@ -219,7 +480,7 @@ const updateApiKey = async (req, res) => {
 
 /**
  * @route   DELETE /api/admin/keys/:clientId
- * @desc    Delete API key (soft delete - just deactivate)
+ * @desc    Delete all of a client's keys (soft delete - just deactivate)
  * @access  Admin only
  */
 const deleteApiKey = async (req, res) => {
@@ -229,15 +490,15 @@ const deleteApiKey = async (req, res) => {
 
     if (hardDelete === 'true') {
       // Permanent deletion
-      await ApiKey.findOneAndDelete({ clientId });
-      console.log(`🗑️  API Key permanently deleted: ${clientId}`);
+      await ApiKey.deleteMany({ clientId });
+      console.log(`🗑️  API Keys permanently deleted: ${clientId}`);
     } else {
       // Soft delete - just deactivate
-      await ApiKey.findOneAndUpdate(
+      await ApiKey.updateMany(
         { clientId },
         { isActive: false }
       );
-      console.log(`🔒 API Key deactivated: ${clientId}`);
+      console.log(`🔒 API Keys deactivated: ${clientId}`);
     }
 
     res.json({
@@ -253,43 +514,180 @@ const deleteApiKey = async (req, res) => {
   }
 };
 
+/**
+ * @route   DELETE /api/admin/keys/:clientId/keys/:keyId
+ * @desc    Revoke a single key immediately
+ * @access  Admin only
+ */
+const revokeClientKey = async (req, res) => {
+  try {
+    const { clientId, keyId } = req.params;
+
+    const apiKey = await ApiKey.findOne({ _id: keyId, clientId });
+
+    if (!apiKey) {
+      return keyNotFound(res);
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.isActive = false;
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+      console.log(`🔒 API Key "${apiKey.keyName}" revoked: ${clientId} (${apiKey.keyPreview})`);
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      data: formatKey(apiKey)
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid key ID format'
+      });
+    }
+
+    console.error('❌ Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key'
+    });
+  }
+};
+
 /**
  * @route   POST /api/admin/keys/:clientId/regenerate
- * @desc    Regenerate API key
+ * @desc    Rotate a key: issue a replacement and keep the old key valid for a grace window
+ *          (expired keys cannot be rotated)
  * @access  Admin only
+ * @body    { keyId? (required when the client has several active keys), gracePeriodHours? }
  */
 const regenerateApiKey = async (req, res) => {
   try {
     const { clientId } = req.params;
+    const { keyId } = req.body;
+    const gracePeriodHours = req.body.gracePeriodHours ?? DEFAULT_ROTATION_GRACE_HOURS;
 
-    const apiKey = await ApiKey.findOne({ clientId });
+    if (typeof gracePeriodHours !== 'number' || gracePeriodHours < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'gracePeriodHours must be a non-negative number'
+      });
+    }
 
-    if (!apiKey) {
-      return res.status(404).json({
+    // Only keys that have not already been rotated or revoked can be rotated
+    const candidates = await ApiKey.find({
+      clientId,
+      isActive: true,
+      revokedAt: null,
+      rotatedAt: null,
+      ...(keyId && { _id: keyId })
+    }).select('+webhooks.secret');
+
+    if (candidates.length === 0) {
+      return keyNotFound(res);
+    }
+
+    // Expired keys stay expired: rotating one would hand out a working replacement
+    const rotatable = candidates.filter(key => keyStatus(key) === 'active');
+    if (rotatable.length === 0) {
+      return res.status(400).json({
         success: false,
-        error: 'API key not found'
+        error: 'Expired keys cannot be rotated; create a new key instead',
+        code: 'KEY_EXPIRED'
       });
     }
 
+    if (rotatable.length > 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Client has several active keys; specify keyId',
+        code: 'KEY_ID_REQUIRED',
+        keys: rotatable.map(formatKey)
+      });
+    }
+
+    const oldKey = rotatable[0];
     const newKey = generateApiKey('sk');
-    apiKey.key = newKey;
-    apiKey.usageCount = 0;
-    apiKey.lastUsed = null;
-    await apiKey.save();
+    const now = new Date();
+    const graceEndsAt = new Date(now.getTime() + gracePeriodHours * 60 * 60 * 1000);
 
-    console.log(`🔄 API Key regenerated for: ${apiKey.name} (${clientId})`);
+    const replacement = new ApiKey({
+      name: oldKey.name,
+      clientId,
+      keyName: oldKey.keyName,
+      rateLimit: oldKey.rateLimit,
+      burstLimit: oldKey.burstLimit,
+      monthlyQuota: oldKey.monthlyQuota,
+      profileDataProviders: oldKey.profileDataProviders,
+      llmSettings: oldKey.llmSettings,
+      scopes: oldKey.scopes,
+      allowedIPs: oldKey.allowedIPs,
+      metadata: oldKey.metadata,
+      contactEmail: oldKey.contactEmail,
+      notes: oldKey.notes,
+      // Subscriptions (with their secrets and ids) move to the new key
+      webhooks: oldKey.webhooks.map(w => w.toObject())
+    });
+    replacement.setKey(newKey);
+    await replacement.save();
+
+    const retire = { webhooks: [], rotatedAt: now, replacedBy: replacement._id };
+    if (gracePeriodHours === 0) {
+      Object.assign(retire, { isActive: false, revokedAt: now });
+    } else if (!oldKey.expiresAt || oldKey.expiresAt > graceEndsAt) {
+      retire.expiresAt = graceEndsAt;
+    }
+
+    // Retire the old key only if it is still unrotated and unexpired, so a
+    // concurrent rotation or revocation cannot leave two replacements behind
+    const retired = await ApiKey.findOneAndUpdate(
+      {
+        _id: oldKey._id,
+        isActive: true,
+        revokedAt: null,
+        rotatedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      },
+      { $set: retire },
+      { new: true }
+    );
+
+    if (!retired) {
+      await ApiKey.deleteOne({ _id: replacement._id });
+      return res.status(409).json({
+        success: false,
+        error: 'The key was rotated, revoked or expired meanwhile',
+        code: 'KEY_CHANGED'
+      });
+    }
+
+    console.log(`🔄 API Key rotated for: ${retired.name} (${clientId}), old key valid until ${retired.revokedAt ? 'now' : retired.expiresAt.toISOString()}`);
 
     res.json({
       success: true,
       message: 'API key regenerated successfully',
       data: {
         apiKey: newKey, // Show only once!
-        clientId: apiKey.clientId,
-        name: apiKey.name
+        ...formatKey(replacement),
+        clientId,
+        name: replacement.name,
+        previousKey: formatKey(retired)
       },
-      warning: 'Save this API key securely. The old key is now invalid.'
+      warning: retired.revokedAt
+        ? 'Save this API key securely. The old key is now invalid.'
+        : `Save this API key securely. The old key stays valid until ${retired.expiresAt.toISOString()}.`
     });
   } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid key ID format'
+      });
+    }
+
     console.error('❌ Regenerate API key error:', error);
     res.status(500).json({
       success: false,
@@ -298,6 +696,66 @@ const regenerateApiKey = async (req, res) => {
   }
 };
 
+/**
+ * @route   GET /api/admin/keys/:clientId/usage
+ * @desc    Daily usage time series (calls, cost units, enrichments, matches)
+ *          and the client's position against its monthly quota
+ * @access  Admin only
+ * @query   from?: YYYY-MM-DD, to?: YYYY-MM-DD (default: last 30 days)
+ */
+const getClientUsage = async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { from, to } = req.query;
+
+    const keys = await ApiKey.find({ clientId }).sort({ createdAt: 1 });
+    if (keys.length === 0) {
+      return keyNotFound(res);
+    }
+
+    const [usage, monthUnits] = await Promise.all([
+      getUsageSeries(clientId, { from, to }),
+      getMonthlyUnits(clientId)
+    ]);
+    const { monthlyQuota } = keys[keys.length - 1];
+
+    res.json({
+      success: true,
+      data: {
+        clientId,
+        quota: {
+          monthlyQuota,
+          usedThisMonth: monthUnits,
+          remaining: hasQuota(monthlyQuota) ? Math.max(0, monthlyQuota - monthUnits) : null,
+          resetsAt: nextMonthStart()
+        },
+        keys: keys.map(k => ({
+          keyId: k._id,
+          keyName: k.keyName,
+          usageCount: k.usageCount,
+          usageUnits: k.usageUnits,
+          lastUsed: k.lastUsed
+        })),
+        ...usage
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('❌ Get usage error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch usage'
+    });
+  }
+};
+
 /**
  * @route   GET /api/admin/stats
  * @desc    Get usage statistics
@@ -305,8 +763,6 @@ const regenerateApiKey = async (req, res) => {
  */
 const getStats = async (req, res) => {
   try {
-    const User = require('../models/User');
-
     const [
       totalKeys,
       activeKeys,
@@ -322,10 +778,21 @@ const getStats = async (req, res) => {
       })
     ]);
 
-    const topClients = await ApiKey.find({ isActive: true })
-      .sort({ usageCount: -1 })
-      .limit(10)
-      .select('-key');
+    // Usage is tracked per key; sum it per client
+    const topClients = await ApiKey.aggregate([
+      { $match: { isActive: true } },
+      {
+        $group: {
+          _id: '$clientId',
+          name: { $last: '$name' },
+          usageCount: { $sum: '$usageCount' },
+          lastUsed: { $max: '$lastUsed' },
+          keyCount: { $sum: 1 }
+        }
+      },
+      { $sort: { usageCount: -1 } },
+      { $limit: 10 }
+    ]);
 
     res.json({
       success: true,
@@ -341,9 +808,10 @@ const getStats = async (req, res) => {
         },
         topClients: topClients.map(c => ({
           name: c.name,
-          clientId: c.clientId,
+          clientId: c._id,
           usageCount: c.usageCount,
-          lastUsed: c.lastUsed
+          lastUsed: c.lastUsed,
+          keyCount: c.keyCount
         }))
       }
     });
@@ -356,12 +824,151 @@ const getStats = async (req, res) => {
   }
 };
 
+/**
+ * @route   GET /api/admin/users
+ * @desc    List web app users and their admin access
+ * @access  Admin only (users:manage)
+ * @query   accessRole?, search?, page?, limit?
+ */
+const listUsers = async (req, res) => {
+  try {
+    const { accessRole, search } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    // Web app accounts only; API-created profiles have a clientId
+    const query = { clientId: null };
+    if (accessRole) {
+      query.accessRole = String(accessRole);
+    }
+    if (search) {
+      // Matched literally, not as a pattern
+      const pattern = escapeRegex(String(search).slice(0, 100));
+      query.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('name email accessRole adminPermissions createdAt')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: users.map(u => ({
+        id: u._id,
+        name: u.name,
+        email: u.email,
+        accessRole: u.accessRole,
+        adminPermissions: u.adminPermissions,
+        createdAt: u.createdAt
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('❌ List users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list users'
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/admin/users/:userId/access
+ * @desc    Grant or revoke admin access and permissions
+ * @access  Admin only (users:manage)
+ * @body    { accessRole: 'user'|'admin', adminPermissions?: [...] }
+ */
+const updateUserAccess = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { accessRole, adminPermissions } = req.body;
+
+    if (!['user', 'admin'].includes(accessRole)) {
+      return res.status(400).json({
+        success: false,
+        error: "accessRole must be 'user' or 'admin'"
+      });
+    }
+
+    const permissions = accessRole === 'admin'
+      ? (adminPermissions === undefined ? ADMIN_PERMISSIONS : adminPermissions)
+      : [];
+
+    if (!Array.isArray(permissions) || permissions.some(p => !ADMIN_PERMISSIONS.includes(p))) {
+      return res.status(400).json({
+        success: false,
+        error: `adminPermissions must be a list of: ${ADMIN_PERMISSIONS.join(', ')}`
+      });
+    }
+
+    // Prevent admins from locking themselves out
+    if (String(userId) === String(req.user._id) && !permissions.includes('users:manage')) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot remove your own users:manage permission'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { accessRole, adminPermissions: [...new Set(permissions)] },
+      { new: true, runValidators: true }
+    ).select('name email accessRole adminPermissions');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    console.log(`👑 Access updated for ${user.email}: ${user.accessRole} [${user.adminPermissions.join(', ')}] by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'User access updated',
+      data: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        accessRole: user.accessRole,
+        adminPermissions: user.adminPermissions
+      }
+    });
+  } catch (error) {
+    console.error('❌ Update user access error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update user access'
+    });
+  }
+};
+
 module.exports = {
   createApiKey,
+  addClientKey,
   listApiKeys,
   getApiKey,
+  listClientKeys,
   updateApiKey,
   deleteApiKey,
+  revokeClientKey,
   regenerateApiKey,
-  getStats
+  getStats,
+  getClientUsage,
+  listUsers,
+  updateUserAccess
 };
\ No newline at end of file
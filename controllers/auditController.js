@@ -0,0 +1,50 @@
+const { listAuditLogs } = require('../services/auditService');
+
+/**
+ * @route   GET /api/admin/audit
+ * @desc    Query the request audit log, newest first
+ * @access  Admin only (audit:read)
+ * @query   actorType?, actorId?, clientId?, action?, targetId?, outcome?, requestId?, from?, to?, page?, limit?
+ */
+const getAuditLog = async (req, res) => {
+  try {
+    const { entries, pagination } = await listAuditLogs(req.query);
+
+    res.json({
+      success: true,
+      data: entries.map(entry => ({
+        id: entry._id,
+        requestId: entry.requestId,
+        actor: entry.actor,
+        action: entry.action,
+        target: entry.target,
+        params: entry.params,
+        outcome: entry.outcome,
+        statusCode: entry.statusCode,
+        ip: entry.ip,
+        userAgent: entry.userAgent,
+        durationMs: entry.durationMs,
+        createdAt: entry.createdAt
+      })),
+      pagination
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('❌ Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit log'
+    });
+  }
+};
+
+module.exports = {
+  getAuditLog
+};
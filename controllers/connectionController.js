@@ -0,0 +1,210 @@
+const User = require('../models/User');
+const {
+  sendConnectionRequest,
+  acceptConnectionRequest,
+  rejectConnectionRequest,
+  withdrawConnectionRequest,
+  listConnections
+} = require('../services/connectionService');
+
+const VALID_STATUSES = ['pending', 'accepted', 'rejected'];
+const VALID_DIRECTIONS = ['incoming', 'outgoing'];
+
+/**
+ * Send a service error (or a generic 500) back to the client
+ */
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid ID format',
+      code: 'INVALID_ID'
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    code: 'INTERNAL_ERROR'
+  });
+};
+
+/**
+ * Resolve the acting profile for API key requests.
+ * The profile in the URL must belong to the calling client.
+ */
+const resolveClientProfile = async (req, res) => {
+  const profile = await User.findOne({
+    _id: req.params.profileId,
+    clientId: req.apiClient.clientId
+  }).select('_id');
+
+  if (!profile) {
+    res.status(404).json({
+      success: false,
+      error: 'Profile not found',
+      code: 'PROFILE_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return profile._id;
+};
+
+/**
+ * Resolve the acting profile for JWT requests
+ */
+const resolveCurrentUser = async (req) => req.user._id;
+
+/**
+ * Build the connection handlers for a given way of resolving the acting profile
+ */
+const buildHandlers = (resolveActor, targetParam) => ({
+  list: async (req, res) => {
+    try {
+      const { status, direction } = req.query;
+
+      if (status && !VALID_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${VALID_STATUSES.join(', ')}`,
+          code: 'INVALID_STATUS'
+        });
+      }
+
+      if (direction && !VALID_DIRECTIONS.includes(direction)) {
+        return res.status(400).json({
+          success: false,
+          error: `direction must be one of: ${VALID_DIRECTIONS.join(', ')}`,
+          code: 'INVALID_DIRECTION'
+        });
+      }
+
+      const actorId = await resolveActor(req, res);
+      if (!actorId) return;
+
+      const connections = await listConnections(actorId, { status, direction });
+
+      res.json({
+        success: true,
+        count: connections.length,
+        data: connections
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to list connections');
+    }
+  },
+
+  send: async (req, res) => {
+    try {
+      const targetId = req.body[targetParam];
+
+      if (!targetId) {
+        return res.status(400).json({
+          success: false,
+          error: `${targetParam} is required`,
+          code: 'MISSING_TARGET_ID'
+        });
+      }
+
+      const actorId = await resolveActor(req, res);
+      if (!actorId) return;
+
+      const connection = await sendConnectionRequest(actorId, targetId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Connection request sent',
+        data: connection
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to send connection request');
+    }
+  },
+
+  accept: async (req, res) => {
+    try {
+      const actorId = await resolveActor(req, res);
+      if (!actorId) return;
+
+      const connection = await acceptConnectionRequest(actorId, req.params.targetId);
+
+      res.json({
+        success: true,
+        message: 'Connection request accepted',
+        data: connection
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to accept connection request');
+    }
+  },
+
+  reject: async (req, res) => {
+    try {
+      const actorId = await resolveActor(req, res);
+      if (!actorId) return;
+
+      const connection = await rejectConnectionRequest(actorId, req.params.targetId);
+
+      res.json({
+        success: true,
+        message: 'Connection request rejected',
+        data: connection
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to reject connection request');
+    }
+  },
+
+  withdraw: async (req, res) => {
+    try {
+      const actorId = await resolveActor(req, res);
+      if (!actorId) return;
+
+      await withdrawConnectionRequest(actorId, req.params.targetId);
+
+      res.json({
+        success: true,
+        message: 'Connection request withdrawn'
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to withdraw connection request');
+    }
+  }
+});
+
+/**
+ * API key handlers
+ * @route   GET    /api/v1/profiles/:profileId/connections?status=&direction=
+ * @route   POST   /api/v1/profiles/:profileId/connections          { targetProfileId }
+ * @route   POST   /api/v1/profiles/:profileId/connections/:targetId/accept
+ * @route   POST   /api/v1/profiles/:profileId/connections/:targetId/reject
+ * @route   DELETE /api/v1/profiles/:profileId/connections/:targetId
+ * @access  API Key Required
+ */
+const serviceConnections = buildHandlers(resolveClientProfile, 'targetProfileId');
+
+/**
+ * JWT handlers
+ * @route   GET    /api/connections?status=&direction=
+ * @route   POST   /api/connections                  { userId }
+ * @route   POST   /api/connections/:targetId/accept
+ * @route   POST   /api/connections/:targetId/reject
+ * @route   DELETE /api/connections/:targetId
+ * @access  Private
+ */
+const userConnections = buildHandlers(resolveCurrentUser, 'userId');
+
+module.exports = {
+  serviceConnections,
+  userConnections
+};
@@ -0,0 +1,173 @@
+const User = require('../models/User');
+const {
+  listPrompts,
+  listPromptVersions,
+  createPromptVersion,
+  activatePromptVersion
+} = require('../services/promptTemplateService');
+const { previewEnrichmentPrompt } = require('../services/openaiService');
+const { toEnrichmentInput } = require('../services/profileService');
+
+// Prompts that can be rendered for a stored profile without calling the model
+const PROMPT_PREVIEWS = {
+  enrichProfile: (profile, options) => previewEnrichmentPrompt(toEnrichmentInput(profile), options)
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      ...(error.details && { details: error.details })
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid ID format',
+      code: 'INVALID_ID'
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage
+  });
+};
+
+/**
+ * @route   GET /api/admin/prompts
+ * @desc    List prompts with their active version
+ * @access  Admin only (prompts:manage)
+ */
+const getPrompts = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listPrompts()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch prompts');
+  }
+};
+
+/**
+ * @route   GET /api/admin/prompts/:name
+ * @desc    All versions of a prompt, newest first (version 0 is the built-in default)
+ * @access  Admin only (prompts:manage)
+ */
+const getPromptVersions = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listPromptVersions(req.params.name)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch prompt versions');
+  }
+};
+
+/**
+ * @route   POST /api/admin/prompts/:name
+ * @desc    Save a new version of a prompt
+ * @access  Admin only (prompts:manage)
+ * @body    { system, template, notes?, activate? }
+ */
+const addPromptVersion = async (req, res) => {
+  try {
+    const { system, template, notes, activate = false } = req.body;
+
+    const version = await createPromptVersion(
+      req.params.name,
+      { system, template, notes, activate: activate === true },
+      req.user?.email || 'admin'
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Prompt version ${version.version} created`,
+      data: version
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create prompt version');
+  }
+};
+
+/**
+ * @route   POST /api/admin/prompts/:name/versions/:version/activate
+ * @desc    Use a version for new requests (0 restores the built-in default)
+ * @access  Admin only (prompts:manage)
+ */
+const activateVersion = async (req, res) => {
+  try {
+    const version = await activatePromptVersion(req.params.name, req.params.version);
+
+    res.json({
+      success: true,
+      message: `Prompt version ${version.version} activated`,
+      data: version
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to activate prompt version');
+  }
+};
+
+/**
+ * @route   POST /api/admin/prompts/:name/dry-run
+ * @desc    Render a prompt for a stored profile without calling the model
+ * @access  Admin only (prompts:manage)
+ * @body    { profileId, version? } (defaults to the active version)
+ */
+const dryRunPrompt = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { profileId, version } = req.body;
+
+    if (!Object.hasOwn(PROMPT_PREVIEWS, name)) {
+      return res.status(400).json({
+        success: false,
+        error: `Dry run is available for: ${Object.keys(PROMPT_PREVIEWS).join(', ')}`,
+        code: 'DRY_RUN_NOT_SUPPORTED'
+      });
+    }
+
+    if (!profileId) {
+      return res.status(400).json({
+        success: false,
+        error: 'profileId is required',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    const profile = await User.findById(profileId);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Profile not found',
+        code: 'PROFILE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        prompt: name,
+        profileId: profile._id,
+        ...(await PROMPT_PREVIEWS[name](profile, { version }))
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to render prompt');
+  }
+};
+
+module.exports = {
+  getPrompts,
+  getPromptVersions,
+  addPromptVersion,
+  activateVersion,
+  dryRunPrompt
+};
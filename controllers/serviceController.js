@@ -1,35 +1,104 @@
 const User = require('../models/User');
-const { scrapeLinkedIn } = require('../services/linkedinService');
-const { enrichProfile } = require('../services/openaiService');
+const { Job } = require('../models/Job');
+const {
+  findExistingProfile,
+  queueProfileCreation,
+  updateClientProfile,
+  queueProfileEnrichment,
+  deleteClientProfile
+} = require('../services/profileService');
+const { PROFILE_IMPORT_JOB, queueProfileImport, getImportReport } = require('../services/bulkImportService');
 const { findCollaborationMatches, getMutualMatchScore } = require('../services/matchService');
+const { getScoringProfile } = require('../services/scoringProfileService');
+const { draftIntroduction } = require('../services/introductionService');
+const { emitEvent } = require('../services/webhookService');
+const {
+  recordMatches,
+  recordFeedback,
+  getMatchHistory: fetchMatchHistory,
+  formatMatchRecord
+} = require('../services/matchHistoryService');
+const { parseCsv, parseNdjson, detectFormat } = require('../utils/importParser');
+const { canonicalizeLinkedInUrl } = require('../utils/linkedinUrl');
+const { formatProvenance } = require('../services/provenanceService');
+
+const BULK_IMPORT_MAX_ROWS = parseInt(process.env.BULK_IMPORT_MAX_ROWS) || 500;
+const MAX_MATCH_LIMIT = 50;
 
 /**
- * Helper functions
+ * Shape a profile for API responses
  */
-const ensureArray = (value) => {
-  if (!value) return [];
-  if (Array.isArray(value)) return value;
-  if (typeof value === 'string') {
-    try {
-      const parsed = JSON.parse(value);
-      return Array.isArray(parsed) ? parsed : [];
-    } catch {
-      return value.split(',').map(item => item.trim()).filter(Boolean);
-    }
+const formatProfile = (profile) => ({
+  profileId: profile._id,
+  name: profile.name,
+  role: profile.role,
+  industry: profile.industry,
+  location: profile.location,
+  bio: profile.enrichedBio || profile.bio,
+  skills: profile.enrichedSkills || profile.skills,
+  interests: profile.interests,
+  collaborationTargets: profile.collaborationTargets,
+  linkedinURL: profile.linkedinURL,
+  createdAt: profile.createdAt,
+  profileEnriched: !!profile.profileEnrichedAt,
+  enrichmentStatus: profile.enrichmentStatus || null,
+  enrichmentStatusReason: profile.enrichmentStatusReason || '',
+  enrichmentPromptVersion: profile.enrichmentPromptVersion ?? null,
+  enrichmentModel: profile.enrichmentModel || null,
+  provenance: formatProvenance(profile)
+});
+
+/**
+ * Send a service error (or a generic 500) back to the client
+ */
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid ID format',
+      code: 'INVALID_ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      code: 'VALIDATION_ERROR',
+      details: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'Another profile already uses this email',
+      code: 'PROFILE_EXISTS'
+    });
   }
-  return [];
-};
 
-const mergeArrays = (...arrays) => {
-  const merged = arrays.flat().filter(Boolean);
-  return [...new Set(merged)];
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    code: 'INTERNAL_ERROR'
+  });
 };
 
 /**
  * @route   POST /api/v1/profiles
- * @desc    Create and enrich profile from LinkedIn URL
+ * @desc    Queue profile creation and enrichment from LinkedIn URL
  * @access  API Key Required
- * @body    { linkedinURL, name, additionalData?: {} }
+ * @body    { linkedinURL, name, email?, additionalData?: {} }
+ * @returns 202 with a job id; poll GET /api/v1/jobs/:jobId for the profileId
  */
 const createProfile = async (req, res) => {
   try {
@@ -49,17 +118,24 @@ const createProfile = async (req, res) => {
       });
     }
 
-    console.log(`\n📝 Profile creation started for: ${name}`);
+    const canonicalURL = canonicalizeLinkedInUrl(linkedinURL);
+    if (!canonicalURL) {
+      return res.status(400).json({
+        success: false,
+        error: 'linkedinURL must be a LinkedIn profile URL (https://www.linkedin.com/in/<profile>)',
+        code: 'INVALID_LINKEDIN_URL'
+      });
+    }
+
+    console.log(`\n📝 Profile creation requested for: ${name}`);
     console.log(`👤 Client: ${req.apiClient.name} (${req.apiClient.clientId})`);
 
     // Check if profile already exists (by LinkedIn URL or email)
-    const existingProfile = await User.findOne({
-      $or: [
-        { linkedinURL: linkedinURL.trim() },
-        ...(email ? [{ email }] : [])
-      ],
-      clientId: req.apiClient.clientId
-    });
+    const existingProfile = await findExistingProfile(
+      req.apiClient.clientId,
+      canonicalURL,
+      email
+    );
 
     if (existingProfile) {
       return res.status(409).json({
@@ -73,125 +149,171 @@ const createProfile = async (req, res) => {
       });
     }
 
-    // Initialize profile data
-    let profileData = {
+    // Scraping and enrichment run in the background worker, which bills the
+    // enrichment only once the profile has been created
+    const job = await queueProfileCreation({
       name,
-      email: email || `${Date.now()}@generated.local`, // Generate email if not provided
-      clientId: req.apiClient.clientId, // Track which client created this
-      linkedinURL: linkedinURL.trim(),
-      bio: additionalData.bio || '',
-      skills: ensureArray(additionalData.skills),
-      interests: ensureArray(additionalData.interests),
-      role: additionalData.role || '',
-      businessType: additionalData.businessType || '',
-      industry: additionalData.industry || '',
-      location: additionalData.location || '',
-      education: [],
-      experience: [],
-      linkedinSummary: {},
-      password: Math.random().toString(36).slice(-16) // Random password (not used for API access)
-    };
-
-    // STEP 1: Scrape LinkedIn
-    console.log(`🔍 Step 1: Scraping LinkedIn profile...`);
-    try {
-      const linkedinData = await scrapeLinkedIn(linkedinURL.trim());
-      
-      if (linkedinData) {
-        profileData.linkedinSummary = linkedinData;
-        profileData.bio = profileData.bio || linkedinData.about || '';
-        profileData.role = profileData.role || linkedinData.title || linkedinData.headline || '';
-        profileData.industry = profileData.industry || linkedinData.industry || '';
-        profileData.location = profileData.location || linkedinData.location || '';
-        profileData.skills = mergeArrays(profileData.skills, linkedinData.skills);
-        profileData.interests = mergeArrays(profileData.interests, linkedinData.interests);
-        profileData.education = linkedinData.education || [];
-        profileData.experience = linkedinData.experience || [];
-
-        console.log(`✅ LinkedIn data scraped: ${profileData.skills.length} skills, ${profileData.experience.length} experiences`);
+      email,
+      linkedinURL: canonicalURL,
+      additionalData
+    }, req.apiClient);
+
+    res.status(202).json({
+      success: true,
+      message: 'Profile creation queued',
+      data: {
+        jobId: job._id,
+        status: job.status,
+        statusUrl: `/api/v1/jobs/${job._id}`,
+        createdAt: job.createdAt
       }
-    } catch (error) {
-      console.log(`⚠️  LinkedIn scraping failed: ${error.message}`);
+    });
+
+  } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return sendServiceError(res, error, 'Profile creation failed');
     }
 
-    // STEP 2: AI Profile Enrichment
-    console.log(`🤖 Step 2: Enriching profile with AI...`);
-    try {
-      const enrichedData = await enrichProfile({
-        name: profileData.name,
-        bio: profileData.bio,
-        skills: profileData.skills,
-        interests: profileData.interests,
-        role: profileData.role,
-        industry: profileData.industry,
-        businessType: profileData.businessType,
-        location: profileData.location,
-        education: profileData.education,
-        linkedinSummary: profileData.linkedinSummary
+    console.error('❌ Profile creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Profile creation failed',
+      code: 'INTERNAL_ERROR',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/v1/profiles/bulk
+ * @desc    Queue an import of many profiles from a CSV or NDJSON upload
+ * @access  API Key Required
+ * @body    Raw CSV (text/csv) or NDJSON (application/x-ndjson); ?format=csv|ndjson overrides Content-Type
+ *          Columns/keys: name, linkedinURL, email?, additionalData? (JSON)
+ * @returns 202 with the import job; GET /api/v1/jobs/:jobId returns the per-row report
+ *          (created | duplicate | failed | pending, with reasons; rows are file line numbers)
+ */
+const bulkImportProfiles = async (req, res) => {
+  try {
+    const format = detectFormat(req.query.format, req.headers['content-type']);
+
+    if (!format) {
+      return res.status(415).json({
+        success: false,
+        error: 'Upload must be CSV (text/csv) or NDJSON (application/x-ndjson)',
+        code: 'UNSUPPORTED_FORMAT'
       });
+    }
 
-      profileData.enrichedBio = enrichedData.enrichedBio || profileData.bio;
-      profileData.enrichedSkills = enrichedData.enrichedSkills.length > 0 
-        ? enrichedData.enrichedSkills 
-        : profileData.skills;
-      profileData.role = enrichedData.role || profileData.role;
-      profileData.industry = enrichedData.industry || profileData.industry;
-      profileData.businessType = enrichedData.businessType || profileData.businessType;
-      profileData.location = enrichedData.location || profileData.location;
-      profileData.interests = mergeArrays(profileData.interests, enrichedData.analyzedInterests);
-      profileData.collaborationTargets = enrichedData.collaborationTargets || [];
-      profileData.profileEnrichedAt = new Date();
-
-      console.log(`✅ Profile enriched: ${profileData.collaborationTargets.length} collaboration targets`);
-    } catch (error) {
-      console.error(`❌ Profile enrichment failed:`, error.message);
-      profileData.enrichedBio = profileData.bio;
-      profileData.enrichedSkills = profileData.skills;
-      profileData.collaborationTargets = [];
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload body is empty',
+        code: 'EMPTY_UPLOAD'
+      });
+    }
+
+    const rows = format === 'csv' ? parseCsv(req.body) : parseNdjson(req.body);
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload contains no data rows',
+        code: 'EMPTY_UPLOAD'
+      });
     }
 
-    // STEP 3: Save to database
-    console.log(`💾 Step 3: Saving profile to database...`);
-    const profile = await User.create(profileData);
+    if (rows.length > BULK_IMPORT_MAX_ROWS) {
+      return res.status(413).json({
+        success: false,
+        error: `Upload exceeds the maximum of ${BULK_IMPORT_MAX_ROWS} rows`,
+        code: 'TOO_MANY_ROWS'
+      });
+    }
 
-    console.log(`✅ Profile created: ${profile._id}`);
+    console.log(`\n📦 Bulk import of ${rows.length} ${format.toUpperCase()} rows`);
+    console.log(`👤 Client: ${req.apiClient.name} (${req.apiClient.clientId})`);
 
-    res.status(201).json({
+    // Deduplication and enrichment run in the background worker
+    const job = await queueProfileImport(rows, req.apiClient);
+
+    res.status(202).json({
       success: true,
-      message: 'Profile created and enriched successfully',
+      message: 'Bulk import queued',
       data: {
-        profileId: profile._id,
-        name: profile.name,
-        role: profile.role,
-        industry: profile.industry,
-        location: profile.location,
-        bio: profile.enrichedBio,
-        skills: profile.enrichedSkills,
-        interests: profile.interests,
-        collaborationTargets: profile.collaborationTargets,
-        linkedinURL: profile.linkedinURL,
-        profileEnriched: !!profile.profileEnrichedAt,
-        createdAt: profile.createdAt
+        importId: job._id,
+        jobId: job._id,
+        format,
+        rows: rows.length,
+        status: job.status,
+        statusUrl: `/api/v1/jobs/${job._id}`,
+        createdAt: job.createdAt
       }
     });
+  } catch (error) {
+    console.error('❌ Bulk import error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Bulk import failed',
+      code: 'INTERNAL_ERROR',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
 
+/**
+ * @route   GET /api/v1/jobs/:jobId
+ * @desc    Get background job status and result (import jobs include their per-row report)
+ * @access  API Key Required
+ */
+const getJob = async (req, res) => {
+  try {
+    const job = await Job.findOne({
+      _id: req.params.jobId,
+      clientId: req.apiClient.clientId // Clients only see their own jobs
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        jobId: job._id,
+        type: job.type,
+        status: job.status,
+        progress: job.progress,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        profileId: job.result?.profileId || null,
+        error: job.lastError?.message
+          ? { message: job.lastError.message, code: job.lastError.code }
+          : null,
+        nextAttemptAt: job.status === 'queued' && job.attempts > 0 ? job.runAt : null,
+        createdAt: job.createdAt,
+        completedAt: job.completedAt || null,
+        ...(job.type === PROFILE_IMPORT_JOB && { report: await getImportReport(job) })
+      }
+    });
   } catch (error) {
-    console.error('❌ Profile creation error:', error);
-    
-    if (error.name === 'ValidationError') {
+    if (error.name === 'CastError') {
       return res.status(400).json({
         success: false,
-        error: 'Validation error',
-        code: 'VALIDATION_ERROR',
-        details: Object.values(error.errors).map(err => err.message)
+        error: 'Invalid ID format',
+        code: 'INVALID_ID'
       });
     }
 
+    console.error('❌ Get job error:', error);
     res.status(500).json({
       success: false,
-      error: 'Profile creation failed',
-      code: 'INTERNAL_ERROR',
-      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      error: 'Failed to fetch job',
+      code: 'INTERNAL_ERROR'
     });
   }
 };
@@ -220,28 +342,109 @@ const getProfile = async (req, res) => {
 
     res.json({
       success: true,
+      data: formatProfile(profile)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to fetch profile');
+  }
+};
+
+/**
+ * @route   PATCH /api/v1/profiles/:profileId
+ * @desc    Update editable profile fields, optionally re-enriching afterwards
+ * @access  API Key Required
+ * @body    { name?, email?, bio?, skills?, interests?, role?, businessType?, industry?, location?, linkedinURL?, unlock?: [field], reEnrich? }
+ *          Edited fields are locked against re-enrichment; `unlock` releases them
+ */
+const updateProfile = async (req, res) => {
+  try {
+    const { reEnrich = false, unlock, ...changes } = req.body;
+
+    const profile = await updateClientProfile(
+      req.params.profileId,
+      req.apiClient.clientId,
+      changes,
+      { unlock }
+    );
+
+    const job = reEnrich === true || reEnrich === 'true'
+      ? await queueProfileEnrichment(profile._id, req.apiClient.clientId)
+      : null;
+
+    res.json({
+      success: true,
+      message: job ? 'Profile updated, re-enrichment queued' : 'Profile updated successfully',
+      data: formatProfile(profile),
+      ...(job && {
+        job: {
+          jobId: job._id,
+          status: job.status,
+          statusUrl: `/api/v1/jobs/${job._id}`
+        }
+      })
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to update profile');
+  }
+};
+
+/**
+ * @route   POST /api/v1/profiles/:profileId/enrich
+ * @desc    Re-run LinkedIn scraping and AI enrichment for a profile
+ * @access  API Key Required
+ * @returns 202 with a job id; poll GET /api/v1/jobs/:jobId
+ */
+const reEnrichProfile = async (req, res) => {
+  try {
+    const profile = await User.findOne({
+      _id: req.params.profileId,
+      clientId: req.apiClient.clientId
+    }).select('_id');
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Profile not found',
+        code: 'PROFILE_NOT_FOUND'
+      });
+    }
+
+    // An explicit re-enrich re-fetches LinkedIn data instead of using the cache
+    const job = await queueProfileEnrichment(profile._id, req.apiClient.clientId, { forceRefresh: true });
+
+    res.status(202).json({
+      success: true,
+      message: 'Profile re-enrichment queued',
       data: {
+        jobId: job._id,
         profileId: profile._id,
-        name: profile.name,
-        role: profile.role,
-        industry: profile.industry,
-        location: profile.location,
-        bio: profile.enrichedBio || profile.bio,
-        skills: profile.enrichedSkills || profile.skills,
-        interests: profile.interests,
-        collaborationTargets: profile.collaborationTargets,
-        linkedinURL: profile.linkedinURL,
-        createdAt: profile.createdAt,
-        profileEnriched: !!profile.profileEnrichedAt
+        status: job.status,
+        statusUrl: `/api/v1/jobs/${job._id}`
       }
     });
   } catch (error) {
-    console.error('❌ Get profile error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch profile',
-      code: 'INTERNAL_ERROR'
+    sendServiceError(res, error, 'Failed to queue re-enrichment');
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/profiles/:profileId
+ * @desc    Delete a profile and remove it from other profiles' connections
+ * @access  API Key Required
+ */
+const deleteProfile = async (req, res) => {
+  try {
+    const profile = await deleteClientProfile(req.params.profileId, req.apiClient.clientId);
+
+    res.json({
+      success: true,
+      message: 'Profile deleted',
+      data: {
+        profileId: profile._id
+      }
     });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to delete profile');
   }
 };
 
@@ -252,12 +455,13 @@ const getProfile = async (req, res) => {
  */
 const listProfiles = async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
 
     const profiles = await User.find({ clientId: req.apiClient.clientId })
       .select('-password -linkedinSummary')
-      .limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit))
+      .limit(limit)
+      .skip((page - 1) * limit)
       .sort({ createdAt: -1 });
 
     const total = await User.countDocuments({ clientId: req.apiClient.clientId });
@@ -273,10 +477,10 @@ const listProfiles = async (req, res) => {
         createdAt: p.createdAt
       })),
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total,
-        pages: Math.ceil(total / parseInt(limit))
+        pages: Math.ceil(total / limit)
       }
     });
   } catch (error) {
@@ -293,7 +497,7 @@ const listProfiles = async (req, res) => {
  * @route   POST /api/v1/matches
  * @desc    Find collaboration matches for a profile with bidirectional reasoning
  * @access  API Key Required
- * @body    { profileId, limit?, minScore?, includeMutualReasoning? }
+ * @body    { profileId, limit? (1-50), minScore?, includeMutualReasoning?, personalize? }
  */
 const findMatches = async (req, res) => {
   try {
@@ -301,7 +505,8 @@ const findMatches = async (req, res) => {
       profileId,
       limit = 5,
       minScore = 30,
-      includeMutualReasoning = true // Include bidirectional match reasoning
+      includeMutualReasoning = true, // Include bidirectional match reasoning
+      personalize = false // Re-rank using this profile's past match feedback
     } = req.body;
 
     if (!profileId) {
@@ -328,17 +533,45 @@ const findMatches = async (req, res) => {
 
     console.log(`🔍 Finding matches for: ${profile.name}`);
 
+    const scoringProfile = await getScoringProfile(req.apiClient.clientId);
+    const shouldPersonalize = personalize === true || personalize === 'true';
+
     const matches = await findCollaborationMatches(profileId, {
-      limit: parseInt(limit),
+      limit: Math.min(MAX_MATCH_LIMIT, Math.max(1, parseInt(limit) || 5)),
       minScore: parseInt(minScore) / 100,
       excludeConnected: true,
       clientId: req.apiClient.clientId,
-      includeMutualReasoning // Pass flag to matching service
+      includeMutualReasoning, // Pass flag to matching service
+      scoringProfile,
+      personalize: shouldPersonalize
+    });
+
+    // Persist results so feedback can be attached later
+    let records = [];
+    try {
+      records = await recordMatches(profile, matches, {
+        clientId: req.apiClient.clientId,
+        scoringProfileVersion: scoringProfile.version
+      });
+    } catch (error) {
+      console.error('⚠️  Failed to store match results:', error.message);
+    }
+
+    emitEvent(req.apiClient.clientId, 'match.generated', {
+      profileId: profile._id,
+      matchCount: matches.length,
+      scoringProfileVersion: scoringProfile.version,
+      matches: matches.map((match, index) => ({
+        matchId: records[index]?._id || null,
+        matchedProfileId: match._id,
+        matchScore: match.matchScore
+      }))
     });
 
     // Format response
-    const formattedMatches = matches.map(match => {
+    const formattedMatches = matches.map((match, index) => {
       const baseMatch = {
+        matchId: records[index]?._id || null,
         matchedProfileId: match._id,
         matchedProfileName: match.name,
         matchScore: match.matchScore,
@@ -347,7 +580,8 @@ const findMatches = async (req, res) => {
         location: match.location,
         bio: match.bio,
         skills: match.skills,
-        collaborationSuggestions: match.collaborationSuggestions
+        collaborationSuggestions: match.collaborationSuggestions,
+        ...(match.personalization && { personalization: match.personalization })
       };
 
       // If mutual reasoning is included, structure it properly
@@ -381,19 +615,99 @@ const findMatches = async (req, res) => {
       profileName: profile.name,
       matchCount: formattedMatches.length,
       includesMutualReasoning: includeMutualReasoning,
+      personalized: shouldPersonalize,
+      scoringProfileVersion: scoringProfile.version,
       matches: formattedMatches
     });
   } catch (error) {
-    console.error('❌ Find matches error:', error);
+    sendServiceError(res, error, 'Failed to find matches');
+  }
+};
+
+/**
+ * @route   POST /api/v1/matches/:matchId/feedback
+ * @desc    Record feedback on a stored match
+ * @access  API Key Required
+ * @body    { rating?: 'up'|'down'|null, contacted?: boolean, met?: boolean }
+ */
+const submitMatchFeedback = async (req, res) => {
+  try {
+    const { rating, contacted, met } = req.body;
+
+    const match = await recordFeedback(req.params.matchId, req.apiClient.clientId, {
+      rating,
+      contacted,
+      met
+    });
+
+    res.json({
+      success: true,
+      message: 'Feedback recorded',
+      data: formatMatchRecord(match)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ID format',
+        code: 'INVALID_ID'
+      });
+    }
+
+    console.error('❌ Match feedback error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to find matches',
-      code: 'INTERNAL_ERROR',
-      message: error.message
+      error: 'Failed to record feedback',
+      code: 'INTERNAL_ERROR'
     });
   }
 };
 
+/**
+ * @route   GET /api/v1/profiles/:profileId/match-history
+ * @desc    Past match results for a profile, newest first
+ * @access  API Key Required
+ */
+const getMatchHistory = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    const { page, limit } = req.query;
+
+    const profile = await User.findOne({
+      _id: profileId,
+      clientId: req.apiClient.clientId
+    }).select('_id name');
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Profile not found',
+        code: 'PROFILE_NOT_FOUND'
+      });
+    }
+
+    const history = await fetchMatchHistory(profile._id, req.apiClient.clientId, { page, limit });
+
+    res.json({
+      success: true,
+      profileId: profile._id,
+      profileName: profile.name,
+      data: history.matches.map(formatMatchRecord),
+      pagination: history.pagination
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to fetch match history');
+  }
+};
+
 /**
  * @route   POST /api/v1/matches/compare
  * @desc    Get detailed match score between two profiles
@@ -426,7 +740,8 @@ const compareProfiles = async (req, res) => {
       });
     }
 
-    const matchData = await getMutualMatchScore(profileId1, profileId2);
+    const scoringProfile = await getScoringProfile(req.apiClient.clientId);
+    const matchData = await getMutualMatchScore(profileId1, profileId2, scoringProfile);
 
     res.json({
       success: true,
@@ -447,24 +762,60 @@ const compareProfiles = async (req, res) => {
           profile2ToProfile1Score: matchData.user2ToUser1Score
         },
         profile1Reasons: matchData.reasons1to2,
-        profile2Reasons: matchData.reasons2to1
+        profile2Reasons: matchData.reasons2to1,
+        scoringProfileVersion: scoringProfile.version
       }
     });
   } catch (error) {
-    console.error('❌ Compare profiles error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to compare profiles',
-      code: 'INTERNAL_ERROR',
-      message: error.message
+    sendServiceError(res, error, 'Failed to compare profiles');
+  }
+};
+
+/**
+ * @route   POST /api/v1/matches/compare/introduction
+ * @desc    Draft an introduction message for each of two matched profiles
+ * @access  API Key Required
+ * @body    { profileId1, profileId2, tone?, length?, refresh? }
+ */
+const compareIntroduction = async (req, res) => {
+  try {
+    const { profileId1, profileId2, tone, length, refresh = false } = req.body;
+
+    if (!profileId1 || !profileId2) {
+      return res.status(400).json({
+        success: false,
+        error: 'Both profileId1 and profileId2 are required',
+        code: 'MISSING_PROFILE_IDS'
+      });
+    }
+
+    const introduction = await draftIntroduction(req.apiClient.clientId, profileId1, profileId2, {
+      tone,
+      length,
+      refresh: refresh === true
     });
+
+    res.json({
+      success: true,
+      data: introduction
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to draft introduction');
   }
 };
 
 module.exports = {
   createProfile,
+  bulkImportProfiles,
+  getJob,
   getProfile,
+  updateProfile,
+  reEnrichProfile,
+  deleteProfile,
   listProfiles,
   findMatches,
-  compareProfiles
+  submitMatchFeedback,
+  getMatchHistory,
+  compareProfiles,
+  compareIntroduction
 };
\ No newline at end of file
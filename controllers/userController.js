@@ -2,6 +2,8 @@ const User = require('../models/User');
 const jwt = require('jsonwebtoken');
 const { scrapeLinkedIn } = require('../services/linkedinService');
 const { enrichProfile } = require('../services/openaiService');
+const { canonicalizeLinkedInUrl } = require('../utils/linkedinUrl');
+const { recordProvenance, applyFromSource, applyUserEdits } = require('../services/provenanceService');
 
 /**
  * Generate JWT token
@@ -74,6 +76,18 @@ const register = async (req, res) => {
       });
     }
 
+    let canonicalURL = '';
+    if (linkedinURL && linkedinURL.trim()) {
+      canonicalURL = canonicalizeLinkedInUrl(linkedinURL);
+      if (!canonicalURL) {
+        return res.status(400).json({
+          success: false,
+          error: 'Please provide a LinkedIn profile URL (https://www.linkedin.com/in/<profile>)',
+          code: 'INVALID_LINKEDIN_URL'
+        });
+      }
+    }
+
     // Check existing user
     const userExists = await User.findOne({ email });
     if (userExists) {
@@ -95,35 +109,39 @@ const register = async (req, res) => {
       interests: ensureArray(interests),
       education: [],
       experience: [],
-      linkedinURL: linkedinURL || '',
+      linkedinURL: canonicalURL,
       role: role || '',
       businessType: businessType || '',
       industry: industry || '',
       location: location || '',
       linkedinSummary: {}
     };
+    recordProvenance(userData, 'user');
 
     // STEP 1: Scrape LinkedIn if provided
     let linkedinData = null;
-    if (linkedinURL && linkedinURL.trim()) {
+    if (canonicalURL) {
       console.log(`🔍 Step 1: Scraping LinkedIn profile...`);
       try {
-        linkedinData = await scrapeLinkedIn(linkedinURL.trim());
+        linkedinData = await scrapeLinkedIn(canonicalURL);
         
         if (linkedinData) {
           userData.linkedinSummary = linkedinData;
+          userData.linkedinFetchedAt = linkedinData.fetchedAt;
 
           // Merge LinkedIn data with user input (user input takes priority)
-          userData.bio = userData.bio || linkedinData.about || '';
-          userData.role = userData.role || linkedinData.title || linkedinData.headline || '';
-          userData.industry = userData.industry || linkedinData.industry || '';
-          userData.location = userData.location || linkedinData.location || '';
-          
-          // Merge arrays
-          userData.skills = mergeArrays(userData.skills, linkedinData.skills);
-          userData.interests = mergeArrays(userData.interests, linkedinData.interests);
-          userData.education = linkedinData.education || [];
-          userData.experience = linkedinData.experience || [];
+          applyFromSource(userData, 'linkedin', linkedinData.source, () => {
+            userData.bio = userData.bio || linkedinData.about || '';
+            userData.role = userData.role || linkedinData.title || linkedinData.headline || '';
+            userData.industry = userData.industry || linkedinData.industry || '';
+            userData.location = userData.location || linkedinData.location || '';
+
+            // Merge arrays
+            userData.skills = mergeArrays(userData.skills, linkedinData.skills);
+            userData.interests = mergeArrays(userData.interests, linkedinData.interests);
+            userData.education = linkedinData.education || [];
+            userData.experience = linkedinData.experience || [];
+          });
 
           console.log(`✅ LinkedIn data merged:`, {
             skills: userData.skills.length,
@@ -161,17 +179,27 @@ const register = async (req, res) => {
       const enrichedData = await enrichProfile(aiInput);
 
       // Apply enriched data (preserve user input where it exists)
-      userData.enrichedBio = enrichedData.enrichedBio || userData.bio;
-      userData.enrichedSkills = enrichedData.enrichedSkills.length > 0 
-        ? enrichedData.enrichedSkills 
-        : userData.skills;
-      userData.role = enrichedData.role || userData.role;
-      userData.industry = enrichedData.industry || userData.industry;
-      userData.businessType = enrichedData.businessType || userData.businessType;
-      userData.location = enrichedData.location || userData.location;
-      userData.interests = mergeArrays(userData.interests, enrichedData.analyzedInterests);
-      userData.collaborationTargets = enrichedData.collaborationTargets || [];
-      userData.profileEnrichedAt = new Date();
+      const enrichmentSource = enrichedData.enrichmentStatus === 'failed' ? null : 'llm';
+      applyFromSource(userData, enrichmentSource, enrichedData.llmModel, () => {
+        userData.enrichedBio = enrichedData.enrichedBio || userData.bio;
+        userData.enrichedSkills = enrichedData.enrichedSkills.length > 0
+          ? enrichedData.enrichedSkills
+          : userData.skills;
+        userData.role = enrichedData.role || userData.role;
+        userData.industry = enrichedData.industry || userData.industry;
+        userData.businessType = enrichedData.businessType || userData.businessType;
+        userData.location = enrichedData.location || userData.location;
+        userData.interests = mergeArrays(userData.interests, enrichedData.analyzedInterests);
+        userData.collaborationTargets = enrichedData.collaborationTargets || [];
+      });
+      userData.profileEmbedding = enrichedData.profileEmbedding;
+      userData.embeddingModel = enrichedData.embeddingModel || null;
+      userData.enrichmentStatus = enrichedData.enrichmentStatus;
+      userData.enrichmentStatusReason = enrichedData.enrichmentStatusReason;
+      userData.enrichmentPromptVersion = enrichedData.promptVersion;
+      userData.enrichmentModel = enrichedData.llmModel;
+      // enrichProfile falls back to the input data when there is no usable model output
+      userData.profileEnrichedAt = enrichedData.enrichmentStatus === 'failed' ? null : new Date();
 
       console.log(`✅ Profile enriched successfully:`, {
         enrichedSkills: userData.enrichedSkills.length,
@@ -187,6 +215,8 @@ const register = async (req, res) => {
       userData.enrichedBio = userData.bio;
       userData.enrichedSkills = userData.skills;
       userData.collaborationTargets = [];
+      userData.enrichmentStatus = 'failed';
+      userData.enrichmentStatusReason = error.message;
     }
 
     // STEP 3: Create user in database
@@ -313,7 +343,9 @@ const login = async (req, res) => {
         businessType: user.businessType,
         location: user.location,
         collaborationTargets: user.collaborationTargets,
-        profileEnriched: !!user.profileEnrichedAt
+        profileEnriched: !!user.profileEnrichedAt,
+        accessRole: user.accessRole,
+        adminPermissions: user.adminPermissions
       },
       token
     });
@@ -359,7 +391,7 @@ const getMe = async (req, res) => {
 
 /**
  * @route   PUT /api/auth/profile
- * @desc    Update user profile
+ * @desc    Update user profile (edited fields are locked against re-enrichment)
  * @access  Private
  */
 const updateProfile = async (req, res) => {
@@ -380,11 +412,29 @@ const updateProfile = async (req, res) => {
       }
     });
 
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      updates,
-      { new: true, runValidators: true }
-    );
+    if (updates.linkedinURL) {
+      updates.linkedinURL = canonicalizeLinkedInUrl(updates.linkedinURL);
+      if (!updates.linkedinURL) {
+        return res.status(400).json({
+          success: false,
+          error: 'Please provide a LinkedIn profile URL (https://www.linkedin.com/in/<profile>)',
+          code: 'INVALID_LINKEDIN_URL'
+        });
+      }
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // Edited fields are locked so later enrichment does not overwrite them
+    applyUserEdits(user, updates);
+    await user.save();
 
     res.json({
       success: true,
@@ -0,0 +1,201 @@
+const { ApiKey } = require('../models/ApiKey');
+const {
+  WEBHOOK_EVENTS,
+  createSubscription,
+  deleteSubscription,
+  listSubscriptions,
+  replayDelivery,
+  listDeliveries
+} = require('../services/webhookService');
+
+/**
+ * Send a service error (or a generic 500) back to the client
+ */
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid ID format',
+      code: 'INVALID_ID'
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    code: 'INTERNAL_ERROR'
+  });
+};
+
+const formatDelivery = (delivery) => ({
+  deliveryId: delivery._id,
+  event: delivery.event,
+  url: delivery.url,
+  webhookId: delivery.webhookId,
+  status: delivery.status,
+  attemptCount: delivery.attempts.length,
+  attempts: delivery.attempts,
+  replayCount: delivery.replayCount,
+  payload: delivery.payload,
+  deliveredAt: delivery.deliveredAt,
+  createdAt: delivery.createdAt
+});
+
+/**
+ * @route   GET /api/v1/webhooks
+ * @desc    List webhook subscriptions for the calling API key
+ * @access  API Key Required
+ */
+const listWebhooks = async (req, res) => {
+  try {
+    const webhooks = await listSubscriptions(req.apiClient.keyId);
+
+    res.json({
+      success: true,
+      count: webhooks.length,
+      availableEvents: WEBHOOK_EVENTS,
+      data: webhooks
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list webhooks');
+  }
+};
+
+/**
+ * @route   POST /api/v1/webhooks
+ * @desc    Subscribe a URL to events; the signing secret is returned once
+ * @access  API Key Required
+ * @body    { url, events?: [...] | ['*'], description? }
+ */
+const createWebhook = async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    const webhook = await createSubscription(req.apiClient.keyId, { url, events, description });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      data: webhook,
+      warning: 'Save the signing secret securely. It will not be shown again.'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create webhook');
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/webhooks/:webhookId
+ * @desc    Remove a webhook subscription
+ * @access  API Key Required
+ */
+const deleteWebhook = async (req, res) => {
+  try {
+    await deleteSubscription(req.apiClient.keyId, req.params.webhookId);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete webhook');
+  }
+};
+
+/**
+ * @route   GET /api/admin/keys/:clientId/webhooks
+ * @desc    List a client's webhook subscriptions across all of its keys
+ * @access  Admin only
+ */
+const getClientWebhooks = async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ clientId: req.params.clientId }).select('_id keyName');
+
+    if (keys.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    // Subscriptions belong to individual keys
+    const webhooks = [];
+    for (const key of keys) {
+      const subscriptions = await listSubscriptions(key._id);
+      subscriptions.forEach(w => webhooks.push({ ...w, keyId: key._id, keyName: key.keyName }));
+    }
+
+    res.json({
+      success: true,
+      count: webhooks.length,
+      data: webhooks
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list webhooks');
+  }
+};
+
+/**
+ * @route   GET /api/admin/keys/:clientId/webhook-deliveries
+ * @desc    Webhook delivery log for a client
+ * @access  Admin only
+ * @query   status?, event?, page?, limit?
+ */
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    const { status, event, page, limit } = req.query;
+
+    const { deliveries, pagination } = await listDeliveries({
+      clientId: req.params.clientId,
+      status,
+      event,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: deliveries.map(formatDelivery),
+      pagination
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list webhook deliveries');
+  }
+};
+
+/**
+ * @route   POST /api/admin/webhook-deliveries/:deliveryId/replay
+ * @desc    Re-send a delivery with its original payload
+ * @access  Admin only
+ */
+const replayWebhookDelivery = async (req, res) => {
+  try {
+    const delivery = await replayDelivery(req.params.deliveryId);
+
+    res.json({
+      success: true,
+      message: 'Delivery queued for replay',
+      data: formatDelivery(delivery)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to replay webhook delivery');
+  }
+};
+
+module.exports = {
+  listWebhooks,
+  createWebhook,
+  deleteWebhook,
+  getClientWebhooks,
+  getWebhookDeliveries,
+  replayWebhookDelivery
+};
@@ -1,15 +1,18 @@
 const crypto = require('crypto');
 const { ApiKey } = require('../models/ApiKey');
+const { createRateLimiter, createDefaultStore } = require('../services/rateLimiter');
 
 /**
- * API Key Model Schema (add to your models)
+ * API Key Model Schema (see models/ApiKey.js)
  * 
  * const apiKeySchema = new mongoose.Schema({
- *   key: { type: String, required: true, unique: true },
+ *   keyHash: { type: String, required: true, select: false }, // sha256 of the secret
+ *   keyPrefix: { type: String, required: true, index: true }, // "sk_" + 8 chars
  *   name: { type: String, required: true },
  *   clientId: { type: String, required: true },
  *   isActive: { type: Boolean, default: true },
  *   rateLimit: { type: Number, default: 100 }, // requests per hour
+ *   burstLimit: { type: Number, default: 20 }, // requests per minute
  *   usageCount: { type: Number, default: 0 },
  *   lastUsed: { type: Date },
  *   createdAt: { type: Date, default: Date.now },
@@ -42,10 +45,7 @@ const authenticateApiKey = async (req, res, next) => {
       });
     }
 
-    // Import your ApiKey model here
-   
-    
-    const keyDoc = await ApiKey.findOne({ key: apiKey });
+    const keyDoc = await ApiKey.findByKey(apiKey);
 
     if (!keyDoc) {
       return res.status(401).json({
@@ -92,9 +92,14 @@ const authenticateApiKey = async (req, res, next) => {
 
     // Attach client info to request
     req.apiClient = {
+      keyId: keyDoc._id,
+      keyPreview: keyDoc.keyPreview,
       clientId: keyDoc.clientId,
       name: keyDoc.name,
-      rateLimit: keyDoc.rateLimit
+      rateLimit: keyDoc.rateLimit,
+      burstLimit: keyDoc.burstLimit,
+      monthlyQuota: keyDoc.monthlyQuota,
+      scopes: keyDoc.scopes
     };
 
     next();
@@ -109,48 +114,39 @@ const authenticateApiKey = async (req, res, next) => {
 };
 
 /**
- * Rate limiting middleware for API keys
+ * Require a scope on the authenticated API key
+ * Must run after authenticateApiKey.
  */
-const rateLimitByApiKey = async (req, res, next) => {
-  try {
-    
-   const { RateLimit } = require('../models/RateLimit');
-    const clientId = req.apiClient.clientId;
-    const now = new Date();
-    const oneHourAgo = new Date(now - 60 * 60 * 1000);
-
-    // Count requests in the last hour
-    const requestCount = await RateLimit.countDocuments({
-      clientId,
-      timestamp: { $gte: oneHourAgo }
-    });
-
-    if (requestCount >= req.apiClient.rateLimit) {
-      return res.status(429).json({
-        success: false,
-        error: 'Rate limit exceeded',
-        code: 'RATE_LIMIT_EXCEEDED',
-        limit: req.apiClient.rateLimit,
-        retryAfter: 3600 // seconds
-      });
-    }
-
-    // Log this request
-    await RateLimit.create({
-      clientId,
-      endpoint: req.path,
-      timestamp: now
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiClient || !(req.apiClient.scopes || []).includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      error: `API key is missing the required scope: ${scope}`,
+      code: 'INSUFFICIENT_SCOPE',
+      requiredScope: scope
     });
-
-    next();
-  } catch (error) {
-    console.error('Rate limit error:', error);
-    next(); // Continue even if rate limiting fails
   }
+  next();
 };
 
+/**
+ * Rate limiting middleware for API keys
+ * Two token buckets per client: a per-minute burst limit and the key's
+ * hourly sustained limit. Must run after authenticateApiKey.
+ */
+const rateLimitByApiKey = createRateLimiter({
+  store: createDefaultStore(),
+  getKey: (req) => `client:${req.apiClient.clientId}`,
+  getBuckets: (req) => [
+    { name: 'minute', capacity: req.apiClient.burstLimit, windowMs: 60 * 1000 },
+    { name: 'hour', capacity: req.apiClient.rateLimit, windowMs: 60 * 60 * 1000 }
+  ],
+  failOpen: process.env.RATE_LIMIT_FAIL_OPEN === 'true'
+});
+
 module.exports = {
   generateApiKey,
   authenticateApiKey,
+  requireScope,
   rateLimitByApiKey
 };
\ No newline at end of file
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { recordAudit } = require('../services/auditService');
+
+// Route params that identify what a request acts on, most specific first
+const TARGET_PARAMS = [
+  ['targetId', 'profile'],
+  ['profileId', 'profile'],
+  ['matchId', 'match'],
+  ['jobId', 'job'],
+  ['webhookId', 'webhook'],
+  ['deliveryId', 'webhook_delivery'],
+  ['keyId', 'api_key'],
+  ['userId', 'user'],
+  ['clientId', 'client']
+];
+
+/**
+ * Attach a request id (from X-Request-Id or generated) and echo it back
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && /^[\w.:-]{1,128}$/.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+/**
+ * Who made the request, resolved after authentication has run
+ */
+function resolveActor(req) {
+  if (req.user) {
+    return { type: 'admin', id: String(req.user._id), label: req.user.email };
+  }
+  if (req.apiClient) {
+    return {
+      type: 'api_key',
+      id: String(req.apiClient.keyId),
+      label: req.apiClient.keyPreview,
+      clientId: req.apiClient.clientId
+    };
+  }
+  return { type: 'anonymous' };
+}
+
+function resolveTarget(req) {
+  const params = req.params || {};
+  const match = TARGET_PARAMS.find(([param]) => params[param]);
+  if (match) {
+    return { type: match[1], id: String(params[match[0]]) };
+  }
+  // e.g. POST /api/admin/keys creates a client named in the body
+  if (req.body && typeof req.body.clientId === 'string') {
+    return { type: 'client', id: req.body.clientId };
+  }
+  return undefined;
+}
+
+function resolveOutcome(statusCode) {
+  if (statusCode === 401 || statusCode === 403) return 'denied';
+  return statusCode < 400 ? 'success' : 'failure';
+}
+
+/**
+ * Write an audit entry for every request under a mount point
+ * The entry is written when the response finishes, so it sees the
+ * authenticated actor, the matched route and the final status code.
+ * @param {string} mountPath - Where the router is mounted, e.g. "/api/admin"
+ */
+const auditRequests = (mountPath) => (req, res, next) => {
+  const startedAt = Date.now();
+
+  res.on('finish', () => {
+    // Route pattern when a route matched, otherwise the raw path
+    const path = req.route
+      ? `${mountPath}${req.route.path}`
+      : req.originalUrl.split('?')[0];
+
+    recordAudit({
+      requestId: req.id,
+      actor: resolveActor(req),
+      action: `${req.method} ${path}`,
+      target: resolveTarget(req),
+      params: req.params,
+      outcome: resolveOutcome(res.statusCode),
+      statusCode: res.statusCode,
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'],
+      durationMs: Date.now() - startedAt
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  requestId,
+  auditRequests
+};
@@ -51,4 +51,35 @@ const protect = async (req, res, next) => {
   }
 };
 
-module.exports = { protect };
\ No newline at end of file
+/**
+ * Restrict to admin accounts - use after protect
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.accessRole !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required',
+      code: 'ADMIN_REQUIRED'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Require a specific admin permission - use after protect and requireAdmin
+ * @param {string} permission - One of ADMIN_PERMISSIONS
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user || !req.user.hasPermission(permission)) {
+    return res.status(403).json({
+      success: false,
+      error: `Missing admin permission: ${permission}`,
+      code: 'PERMISSION_DENIED'
+    });
+  }
+
+  next();
+};
+
+module.exports = { protect, requireAdmin, requirePermission };
\ No newline at end of file
@@ -0,0 +1,75 @@
+const {
+  hasQuota,
+  getOperationCost,
+  reserveUnits,
+  releaseUnits,
+  recordUsage,
+  nextMonthStart
+} = require('../services/usageService');
+
+/**
+ * Metering middleware for API key routes
+ * Reserves the request's cost on the client's monthly counter before the
+ * handler runs (rejecting it when that would exceed the quota), records
+ * usage once the response has been sent successfully and releases the
+ * reservation otherwise. Must run after authenticateApiKey.
+ *
+ * @param {string|Function} operation - Key of OPERATION_COSTS, or req => key
+ * @param {Object} options - { quantity?: req => number } for per-item pricing
+ */
+const meter = (operation, options = {}) => async (req, res, next) => {
+  try {
+    const op = typeof operation === 'function' ? operation(req) : operation;
+    const quantity = options.quantity ? Math.max(1, options.quantity(req)) : 1;
+    const { units } = getOperationCost(op, quantity);
+    const { clientId, keyId, monthlyQuota } = req.apiClient;
+
+    // Reserved atomically, so concurrent requests cannot overshoot the quota
+    const reservation = await reserveUnits(clientId, units, monthlyQuota ?? null);
+
+    if (hasQuota(monthlyQuota)) {
+      const used = reservation.used + (reservation.reserved ? units : 0);
+      const resetsAt = nextMonthStart();
+
+      res.set({
+        'X-Quota-Limit': String(monthlyQuota),
+        'X-Quota-Remaining': String(Math.max(0, monthlyQuota - used)),
+        'X-Quota-Reset': String(Math.floor(resetsAt.getTime() / 1000))
+      });
+
+      if (!reservation.reserved) {
+        return res.status(429).json({
+          success: false,
+          error: 'Monthly quota exceeded',
+          code: 'QUOTA_EXCEEDED',
+          quota: monthlyQuota,
+          used: reservation.used,
+          cost: units,
+          resetsAt
+        });
+      }
+    }
+
+    // Only successful requests are billed; failed or aborted ones give their units back
+    res.once('close', () => {
+      const billed = res.writableFinished && res.statusCode < 400;
+      const settle = billed
+        ? recordUsage({ clientId, keyId, operation: op, quantity })
+        : releaseUnits(clientId, reservation.month, units);
+      settle.catch(error => console.error('⚠️  Failed to settle usage:', error.message));
+    });
+
+    next();
+  } catch (error) {
+    console.error('Metering error:', error);
+    res.status(503).json({
+      success: false,
+      error: 'Usage metering is temporarily unavailable',
+      code: 'METERING_UNAVAILABLE'
+    });
+  }
+};
+
+module.exports = {
+  meter
+};
@@ -0,0 +1,77 @@
+/**
+ * Migration: store LinkedIn URLs in canonical form
+ *
+ * Rewrites every profile's linkedinURL to https://www.linkedin.com/in/<slug>
+ * so duplicate checks match regardless of how the URL was typed. URLs that
+ * are not profile URLs are left untouched and listed, as are profiles of the
+ * same client that now share a URL (they are reported, not merged).
+ *
+ * Usage: npm run migrate:linkedin-urls [-- --dry-run]
+ * Safe to run more than once.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+const { canonicalizeLinkedInUrl } = require('../utils/linkedinUrl');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrate() {
+  await connectDB();
+
+  const cursor = User.find({ linkedinURL: { $nin: [null, ''] } })
+    .select('_id clientId linkedinURL')
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  const invalid = [];
+  const seen = new Map();
+  const duplicates = [];
+
+  for await (const user of cursor) {
+    const canonical = canonicalizeLinkedInUrl(user.linkedinURL);
+
+    if (!canonical) {
+      invalid.push(user);
+      continue;
+    }
+
+    const key = `${user.clientId || ''}|${canonical}`;
+    if (seen.has(key)) {
+      duplicates.push({ clientId: user.clientId, linkedinURL: canonical, profileIds: [seen.get(key), user._id] });
+    } else {
+      seen.set(key, user._id);
+    }
+
+    if (canonical !== user.linkedinURL) {
+      if (!dryRun) {
+        await User.updateOne({ _id: user._id }, { $set: { linkedinURL: canonical } });
+      }
+      updated++;
+    }
+  }
+
+  console.log(`🔗 ${dryRun ? 'Would canonicalize' : 'Canonicalized'} ${updated} LinkedIn URL(s)`);
+
+  if (invalid.length) {
+    console.log(`⚠️  ${invalid.length} profile(s) have a linkedinURL that is not a profile URL:`);
+    invalid.forEach(user => console.log(`   ${user._id}  ${user.linkedinURL}`));
+  }
+
+  if (duplicates.length) {
+    console.log(`⚠️  ${duplicates.length} duplicate profile(s) share a canonical URL within a client:`);
+    duplicates.forEach(d => console.log(`   [${d.clientId || 'web'}] ${d.linkedinURL}  ${d.profileIds.join(', ')}`));
+  }
+
+  console.log('✅ Migration complete');
+}
+
+migrate()
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,55 @@
+/**
+ * Migration: hash stored API keys
+ *
+ * Older API key documents kept the raw secret in `key`. This replaces it with
+ * `keyHash` + `keyPrefix` and drops the old unique index. Existing clients keep
+ * working: the secret they hold hashes to the stored value.
+ *
+ * Usage: npm run migrate:hash-api-keys
+ * Safe to run more than once.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { ApiKey, KEY_PREFIX_LENGTH, hashKey } = require('../models/ApiKey');
+
+async function migrate() {
+  await connectDB();
+
+  const collection = ApiKey.collection;
+  const cursor = collection.find({ key: { $exists: true } }, { projection: { key: 1, clientId: 1 } });
+
+  let migrated = 0;
+  for await (const doc of cursor) {
+    await collection.updateOne(
+      { _id: doc._id },
+      {
+        $set: {
+          keyHash: hashKey(doc.key),
+          keyPrefix: doc.key.slice(0, KEY_PREFIX_LENGTH)
+        },
+        $unset: { key: '' }
+      }
+    );
+    migrated++;
+    console.log(`🔐 Hashed API key for ${doc.clientId}`);
+  }
+
+  const indexes = await collection.indexes();
+  if (indexes.some(index => index.name === 'key_1')) {
+    await collection.dropIndex('key_1');
+    console.log('🗑️  Dropped plaintext key index');
+  }
+
+  await ApiKey.syncIndexes();
+
+  console.log(`✅ Migration complete: ${migrated} key(s) hashed`);
+}
+
+migrate()
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,44 @@
+/**
+ * Migration: allow several API keys per client
+ *
+ * Drops the unique index on `clientId`, names existing keys "default"
+ * and brings the remaining indexes in line with the schema.
+ *
+ * Usage: npm run migrate:multiple-keys
+ * Safe to run more than once.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { ApiKey } = require('../models/ApiKey');
+
+async function migrate() {
+  await connectDB();
+
+  const collection = ApiKey.collection;
+
+  const indexes = await collection.indexes();
+  const clientIndex = indexes.find(index => index.name === 'clientId_1');
+  if (clientIndex?.unique) {
+    await collection.dropIndex('clientId_1');
+    console.log('🗑️  Dropped unique clientId index');
+  }
+
+  const result = await collection.updateMany(
+    { keyName: { $exists: false } },
+    { $set: { keyName: 'default' } }
+  );
+  console.log(`🏷️  Named ${result.modifiedCount} existing key(s) "default"`);
+
+  await ApiKey.syncIndexes();
+
+  console.log('✅ Migration complete');
+}
+
+migrate()
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -1,13 +1,67 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const { PROFILE_DATA_PROVIDERS } = require('../services/profileDataProviders');
+const { LLM_SETTING_LIMITS } = require('../services/llmProviders');
+
+// Visible part of a key ("sk_" + 8 hex chars), used for lookup and display
+const KEY_PREFIX_LENGTH = 11;
+
+const WEBHOOK_EVENTS = [
+  'profile.created',
+  'profile.enriched',
+  'profile.enrichment_failed',
+  'match.generated',
+  'connection.accepted'
+];
+
+/**
+ * Webhook subscription (stored on the API key that owns it)
+ */
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  events: {
+    type: [{ type: String, enum: [...WEBHOOK_EVENTS, '*'] }],
+    default: ['*']
+  },
+  secret: {
+    type: String,
+    required: true,
+    select: false // Signing secret is shown once on creation
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 /**
  * API Key Model
+ * A client (clientId) can hold several named keys; each document is one key
+ * with its own usage stats. The secret itself is never stored: only its
+ * SHA-256 hash and a short prefix.
  */
 const apiKeySchema = new mongoose.Schema({
-  key: {
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  keyPrefix: {
     type: String,
     required: true,
-    unique: true,
     index: true
   },
   name: {
@@ -18,9 +72,14 @@ const apiKeySchema = new mongoose.Schema({
   clientId: {
     type: String,
     required: true,
-    unique: true,
     index: true
   },
+  // Label for this key within the client, e.g. "production" or "staging"
+  keyName: {
+    type: String,
+    default: 'default',
+    trim: true
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -29,10 +88,30 @@ const apiKeySchema = new mongoose.Schema({
     type: Number,
     default: 100 // requests per hour
   },
+  burstLimit: {
+    type: Number,
+    default: 20 // requests per minute
+  },
+  // Keys created before scopes existed get every scope
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    default: () => [...API_KEY_SCOPES]
+  },
+  // Cost units per calendar month (UTC) across all of the client's keys; null = unlimited
+  monthlyQuota: {
+    type: Number,
+    min: 0,
+    default: null
+  },
   usageCount: {
     type: Number,
     default: 0
   },
+  // Cost units consumed by this key (see config/metering.js)
+  usageUnits: {
+    type: Number,
+    default: 0
+  },
   lastUsed: {
     type: Date
   },
@@ -43,19 +122,91 @@ const apiKeySchema = new mongoose.Schema({
   expiresAt: {
     type: Date
   },
+  // Rotation: the old key stays valid until expiresAt (the grace window)
+  rotatedAt: {
+    type: Date
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  revokedAt: {
+    type: Date
+  },
+  // Ordered provider chain for LinkedIn data, e.g. ['pdl', 'fixture'];
+  // empty uses the PROFILE_DATA_PROVIDERS env default
+  profileDataProviders: {
+    type: [{ type: String, enum: PROFILE_DATA_PROVIDERS }],
+    default: undefined
+  },
+  // Model overrides for this client's LLM calls; unset fields use the
+  // LLM_MODEL / LLM_TEMPERATURE / LLM_MAX_TOKENS env defaults
+  llmSettings: {
+    model: String,
+    temperature: {
+      type: Number,
+      min: LLM_SETTING_LIMITS.temperature.min,
+      max: LLM_SETTING_LIMITS.temperature.max
+    },
+    maxTokens: {
+      type: Number,
+      min: LLM_SETTING_LIMITS.maxTokens.min,
+      max: LLM_SETTING_LIMITS.maxTokens.max
+    }
+  },
   allowedIPs: [String],
   metadata: {
     type: Map,
     of: String
   },
   contactEmail: String,
-  notes: String
+  notes: String,
+  webhooks: {
+    type: [webhookSchema],
+    default: []
+  }
 });
 
 // Index for performance
 apiKeySchema.index({ isActive: 1, expiresAt: 1 });
+apiKeySchema.index({ clientId: 1, keyName: 1 });
+
+const hashKey = (rawKey) => crypto.createHash('sha256').update(rawKey).digest('hex');
+
+// Store a new secret (hash + prefix only)
+apiKeySchema.methods.setKey = function(rawKey) {
+  this.keyHash = hashKey(rawKey);
+  this.keyPrefix = rawKey.slice(0, KEY_PREFIX_LENGTH);
+};
+
+// Masked key for display, e.g. "sk_1a2b3c4d••••••••"
+apiKeySchema.virtual('keyPreview').get(function() {
+  return `${this.keyPrefix}••••••••`;
+});
+
+/**
+ * Find the key document matching a raw secret
+ * Looks up candidates by prefix, then compares hashes in constant time.
+ */
+apiKeySchema.statics.findByKey = async function(rawKey) {
+  if (typeof rawKey !== 'string' || rawKey.length <= KEY_PREFIX_LENGTH) {
+    return null;
+  }
+
+  const candidates = await this.find({ keyPrefix: rawKey.slice(0, KEY_PREFIX_LENGTH) })
+    .select('+keyHash');
+  const hash = Buffer.from(hashKey(rawKey), 'hex');
+
+  return candidates.find(doc =>
+    crypto.timingSafeEqual(Buffer.from(doc.keyHash, 'hex'), hash)
+  ) || null;
+};
+
 const ApiKey = mongoose.model('ApiKey', apiKeySchema);
 
 module.exports = {
   ApiKey,
-   }
\ No newline at end of file
+  KEY_PREFIX_LENGTH,
+  hashKey,
+  WEBHOOK_EVENTS
+};
\ No newline at end of file
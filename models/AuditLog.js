@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * Audit Log Model
+ * One document per request to /api/admin and /api/v1, written by middleware/audit.js
+ */
+const auditLogSchema = new mongoose.Schema({
+  requestId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  actor: {
+    type: {
+      type: String,
+      enum: ['admin', 'api_key', 'anonymous'],
+      required: true
+    },
+    id: String, // User id (admin) or API key id
+    label: String, // Admin email or API key preview
+    clientId: String // Client the API key belongs to
+  },
+  // Method + route pattern, e.g. "POST /api/admin/keys/:clientId/regenerate"
+  action: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: { type: String },
+    id: String
+  },
+  params: {
+    type: Map,
+    of: String
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'denied', 'failure'],
+    required: true
+  },
+  statusCode: Number,
+  ip: String,
+  userAgent: String,
+  durationMs: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.clientId': 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditLogSchema.index({ 'target.id': 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = { AuditLog };
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * Introduction Draft Model
+ * AI-written introduction messages for a pair of profiles, cached per
+ * client, pair (in either order), tone and length.
+ */
+const introductionDraftSchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    required: true
+  },
+  // Sorted profile ids joined with ':' so both orders share one entry
+  pairKey: {
+    type: String,
+    required: true
+  },
+  profileIds: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    index: true
+  },
+  tone: {
+    type: String,
+    required: true
+  },
+  length: {
+    type: String,
+    required: true
+  },
+  // Message addressed to each side, keyed by profile id
+  drafts: {
+    type: Map,
+    of: String,
+    required: true
+  },
+  grounding: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Profile updatedAt values the drafts were written from; a newer profile invalidates the entry
+  profilesUpdatedAt: {
+    type: [Date],
+    default: []
+  },
+  promptVersion: Number,
+  // Scoring profile version the match reasons came from (0 = built-in defaults)
+  scoringVersion: Number,
+  model: String,
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    index: { expires: 0 }
+  }
+});
+
+introductionDraftSchema.index({ clientId: 1, pairKey: 1, tone: 1, length: 1 }, { unique: true });
+
+const IntroductionDraft = mongoose.model('IntroductionDraft', introductionDraftSchema);
+
+module.exports = { IntroductionDraft };
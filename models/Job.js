@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Background Job Model
+ * Jobs are claimed atomically by workers and retried with exponential backoff.
+ */
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  clientId: {
+    type: String,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  progress: {
+    step: {
+      type: String,
+      default: 'queued'
+    },
+    percent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    }
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lastError: {
+    message: String,
+    code: String,
+    at: Date
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index used by workers to claim the next due job
+jobSchema.index({ status: 1, runAt: 1 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = { Job };
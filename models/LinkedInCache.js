@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * LinkedIn Cache Model
+ * Normalized profile data per LinkedIn URL and provider chain, shared by
+ * registrations and API profile creation so the same URL is not fetched from
+ * providers again. Clients only see data fetched through their own chain.
+ */
+const linkedinCacheSchema = new mongoose.Schema({
+  // See utils/linkedinUrl.js
+  urlKey: {
+    type: String,
+    required: true
+  },
+  // Provider chain the entry was fetched through, e.g. 'pdl' or 'pdl>fixture'
+  providers: {
+    type: String,
+    required: true
+  },
+  summary: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  source: String,
+  fetchedAt: {
+    type: Date,
+    required: true
+  },
+  // Set while a background refresh is queued, so only one is scheduled
+  refreshingAt: {
+    type: Date,
+    default: null
+  },
+  // Entries past their maximum staleness are removed
+  expiresAt: {
+    type: Date,
+    index: { expires: 0 }
+  }
+});
+
+linkedinCacheSchema.index({ urlKey: 1, providers: 1 }, { unique: true });
+
+const LinkedInCache = mongoose.model('LinkedInCache', linkedinCacheSchema);
+
+module.exports = { LinkedInCache };
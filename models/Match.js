@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+/**
+ * Match Model
+ * One document per recommended profile returned by POST /api/v1/matches
+ */
+const matchSchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    index: true
+  },
+  profileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Cleared when the matched profile is deleted; the snapshot and feedback stay
+  matchedProfileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function () { return !this.matchedProfileDeletedAt; }
+  },
+  matchedProfileDeletedAt: {
+    type: Date,
+    default: null
+  },
+  score: {
+    type: Number,
+    required: true
+  },
+  mutualScore: Number,
+  reasons: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
+  rank: Number,
+  scoringProfileVersion: {
+    type: Number,
+    default: 0
+  },
+  // What the matched profile looked like when it was recommended
+  snapshot: {
+    role: String,
+    industry: String,
+    location: String
+  },
+  feedback: {
+    rating: {
+      type: String,
+      enum: ['up', 'down', null],
+      default: null
+    },
+    contacted: {
+      type: Boolean,
+      default: false
+    },
+    contactedAt: Date,
+    met: {
+      type: Boolean,
+      default: false
+    },
+    metAt: Date,
+    updatedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Match history per profile, newest first
+matchSchema.index({ profileId: 1, createdAt: -1 });
+matchSchema.index({ clientId: 1, 'feedback.rating': 1 });
+
+const Match = mongoose.model('Match', matchSchema);
+
+module.exports = { Match };
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * Monthly Usage Model
+ * One counter per client per UTC month. Metered requests reserve their units
+ * here with a conditional $inc before they run, so concurrent requests cannot
+ * take a client past its monthly quota; failed requests give the units back.
+ * The daily UsageRollup documents remain the source for usage reporting.
+ */
+const monthlyUsageSchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    required: true
+  },
+  // "YYYY-MM" (UTC)
+  month: {
+    type: String,
+    required: true
+  },
+  units: {
+    type: Number,
+    default: 0
+  }
+});
+
+monthlyUsageSchema.index({ clientId: 1, month: 1 }, { unique: true });
+
+const MonthlyUsage = mongoose.model('MonthlyUsage', monthlyUsageSchema);
+
+module.exports = { MonthlyUsage };
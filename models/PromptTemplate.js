@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/**
+ * Prompt Template Model
+ * One document per version of a named prompt (e.g. 'enrichProfile').
+ * Versions are never edited; a change creates a new version, and exactly one
+ * version per name is active at a time.
+ */
+const promptTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // System message sent with every request
+  system: {
+    type: String,
+    required: true
+  },
+  // User message with {{variable}} placeholders
+  template: {
+    type: String,
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  createdBy: String,
+  activatedAt: Date
+}, {
+  timestamps: true
+});
+
+promptTemplateSchema.index({ name: 1, version: 1 }, { unique: true });
+promptTemplateSchema.index({ name: 1, isActive: 1 });
+
+const PromptTemplate = mongoose.model('PromptTemplate', promptTemplateSchema);
+
+module.exports = { PromptTemplate };
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * Scoring Profile Model
+ * Per-client match scoring configuration. The version is bumped on every
+ * change and echoed in match responses.
+ */
+const scoringProfileSchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  weights: {
+    collaborationTargets: { type: Number, default: 0.35, min: 0 },
+    skills: { type: Number, default: 0.4, min: 0 },
+    industry: { type: Number, default: 0.15, min: 0 },
+    location: { type: Number, default: 0.05, min: 0 },
+    interests: { type: Number, default: 0.05, min: 0 },
+    semantic: { type: Number, default: 0.25, min: 0 }
+  },
+  sameRolePenalty: {
+    type: Number,
+    default: 0.7, // multiplier applied when both users have the same role
+    min: 0,
+    max: 1
+  },
+  complementPairs: {
+    type: [[String]],
+    default: undefined
+  },
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+const ScoringProfile = mongoose.model('ScoringProfile', scoringProfileSchema);
+
+module.exports = { ScoringProfile };
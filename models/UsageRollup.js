@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * Usage Rollup Model
+ * One document per client per UTC day, incremented as metered requests complete
+ */
+const usageRollupSchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    required: true
+  },
+  // "YYYY-MM-DD" (UTC)
+  date: {
+    type: String,
+    required: true
+  },
+  // "YYYY-MM" (UTC), for monthly quota lookups
+  month: {
+    type: String,
+    required: true
+  },
+  calls: {
+    type: Number,
+    default: 0
+  },
+  units: {
+    type: Number,
+    default: 0
+  },
+  enrichments: {
+    type: Number,
+    default: 0
+  },
+  matches: {
+    type: Number,
+    default: 0
+  },
+  // Calls per operation (read, write, enrichment, ...)
+  operations: {
+    type: Map,
+    of: Number,
+    default: {}
+  }
+});
+
+usageRollupSchema.index({ clientId: 1, date: 1 }, { unique: true });
+usageRollupSchema.index({ clientId: 1, month: 1 });
+
+const UsageRollup = mongoose.model('UsageRollup', usageRollupSchema);
+
+module.exports = { UsageRollup };
@@ -1,5 +1,85 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ADMIN_PERMISSIONS } = require('../config/permissions');
+const { PROVENANCE_SOURCES } = require('../services/provenanceService');
+
+/**
+ * Collaboration target (embeddings are kept out of API responses)
+ */
+const collaborationTargetSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  potentialCollaboration: {
+    type: String,
+    default: ''
+  },
+  keywords: {
+    type: [String],
+    default: []
+  },
+  industries: {
+    type: [String],
+    default: []
+  },
+  roles: {
+    type: [String],
+    default: []
+  },
+  mutualBenefit: {
+    type: String,
+    default: ''
+  },
+  priority: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 10
+  },
+  embedding: {
+    type: [Number],
+    default: undefined
+  }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.embedding;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Where a profile field's value came from (see services/provenanceService)
+ */
+const provenanceSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: PROVENANCE_SOURCES,
+    required: true
+  },
+  // Data provider ('pdl', 'fixture') or model name
+  detail: {
+    type: String,
+    default: null
+  },
+  // Set by manual edits; enrichment does not change locked fields
+  locked: {
+    type: Boolean,
+    default: false
+  },
+  // Per-item sources for list fields (skills, interests)
+  items: {
+    type: [{ _id: false, value: String, source: { type: String, enum: PROVENANCE_SOURCES } }],
+    default: undefined
+  },
+  updatedAt: Date
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -85,53 +165,64 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  // When linkedinSummary was fetched from the data provider (not when it was cached)
+  linkedinFetchedAt: {
+    type: Date,
+    default: null
+  },
   clientId: {
     type: String,
     index: true,
     required: false // Optional for backward compatibility
   },
-  collaborationTargets: [
-    {
-      type: {
-        type: String,
-        required: true
-      },
-      reason: {
-        type: String,
-        default: ''
-      },
-      potentialCollaboration: {
-        type: String,
-        default: ''
-      },
-      keywords: {
-        type: [String],
-        default: []
-      },
-      industries: {
-        type: [String],
-        default: []
-      },
-      roles: {
-        type: [String],
-        default: []
-      },
-      mutualBenefit: {
-        type: String,
-        default: ''
-      },
-      priority: {
-        type: Number,
-        default: 0,
-        min: 0,
-        max: 10
-      }
-    }
-  ],
+  // Platform access level (unrelated to the professional `role` above)
+  accessRole: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  adminPermissions: {
+    type: [{ type: String, enum: ADMIN_PERMISSIONS }],
+    default: []
+  },
+  collaborationTargets: [collaborationTargetSchema],
+  fieldProvenance: {
+    type: Map,
+    of: provenanceSchema,
+    default: {}
+  },
+  profileEmbedding: {
+    type: [Number],
+    default: undefined
+  },
+  embeddingModel: {
+    type: String,
+    default: null
+  },
   profileEnrichedAt: {
     type: Date,
     default: null
   },
+  // Outcome of the last AI enrichment: every field validated (full), some
+  // fields fell back to the input data (partial) or no usable output (failed)
+  enrichmentStatus: {
+    type: String,
+    enum: ['full', 'partial', 'failed', null],
+    default: null
+  },
+  enrichmentStatusReason: {
+    type: String,
+    default: ''
+  },
+  // Prompt template version (0 = built-in) and model behind the enriched fields
+  enrichmentPromptVersion: {
+    type: Number,
+    default: null
+  },
+  enrichmentModel: {
+    type: String,
+    default: null
+  },
   connections: [
     {
       userId: {
@@ -143,11 +234,27 @@ const userSchema = new mongoose.Schema({
         enum: ['pending', 'accepted', 'rejected'],
         default: 'pending'
       },
+      direction: {
+        type: String,
+        enum: ['incoming', 'outgoing'],
+        default: 'outgoing'
+      },
+      requestedAt: {
+        type: Date,
+        default: Date.now
+      },
+      respondedAt: Date,
       connectedAt: Date
     }
   ]
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.profileEmbedding;
+      return ret;
+    }
+  }
 });
 
 // Indexes for better query performance
@@ -156,6 +263,9 @@ userSchema.index({ 'collaborationTargets.keywords': 1 });
 userSchema.index({ 'collaborationTargets.industries': 1 });
 userSchema.index({ 'collaborationTargets.roles': 1 });
 userSchema.index({ industry: 1, role: 1 });
+userSchema.index({ role: 1 }); // Candidate generation looks up target roles without an industry
+userSchema.index({ 'connections.userId': 1 });
+userSchema.index({ linkedinFetchedAt: 1 }); // LinkedIn re-sync of stale profiles
 
 // Hash password before saving
 userSchema.pre('save', async function (next) {
@@ -172,10 +282,18 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check an admin permission
+userSchema.methods.hasPermission = function(permission) {
+  return this.accessRole === 'admin' && (this.adminPermissions || []).includes(permission);
+};
+
 // Method to get safe user data (without password)
 userSchema.methods.toSafeObject = function() {
-  const obj = this.toObject();
+  // Maps (fieldProvenance) become plain objects so they survive JSON serialization
+  const obj = this.toObject({ flattenMaps: true });
   delete obj.password;
+  delete obj.profileEmbedding;
+  (obj.collaborationTargets || []).forEach(target => delete target.embedding);
   return obj;
 };
 
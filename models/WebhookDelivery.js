@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * Webhook Delivery Model
+ * One document per event sent to a subscription, with every attempt logged
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    required: true
+  },
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: [
+    {
+      attemptedAt: Date,
+      statusCode: Number,
+      error: String,
+      durationMs: Number
+    }
+  ],
+  deliveredAt: Date,
+  replayCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ clientId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, event: 1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = { WebhookDelivery };
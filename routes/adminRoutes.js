@@ -4,28 +4,82 @@ const express = require('express');
 const router = express.Router();
 const {
   createApiKey,
+  addClientKey,
   listApiKeys,
   getApiKey,
+  listClientKeys,
   updateApiKey,
   deleteApiKey,
+  revokeClientKey,
   regenerateApiKey,
-  getStats
+  getStats,
+  getClientUsage,
+  listUsers,
+  updateUserAccess
 } = require('../controllers/adminController');
+const {
+  getClientWebhooks,
+  getWebhookDeliveries,
+  replayWebhookDelivery
+} = require('../controllers/webhookController');
+const { getAuditLog } = require('../controllers/auditController');
+const {
+  getPrompts,
+  getPromptVersions,
+  addPromptVersion,
+  activateVersion,
+  dryRunPrompt
+} = require('../controllers/promptController');
+const { requirePermission } = require('../middleware/auth');
 
 /**
  * Admin routes for managing API keys
- * All routes require JWT authentication (protect middleware applied in server.js)
+ * All routes require an authenticated admin (protect + requireAdmin applied in server.js);
+ * each route additionally checks the permission it needs.
  */
 
+const canManageKeys = requirePermission('keys:manage');
+const canReadStats = requirePermission('stats:read');
+const canManageUsers = requirePermission('users:manage');
+const canReadAudit = requirePermission('audit:read');
+const canManagePrompts = requirePermission('prompts:manage');
+
 // Get overview statistics
-router.get('/stats', getStats);
+router.get('/stats', canReadStats, getStats);
 
 // API Key management
-router.post('/keys', createApiKey);
-router.get('/keys', listApiKeys);
-router.get('/keys/:clientId', getApiKey);
-router.put('/keys/:clientId', updateApiKey);
-router.delete('/keys/:clientId', deleteApiKey);
-router.post('/keys/:clientId/regenerate', regenerateApiKey);
+router.post('/keys', canManageKeys, createApiKey);
+router.get('/keys', canManageKeys, listApiKeys);
+router.get('/keys/:clientId', canManageKeys, getApiKey);
+router.put('/keys/:clientId', canManageKeys, updateApiKey);
+router.delete('/keys/:clientId', canManageKeys, deleteApiKey);
+router.post('/keys/:clientId/regenerate', canManageKeys, regenerateApiKey);
+
+// Individual keys of a client
+router.get('/keys/:clientId/keys', canManageKeys, listClientKeys);
+router.post('/keys/:clientId/keys', canManageKeys, addClientKey);
+router.delete('/keys/:clientId/keys/:keyId', canManageKeys, revokeClientKey);
+
+// Metered usage and quota
+router.get('/keys/:clientId/usage', canReadStats, getClientUsage);
+
+// Webhook subscriptions and delivery log
+router.get('/keys/:clientId/webhooks', canManageKeys, getClientWebhooks);
+router.get('/keys/:clientId/webhook-deliveries', canReadStats, getWebhookDeliveries);
+router.post('/webhook-deliveries/:deliveryId/replay', canManageKeys, replayWebhookDelivery);
+
+// Request audit log
+router.get('/audit', canReadAudit, getAuditLog);
+
+// LLM prompt templates
+router.get('/prompts', canManagePrompts, getPrompts);
+router.get('/prompts/:name', canManagePrompts, getPromptVersions);
+router.post('/prompts/:name', canManagePrompts, addPromptVersion);
+router.post('/prompts/:name/versions/:version/activate', canManagePrompts, activateVersion);
+router.post('/prompts/:name/dry-run', canManagePrompts, dryRunPrompt);
+
+// Admin user management
+router.get('/users', canManageUsers, listUsers);
+router.put('/users/:userId/access', canManageUsers, updateUserAccess);
 
 module.exports = router;
\ No newline at end of file
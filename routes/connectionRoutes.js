@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { userConnections } = require('../controllers/connectionController');
+
+/**
+ * Connection requests for logged-in web app users
+ * All routes require JWT authentication
+ */
+
+router.use(protect);
+
+// List connections and pending requests
+router.get('/', userConnections.list);
+
+// Send a connection request
+router.post('/', userConnections.send);
+
+// Respond to an incoming request
+router.post('/:targetId/accept', userConnections.accept);
+router.post('/:targetId/reject', userConnections.reject);
+
+// Withdraw an outgoing request
+router.delete('/:targetId', userConnections.withdraw);
+
+module.exports = router;
@@ -1,13 +1,24 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateApiKey, rateLimitByApiKey } = require('../middleware/apiKeyAuth');
+const { authenticateApiKey, requireScope, rateLimitByApiKey } = require('../middleware/apiKeyAuth');
+const { meter } = require('../middleware/metering');
 const {
   createProfile,
+  bulkImportProfiles,
+  getJob,
   getProfile,
+  updateProfile,
+  reEnrichProfile,
+  deleteProfile,
   listProfiles,
   findMatches,
-  compareProfiles
+  submitMatchFeedback,
+  getMatchHistory,
+  compareProfiles,
+  compareIntroduction
 } = require('../controllers/serviceController');
+const { serviceConnections } = require('../controllers/connectionController');
+const { listWebhooks, createWebhook, deleteWebhook } = require('../controllers/webhookController');
 
 /**
  * Apply API key authentication and rate limiting to all routes
@@ -16,28 +27,108 @@ const {
 router.use(authenticateApiKey);
 router.use(rateLimitByApiKey);
 
+// Each route also checks the scope it needs
+const canReadProfiles = requireScope('profiles:read');
+const canWriteProfiles = requireScope('profiles:write');
+const canReadMatches = requireScope('matches:read');
+const canWriteMatches = requireScope('matches:write');
+const canManageWebhooks = requireScope('webhooks:manage');
+
+// Cost of each route against the monthly quota (see config/metering.js)
+const read = meter('read');
+const write = meter('write');
+const enrichment = meter('enrichment');
+const match = meter('match');
+
 /**
  * Profile Management Routes
  */
 
-// Create new profile from LinkedIn
-router.post('/profiles', createProfile);
+// Queue a new profile from LinkedIn (returns a job id)
+// (the request is a write; the create job bills the enrichment once the profile exists)
+router.post('/profiles', canWriteProfiles, write, createProfile);
+
+// Import many profiles from a CSV or NDJSON upload
+// (the upload is a write; the import job bills an enrichment per profile it creates)
+router.post(
+  '/profiles/bulk',
+  canWriteProfiles,
+  express.text({ type: ['text/csv', 'application/x-ndjson', 'application/ndjson', 'text/plain'], limit: '10mb' }),
+  write,
+  bulkImportProfiles
+);
 
 // Get specific profile
-router.get('/profiles/:profileId', getProfile);
+router.get('/profiles/:profileId', canReadProfiles, read, getProfile);
+
+// Update editable fields (optionally re-enrich with { reEnrich: true })
+router.patch(
+  '/profiles/:profileId',
+  canWriteProfiles,
+  meter(req => ([true, 'true'].includes(req.body?.reEnrich) ? 'enrichment' : 'write')),
+  updateProfile
+);
+
+// Delete profile and scrub it from other profiles' connections
+router.delete('/profiles/:profileId', canWriteProfiles, write, deleteProfile);
+
+// Re-run LinkedIn scraping and AI enrichment
+router.post('/profiles/:profileId/enrich', canWriteProfiles, enrichment, reEnrichProfile);
 
 // List all profiles for this client
-router.get('/profiles', listProfiles);
+router.get('/profiles', canReadProfiles, read, listProfiles);
+
+// Past match results for a profile
+router.get('/profiles/:profileId/match-history', canReadMatches, read, getMatchHistory);
+
+/**
+ * Background Job Routes
+ */
+
+// Poll profile creation progress
+router.get('/jobs/:jobId', canReadProfiles, read, getJob);
+
+/**
+ * Connection Routes
+ */
+
+// List connections and pending requests for a profile
+router.get('/profiles/:profileId/connections', canReadProfiles, read, serviceConnections.list);
+
+// Send a connection request from a profile
+router.post('/profiles/:profileId/connections', canWriteProfiles, write, serviceConnections.send);
+
+// Respond to an incoming request
+router.post('/profiles/:profileId/connections/:targetId/accept', canWriteProfiles, write, serviceConnections.accept);
+router.post('/profiles/:profileId/connections/:targetId/reject', canWriteProfiles, write, serviceConnections.reject);
+
+// Withdraw an outgoing request
+router.delete('/profiles/:profileId/connections/:targetId', canWriteProfiles, write, serviceConnections.withdraw);
 
 /**
  * Matching Routes
  */
 
 // Find collaboration matches for a profile
-router.post('/matches', findMatches);
+router.post('/matches', canWriteMatches, match, findMatches);
 
 // Compare two profiles
-router.post('/matches/compare', compareProfiles);
+router.post('/matches/compare', canReadMatches, meter('compare'), compareProfiles);
+
+// Draft introduction messages for two profiles
+router.post('/matches/compare/introduction', canReadMatches, meter('introduction'), compareIntroduction);
+
+// Record feedback on a stored match
+router.post('/matches/:matchId/feedback', canWriteMatches, write, submitMatchFeedback);
+
+/**
+ * Webhook Routes
+ */
+
+// Manage webhook subscriptions for this API key
+router.get('/webhooks', canManageWebhooks, read, listWebhooks);
+router.post('/webhooks', canManageWebhooks, write, createWebhook);
+router.delete('/webhooks/:webhookId', canManageWebhooks, write, deleteWebhook);
 
 /**
  * Health check endpoint (no auth required)
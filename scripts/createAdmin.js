@@ -0,0 +1,102 @@
+/**
+ * Bootstrap the first admin account
+ *
+ * Usage:
+ *   npm run create-admin -- --email admin@example.com [--name "Admin"]
+ *
+ * Promotes an existing user when the email is already registered,
+ * otherwise creates a new account. The admin receives every permission.
+ * The password for a new account is read from ADMIN_PASSWORD or prompted
+ * for (never passed on the command line, where it shows in ps and history).
+ */
+
+require('dotenv').config();
+const readline = require('readline');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+const { ADMIN_PERMISSIONS } = require('../config/permissions');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * Ask for a password on the terminal without echoing it
+ */
+function promptPassword(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    process.stdout.write(question);
+    rl._writeToOutput = () => {};
+    rl.question('', (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function readPassword() {
+  if (process.env.ADMIN_PASSWORD) return process.env.ADMIN_PASSWORD;
+  if (!process.stdin.isTTY) return '';
+  return promptPassword('🔑 Password for the new admin: ');
+}
+
+async function createAdmin() {
+  const args = parseArgs(process.argv.slice(2));
+  const { email, name = 'Admin' } = args;
+
+  if (args.password !== undefined) {
+    console.error('❌ --password is not accepted; set ADMIN_PASSWORD or enter it at the prompt');
+    process.exit(1);
+  }
+
+  if (!email) {
+    console.error('❌ Usage: node scripts/createAdmin.js --email <email> [--name <name>]');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  let user = await User.findOne({ email: email.toLowerCase() });
+
+  if (user) {
+    user.accessRole = 'admin';
+    user.adminPermissions = ADMIN_PERMISSIONS;
+    await user.save();
+    console.log(`👑 Promoted existing user ${user.email} to admin`);
+  } else {
+    const password = await readPassword();
+    if (!password || password.length < 6) {
+      console.error('❌ A password (min 6 characters) is required to create a new admin (ADMIN_PASSWORD or prompt)');
+      process.exitCode = 1;
+      return;
+    }
+
+    user = await User.create({
+      name,
+      email,
+      password,
+      accessRole: 'admin',
+      adminPermissions: ADMIN_PERMISSIONS
+    });
+    console.log(`👑 Created admin account ${user.email}`);
+  }
+
+  console.log(`   Permissions: ${user.adminPermissions.join(', ')}`);
+}
+
+createAdmin()
+  .catch(error => {
+    console.error('❌ Failed to create admin:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
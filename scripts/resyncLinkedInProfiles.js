@@ -0,0 +1,49 @@
+/**
+ * Re-sync LinkedIn data for profiles fetched more than N days ago
+ *
+ * Usage:
+ *   npm run resync-linkedin -- --days 30 [--client <clientId>] [--limit 500]
+ *
+ * Queues a profile.enrich job per stale profile; a running job worker
+ * (the API server, unless ENABLE_JOB_WORKER=false) picks them up.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { queueStaleLinkedInResync } = require('../services/profileService');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+async function resync() {
+  const args = parseArgs(process.argv.slice(2));
+  const olderThanDays = parseFloat(args.days || process.env.LINKEDIN_RESYNC_DAYS || 30);
+  const limit = parseInt(args.limit) || 500;
+
+  if (!(olderThanDays > 0)) {
+    console.error('❌ Usage: node scripts/resyncLinkedInProfiles.js --days <N> [--client <clientId>] [--limit <N>]');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const queued = await queueStaleLinkedInResync({ olderThanDays, clientId: args.client, limit });
+
+  console.log(`🔄 Queued LinkedIn re-sync for ${queued} profile(s) older than ${olderThanDays} day(s)`);
+}
+
+resync()
+  .catch(error => {
+    console.error('❌ Re-sync failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
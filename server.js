@@ -20,10 +20,18 @@ app.use(helmet());
 // CORS configuration
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+  exposedHeaders: [
+    'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After',
+    'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset', 'X-Request-Id'
+  ]
 }));
 
+// Request id (X-Request-Id) for logs and the audit trail
+const { requestId, auditRequests } = require('./middleware/audit');
+app.use(requestId);
+
 // Body parser
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -42,12 +50,12 @@ if (process.env.NODE_ENV === 'development') {
 
 // API v1 Routes (Service API with API Key auth)
 const serviceRoutes = require('./routes/serviceRoutes');
-app.use('/api/v1', serviceRoutes);
+app.use('/api/v1', auditRequests('/api/v1'), serviceRoutes);
 
 // Admin Routes (for managing API keys)
 const adminRoutes = require('./routes/adminRoutes');
-const { protect } = require('./middleware/auth'); // JWT auth for admin
-app.use('/api/admin',  adminRoutes);
+const { protect, requireAdmin } = require('./middleware/auth'); // JWT auth + admin role
+app.use('/api/admin', auditRequests('/api/admin'), protect, requireAdmin, adminRoutes);
 
 // Web App Routes (existing JWT-based routes)
 
@@ -55,6 +63,9 @@ app.use('/api/admin',  adminRoutes);
 const authRouter = require('./routes/AuthRoutes');
 app.use('/api/auth', authRouter);
 
+const connectionRoutes = require('./routes/connectionRoutes');
+app.use('/api/connections', connectionRoutes);
+
 
 // Health check (public)
 app.get('/health', (req, res) => {
@@ -98,6 +109,13 @@ app.get('/', (req, res) => {
           limit:"number",
         }
       },
+      getJobStatus:{
+         url:'/api/v1/jobs/:id',
+        method:"Get",
+        require:{
+          apiKey: "X-API-Key: Your Key",
+        },
+      },
       getSpecificProfile:{
          url:'/api/v1/profiles/:id',
         method:"Get",
@@ -190,12 +208,18 @@ const connectDB = async () => {
 // ============================================
 
 const PORT = process.env.PORT || 5000;
+const { startJobWorker, stopJobWorker } = require('./services/jobQueue');
 
 const startServer = async () => {
   try {
     // Connect to database
     await connectDB();
 
+    // Process queued background jobs (profile enrichment)
+    if (process.env.ENABLE_JOB_WORKER !== 'false') {
+      startJobWorker();
+    }
+
     // Start server
     app.listen(PORT, () => {
       console.log(`\n🚀 Server running in ${process.env.NODE_ENV} mode`);
@@ -225,6 +249,7 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM received. Shutting down gracefully...');
+  stopJobWorker();
   mongoose.connection.close(() => {
     console.log('✅ MongoDB connection closed');
     process.exit(0);
@@ -0,0 +1,69 @@
+const { AuditLog } = require('../models/AuditLog');
+const { ServiceError } = require('../utils/ServiceError');
+const { escapeRegex } = require('../utils/escapeRegex');
+
+/**
+ * Store an audit entry. Never throws: auditing must not break the request.
+ */
+async function recordAudit(entry) {
+  try {
+    await AuditLog.create(entry);
+  } catch (error) {
+    console.error('⚠️  Failed to write audit log:', error.message);
+  }
+}
+
+/**
+ * Query the audit log, newest first
+ * @param {Object} filters - { actorType?, actorId?, clientId?, action?, targetId?,
+ *                            outcome?, requestId?, from?, to?, page?, limit? }
+ */
+async function listAuditLogs(filters = {}) {
+  const { actorType, actorId, clientId, action, targetId, outcome, requestId, from, to } = filters;
+
+  const query = {};
+  if (actorType) query['actor.type'] = actorType;
+  if (actorId) query['actor.id'] = actorId;
+  if (clientId) query['actor.clientId'] = clientId;
+  if (action) query.action = { $regex: escapeRegex(action), $options: 'i' };
+  if (targetId) query['target.id'] = targetId;
+  if (outcome) query.outcome = outcome;
+  if (requestId) query.requestId = requestId;
+
+  if (from || to) {
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to) range.$lte = new Date(to);
+    if (Object.values(range).some(date => isNaN(date))) {
+      throw new ServiceError('from and to must be valid dates', 400, 'INVALID_DATE_RANGE');
+    }
+    query.createdAt = range;
+  }
+
+  const pageNum = Math.max(1, parseInt(filters.page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(filters.limit) || 50));
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    AuditLog.countDocuments(query)
+  ]);
+
+  return {
+    entries,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum)
+    }
+  };
+}
+
+module.exports = {
+  recordAudit,
+  listAuditLogs
+};
@@ -0,0 +1,225 @@
+const User = require('../models/User');
+const { Job } = require('../models/Job');
+const { PROFILE_CREATE_JOB } = require('./profileService');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { getOperationCost, reserveUnits } = require('./usageService');
+const { canonicalizeLinkedInUrl } = require('../utils/linkedinUrl');
+
+/**
+ * Bulk imports run as a `profile.import` job that deduplicates the rows and
+ * queues one `profile.create` job per new profile; the import job's report
+ * (GET /api/v1/jobs/:jobId) follows those jobs row by row.
+ * Each queued row reserves one enrichment against the client's monthly
+ * quota; it is billed when the profile is created and released otherwise,
+ * so duplicates and invalid rows cost nothing.
+ */
+
+const PROFILE_IMPORT_JOB = 'profile.import';
+
+const normalizeKey = (value) => (value ? String(value).trim().toLowerCase() : '');
+
+/**
+ * Check parsed rows and deduplicate them against the client's existing
+ * profiles and against earlier rows of the same upload
+ * @param {Array} rows - Output of importParser: [{ row, data } | { row, error }]
+ * @param {string} clientId
+ * @returns {Object} { results (final outcome of rejected rows), toCreate (row indexes) }
+ */
+async function planImport(rows, clientId) {
+  const valid = rows.filter(r => r.data);
+  const urls = valid.map(r => canonicalizeLinkedInUrl(r.data.linkedinURL)).filter(Boolean);
+  const emails = valid.map(r => r.data.email).filter(Boolean);
+
+  // Load existing profiles for this client in one query
+  const existing = urls.length || emails.length
+    ? await User.find({
+      clientId,
+      $or: [
+        { linkedinURL: { $in: urls } },
+        ...(emails.length ? [{ email: { $in: emails } }] : [])
+      ]
+    }).select('_id linkedinURL email')
+    : [];
+
+  const existingByKey = new Map();
+  existing.forEach(p => {
+    if (p.linkedinURL) existingByKey.set(`url:${normalizeKey(p.linkedinURL)}`, p._id);
+    if (p.email) existingByKey.set(`email:${normalizeKey(p.email)}`, p._id);
+  });
+
+  const seenInUpload = new Map();
+  const results = new Array(rows.length);
+  const toCreate = [];
+
+  rows.forEach((entry, index) => {
+    const { row, data, error } = entry;
+
+    if (error) {
+      results[index] = { row, status: 'failed', code: 'INVALID_ROW', reason: error };
+      return;
+    }
+
+    if (!data.name || !data.linkedinURL) {
+      results[index] = {
+        row,
+        status: 'failed',
+        code: 'MISSING_REQUIRED_FIELDS',
+        reason: 'name and linkedinURL are required'
+      };
+      return;
+    }
+
+    const linkedinURL = canonicalizeLinkedInUrl(data.linkedinURL);
+    if (!linkedinURL) {
+      results[index] = {
+        row,
+        status: 'failed',
+        code: 'INVALID_LINKEDIN_URL',
+        reason: 'linkedinURL must be a LinkedIn profile URL (https://www.linkedin.com/in/<profile>)'
+      };
+      return;
+    }
+
+    const keys = [`url:${normalizeKey(linkedinURL)}`];
+    if (data.email) keys.push(`email:${normalizeKey(data.email)}`);
+
+    const existingKey = keys.find(key => existingByKey.has(key));
+    if (existingKey) {
+      results[index] = {
+        row,
+        status: 'duplicate',
+        profileId: existingByKey.get(existingKey),
+        reason: `Profile with this ${existingKey.startsWith('url:') ? 'linkedinURL' : 'email'} already exists`
+      };
+      return;
+    }
+
+    const earlierKey = keys.find(key => seenInUpload.has(key));
+    if (earlierKey) {
+      results[index] = {
+        row,
+        status: 'duplicate',
+        reason: `Same ${earlierKey.startsWith('url:') ? 'linkedinURL' : 'email'} as row ${seenInUpload.get(earlierKey)}`
+      };
+      return;
+    }
+
+    keys.forEach(key => seenInUpload.set(key, row));
+    toCreate.push(index);
+  });
+
+  return { results, toCreate };
+}
+
+/**
+ * Queue an import of parsed rows for a client
+ * @param {Array} rows - Output of importParser
+ * @param {Object} apiClient - { clientId, keyId, monthlyQuota } of the uploading key
+ * @returns {Object} The import job document
+ */
+async function queueProfileImport(rows, { clientId, keyId, monthlyQuota }) {
+  return enqueueJob(
+    PROFILE_IMPORT_JOB,
+    { rows, keyId, monthlyQuota: monthlyQuota ?? null },
+    { clientId }
+  );
+}
+
+// Deduplicate the upload and queue a profile.create job per new profile
+registerJobHandler(PROFILE_IMPORT_JOB, async (job, { setProgress }) => {
+  const { rows, keyId, monthlyQuota } = job.payload;
+  const { units } = getOperationCost('enrichment');
+
+  // A retried import keeps the jobs an earlier attempt already queued
+  // (their profiles may exist by now and would otherwise count as duplicates)
+  const queued = await Job.find({ type: PROFILE_CREATE_JOB, 'payload.importJobId': job._id })
+    .select('_id payload.importRow')
+    .lean();
+  const queuedByRow = new Map(queued.map(child => [child.payload.importRow, child._id]));
+
+  const { results, toCreate } = await planImport(rows, job.clientId);
+
+  rows.forEach(({ row }, index) => {
+    if (queuedByRow.has(row)) {
+      results[index] = { row, status: 'pending', jobId: queuedByRow.get(row) };
+    }
+  });
+
+  for (const index of toCreate.filter(i => !queuedByRow.has(rows[i].row))) {
+    const { row, data } = rows[index];
+
+    const reservation = await reserveUnits(job.clientId, units, monthlyQuota);
+    if (!reservation.reserved) {
+      results[index] = { row, status: 'failed', code: 'QUOTA_EXCEEDED', reason: 'Monthly quota exceeded' };
+      continue;
+    }
+
+    const child = await enqueueJob(
+      PROFILE_CREATE_JOB,
+      {
+        ...data,
+        clientId: job.clientId,
+        importJobId: job._id,
+        importRow: row,
+        billing: { keyId, month: reservation.month, units }
+      },
+      { clientId: job.clientId }
+    );
+    results[index] = { row, status: 'pending', jobId: child._id };
+  }
+
+  await setProgress('queued', 100);
+  console.log(`📦 Bulk import ${job._id}: ${results.filter(r => r.jobId).length}/${rows.length} rows queued for enrichment`);
+
+  return { rows: results };
+});
+
+/**
+ * Outcome of a row's profile.create job
+ */
+function rowOutcome(row, jobId, child) {
+  if (child?.status === 'completed') {
+    return { row, status: 'created', jobId, profileId: child.result?.profileId };
+  }
+
+  if (child?.status === 'failed') {
+    return child.lastError?.code === 'PROFILE_EXISTS'
+      ? { row, status: 'duplicate', jobId, reason: 'Profile already exists' }
+      : { row, status: 'failed', jobId, code: child.lastError?.code || 'ENRICHMENT_FAILED', reason: child.lastError?.message };
+  }
+
+  return { row, status: 'pending', jobId };
+}
+
+/**
+ * Per-row report of an import job (null until its rows have been queued)
+ * @param {Object} job - profile.import job document
+ * @returns {Object|null} { status: 'processing' | 'finished', summary, results }
+ */
+async function getImportReport(job) {
+  const rows = job.result?.rows;
+  if (!rows) return null;
+
+  const childIds = rows.filter(r => r.jobId).map(r => r.jobId);
+  const children = await Job.find({ _id: { $in: childIds } })
+    .select('status result lastError')
+    .lean();
+  const childById = new Map(children.map(child => [String(child._id), child]));
+
+  const results = rows.map(r => (r.jobId ? rowOutcome(r.row, r.jobId, childById.get(String(r.jobId))) : r));
+
+  const summary = { total: rows.length, created: 0, duplicate: 0, failed: 0, pending: 0 };
+  results.forEach(r => { summary[r.status] += 1; });
+
+  return {
+    status: summary.pending > 0 ? 'processing' : 'finished',
+    summary,
+    results
+  };
+}
+
+module.exports = {
+  PROFILE_IMPORT_JOB,
+  queueProfileImport,
+  getImportReport
+};
@@ -0,0 +1,241 @@
+const User = require('../models/User');
+const { ServiceError } = require('../utils/ServiceError');
+const { runInTransaction } = require('../utils/transaction');
+const { emitEvent } = require('./webhookService');
+
+/**
+ * Connection requests are stored on both users:
+ * the sender keeps an `outgoing` entry and the recipient an `incoming` one.
+ * Every state change updates both documents inside a single transaction.
+ */
+
+/**
+ * Load both users and make sure they can be connected
+ */
+async function loadPair(userId, otherUserId, session = null) {
+  if (String(userId) === String(otherUserId)) {
+    throw new ServiceError('Cannot connect a profile with itself', 400, 'INVALID_CONNECTION');
+  }
+
+  const user = await User.findById(userId).session(session);
+  if (!user) {
+    throw new ServiceError('Profile not found', 404, 'PROFILE_NOT_FOUND');
+  }
+
+  // Connections never cross client boundaries
+  const other = await User.findOne({
+    _id: otherUserId,
+    clientId: user.clientId ?? null
+  }).session(session);
+
+  if (!other) {
+    throw new ServiceError('Target profile not found', 404, 'PROFILE_NOT_FOUND');
+  }
+
+  return { user, other };
+}
+
+/**
+ * Find the connection entry a user holds about another user
+ */
+function findEntry(user, otherUserId) {
+  return (user.connections || []).find(c => String(c.userId) === String(otherUserId)) || null;
+}
+
+/**
+ * Update the entry a user holds about another user, matching on its current state
+ */
+async function updateEntry(userId, otherUserId, match, updates, session) {
+  const set = {};
+  Object.entries(updates).forEach(([field, value]) => {
+    set[`connections.$.${field}`] = value;
+  });
+
+  const result = await User.updateOne(
+    { _id: userId, connections: { $elemMatch: { userId: otherUserId, ...match } } },
+    { $set: set },
+    { session }
+  );
+
+  return result.matchedCount > 0;
+}
+
+/**
+ * Send a connection request
+ * @param {string} fromUserId - Requesting user
+ * @param {string} toUserId - Recipient
+ * @returns {Object} The sender's connection entry
+ */
+async function sendConnectionRequest(fromUserId, toUserId) {
+  return runInTransaction(async (session) => {
+    const { user, other } = await loadPair(fromUserId, toUserId, session);
+    const existing = findEntry(user, other._id);
+
+    if (existing && existing.status === 'accepted') {
+      throw new ServiceError('Profiles are already connected', 409, 'ALREADY_CONNECTED');
+    }
+
+    if (existing && existing.status === 'pending') {
+      throw new ServiceError(
+        existing.direction === 'incoming'
+          ? 'This profile has already sent you a connection request'
+          : 'Connection request already pending',
+        409,
+        'CONNECTION_PENDING'
+      );
+    }
+
+    const now = new Date();
+
+    // Drop stale (rejected) entries on both sides before recording the new request
+    await User.updateOne(
+      { _id: user._id },
+      { $pull: { connections: { userId: other._id } } },
+      { session }
+    );
+    await User.updateOne(
+      { _id: other._id },
+      { $pull: { connections: { userId: user._id } } },
+      { session }
+    );
+
+    const outgoing = { userId: other._id, status: 'pending', direction: 'outgoing', requestedAt: now };
+    const incoming = { userId: user._id, status: 'pending', direction: 'incoming', requestedAt: now };
+
+    await User.updateOne({ _id: user._id }, { $push: { connections: outgoing } }, { session });
+    await User.updateOne({ _id: other._id }, { $push: { connections: incoming } }, { session });
+
+    console.log(`🤝 Connection request: ${user.name} → ${other.name}`);
+
+    return outgoing;
+  });
+}
+
+/**
+ * Accept or reject an incoming connection request
+ * @param {string} userId - Recipient responding to the request
+ * @param {string} requesterId - User who sent the request
+ * @param {boolean} accept - true to accept, false to reject
+ */
+async function respondToConnectionRequest(userId, requesterId, accept) {
+  const result = await runInTransaction(async (session) => {
+    const { user, other } = await loadPair(userId, requesterId, session);
+    const now = new Date();
+    const updates = accept
+      ? { status: 'accepted', respondedAt: now, connectedAt: now }
+      : { status: 'rejected', respondedAt: now };
+
+    const updated = await updateEntry(
+      user._id,
+      other._id,
+      { status: 'pending', direction: 'incoming' },
+      updates,
+      session
+    );
+
+    if (!updated) {
+      throw new ServiceError('No pending connection request from this profile', 404, 'REQUEST_NOT_FOUND');
+    }
+
+    await updateEntry(
+      other._id,
+      user._id,
+      { status: 'pending', direction: 'outgoing' },
+      updates,
+      session
+    );
+
+    console.log(`${accept ? '✅' : '🚫'} Connection ${accept ? 'accepted' : 'rejected'}: ${other.name} → ${user.name}`);
+
+    return {
+      clientId: user.clientId,
+      connection: { userId: other._id, direction: 'incoming', ...updates }
+    };
+  });
+
+  // Notify only after the transaction has committed
+  if (accept) {
+    await emitEvent(result.clientId, 'connection.accepted', {
+      requesterProfileId: result.connection.userId,
+      accepterProfileId: userId,
+      connectedAt: result.connection.connectedAt
+    });
+  }
+
+  return result.connection;
+}
+
+const acceptConnectionRequest = (userId, requesterId) =>
+  respondToConnectionRequest(userId, requesterId, true);
+
+const rejectConnectionRequest = (userId, requesterId) =>
+  respondToConnectionRequest(userId, requesterId, false);
+
+/**
+ * Withdraw a pending request previously sent by this user
+ */
+async function withdrawConnectionRequest(userId, recipientId) {
+  return runInTransaction(async (session) => {
+    const { user, other } = await loadPair(userId, recipientId, session);
+
+    const result = await User.updateOne(
+      { _id: user._id },
+      { $pull: { connections: { userId: other._id, status: 'pending', direction: 'outgoing' } } },
+      { session }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw new ServiceError('No pending connection request to this profile', 404, 'REQUEST_NOT_FOUND');
+    }
+
+    await User.updateOne(
+      { _id: other._id },
+      { $pull: { connections: { userId: user._id, status: 'pending', direction: 'incoming' } } },
+      { session }
+    );
+
+    console.log(`↩️  Connection request withdrawn: ${user.name} → ${other.name}`);
+  });
+}
+
+/**
+ * List a user's connections and requests
+ * @param {string} userId
+ * @param {Object} filters - { status?, direction? }
+ */
+async function listConnections(userId, filters = {}) {
+  const { status, direction } = filters;
+
+  const user = await User.findById(userId)
+    .select('connections')
+    .populate('connections.userId', 'name role industry location');
+
+  if (!user) {
+    throw new ServiceError('Profile not found', 404, 'PROFILE_NOT_FOUND');
+  }
+
+  return (user.connections || [])
+    .filter(c => c.userId) // Skip entries pointing to deleted users
+    .filter(c => !status || c.status === status)
+    .filter(c => !direction || c.direction === direction)
+    .map(c => ({
+      profileId: c.userId._id,
+      name: c.userId.name,
+      role: c.userId.role,
+      industry: c.userId.industry,
+      location: c.userId.location,
+      status: c.status,
+      direction: c.direction,
+      requestedAt: c.requestedAt,
+      respondedAt: c.respondedAt,
+      connectedAt: c.connectedAt
+    }));
+}
+
+module.exports = {
+  sendConnectionRequest,
+  acceptConnectionRequest,
+  rejectConnectionRequest,
+  withdrawConnectionRequest,
+  listConnections
+};
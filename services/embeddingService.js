@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const OpenAI = require('openai');
+
+/**
+ * Embedding providers
+ * Each provider exposes { name, embed(texts) => Promise<number[][]> }.
+ * Vectors from different providers are not comparable, so the provider name
+ * is stored on the profile alongside its embeddings.
+ */
+
+const LOCAL_DIMENSIONS = 256;
+
+/**
+ * OpenAI embeddings (default in production)
+ */
+function createOpenAIEmbeddingProvider(options = {}) {
+  const model = options.model || process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+  let client = null;
+
+  return {
+    name: `openai:${model}`,
+    async embed(texts) {
+      // Created lazily so the module can load without an API key
+      client = client || new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+      const response = await client.embeddings.create({ model, input: texts });
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    }
+  };
+}
+
+/**
+ * Deterministic local embeddings (feature hashing of words and character trigrams).
+ * No network access; intended for tests and offline environments.
+ */
+function createLocalEmbeddingProvider(options = {}) {
+  const dimensions = options.dimensions || LOCAL_DIMENSIONS;
+
+  const hashToken = (token) => crypto.createHash('md5').update(token).digest().readUInt32BE(0);
+
+  const embedOne = (text) => {
+    const vector = new Array(dimensions).fill(0);
+    const words = String(text || '').toLowerCase().match(/[a-z0-9+#]+/g) || [];
+
+    words.forEach(word => {
+      const features = [`w:${word}`];
+      const padded = `_${word}_`;
+      for (let i = 0; i < padded.length - 2; i++) {
+        features.push(`t:${padded.slice(i, i + 3)}`);
+      }
+
+      features.forEach(feature => {
+        const hash = hashToken(feature);
+        const sign = hash & 1 ? 1 : -1;
+        vector[hash % dimensions] += sign;
+      });
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map(v => v / norm) : vector;
+  };
+
+  return {
+    name: `local:hash-${dimensions}`,
+    async embed(texts) {
+      return texts.map(embedOne);
+    }
+  };
+}
+
+const providerFactories = {
+  openai: createOpenAIEmbeddingProvider,
+  local: createLocalEmbeddingProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Get the configured provider (EMBEDDING_PROVIDER=openai|local; defaults to
+ * local when LLM_PROVIDER=fixture, which runs without network access, else openai)
+ */
+function getEmbeddingProvider() {
+  if (!activeProvider) {
+    const name = process.env.EMBEDDING_PROVIDER || (process.env.LLM_PROVIDER === 'fixture' ? 'local' : 'openai');
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown embedding provider: ${name}`);
+    }
+    activeProvider = factory();
+  }
+  return activeProvider;
+}
+
+/**
+ * Override the provider (e.g. a local one in tests)
+ */
+function setEmbeddingProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * Cosine similarity between two vectors (0 when either is missing)
+ */
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Text describing what a profile offers
+ */
+function buildProfileText(profile) {
+  return [
+    profile.role,
+    profile.industry,
+    profile.businessType,
+    profile.enrichedBio || profile.bio,
+    (profile.enrichedSkills?.length ? profile.enrichedSkills : profile.skills || []).join(', '),
+    (profile.interests || profile.analyzedInterests || []).join(', ')
+  ].filter(Boolean).join('. ');
+}
+
+/**
+ * Text describing who a collaboration target is looking for
+ */
+function buildTargetText(target) {
+  return [
+    target.type,
+    (target.roles || []).join(', '),
+    (target.keywords || []).join(', '),
+    (target.industries || []).join(', '),
+    target.reason,
+    target.potentialCollaboration
+  ].filter(Boolean).join('. ');
+}
+
+/**
+ * Embed a profile and its collaboration targets in a single provider call
+ * @param {Object} profile - Enriched profile data (with collaborationTargets)
+ * @returns {Object|null} { profileEmbedding, targetEmbeddings, embeddingModel } or null on failure
+ */
+async function embedProfile(profile) {
+  try {
+    const provider = getEmbeddingProvider();
+    const targets = profile.collaborationTargets || [];
+    const texts = [buildProfileText(profile), ...targets.map(buildTargetText)];
+
+    const [profileEmbedding, ...targetEmbeddings] = await provider.embed(texts);
+
+    return {
+      profileEmbedding,
+      targetEmbeddings,
+      embeddingModel: provider.name
+    };
+  } catch (error) {
+    console.error('⚠️ Embedding generation failed:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  createOpenAIEmbeddingProvider,
+  createLocalEmbeddingProvider,
+  getEmbeddingProvider,
+  setEmbeddingProvider,
+  cosineSimilarity,
+  buildProfileText,
+  buildTargetText,
+  embedProfile
+};
@@ -0,0 +1,154 @@
+/**
+ * Schema for the JSON returned by the enrichment model
+ * validateEnrichment checks every field and returns the valid ones
+ * (normalized) together with readable errors for the rest, so the errors can
+ * be sent back to the model in a repair request.
+ */
+
+const MAX_BIO_LENGTH = 2000;
+const MAX_LIST_ITEMS = 50;
+const MAX_TARGETS = 10;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Validate a list of strings; returns [normalized, error]
+ */
+function checkStringList(value, path, { min = 0 } = {}) {
+  if (!Array.isArray(value)) return [null, `${path} must be an array of strings`];
+  if (value.length > MAX_LIST_ITEMS) return [null, `${path} must have at most ${MAX_LIST_ITEMS} items`];
+  if (!value.every(isNonEmptyString)) return [null, `${path} must only contain non-empty strings`];
+  if (value.length < min) return [null, `${path} must have at least ${min} item${min === 1 ? '' : 's'}`];
+  return [[...new Set(value.map(item => item.trim()))], null];
+}
+
+/**
+ * Validate one collaboration target; returns [normalized, errors]
+ */
+function checkTarget(target, path) {
+  if (!target || typeof target !== 'object' || Array.isArray(target)) {
+    return [null, [`${path} must be an object`]];
+  }
+
+  const errors = [];
+  const normalized = {};
+
+  ['type', 'reason', 'potentialCollaboration', 'mutualBenefit'].forEach(field => {
+    if (!isNonEmptyString(target[field])) {
+      errors.push(`${path}.${field} must be a non-empty string`);
+    } else {
+      normalized[field] = target[field].trim();
+    }
+  });
+
+  ['keywords', 'industries', 'roles'].forEach(field => {
+    const [list, error] = checkStringList(target[field], `${path}.${field}`, { min: field === 'keywords' ? 1 : 0 });
+    if (error) errors.push(error);
+    else normalized[field] = list;
+  });
+
+  const { priority } = target;
+  if (typeof priority !== 'number' || !Number.isFinite(priority) || priority < 0 || priority > 10) {
+    errors.push(`${path}.priority must be a number between 0 and 10`);
+  } else {
+    normalized.priority = priority;
+  }
+
+  return errors.length ? [null, errors] : [normalized, []];
+}
+
+const FIELD_CHECKS = {
+  enrichedBio(value) {
+    if (!isNonEmptyString(value)) return [null, ['enrichedBio must be a non-empty string']];
+    if (value.length > MAX_BIO_LENGTH) return [null, [`enrichedBio must be at most ${MAX_BIO_LENGTH} characters`]];
+    return [value.trim(), []];
+  },
+  enrichedSkills(value) {
+    const [list, error] = checkStringList(value, 'enrichedSkills', { min: 1 });
+    return [list, error ? [error] : []];
+  },
+  role: (value) => (typeof value === 'string' ? [value.trim(), []] : [null, ['role must be a string']]),
+  industry: (value) => (typeof value === 'string' ? [value.trim(), []] : [null, ['industry must be a string']]),
+  businessType: (value) => (typeof value === 'string' ? [value.trim(), []] : [null, ['businessType must be a string']]),
+  location: (value) => (typeof value === 'string' ? [value.trim(), []] : [null, ['location must be a string']]),
+  analyzedInterests(value) {
+    const [list, error] = checkStringList(value, 'analyzedInterests');
+    return [list, error ? [error] : []];
+  },
+  collaborationTargets(value) {
+    if (!Array.isArray(value) || value.length === 0) {
+      return [null, ['collaborationTargets must be a non-empty array'], []];
+    }
+    if (value.length > MAX_TARGETS) {
+      return [null, [`collaborationTargets must have at most ${MAX_TARGETS} items`], []];
+    }
+
+    const valid = [];
+    const errors = [];
+    value.forEach((target, i) => {
+      const [normalized, targetErrors] = checkTarget(target, `collaborationTargets[${i}]`);
+      if (normalized) valid.push(normalized);
+      errors.push(...targetErrors);
+    });
+
+    const sorted = valid.sort((a, b) => b.priority - a.priority);
+    // Valid targets are still returned alongside errors so they can be kept
+    return errors.length ? [null, errors, sorted] : [sorted, []];
+  }
+};
+
+const ENRICHMENT_FIELDS = Object.keys(FIELD_CHECKS);
+
+/**
+ * Validate parsed model output
+ * @param {*} data - Parsed JSON
+ * @returns {Object} {
+ *   value: { [field]: normalized } for fields that passed,
+ *   errors: [string],
+ *   invalidFields: [field],
+ *   errorsByField: { [field]: [string] },
+ *   validTargets: normalized targets that passed even when the list did not
+ * }
+ */
+function validateEnrichment(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return {
+      value: {},
+      errors: ['Response must be a JSON object'],
+      invalidFields: [...ENRICHMENT_FIELDS],
+      errorsByField: Object.fromEntries(ENRICHMENT_FIELDS.map(field => [field, ['Response must be a JSON object']])),
+      validTargets: []
+    };
+  }
+
+  const value = {};
+  const errors = [];
+  const invalidFields = [];
+  const errorsByField = {};
+  let validTargets = [];
+
+  ENRICHMENT_FIELDS.forEach(field => {
+    const [normalized, fieldErrors, partial] = data[field] === undefined
+      ? [null, [`${field} is required`]]
+      : FIELD_CHECKS[field](data[field]);
+
+    if (fieldErrors.length) {
+      errors.push(...fieldErrors);
+      invalidFields.push(field);
+      errorsByField[field] = fieldErrors;
+    } else {
+      value[field] = normalized;
+    }
+
+    if (field === 'collaborationTargets') {
+      validTargets = normalized || partial || [];
+    }
+  });
+
+  return { value, errors, invalidFields, errorsByField, validTargets };
+}
+
+module.exports = {
+  ENRICHMENT_FIELDS,
+  validateEnrichment
+};
@@ -0,0 +1,293 @@
+const User = require('../models/User');
+const { IntroductionDraft } = require('../models/IntroductionDraft');
+const { getMutualMatchScore } = require('./matchService');
+const { getScoringProfile } = require('./scoringProfileService');
+const { getLlmProvider, resolveLlmSettings } = require('./llmProviders');
+const { getActivePromptTemplate, renderPrompt } = require('./promptTemplateService');
+const { getClientLlmSettings } = require('./openaiService');
+const { ServiceError } = require('../utils/ServiceError');
+const { markUpstreamError } = require('../utils/upstreamError');
+
+const INTRODUCTION_TONES = ['professional', 'friendly', 'casual', 'enthusiastic'];
+
+const INTRODUCTION_LENGTHS = {
+  short: '2-3 sentences (under 60 words)',
+  medium: 'one paragraph (60-120 words)',
+  long: 'two short paragraphs (120-200 words)'
+};
+
+const CACHE_TTL_MS = (parseFloat(process.env.INTRODUCTION_CACHE_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const MAX_MESSAGE_LENGTH = 2000;
+// Re-asks after the first response when the output is not usable
+const INTRODUCTION_MAX_REPAIRS = 1;
+
+/**
+ * Collaboration targets of `user` that the other profile fits:
+ * the ones behind a match reason or whose roles match, else the top two
+ */
+function relevantTargets(user, other, reasons) {
+  const targets = user.collaborationTargets || [];
+
+  const relevant = targets.filter(target =>
+    reasons.some(r => r.reason?.endsWith(target.type)) ||
+    target.roles?.some(role => other.role?.toLowerCase().includes(role.toLowerCase()))
+  );
+
+  return (relevant.length ? relevant : [...targets].sort((a, b) => b.priority - a.priority))
+    .slice(0, 2)
+    .map(target => ({
+      type: target.type,
+      reason: target.reason,
+      potentialCollaboration: target.potentialCollaboration,
+      mutualBenefit: target.mutualBenefit
+    }));
+}
+
+/**
+ * Profile description for the prompt
+ */
+function describeProfile(profile, targets) {
+  const lines = [
+    `- Role: ${profile.role || 'N/A'}`,
+    `- Industry: ${profile.industry || 'N/A'}`,
+    `- Location: ${profile.location || 'N/A'}`,
+    `- About: ${profile.enrichedBio || profile.bio || 'N/A'}`,
+    `- Skills: ${(profile.enrichedSkills?.length ? profile.enrichedSkills : profile.skills || []).slice(0, 10).join(', ') || 'N/A'}`
+  ];
+
+  if (targets.length) {
+    lines.push('- Looking to collaborate with:');
+    targets.forEach(target => {
+      lines.push(`  - ${target.type}: ${target.reason}` +
+        (target.potentialCollaboration ? ` (idea: ${target.potentialCollaboration})` : ''));
+    });
+  }
+
+  return lines.join('\n');
+}
+
+function describeReasons(name, reasons) {
+  if (!reasons.length) return `- For ${name}: no specific reasons recorded`;
+  return reasons
+    .map(r => `- For ${name}: ${r.reason}${r.detail ? ` (${r.detail})` : ''}`)
+    .join('\n');
+}
+
+/**
+ * Check the model output; returns [drafts, errors]
+ */
+function checkDrafts(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    return [null, [`Response is not valid JSON (${error.message})`]];
+  }
+
+  const errors = ['toProfile1', 'toProfile2']
+    .filter(field => typeof data?.[field] !== 'string' || !data[field].trim() || data[field].length > MAX_MESSAGE_LENGTH)
+    .map(field => `${field} must be a non-empty string of at most ${MAX_MESSAGE_LENGTH} characters`);
+
+  return errors.length
+    ? [null, errors]
+    : [{ toProfile1: data.toProfile1.trim(), toProfile2: data.toProfile2.trim() }, []];
+}
+
+/**
+ * ServiceError for a failed model request: 503 when a retry may succeed
+ * (timeouts, rate limits, 5xx), 502 otherwise
+ */
+function providerError(error) {
+  console.error('❌ Introduction model request failed:', error.message);
+
+  return markUpstreamError(error).retryable
+    ? new ServiceError('The language model is temporarily unavailable, try again later', 503, 'LLM_UNAVAILABLE')
+    : new ServiceError('The language model request failed', 502, 'LLM_REQUEST_FAILED');
+}
+
+/**
+ * Ask the model for both messages (one repair re-ask on unusable output)
+ */
+async function requestDrafts(provider, settings, messages, input) {
+  const conversation = [...messages];
+
+  for (let repair = 0; repair <= INTRODUCTION_MAX_REPAIRS; repair++) {
+    let completion;
+    try {
+      completion = await provider.complete({
+        task: 'introduction',
+        input,
+        messages: conversation,
+        ...settings,
+        json: true
+      });
+    } catch (error) {
+      throw providerError(error);
+    }
+
+    const [drafts, errors] = checkDrafts(completion.content);
+    if (drafts) {
+      return { drafts, model: completion.model || settings.model };
+    }
+
+    console.warn(`⚠️  Introduction output failed validation: ${errors.join('; ')}`);
+    conversation.push(
+      { role: 'assistant', content: completion.content },
+      {
+        role: 'user',
+        content: `Your response failed validation:\n- ${errors.join('\n- ')}\n\nReturn the JSON object again with these problems fixed. Return ONLY valid JSON.`
+      }
+    );
+  }
+
+  throw new ServiceError('The model did not return usable introduction messages', 502, 'INTRODUCTION_FAILED');
+}
+
+const sameDates = (a, b) =>
+  a.length === b.length && a.every((date, i) => new Date(date).getTime() === new Date(b[i]).getTime());
+
+/**
+ * Shape drafts for the requested profile order
+ */
+function formatIntroduction(entry, profile1, profile2, cached) {
+  const drafts = entry.drafts instanceof Map ? Object.fromEntries(entry.drafts) : entry.drafts;
+
+  return {
+    profile1: { profileId: profile1._id, name: profile1.name, role: profile1.role },
+    profile2: { profileId: profile2._id, name: profile2.name, role: profile2.role },
+    tone: entry.tone,
+    length: entry.length,
+    drafts: {
+      toProfile1: drafts[String(profile1._id)],
+      toProfile2: drafts[String(profile2._id)]
+    },
+    grounding: {
+      profile1Targets: entry.grounding[String(profile1._id)]?.targets || [],
+      profile2Targets: entry.grounding[String(profile2._id)]?.targets || [],
+      profile1Reasons: entry.grounding[String(profile1._id)]?.reasons || [],
+      profile2Reasons: entry.grounding[String(profile2._id)]?.reasons || []
+    },
+    promptVersion: entry.promptVersion,
+    model: entry.model,
+    generatedAt: entry.generatedAt,
+    cached
+  };
+}
+
+/**
+ * Draft an introduction message for each side of a pair of profiles
+ * Drafts are cached per pair, tone and length until either profile, the
+ * prompt template or the client's scoring profile changes.
+ * @param {string} clientId
+ * @param {string} profileId1
+ * @param {string} profileId2
+ * @param {Object} options - { tone?, length?, refresh? (ignore the cache) }
+ */
+async function draftIntroduction(clientId, profileId1, profileId2, options = {}) {
+  const { tone = 'professional', length = 'medium', refresh = false } = options;
+
+  if (!INTRODUCTION_TONES.includes(tone)) {
+    throw new ServiceError(`tone must be one of: ${INTRODUCTION_TONES.join(', ')}`, 400, 'INVALID_TONE');
+  }
+  if (typeof length !== 'string' || !Object.hasOwn(INTRODUCTION_LENGTHS, length)) {
+    throw new ServiceError(`length must be one of: ${Object.keys(INTRODUCTION_LENGTHS).join(', ')}`, 400, 'INVALID_LENGTH');
+  }
+  if (String(profileId1) === String(profileId2)) {
+    throw new ServiceError('profileId1 and profileId2 must be different profiles', 400, 'SAME_PROFILE');
+  }
+
+  const [profile1, profile2] = await Promise.all([
+    User.findOne({ _id: profileId1, clientId }),
+    User.findOne({ _id: profileId2, clientId })
+  ]);
+
+  if (!profile1 || !profile2) {
+    throw new ServiceError('One or both profiles not found', 404, 'PROFILE_NOT_FOUND');
+  }
+
+  // Stable order so (A, B) and (B, A) share a cache entry
+  const ordered = [profile1, profile2].sort((a, b) => String(a._id).localeCompare(String(b._id)));
+  const pairKey = ordered.map(p => String(p._id)).join(':');
+  const profilesUpdatedAt = ordered.map(p => p.updatedAt);
+  const [template, scoringProfile] = await Promise.all([
+    getActivePromptTemplate('introduction'),
+    getScoringProfile(clientId)
+  ]);
+
+  if (!refresh) {
+    const cached = await IntroductionDraft.findOne({ clientId, pairKey, tone, length }).lean();
+    if (cached &&
+      cached.promptVersion === template.version &&
+      cached.scoringVersion === scoringProfile.version &&
+      sameDates(cached.profilesUpdatedAt, profilesUpdatedAt)) {
+      console.log(`💾 Introduction served from cache: ${pairKey} (${tone}, ${length})`);
+      return formatIntroduction(cached, profile1, profile2, true);
+    }
+  }
+
+  const matchData = await getMutualMatchScore(profile1._id, profile2._id, scoringProfile);
+  const targets1 = relevantTargets(profile1, profile2, matchData.reasons1to2);
+  const targets2 = relevantTargets(profile2, profile1, matchData.reasons2to1);
+
+  const messages = renderPrompt(template, {
+    name1: profile1.name,
+    name2: profile2.name,
+    profile1: describeProfile(profile1, targets1),
+    profile2: describeProfile(profile2, targets2),
+    reasons: [
+      describeReasons(profile1.name, matchData.reasons1to2),
+      describeReasons(profile2.name, matchData.reasons2to1)
+    ].join('\n'),
+    tone,
+    length: INTRODUCTION_LENGTHS[length]
+  });
+
+  const provider = getLlmProvider();
+  const settings = resolveLlmSettings(provider, await getClientLlmSettings(clientId));
+
+  console.log(`🤝 Drafting introduction for ${profile1.name} ↔ ${profile2.name} with ${provider.name} (${settings.model})...`);
+
+  const { drafts, model } = await requestDrafts(provider, settings, messages, {
+    profile1: { name: profile1.name, role: profile1.role, industry: profile1.industry },
+    profile2: { name: profile2.name, role: profile2.role, industry: profile2.industry },
+    tone,
+    length
+  });
+
+  const now = new Date();
+  const entry = {
+    clientId,
+    pairKey,
+    profileIds: ordered.map(p => p._id),
+    tone,
+    length,
+    drafts: {
+      [String(profile1._id)]: drafts.toProfile1,
+      [String(profile2._id)]: drafts.toProfile2
+    },
+    grounding: {
+      [String(profile1._id)]: { targets: targets1, reasons: matchData.reasons1to2 },
+      [String(profile2._id)]: { targets: targets2, reasons: matchData.reasons2to1 }
+    },
+    profilesUpdatedAt,
+    promptVersion: template.version,
+    scoringVersion: scoringProfile.version,
+    model,
+    generatedAt: now,
+    expiresAt: new Date(now.getTime() + CACHE_TTL_MS)
+  };
+
+  try {
+    await IntroductionDraft.updateOne({ clientId, pairKey, tone, length }, { $set: entry }, { upsert: true });
+  } catch (error) {
+    console.error('⚠️  Failed to cache introduction:', error.message);
+  }
+
+  return formatIntroduction(entry, profile1, profile2, false);
+}
+
+module.exports = {
+  INTRODUCTION_TONES,
+  INTRODUCTION_LENGTHS,
+  draftIntroduction
+};
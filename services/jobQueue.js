@@ -0,0 +1,263 @@
+const os = require('os');
+const { Job } = require('../models/Job');
+
+/**
+ * Mongo-backed job queue
+ * Handlers are registered per job type; a single polling worker per process
+ * claims due jobs one at a time and retries failures with exponential backoff.
+ */
+
+const handlers = new Map();
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const BASE_BACKOFF_MS = parseInt(process.env.JOB_BACKOFF_MS) || 5000;
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 5 * 60 * 1000;
+// A running job renews its lock well before it could expire
+const LOCK_RENEW_INTERVAL_MS = Math.floor(LOCK_TIMEOUT_MS / 3);
+
+let pollTimer = null;
+let running = false;
+
+/**
+ * Register the handler for a job type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (job, { setProgress }) => result
+ */
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type (must have a registered handler)
+ * @param {Object} payload - Data passed to the handler
+ * @param {Object} options - { clientId?, maxAttempts?, runAt? }
+ * @returns {Object} The created job document
+ */
+async function enqueueJob(type, payload, options = {}) {
+  const { clientId, maxAttempts = 3, runAt = new Date() } = options;
+
+  const job = await Job.create({
+    type,
+    payload,
+    clientId,
+    maxAttempts,
+    runAt
+  });
+
+  console.log(`📥 Job queued: ${type} (${job._id})`);
+
+  return job;
+}
+
+/**
+ * Delay before the next attempt: base * 2^(attempt - 1)
+ */
+function getBackoffDelay(attempt) {
+  return BASE_BACKOFF_MS * Math.pow(2, Math.max(0, attempt - 1));
+}
+
+/**
+ * Fail jobs whose worker died on their last attempt
+ */
+async function failExhaustedJobs(now) {
+  const { modifiedCount } = await Job.updateMany(
+    {
+      type: { $in: [...handlers.keys()] },
+      status: 'running',
+      lockedAt: { $lte: new Date(now - LOCK_TIMEOUT_MS) },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    },
+    {
+      $set: {
+        status: 'failed',
+        lastError: { message: 'Worker stopped during the last attempt', code: 'JOB_LOCK_EXPIRED', at: now },
+        completedAt: now,
+        lockedAt: null,
+        lockedBy: null
+      }
+    }
+  );
+
+  if (modifiedCount > 0) {
+    console.error(`❌ ${modifiedCount} job(s) failed permanently: lock expired on the last attempt`);
+  }
+}
+
+/**
+ * Atomically claim the next due job.
+ * Jobs left running by a crashed worker are picked up again once their lock
+ * expires, as long as they have attempts left.
+ */
+async function claimNextJob() {
+  const now = new Date();
+
+  await failExhaustedJobs(now);
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        {
+          status: 'running',
+          lockedAt: { $lte: new Date(now - LOCK_TIMEOUT_MS) },
+          $expr: { $lt: ['$attempts', '$maxAttempts'] }
+        }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedAt: now, lockedBy: WORKER_ID },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Run a claimed job and record its outcome
+ */
+async function processJob(job) {
+  const handler = handlers.get(job.type);
+
+  const setProgress = async (step, percent) => {
+    await Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      { $set: { progress: { step, percent } } }
+    );
+  };
+
+  console.log(`⚙️  Running job ${job.type} (${job._id}), attempt ${job.attempts}/${job.maxAttempts}`);
+
+  // Keep the lock fresh while the handler runs, so a long job is not
+  // reclaimed (and run a second time) as if this worker had died
+  const heartbeat = setInterval(() => {
+    Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      { $set: { lockedAt: new Date() } }
+    ).catch(error => console.error(`⚠️  Failed to renew the lock of job ${job._id}:`, error.message));
+  }, LOCK_RENEW_INTERVAL_MS);
+
+  try {
+    const result = await handler(job, { setProgress });
+
+    const { matchedCount } = await Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      {
+        $set: {
+          status: 'completed',
+          result: result || null,
+          progress: { step: 'completed', percent: 100 },
+          completedAt: new Date(),
+          lockedAt: null,
+          lockedBy: null
+        }
+      }
+    );
+
+    if (matchedCount === 0) {
+      console.warn(`⚠️  Job ${job._id} finished after its lock was taken over; result discarded`);
+      return;
+    }
+
+    console.log(`✅ Job completed: ${job.type} (${job._id})`);
+  } catch (error) {
+    // Errors flagged as non-retryable fail the job immediately
+    const canRetry = error.retryable !== false && job.attempts < job.maxAttempts;
+    const lastError = {
+      message: error.message,
+      code: error.code || 'JOB_FAILED',
+      at: new Date()
+    };
+
+    if (canRetry) {
+      const delay = getBackoffDelay(job.attempts);
+
+      const { matchedCount } = await Job.updateOne(
+        { _id: job._id, lockedBy: WORKER_ID },
+        {
+          $set: {
+            status: 'queued',
+            runAt: new Date(Date.now() + delay),
+            lastError,
+            lockedAt: null,
+            lockedBy: null
+          }
+        }
+      );
+
+      if (matchedCount > 0) {
+        console.warn(`⚠️  Job ${job._id} failed (${error.message}), retrying in ${delay / 1000}s`);
+      }
+    } else {
+      const { matchedCount } = await Job.updateOne(
+        { _id: job._id, lockedBy: WORKER_ID },
+        {
+          $set: {
+            status: 'failed',
+            lastError,
+            completedAt: new Date(),
+            lockedAt: null,
+            lockedBy: null
+          }
+        }
+      );
+
+      if (matchedCount > 0) {
+        console.error(`❌ Job failed permanently: ${job.type} (${job._id}): ${error.message}`);
+      }
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Process due jobs until the queue is drained, then schedule the next poll
+ */
+async function poll() {
+  if (!running) return;
+
+  try {
+    let job = await claimNextJob();
+    while (job && running) {
+      await processJob(job);
+      job = await claimNextJob();
+    }
+  } catch (error) {
+    console.error('❌ Job worker error:', error);
+  }
+
+  if (running) {
+    pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Start the polling worker for this process
+ */
+function startJobWorker() {
+  if (running) return;
+  running = true;
+  console.log(`👷 Job worker started (${WORKER_ID}) for: ${[...handlers.keys()].join(', ')}`);
+  poll();
+}
+
+/**
+ * Stop the polling worker (the job in progress, if any, is allowed to finish)
+ */
+function stopJobWorker() {
+  running = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  startJobWorker,
+  stopJobWorker
+};
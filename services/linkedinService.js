@@ -1,122 +1,204 @@
-const axios = require('axios');
+const NodeCache = require('node-cache');
+const { ApiKey } = require('../models/ApiKey');
+const { LinkedInCache } = require('../models/LinkedInCache');
+const { getProfileDataProvider } = require('./profileDataProviders');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { linkedinUrlKey } = require('../utils/linkedinUrl');
 
 /**
- * Scrape LinkedIn profile using People Data Labs API
- * @param {string} linkedinUrl - LinkedIn profile URL
- * @returns {Object} Normalized profile data
+ * LinkedIn data is cached per normalized URL and provider chain (a client
+ * using the fixture provider never sees, or feeds, production PDL data):
+ * - younger than LINKEDIN_CACHE_TTL_DAYS: served from cache
+ * - older, but younger than LINKEDIN_CACHE_MAX_STALE_DAYS: served from cache
+ *   while a background job refreshes it (stale-while-revalidate)
+ * - older than that (or missing): fetched from the providers before returning
+ * A short-lived in-process cache sits in front of the MongoDB one.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CACHE_TTL_MS = (parseFloat(process.env.LINKEDIN_CACHE_TTL_DAYS) || 7) * DAY_MS;
+const CACHE_MAX_STALE_MS = (parseFloat(process.env.LINKEDIN_CACHE_MAX_STALE_DAYS) || 30) * DAY_MS;
+const REFRESH_LOCK_MS = 10 * 60 * 1000;
+
+const LINKEDIN_REFRESH_JOB = 'linkedin.refresh';
+
+const memoryCache = new NodeCache({
+  stdTTL: parseInt(process.env.LINKEDIN_MEMORY_CACHE_SECONDS) || 600,
+  useClones: false
+});
+
+/**
+ * Provider chain configured for a client (ApiKey.profileDataProviders),
+ * falling back to the PROFILE_DATA_PROVIDERS env default.
+ * Read from the client's newest key that has not been revoked.
+ */
+async function getClientProviderNames(clientId) {
+  if (!clientId) return null;
+
+  const apiKey = await ApiKey.findOne({ clientId, revokedAt: null })
+    .sort({ createdAt: -1 })
+    .select('profileDataProviders')
+    .lean();
+
+  return apiKey?.profileDataProviders || null;
+}
+
+const memoryKey = (urlKey, providers) => `${providers}|${urlKey}`;
+
+/**
+ * Fetch from the providers and store the result in both cache layers
+ * @param {Object} provider - Chain from getProfileDataProvider
+ */
+async function fetchAndCache(linkedinUrl, urlKey, provider) {
+  console.log(`🔍 Fetching LinkedIn data for: ${linkedinUrl} (${provider.name})`);
+
+  const summary = await provider.fetch(linkedinUrl);
+  if (!summary) return null;
+
+  const now = new Date();
+  const entry = {
+    urlKey,
+    providers: provider.name,
+    summary,
+    source: summary.source,
+    fetchedAt: now,
+    refreshingAt: null,
+    expiresAt: new Date(now.getTime() + CACHE_MAX_STALE_MS)
+  };
+
+  try {
+    await LinkedInCache.updateOne({ urlKey, providers: provider.name }, { $set: entry }, { upsert: true });
+  } catch (error) {
+    console.error('⚠️  Failed to cache LinkedIn data:', error.message);
+  }
+  memoryCache.set(memoryKey(urlKey, provider.name), entry);
+
+  return entry;
+}
+
+/**
+ * Look up a cached entry for a provider chain (memory first, then MongoDB)
  */
-async function scrapeLinkedIn(linkedinUrl) {
+async function readCache(urlKey, providers) {
+  const cached = memoryCache.get(memoryKey(urlKey, providers));
+  if (cached) return cached;
+
   try {
-    console.log(`🔍 Fetching LinkedIn data for: ${linkedinUrl}`);
-    
-    const response = await axios.get('https://api.peopledatalabs.com/v5/person/enrich', {
-      params: {
-        profile: linkedinUrl,
-        pretty: true
-      },
-      headers: {
-        'X-Api-Key': process.env.PDL_API_KEY || 'a7291424af9cee8e3af7ee04cbbbd2984e1f6a3115e487ad2f77d7c2eba03bce'
+    const entry = await LinkedInCache.findOne({ urlKey, providers }).lean();
+    if (entry) memoryCache.set(memoryKey(urlKey, providers), entry);
+    return entry;
+  } catch (error) {
+    console.error('⚠️  LinkedIn cache lookup failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Queue a background refresh unless one is already pending
+ */
+async function scheduleRefresh(linkedinUrl, urlKey, providers, clientId) {
+  try {
+    const now = new Date();
+    const claimed = await LinkedInCache.updateOne(
+      {
+        urlKey,
+        providers,
+        $or: [
+          { refreshingAt: null },
+          { refreshingAt: { $lt: new Date(now.getTime() - REFRESH_LOCK_MS) } }
+        ]
       },
-      timeout: 10000 // 10 second timeout
-    });
+      { $set: { refreshingAt: now } }
+    );
 
-    const person = response.data?.data;
-    
-    if (!person) {
-      console.warn('⚠️ No profile data found in response');
-      return null;
+    if (claimed.modifiedCount > 0) {
+      await enqueueJob(LINKEDIN_REFRESH_JOB, { linkedinUrl, providers, clientId }, { clientId, maxAttempts: 3 });
+      console.log(`🔄 Stale LinkedIn data for ${urlKey}, refresh queued`);
     }
+  } catch (error) {
+    console.error('⚠️  Failed to queue LinkedIn refresh:', error.message);
+  }
+}
+
+const withFetchedAt = (entry) => ({ ...entry.summary, fetchedAt: entry.fetchedAt });
+
+/**
+ * Get normalized LinkedIn profile data, from cache when possible
+ * @param {string} linkedinUrl - LinkedIn profile URL
+ * @param {Object} options - { clientId? } selects the client's provider chain,
+ *                           { forceRefresh? } skips the cache,
+ *                           { propagateRetryable? } throws transient provider errors instead of returning null
+ * @returns {Object|null} Normalized profile data (linkedinSummary shape) with `fetchedAt`
+ */
+async function scrapeLinkedIn(linkedinUrl, options = {}) {
+  const { clientId, forceRefresh = false, propagateRetryable = false } = options;
+  const urlKey = linkedinUrlKey(linkedinUrl);
 
-    // Normalize education data
-    let education = [];
-    if (Array.isArray(person.education)) {
-      education = person.education.map(e => ({
-        school: e.school?.name || e.school_name || '',
-        degree: Array.isArray(e.degrees) ? e.degrees[0] : e.degree || '',
-        fieldOfStudy: e.majors?.[0] || e.field_of_study || '',
-        startDate: e.start_date || '',
-        endDate: e.end_date || ''
-      }));
-    } else if (person.education && typeof person.education === 'object') {
-      education = [{
-        school: person.education.school?.name || person.education.school_name || '',
-        degree: Array.isArray(person.education.degrees) ? person.education.degrees[0] : '',
-        fieldOfStudy: person.education.majors?.[0] || '',
-        startDate: person.education.start_date || '',
-        endDate: person.education.end_date || ''
-      }];
+  try {
+    const provider = getProfileDataProvider(await getClientProviderNames(clientId));
+
+    if (!forceRefresh) {
+      const entry = await readCache(urlKey, provider.name);
+
+      if (entry) {
+        const age = Date.now() - new Date(entry.fetchedAt).getTime();
+
+        if (age < CACHE_TTL_MS) {
+          console.log(`💾 LinkedIn data served from cache: ${urlKey}`);
+          return withFetchedAt(entry);
+        }
+
+        if (age < CACHE_MAX_STALE_MS) {
+          console.log(`💾 Stale LinkedIn data served from cache: ${urlKey}`);
+          await scheduleRefresh(linkedinUrl, urlKey, provider.name, clientId);
+          return withFetchedAt(entry);
+        }
+      }
     }
 
-    // Normalize experience data
-    let experience = [];
-    if (Array.isArray(person.experience)) {
-      experience = person.experience.map(exp => ({
-        title: exp.title?.name || exp.job_title || '',
-        company: exp.company?.name || exp.company_name || '',
-        location: exp.location?.name || exp.location || '',
-        startDate: exp.start_date || '',
-        endDate: exp.end_date || exp.is_current ? 'Present' : '',
-        description: exp.summary || ''
-      }));
+    const entry = await fetchAndCache(linkedinUrl, urlKey, provider);
+
+    if (!entry) {
+      console.warn('⚠️ No profile data found');
+      return null;
     }
 
-    // Get current job info
-    const currentJob = experience.find(exp => exp.endDate === 'Present' || !exp.endDate) || {};
-
-    // Normalize skills and interests
-    const skills = Array.isArray(person.skills) ? person.skills.slice(0, 20) : [];
-    const interests = Array.isArray(person.interests) ? person.interests.slice(0, 15) : [];
-
-    // Build comprehensive summary
-    const summary = {
-      name: person.full_name || '',
-      title: person.job_title || currentJob.title || '',
-      company: person.job_company_name || currentJob.company || '',
-      industry: person.industry || person.job_company_industry || '',
-      location: person.location_name || person.job_company_location_region || '',
-      headline: Array.isArray(person.job_title_levels) && person.job_title_levels.length > 0
-        ? person.job_title_levels[0]
-        : person.job_title || '',
-      about: person.summary || '',
-      education,
-      experience,
-      currentJob: {
-        title: currentJob.title || person.job_title || '',
-        company: currentJob.company || person.job_company_name || '',
-        location: currentJob.location || person.job_company_location_region || '',
-        startDate: currentJob.startDate || person.job_start_date || ''
-      },
-      skills,
-      interests,
-      linkedinUrl: person.linkedin_url ? `https://${person.linkedin_url}` : linkedinUrl,
-      profilePictureUrl: person.profile_pic_url || '',
-      connections: person.linkedin_connections || 0
-    };
-
-    console.log(`✅ LinkedIn data scraped successfully:`, {
-      name: summary.name,
-      title: summary.title,
-      skills: summary.skills.length,
-      education: summary.education.length,
-      experience: summary.experience.length
+    console.log(`✅ LinkedIn data fetched from ${entry.source}:`, {
+      name: entry.summary.name,
+      title: entry.summary.title,
+      skills: entry.summary.skills.length,
+      education: entry.summary.education.length,
+      experience: entry.summary.experience.length
     });
 
-    return summary;
-
+    return withFetchedAt(entry);
   } catch (error) {
-    if (error.response) {
-      console.error('⚠️ PDL API Error:', {
-        status: error.response.status,
-        message: error.response.data?.error?.message || error.response.statusText
-      });
-    } else if (error.request) {
-      console.error('⚠️ No response from PDL API:', error.message);
-    } else {
-      console.error('⚠️ LinkedIn scraping error:', error.message);
-    }
-    
+    console.error('⚠️ LinkedIn scraping error:', error.message);
+    if (propagateRetryable && error.retryable) throw error;
     return null;
   }
 }
 
-module.exports = { scrapeLinkedIn };
\ No newline at end of file
+// Background stale-while-revalidate refresh
+registerJobHandler(LINKEDIN_REFRESH_JOB, async (job) => {
+  const { linkedinUrl, providers, clientId } = job.payload;
+  const urlKey = linkedinUrlKey(linkedinUrl);
+
+  // Refresh the entry through the chain it was fetched with
+  const provider = getProfileDataProvider(
+    providers ? providers.split('>') : await getClientProviderNames(clientId)
+  );
+
+  try {
+    const entry = await fetchAndCache(linkedinUrl, urlKey, provider);
+    return { urlKey, providers: provider.name, refreshed: !!entry };
+  } finally {
+    // Release the lock so a later request can schedule another refresh
+    await LinkedInCache.updateOne({ urlKey, providers: provider.name }, { $set: { refreshingAt: null } });
+  }
+});
+
+module.exports = {
+  LINKEDIN_REFRESH_JOB,
+  scrapeLinkedIn
+};
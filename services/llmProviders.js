@@ -0,0 +1,270 @@
+const fs = require('fs');
+const OpenAI = require('openai');
+const { ServiceError } = require('../utils/ServiceError');
+const { markUpstreamError } = require('../utils/upstreamError');
+
+/**
+ * LLM providers
+ * Each provider exposes
+ *   { name, defaultModel, complete(request) => Promise<{ content, model }> }
+ * where request is { task, input, messages, model, temperature, maxTokens, json }.
+ * `task` names the calling feature (e.g. 'enrichProfile') and `input` is its
+ * raw input; the network providers only use `messages`, the fixture provider
+ * uses task/input to build a deterministic answer.
+ */
+
+// Per-client overrides accepted on ApiKey.llmSettings
+const LLM_SETTING_LIMITS = {
+  temperature: { min: 0, max: 2 },
+  maxTokens: { min: 1, max: 16000 }
+};
+
+/**
+ * OpenAI chat completions; also used for OpenAI-compatible endpoints
+ * (vLLM, Ollama, LM Studio, ...) through `baseURL`
+ */
+function createOpenAIProvider(options = {}) {
+  const name = options.name || 'openai';
+  const jsonMode = options.jsonMode ?? process.env.LLM_JSON_MODE !== 'false';
+  let client = null;
+
+  return {
+    name,
+    defaultModel: options.defaultModel || 'gpt-4o-mini',
+    async complete({ messages, model, temperature, maxTokens, json }) {
+      // Created lazily so the module can load without an API key
+      client = client || new OpenAI({
+        apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+        ...(options.baseURL && { baseURL: options.baseURL })
+      });
+
+      let completion;
+      try {
+        completion = await client.chat.completions.create({
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          ...(json && jsonMode && { response_format: { type: 'json_object' } })
+        });
+      } catch (error) {
+        throw markUpstreamError(error);
+      }
+
+      return {
+        content: completion.choices[0]?.message?.content || '',
+        model: completion.model || model
+      };
+    }
+  };
+}
+
+/**
+ * Any OpenAI-compatible endpoint (LLM_BASE_URL, optional LLM_API_KEY)
+ */
+function createOpenAICompatibleProvider(options = {}) {
+  const baseURL = options.baseURL || process.env.LLM_BASE_URL;
+  if (!baseURL) {
+    throw new Error('LLM_BASE_URL is not configured');
+  }
+
+  return createOpenAIProvider({
+    name: 'openai-compatible',
+    baseURL,
+    // Most local servers ignore the key, but the SDK requires one
+    apiKey: options.apiKey || process.env.LLM_API_KEY || 'not-needed',
+    defaultModel: options.defaultModel || 'local-model',
+    jsonMode: options.jsonMode
+  });
+}
+
+/**
+ * Deterministic answers per task for the fixture provider
+ * Each builder turns the task input into the JSON object a model would return.
+ */
+const FIXTURE_BUILDERS = {
+  enrichProfile(profile = {}) {
+    const summary = profile.linkedinSummary || {};
+    const skills = (profile.skills?.length ? profile.skills : summary.skills) || [];
+    const interests = (profile.interests?.length ? profile.interests : summary.interests) || [];
+    const role = profile.role || summary.title || 'Professional';
+    const industry = profile.industry || summary.industry || '';
+
+    return {
+      enrichedBio: profile.bio || summary.about || `${profile.name || 'This professional'} works as ${role}${industry ? ` in ${industry}` : ''}.`,
+      enrichedSkills: skills.length ? skills.slice(0, 10) : [role],
+      role,
+      industry,
+      businessType: profile.businessType || '',
+      location: profile.location || summary.location || '',
+      analyzedInterests: interests.slice(0, 10),
+      collaborationTargets: [
+        {
+          type: 'Growth Marketer with B2B experience',
+          reason: `Brings distribution skills that complement ${role} work`,
+          potentialCollaboration: 'Joint go-to-market plan for a new offering',
+          keywords: ['marketing', 'growth', 'b2b'],
+          industries: industry ? [industry] : [],
+          roles: ['Growth Marketer', 'Marketing Manager'],
+          mutualBenefit: 'Product expertise in exchange for audience and pipeline',
+          priority: 8
+        },
+        {
+          type: 'Software Engineer with product experience',
+          reason: 'Can turn ideas into working prototypes quickly',
+          potentialCollaboration: 'Build and test a prototype together',
+          keywords: ['engineering', 'prototype', 'product'],
+          industries: industry ? [industry] : [],
+          roles: ['Software Engineer', 'Full Stack Developer'],
+          mutualBenefit: 'Domain knowledge in exchange for technical delivery',
+          priority: 7
+        }
+      ]
+    };
+  },
+
+  introduction({ profile1 = {}, profile2 = {} } = {}) {
+    const firstName = (profile) => (profile.name || 'there').split(' ')[0];
+    const describe = (profile) => [profile.role, profile.industry && `in ${profile.industry}`].filter(Boolean).join(' ') || 'a professional';
+
+    return {
+      toProfile1: `Hi ${firstName(profile1)}, I'd like to introduce you to ${profile2.name || 'a new contact'}, ${describe(profile2)}. Your collaboration goals line up well, and a short call could show where you can help each other.`,
+      toProfile2: `Hi ${firstName(profile2)}, I'd like to introduce you to ${profile1.name || 'a new contact'}, ${describe(profile1)}. Your collaboration goals line up well, and a short call could show where you can help each other.`
+    };
+  }
+};
+
+/**
+ * Fixture provider for tests and air-gapped environments
+ * Answers come from `options.responses` / LLM_FIXTURES_PATH (a JSON object
+ * keyed by task) or, failing that, from the built-in FIXTURE_BUILDERS.
+ */
+function createFixtureProvider(options = {}) {
+  const fixturesPath = options.path || process.env.LLM_FIXTURES_PATH;
+  let responses = options.responses || null;
+
+  return {
+    name: 'fixture',
+    defaultModel: 'fixture',
+    async complete({ task, input, model }) {
+      if (!responses) {
+        responses = fixturesPath ? JSON.parse(fs.readFileSync(fixturesPath, 'utf8')) : {};
+      }
+
+      let answer = responses[task];
+      if (answer === undefined) {
+        const build = FIXTURE_BUILDERS[task];
+        if (!build) {
+          throw new Error(`No LLM fixture for task: ${task}`);
+        }
+        answer = build(input);
+      }
+
+      return {
+        content: typeof answer === 'string' ? answer : JSON.stringify(answer),
+        model: model || 'fixture'
+      };
+    }
+  };
+}
+
+const providerFactories = {
+  openai: createOpenAIProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  fixture: createFixtureProvider
+};
+
+const LLM_PROVIDERS = Object.keys(providerFactories);
+
+let activeProvider = null;
+
+/**
+ * Get the configured provider (LLM_PROVIDER=openai|openai-compatible|fixture, defaults to openai)
+ */
+function getLlmProvider() {
+  if (!activeProvider) {
+    const name = process.env.LLM_PROVIDER || 'openai';
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    activeProvider = factory();
+  }
+  return activeProvider;
+}
+
+/**
+ * Override the provider (e.g. a fixture one in tests)
+ */
+function setLlmProvider(provider) {
+  activeProvider = provider;
+}
+
+const parseNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+/**
+ * Model settings for a call: client overrides, then LLM_MODEL /
+ * LLM_TEMPERATURE / LLM_MAX_TOKENS, then the provider defaults
+ * @param {Object} provider - From getLlmProvider()
+ * @param {Object} overrides - { model?, temperature?, maxTokens? } (ApiKey.llmSettings)
+ */
+function resolveLlmSettings(provider, overrides = {}) {
+  const envTemperature = parseNumber(process.env.LLM_TEMPERATURE);
+  const envMaxTokens = parseNumber(process.env.LLM_MAX_TOKENS);
+
+  return {
+    model: overrides.model || process.env.LLM_MODEL || provider.defaultModel,
+    temperature: overrides.temperature ?? (Number.isFinite(envTemperature) ? envTemperature : 0.7),
+    maxTokens: overrides.maxTokens ?? (Number.isFinite(envMaxTokens) ? envMaxTokens : 2500)
+  };
+}
+
+/**
+ * Validate per-client settings from an admin request
+ * @returns {Object} Cleaned settings ({} clears all overrides)
+ */
+function normalizeLlmSettings(input) {
+  if (input === null) return {};
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new ServiceError('llmSettings must be an object', 400, 'INVALID_LLM_SETTINGS');
+  }
+
+  const settings = {};
+  const errors = [];
+
+  if (input.model !== undefined && input.model !== null) {
+    if (typeof input.model !== 'string' || !input.model.trim()) {
+      errors.push('model must be a non-empty string');
+    } else {
+      settings.model = input.model.trim();
+    }
+  }
+
+  Object.entries(LLM_SETTING_LIMITS).forEach(([field, { min, max }]) => {
+    const value = input[field];
+    if (value === undefined || value === null) return;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      errors.push(`${field} must be a number between ${min} and ${max}`);
+    } else {
+      settings[field] = field === 'maxTokens' ? Math.round(value) : value;
+    }
+  });
+
+  if (errors.length) {
+    throw new ServiceError('Invalid llmSettings', 400, 'INVALID_LLM_SETTINGS', errors);
+  }
+
+  return settings;
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  LLM_SETTING_LIMITS,
+  createOpenAIProvider,
+  createOpenAICompatibleProvider,
+  createFixtureProvider,
+  getLlmProvider,
+  setLlmProvider,
+  resolveLlmSettings,
+  normalizeLlmSettings
+};
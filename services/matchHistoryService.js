@@ -0,0 +1,150 @@
+const { Match } = require('../models/Match');
+const { ServiceError } = require('../utils/ServiceError');
+
+const VALID_RATINGS = ['up', 'down'];
+
+/**
+ * Store the matches returned for a profile
+ * @param {Object} profile - Profile the matches were generated for
+ * @param {Array} matches - Output of findCollaborationMatches
+ * @param {Object} context - { clientId, scoringProfileVersion }
+ * @returns {Array} Created Match documents, in the same order as `matches`
+ */
+async function recordMatches(profile, matches, context = {}) {
+  if (matches.length === 0) return [];
+
+  const docs = matches.map((match, index) => ({
+    clientId: context.clientId,
+    profileId: profile._id,
+    matchedProfileId: match._id,
+    score: match.matchScore,
+    mutualScore: match.mutualReasoning?.mutualScore,
+    reasons: match.mutualReasoning
+      ? {
+        youToThem: match.mutualReasoning.reasonsYouToThem,
+        themToYou: match.mutualReasoning.reasonsThemToYou
+      }
+      : match.matchReasons,
+    rank: index + 1,
+    scoringProfileVersion: context.scoringProfileVersion || 0,
+    snapshot: {
+      role: match.role,
+      industry: match.industry,
+      location: match.location
+    }
+  }));
+
+  return Match.insertMany(docs);
+}
+
+/**
+ * Record feedback on a stored match
+ * @param {string} matchId
+ * @param {string} clientId - Matches are only visible to the client that generated them
+ * @param {Object} feedback - { rating?: 'up'|'down'|null, contacted?: boolean, met?: boolean }
+ */
+async function recordFeedback(matchId, clientId, feedback = {}) {
+  const { rating, contacted, met } = feedback;
+
+  if (rating === undefined && contacted === undefined && met === undefined) {
+    throw new ServiceError('Provide at least one of rating, contacted or met', 400, 'MISSING_FEEDBACK');
+  }
+
+  if (rating !== undefined && rating !== null && !VALID_RATINGS.includes(rating)) {
+    throw new ServiceError(`rating must be one of: ${VALID_RATINGS.join(', ')} (or null to clear)`, 400, 'INVALID_FEEDBACK');
+  }
+
+  if ((contacted !== undefined && typeof contacted !== 'boolean') ||
+      (met !== undefined && typeof met !== 'boolean')) {
+    throw new ServiceError('contacted and met must be booleans', 400, 'INVALID_FEEDBACK');
+  }
+
+  const now = new Date();
+  const set = { 'feedback.updatedAt': now };
+
+  if (rating !== undefined) set['feedback.rating'] = rating;
+  if (contacted !== undefined) {
+    set['feedback.contacted'] = contacted;
+    set['feedback.contactedAt'] = contacted ? now : null;
+  }
+  if (met !== undefined) {
+    set['feedback.met'] = met;
+    set['feedback.metAt'] = met ? now : null;
+  }
+
+  const match = await Match.findOneAndUpdate(
+    { _id: matchId, clientId },
+    { $set: set },
+    { new: true }
+  );
+
+  if (!match) {
+    throw new ServiceError('Match not found', 404, 'MATCH_NOT_FOUND');
+  }
+
+  console.log(`📝 Feedback recorded for match ${match._id}:`, match.feedback.rating || 'no rating');
+
+  return match;
+}
+
+/**
+ * Past match results for a profile, newest first
+ * @param {string} profileId
+ * @param {string} clientId
+ * @param {Object} options - { page?, limit? }
+ */
+async function getMatchHistory(profileId, clientId, options = {}) {
+  const page = Math.max(1, parseInt(options.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(options.limit) || 20));
+  const query = { profileId, clientId };
+
+  const [matches, total] = await Promise.all([
+    Match.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('matchedProfileId', 'name role industry'),
+    Match.countDocuments(query)
+  ]);
+
+  return {
+    matches,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Shape a stored match for API responses
+ */
+function formatMatchRecord(match) {
+  const matched = match.matchedProfileId;
+  const populated = matched && matched.name !== undefined;
+
+  return {
+    matchId: match._id,
+    profileId: match.profileId,
+    matchedProfileId: populated ? matched._id : matched,
+    matchedProfileName: populated ? matched.name : undefined,
+    matchedProfileDeleted: !!match.matchedProfileDeletedAt,
+    matchScore: match.score,
+    mutualScore: match.mutualScore,
+    rank: match.rank,
+    reasons: match.reasons,
+    snapshot: match.snapshot,
+    scoringProfileVersion: match.scoringProfileVersion,
+    feedback: match.feedback,
+    createdAt: match.createdAt
+  };
+}
+
+module.exports = {
+  recordMatches,
+  recordFeedback,
+  getMatchHistory,
+  formatMatchRecord
+};
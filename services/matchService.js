@@ -1,4 +1,20 @@
 const User = require('../models/User');
+const { cosineSimilarity } = require('./embeddingService');
+const { DEFAULT_SCORING_PROFILE } = require('./scoringProfileService');
+const { buildPreferenceModel, personalizeScore } = require('./personalizationService');
+
+// Similarity above which a target is reported as a semantic match reason
+const SEMANTIC_REASON_THRESHOLD = 0.5;
+
+// Upper bound on profiles loaded for full scoring
+const MAX_CANDIDATES = parseInt(process.env.MATCH_MAX_CANDIDATES) || 500;
+
+// Only the fields the scorer and the match response need
+const SCORER_FIELDS = [
+  'name', 'role', 'industry', 'businessType', 'location',
+  'bio', 'enrichedBio', 'skills', 'enrichedSkills', 'interests',
+  'collaborationTargets', 'profileEmbedding', 'embeddingModel'
+].join(' ');
 
 /**
  * Find potential collaboration matches for a user
@@ -13,7 +29,10 @@ async function findCollaborationMatches(userId, options = {}) {
       minScore = 0.3,
       excludeConnected = true,
       clientId = null,
-      includeMutualReasoning = false // NEW: Include bidirectional reasoning
+      includeMutualReasoning = false, // NEW: Include bidirectional reasoning
+      maxCandidates = MAX_CANDIDATES,
+      scoringProfile = DEFAULT_SCORING_PROFILE,
+      personalize = false // Re-rank with the user's past feedback
     } = options;
 
     // Get the user and their collaboration targets
@@ -42,26 +61,37 @@ async function findCollaborationMatches(userId, options = {}) {
       }
     }
 
-    // Get all potential matches
-    const potentialMatches = await User.find(query);
+    // Get a bounded shortlist of potential matches
+    const potentialMatches = await generateCandidates(user, query, maxCandidates);
 
     console.log(`📊 Analyzing ${potentialMatches.length} potential matches...`);
 
+    const preferenceModel = personalize
+      ? await buildPreferenceModel(user, clientId)
+      : null;
+
+    if (preferenceModel) {
+      console.log(`🎛️  Personalizing with ${preferenceModel.signals} feedback signals`);
+    }
+
     // Score each potential match
     const scoredMatches = potentialMatches
       .map(match => {
-        const userToMatchScore = calculateMatchScore(user, match);
+        const userToMatchScore = calculateMatchScore(user, match, scoringProfile);
         const userToMatchReasons = getMatchReasons(user, match);
+        const personalized = personalizeScore(userToMatchScore, user, match, preferenceModel);
         
         let matchData = {
           user: match,
-          score: userToMatchScore,
+          score: personalized.score,
+          baseScore: userToMatchScore,
+          adjustment: personalized.adjustment,
           reasons: userToMatchReasons
         };
 
         // Calculate mutual reasoning if requested
         if (includeMutualReasoning) {
-          const matchToUserScore = calculateMatchScore(match, user);
+          const matchToUserScore = calculateMatchScore(match, user, scoringProfile);
           const matchToUserReasons = getMatchReasons(match, user);
           const mutualScore = (userToMatchScore + matchToUserScore) / 2;
 
@@ -93,7 +123,13 @@ async function findCollaborationMatches(userId, options = {}) {
       matchScore: Math.round(match.score * 100),
       matchReasons: match.reasons,
       collaborationSuggestions: generateCollaborationSuggestions(user, match.user),
-      ...(includeMutualReasoning && { mutualReasoning: match.mutualReasoning })
+      ...(includeMutualReasoning && { mutualReasoning: match.mutualReasoning }),
+      ...(personalize && {
+        personalization: {
+          baseScore: Math.round(match.baseScore * 100),
+          adjustment: Math.round(match.adjustment * 100) // percent change applied to the base score
+        }
+      })
     }));
 
   } catch (error) {
@@ -102,42 +138,158 @@ async function findCollaborationMatches(userId, options = {}) {
   }
 }
 
+/**
+ * Candidate generation
+ * Small pools are scored in full. Larger pools are narrowed with indexed
+ * queries on targets/industry/role, ranked by how many signals each
+ * candidate hits, then topped up with recently enriched profiles.
+ */
+async function generateCandidates(user, query, maxCandidates = MAX_CANDIDATES) {
+  const total = await User.countDocuments(query);
+
+  if (total <= maxCandidates) {
+    return User.find(query).select(SCORER_FIELDS);
+  }
+
+  const branches = buildCandidateBranches(user);
+
+  // Run branches separately so each one can use its own index
+  const branchResults = await Promise.all(
+    branches.map(branch =>
+      User.find({ ...query, ...branch })
+        .select('_id')
+        .limit(maxCandidates)
+        .lean()
+    )
+  );
+
+  const hits = new Map();
+  branchResults.flat().forEach(doc => {
+    const id = String(doc._id);
+    hits.set(id, (hits.get(id) || 0) + 1);
+  });
+
+  const shortlistIds = [...hits.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, maxCandidates)
+    .map(([id]) => id);
+
+  const candidates = shortlistIds.length > 0
+    ? await User.find({ _id: { $in: shortlistIds } }).select(SCORER_FIELDS)
+    : [];
+
+  // Top up so sparse target data still yields a full shortlist
+  if (candidates.length < maxCandidates) {
+    const excluded = [...(query._id?.$nin || []), ...shortlistIds];
+    const filler = await User.find({
+      ...query,
+      _id: { ...query._id, $nin: excluded }
+    })
+      .select(SCORER_FIELDS)
+      .sort({ profileEnrichedAt: -1 })
+      .limit(maxCandidates - candidates.length);
+
+    candidates.push(...filler);
+  }
+
+  console.log(`🎯 Shortlisted ${candidates.length} of ${total} candidates (${shortlistIds.length} from target signals)`);
+
+  return candidates;
+}
+
+/**
+ * Exact-match values in the casings stored data typically uses
+ */
+function caseVariants(values) {
+  const variants = new Set();
+  values.filter(Boolean).forEach(value => {
+    const trimmed = String(value).trim();
+    if (!trimmed) return;
+    variants.add(trimmed);
+    variants.add(trimmed.toLowerCase());
+    variants.add(trimmed.toLowerCase().replace(/\b\w/g, c => c.toUpperCase()));
+  });
+  return [...variants];
+}
+
+/**
+ * Indexed query branches describing promising candidates
+ */
+function buildCandidateBranches(user) {
+  const targets = user.collaborationTargets || [];
+  const targetRoles = caseVariants(targets.flatMap(t => t.roles || []));
+  const targetIndustries = caseVariants(targets.flatMap(t => t.industries || []));
+  const userSkills = caseVariants(user.enrichedSkills?.length ? user.enrichedSkills : user.skills || []);
+
+  const branches = [];
+
+  // Profiles this user is looking for
+  if (targetRoles.length > 0) {
+    branches.push({ role: { $in: targetRoles } });
+  }
+  if (targetIndustries.length > 0) {
+    branches.push({ industry: { $in: targetIndustries } });
+  }
+
+  // Profiles looking for someone like this user
+  if (user.role) {
+    branches.push({ 'collaborationTargets.roles': { $in: caseVariants([user.role]) } });
+  }
+  if (user.industry) {
+    branches.push({ 'collaborationTargets.industries': { $in: caseVariants([user.industry]) } });
+  }
+  if (userSkills.length > 0) {
+    branches.push({ 'collaborationTargets.keywords': { $in: userSkills } });
+  }
+
+  return branches;
+}
+
 /**
  * Calculate match score between two users (0–1)
  * Focuses on complementary connections rather than identical profiles
+ * @param {Object} scoring - Client scoring profile (weights, sameRolePenalty, complementPairs)
  */
-function calculateMatchScore(user1, user2) {
+function calculateMatchScore(user1, user2, scoring = DEFAULT_SCORING_PROFILE) {
+  const { weights: w, sameRolePenalty } = scoring;
   let totalScore = 0;
   let weights = 0;
 
-  // 1️⃣ Collaboration target match (35%)
+  // 1️⃣ Collaboration target match (default 35%)
   const targetScore = calculateTargetMatch(user1, user2);
-  totalScore += targetScore * 0.35;
-  weights += 0.35;
+  totalScore += targetScore * w.collaborationTargets;
+  weights += w.collaborationTargets;
 
-  // 2️⃣ Complementary skills (40%)
+  // 2️⃣ Complementary skills (default 40%)
   const skillScore = calculateComplementarySkills(user1, user2);
-  totalScore += skillScore * 0.4;
-  weights += 0.4;
+  totalScore += skillScore * w.skills;
+  weights += w.skills;
 
-  // 3️⃣ Industry complementarity (15%)
-  const industryScore = calculateIndustryComplement(user1, user2);
-  totalScore += industryScore * 0.15;
-  weights += 0.15;
+  // 3️⃣ Industry complementarity (default 15%)
+  const industryScore = calculateIndustryComplement(user1, user2, scoring);
+  totalScore += industryScore * w.industry;
+  weights += w.industry;
 
-  // 4️⃣ Location proximity (5%)
+  // 4️⃣ Location proximity (default 5%)
   const locationScore = calculateLocationMatch(user1, user2);
-  totalScore += locationScore * 0.05;
-  weights += 0.05;
+  totalScore += locationScore * w.location;
+  weights += w.location;
 
-  // 5️⃣ Shared interests (5%)
+  // 5️⃣ Shared interests (default 5%)
   const interestScore = calculateInterestOverlap(user1, user2);
-  totalScore += interestScore * 0.05;
-  weights += 0.05;
+  totalScore += interestScore * w.interests;
+  weights += w.interests;
+
+  // 6️⃣ Semantic target similarity (default 25%, only when both sides have comparable embeddings)
+  const semanticScore = calculateSemanticTargetMatch(user1, user2);
+  if (semanticScore !== null) {
+    totalScore += semanticScore * w.semantic;
+    weights += w.semantic;
+  }
 
   // 🧩 Penalize identical roles (too similar = less complementary)
   if (user1.role && user2.role && user1.role.toLowerCase() === user2.role.toLowerCase()) {
-    totalScore *= 0.7; // reduce score by 30%
+    totalScore *= sameRolePenalty; // default reduces score by 30%
   }
 
   return weights > 0 ? totalScore / weights : 0;
@@ -193,6 +345,33 @@ function calculateTargetMatch(user1, user2) {
   return Math.min(maxScore, 1);
 }
 
+/**
+ * Best cosine similarity between user1's collaboration target embeddings
+ * and user2's profile embedding.
+ * Returns null when embeddings are missing or come from different models.
+ */
+function calculateSemanticTargetMatch(user1, user2) {
+  const similarities = getTargetSimilarities(user1, user2);
+  if (similarities.length === 0) return null;
+
+  return Math.max(0, ...similarities.map(s => s.similarity));
+}
+
+/**
+ * Cosine similarity of each of user1's targets to user2's profile
+ */
+function getTargetSimilarities(user1, user2) {
+  if (!user1.embeddingModel || user1.embeddingModel !== user2.embeddingModel) return [];
+  if (!user2.profileEmbedding || user2.profileEmbedding.length === 0) return [];
+
+  return (user1.collaborationTargets || [])
+    .filter(target => target.embedding && target.embedding.length > 0)
+    .map(target => ({
+      target,
+      similarity: cosineSimilarity(target.embedding, user2.profileEmbedding)
+    }));
+}
+
 /**
  * Calculate complementary skills score
  */
@@ -216,8 +395,9 @@ function calculateComplementarySkills(user1, user2) {
 
 /**
  * Calculate industry alignment score
+ * Complementary pairs come from the client's scoring profile
  */
-function calculateIndustryComplement(user1, user2) {
+function calculateIndustryComplement(user1, user2, scoring = DEFAULT_SCORING_PROFILE) {
   if (!user1.industry || !user2.industry) return 0.5;
 
   const industry1 = user1.industry.toLowerCase();
@@ -227,17 +407,7 @@ function calculateIndustryComplement(user1, user2) {
   if (industry1 === industry2) return 0.4;
 
   // Reward related or synergistic industries
-  const complementPairs = [
-    ['hospitality', 'marketing'],
-    ['tourism', 'advertising'],
-    ['technology', 'finance'],
-    ['education', 'consulting'],
-    ['real estate', 'architecture'],
-    ['healthcare', 'wellness'],
-    ['food', 'event management']
-  ];
-
-  for (const [a, b] of complementPairs) {
+  for (const [a, b] of scoring.complementPairs) {
     if ((industry1.includes(a) && industry2.includes(b)) || 
         (industry1.includes(b) && industry2.includes(a))) {
       return 1;
@@ -310,6 +480,23 @@ function getMatchReasons(user1, user2) {
     });
   }
 
+  // Semantic matches for targets the role check missed (e.g. "ML Engineer" vs "machine learning")
+  const semanticMatches = getTargetSimilarities(user1, user2)
+    .filter(({ target, similarity }) =>
+      similarity >= SEMANTIC_REASON_THRESHOLD &&
+      !reasons.some(r => r.type === 'target_match' && r.reason.endsWith(target.type))
+    )
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, 1);
+
+  semanticMatches.forEach(({ target, similarity }) => {
+    reasons.push({
+      type: 'semantic_match',
+      reason: `Profile closely fits your target: ${target.type}`,
+      detail: `${Math.round(similarity * 100)}% similarity to what you are looking for`
+    });
+  });
+
   // Complementary skills
   const skills1 = new Set((user1.enrichedSkills || user1.skills || []).map(s => s.toLowerCase()));
   const skills2 = (user2.enrichedSkills || user2.skills || []).map(s => s.toLowerCase());
@@ -377,7 +564,7 @@ function generateCollaborationSuggestions(user1, user2) {
  * Get mutual match score (bidirectional)
  * Now used primarily for the /compare endpoint
  */
-async function getMutualMatchScore(userId1, userId2) {
+async function getMutualMatchScore(userId1, userId2, scoringProfile = DEFAULT_SCORING_PROFILE) {
   const user1 = await User.findById(userId1);
   const user2 = await User.findById(userId2);
 
@@ -385,8 +572,8 @@ async function getMutualMatchScore(userId1, userId2) {
     throw new Error('One or both users not found');
   }
 
-  const score1to2 = calculateMatchScore(user1, user2);
-  const score2to1 = calculateMatchScore(user2, user1);
+  const score1to2 = calculateMatchScore(user1, user2, scoringProfile);
+  const score2to1 = calculateMatchScore(user2, user1, scoringProfile);
 
   // Average the bidirectional scores
   const mutualScore = (score1to2 + score2to1) / 2;
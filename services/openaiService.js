@@ -1,145 +1,99 @@
 require('dotenv').config();
-const OpenAI = require('openai');
+const { ApiKey } = require('../models/ApiKey');
+const { embedProfile } = require('./embeddingService');
+const { getLlmProvider, resolveLlmSettings } = require('./llmProviders');
+const { getActivePromptTemplate, getPromptTemplate, renderPrompt } = require('./promptTemplateService');
+const { ENRICHMENT_FIELDS, validateEnrichment } = require('./enrichmentSchema');
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// Re-asks after the first response when the output fails validation
+const ENRICHMENT_MAX_REPAIRS = Math.max(0, parseInt(process.env.ENRICHMENT_MAX_REPAIRS ?? '2') || 0);
+
+/**
+ * Model overrides configured for a client (ApiKey.llmSettings),
+ * read from the client's newest key that has not been revoked
+ */
+async function getClientLlmSettings(clientId) {
+  if (!clientId) return {};
+
+  const apiKey = await ApiKey.findOne({ clientId, revokedAt: null })
+    .sort({ createdAt: -1 })
+    .select('llmSettings')
+    .lean();
+
+  return apiKey?.llmSettings || {};
+}
 
 /**
  * Enrich profile with AI analysis and generate collaboration targets
  * @param {Object} profileData - User profile data including LinkedIn info
- * @returns {Object} Enriched profile with collaboration suggestions
+ *                               (`clientId` selects the client's model settings)
+ * @param {Object} options - { propagateRetryable? } throw transient provider errors
+ *                           (timeouts, 429, 5xx) instead of returning fallbacks
+ * @returns {Object} Enriched profile with collaboration suggestions,
+ *                   enrichmentStatus ('full' | 'partial' | 'failed') + enrichmentStatusReason,
+ *                   and the promptVersion / llmModel used
  */
-async function enrichProfile(profileData) {
+async function enrichProfile(profileData, options = {}) {
+  // Which prompt version and model produced the result (recorded on the profile)
+  const origin = { promptVersion: null, llmModel: null };
+
   try {
-    // Build comprehensive context from all available data
-    const context = buildProfileContext(profileData);
-    
-    const prompt = `
-You are an expert professional networking and business collaboration AI. Your goal is to deeply analyze a professional's profile and identify the most strategic collaboration opportunities that would be mutually beneficial.
-
-${context}
-
-Your Tasks:
-
-1. **Professional Bio Enhancement**: Write a compelling 2-3 sentence professional bio that captures their expertise, unique value proposition, and professional identity.
-
-2. **Skills Categorization**: Expand and organize their skills into professional domains with proper categorization (e.g., Technical, Management, Communication, Domain-Specific).
-
-3. **Industry & Role Confirmation**: Determine their precise industry and role based on all available data.
-
-4. **Interest Analysis**: Identify professional interests that align with their career trajectory and could lead to collaboration opportunities.
-
-5. **Strategic Collaboration Targets** (MOST IMPORTANT): Identify 6-8 highly specific collaboration targets. For each target, think deeply about:
-   - WHO would complement their skills and fill gaps in their expertise
-   - WHY the collaboration makes strategic business sense
-   - WHAT concrete projects or initiatives they could work on together
-   - HOW both parties would mutually benefit (be specific about value exchange)
-   - PRIORITY level (1-10) based on strategic fit and mutual benefit potential
-
-Quality over quantity: Each collaboration target should be:
-- Specific and actionable (not generic like "any marketing professional")
-- Based on complementary skills/needs, not similar ones
-- Focused on mutual value creation
-- Grounded in their actual experience and aspirations
-
-Examples of GOOD targets:
-- "Product Designer with UX/UI expertise and startup experience" (if user is a developer building a product)
-- "Sales Director in B2B SaaS with enterprise client relationships" (if user has a technical product needing distribution)
-- "Financial Controller specializing in fundraising and investor relations" (if user is a founder needing capital)
-
-Examples of BAD targets:
-- "Marketing professional" (too generic)
-- "Another software developer" (not complementary unless specific gap identified)
-- "Business consultant" (unclear value proposition)
-
-Return ONLY valid JSON in this exact structure (no markdown, no explanations):
-
-{
-  "enrichedBio": "string",
-  "enrichedSkills": ["skill1", "skill2", "skill3"],
-  "role": "string",
-  "industry": "string",
-  "businessType": "string",
-  "location": "string",
-  "analyzedInterests": ["interest1", "interest2"],
-  "collaborationTargets": [
-    {
-      "type": "Specific Role/Profession Title",
-      "reason": "Clear explanation of why this collaboration makes strategic sense",
-      "potentialCollaboration": "Specific project, initiative, or partnership opportunity",
-      "keywords": ["relevant", "searchable", "terms"],
-      "industries": ["relevant", "industries"],
-      "roles": ["specific", "job", "titles"],
-      "mutualBenefit": "Explicit value exchange - what each party gains",
-      "priority": 8
-    }
-  ]
-}
-`;
+    const provider = getLlmProvider();
+    const settings = resolveLlmSettings(provider, await getClientLlmSettings(profileData.clientId));
+    origin.llmModel = settings.model;
 
-    console.log('🤖 Sending profile to OpenAI for enrichment...');
+    const template = await getActivePromptTemplate('enrichProfile');
+    origin.promptVersion = template.version;
+    const messages = buildEnrichmentMessages(profileData, template);
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert professional networking strategist and business matchmaker. Return only valid JSON with deeply analyzed, specific collaboration opportunities. Focus on complementary skills and mutual value creation.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 2500,
-      response_format: { type: "json_object" }
-    });
+    console.log(`🤖 Sending profile to ${provider.name} (${settings.model}) for enrichment...`);
 
-    const content = completion.choices[0].message.content;
-    console.log('🤖 OpenAI Response Length:', content.length, 'characters');
+    const outcome = await requestValidEnrichment(provider, settings, profileData, messages);
+    const { accepted, invalidFields, attempts } = outcome;
+    origin.llmModel = outcome.model || origin.llmModel;
 
-    // Parse and validate the response
-    let enrichedData = JSON.parse(content);
+    // Build result: validated fields, falling back to the input data for the rest
+    const result = {
+      enrichedBio: accepted.enrichedBio ?? (profileData.bio || ''),
+      enrichedSkills: accepted.enrichedSkills ?? (profileData.skills || []),
+      role: accepted.role || profileData.role || '',
+      industry: accepted.industry || profileData.industry || '',
+      businessType: accepted.businessType || profileData.businessType || '',
+      location: accepted.location || profileData.location || '',
+      analyzedInterests: accepted.analyzedInterests?.length ? accepted.analyzedInterests : profileData.interests || [],
+      // Targets that passed validation are kept even when others in the list did not
+      collaborationTargets: accepted.collaborationTargets ?? outcome.validTargets,
+      ...origin
+    };
 
-    // Validate and normalize collaboration targets
-    if (enrichedData.collaborationTargets && Array.isArray(enrichedData.collaborationTargets)) {
-      enrichedData.collaborationTargets = enrichedData.collaborationTargets
-        .map(target => normalizeCollaborationTarget(target))
-        .filter(target => target !== null) // Remove invalid targets
-        .sort((a, b) => (b.priority || 0) - (a.priority || 0)); // Sort by priority
-    } else {
-      enrichedData.collaborationTargets = [];
+    if (Object.keys(accepted).length === 0 && result.collaborationTargets.length === 0) {
+      const reason = `No valid enrichment after ${attempts} attempt(s): ${outcome.lastErrors.slice(0, 5).join('; ')}`;
+      console.error('❌ LLM enrichment failed validation:', reason);
+      return attachEmbeddings({ ...result, enrichmentStatus: 'failed', enrichmentStatusReason: reason });
     }
 
-    // Build result with safe fallbacks
-    const result = {
-      enrichedBio: enrichedData.enrichedBio || profileData.bio || '',
-      enrichedSkills: Array.isArray(enrichedData.enrichedSkills) && enrichedData.enrichedSkills.length > 0
-        ? enrichedData.enrichedSkills
-        : profileData.skills || [],
-      role: enrichedData.role || profileData.role || '',
-      industry: enrichedData.industry || profileData.industry || '',
-      businessType: enrichedData.businessType || profileData.businessType || '',
-      location: enrichedData.location || profileData.location || '',
-      analyzedInterests: Array.isArray(enrichedData.analyzedInterests) && enrichedData.analyzedInterests.length > 0
-        ? enrichedData.analyzedInterests
-        : profileData.interests || [],
-      collaborationTargets: enrichedData.collaborationTargets
-    };
+    result.enrichmentStatus = invalidFields.length === 0 ? 'full' : 'partial';
+    result.enrichmentStatusReason = invalidFields.length === 0
+      ? ''
+      : `Still invalid after ${attempts} attempt(s): ${invalidFields.join(', ')}` +
+        (outcome.repairError ? ` (repair request failed: ${outcome.repairError})` : '');
 
-    console.log('✅ Profile enriched successfully:', {
+    console.log(`✅ Profile enriched (${result.enrichmentStatus}):`, {
       bio: result.enrichedBio.substring(0, 50) + '...',
       skills: result.enrichedSkills.length,
-      targets: result.collaborationTargets.length
+      targets: result.collaborationTargets.length,
+      attempts
     });
 
-    return result;
+    return await attachEmbeddings(result);
 
   } catch (error) {
-    console.error('❌ OpenAI enrichment error:', error.message);
-    
+    console.error('❌ LLM enrichment error:', error.message);
+
+    if (options.propagateRetryable && error.retryable) {
+      throw error;
+    }
+
     if (error.response) {
       console.error('API Error Details:', {
         status: error.response.status,
@@ -148,7 +102,7 @@ Return ONLY valid JSON in this exact structure (no markdown, no explanations):
     }
 
     // Return safe defaults that preserve original data
-    return {
+    return attachEmbeddings({
       enrichedBio: profileData.bio || '',
       enrichedSkills: profileData.skills || [],
       role: profileData.role || '',
@@ -156,11 +110,148 @@ Return ONLY valid JSON in this exact structure (no markdown, no explanations):
       businessType: profileData.businessType || '',
       location: profileData.location || '',
       analyzedInterests: profileData.interests || [],
-      collaborationTargets: []
-    };
+      collaborationTargets: [],
+      ...origin,
+      enrichmentStatus: 'failed',
+      enrichmentStatusReason: error.message
+    });
   }
 }
 
+/**
+ * Ask the model for enrichment JSON and re-ask with the validation errors
+ * until every field is valid or ENRICHMENT_MAX_REPAIRS re-asks were made.
+ * A field that validated in any attempt keeps its first valid value; a
+ * provider error on a re-ask ends the loop with what was accepted so far
+ * (it is only thrown when nothing has been accepted yet).
+ * @returns {Object} { accepted, invalidFields, validTargets, attempts, lastErrors, repairError, model }
+ */
+async function requestValidEnrichment(provider, settings, profileData, messages) {
+  const conversation = [...messages];
+  const accepted = {};
+  let validTargets = [];
+  let lastErrors = [];
+  let attempts = 0;
+  let model = null;
+  let repairError = null;
+
+  for (let repair = 0; repair <= ENRICHMENT_MAX_REPAIRS; repair++) {
+    attempts++;
+
+    let completion;
+    try {
+      completion = await provider.complete({
+        task: 'enrichProfile',
+        input: profileData,
+        messages: conversation,
+        ...settings,
+        json: true
+      });
+    } catch (error) {
+      if (Object.keys(accepted).length === 0 && validTargets.length === 0) throw error;
+
+      console.warn(`⚠️  Enrichment repair attempt failed (${error.message}), keeping the accepted fields`);
+      repairError = error.message;
+      break;
+    }
+
+    const content = completion.content;
+    model = completion.model || model;
+    console.log('🤖 LLM Response Length:', content.length, 'characters');
+
+    let errors;
+    try {
+      const validation = validateEnrichment(JSON.parse(content));
+
+      Object.entries(validation.value).forEach(([field, value]) => {
+        if (accepted[field] === undefined) accepted[field] = value;
+      });
+      if (validation.validTargets.length > validTargets.length) {
+        validTargets = validation.validTargets;
+      }
+
+      // Errors for fields that are still missing a valid value
+      errors = [...new Set(validation.invalidFields
+        .filter(field => accepted[field] === undefined)
+        .flatMap(field => validation.errorsByField[field]))];
+    } catch (error) {
+      errors = [`Response is not valid JSON (${error.message})`];
+    }
+
+    lastErrors = errors;
+    if (errors.length === 0) break;
+
+    if (repair < ENRICHMENT_MAX_REPAIRS) {
+      console.warn(`⚠️  Enrichment output failed validation (${errors.length} error(s)), asking for a repair...`);
+      conversation.push(
+        { role: 'assistant', content },
+        {
+          role: 'user',
+          content: `Your response failed validation:\n- ${errors.join('\n- ')}\n\nReturn the complete JSON object again in the same structure with these problems fixed. Return ONLY valid JSON.`
+        }
+      );
+    }
+  }
+
+  return {
+    accepted,
+    invalidFields: ENRICHMENT_FIELDS.filter(field => accepted[field] === undefined),
+    validTargets,
+    attempts,
+    lastErrors,
+    repairError,
+    model
+  };
+}
+
+/**
+ * Add profile and collaboration target embeddings for semantic matching.
+ * Enrichment still succeeds without them if the embedding provider fails.
+ */
+async function attachEmbeddings(result) {
+  const embeddings = await embedProfile(result);
+  if (!embeddings) return result;
+
+  result.profileEmbedding = embeddings.profileEmbedding;
+  result.embeddingModel = embeddings.embeddingModel;
+  result.collaborationTargets = result.collaborationTargets.map((target, i) => ({
+    ...target,
+    embedding: embeddings.targetEmbeddings[i] || []
+  }));
+
+  return result;
+}
+
+/**
+ * Chat messages for an enrichment request from a prompt template
+ */
+function buildEnrichmentMessages(profileData, template) {
+  return renderPrompt(template, {
+    context: buildProfileContext(profileData),
+    name: profileData.name || ''
+  });
+}
+
+/**
+ * Render the enrichment prompt for a profile without calling the model
+ * @param {Object} profileData - Profile fields as passed to enrichProfile
+ * @param {Object} options - { version? } prompt version (defaults to the active one)
+ * @returns {Object} { promptVersion, provider, settings, messages }
+ */
+async function previewEnrichmentPrompt(profileData, options = {}) {
+  const template = options.version === undefined
+    ? await getActivePromptTemplate('enrichProfile')
+    : await getPromptTemplate('enrichProfile', options.version);
+  const provider = getLlmProvider();
+
+  return {
+    promptVersion: template.version,
+    provider: provider.name,
+    settings: resolveLlmSettings(provider, await getClientLlmSettings(profileData.clientId)),
+    messages: buildEnrichmentMessages(profileData, template)
+  };
+}
+
 /**
  * Build comprehensive profile context for AI analysis
  */
@@ -219,33 +310,4 @@ function buildProfileContext(profileData) {
   return parts.join('\n');
 }
 
-/**
- * Normalize and validate collaboration target object
- */
-function normalizeCollaborationTarget(target) {
-  if (!target || typeof target !== 'object') return null;
-  
-  // Must have at least type and reason
-  if (!target.type || !target.reason) return null;
-  
-  return {
-    type: String(target.type).trim(),
-    reason: String(target.reason).trim(),
-    potentialCollaboration: String(target.potentialCollaboration || '').trim(),
-    keywords: Array.isArray(target.keywords) 
-      ? target.keywords.filter(k => k && typeof k === 'string').map(k => k.trim())
-      : [],
-    industries: Array.isArray(target.industries)
-      ? target.industries.filter(i => i && typeof i === 'string').map(i => i.trim())
-      : [],
-    roles: Array.isArray(target.roles)
-      ? target.roles.filter(r => r && typeof r === 'string').map(r => r.trim())
-      : [],
-    mutualBenefit: String(target.mutualBenefit || '').trim(),
-    priority: typeof target.priority === 'number' 
-      ? Math.max(0, Math.min(10, target.priority))
-      : 5
-  };
-}
-
-module.exports = { enrichProfile };
\ No newline at end of file
+module.exports = { enrichProfile, previewEnrichmentPrompt, getClientLlmSettings };
\ No newline at end of file
@@ -0,0 +1,158 @@
+const User = require('../models/User');
+const { Match } = require('../models/Match');
+
+/**
+ * Feedback-driven re-ranking
+ * Past feedback on stored matches and accepted connections are turned into
+ * affinities for simple candidate features (industry, role, same-industry,
+ * same-role, the candidate itself). The base score from calculateMatchScore
+ * is then scaled up or down by at most MAX_ADJUSTMENT.
+ */
+
+const FEEDBACK_LOOKBACK = 200;
+const MAX_ADJUSTMENT = 0.3;
+
+// Pseudo-count that keeps one or two signals from dominating a feature
+const PRIOR_STRENGTH = 3;
+
+const SIGNAL_WEIGHTS = {
+  up: 1,
+  down: -1,
+  contacted: 1,
+  met: 2,
+  connected: 1.5
+};
+
+// How much each feature family contributes to the adjustment
+const FEATURE_WEIGHTS = {
+  profile: 1,
+  sameIndustry: 0.6,
+  sameRole: 0.4,
+  industry: 0.5,
+  role: 0.3
+};
+
+const normalize = (value) => (value ? String(value).trim().toLowerCase() : '');
+
+/**
+ * Features describing a candidate relative to the user
+ */
+function extractFeatures(user, candidate) {
+  const features = [];
+  const userIndustry = normalize(user.industry);
+  const userRole = normalize(user.role);
+  const industry = normalize(candidate.industry);
+  const role = normalize(candidate.role);
+
+  if (candidate._id) features.push(`profile:${candidate._id}`);
+  if (industry) features.push(`industry:${industry}`);
+  if (role) features.push(`role:${role}`);
+  if (userIndustry && industry) features.push(`sameIndustry:${userIndustry === industry}`);
+  if (userRole && role) features.push(`sameRole:${userRole === role}`);
+
+  return features;
+}
+
+/**
+ * Net signal of a stored match's feedback
+ */
+function feedbackSignal(feedback = {}) {
+  let signal = 0;
+  if (feedback.rating === 'up') signal += SIGNAL_WEIGHTS.up;
+  if (feedback.rating === 'down') signal += SIGNAL_WEIGHTS.down;
+  if (feedback.contacted) signal += SIGNAL_WEIGHTS.contacted;
+  if (feedback.met) signal += SIGNAL_WEIGHTS.met;
+  return signal;
+}
+
+/**
+ * Build the user's preference model from their feedback history
+ * @param {Object} user - User document (with connections)
+ * @param {string} clientId
+ * @returns {Object} { affinities: Map<feature, number>, signals: number }
+ */
+async function buildPreferenceModel(user, clientId = null) {
+  const totals = new Map();
+
+  const addSignal = (candidate, signal) => {
+    if (!signal) return;
+    extractFeatures(user, candidate).forEach(feature => {
+      const entry = totals.get(feature) || { sum: 0, count: 0 };
+      entry.sum += signal;
+      entry.count += 1;
+      totals.set(feature, entry);
+    });
+  };
+
+  const rated = await Match.find({
+    profileId: user._id,
+    ...(clientId && { clientId }),
+    $or: [
+      { 'feedback.rating': { $ne: null } },
+      { 'feedback.contacted': true },
+      { 'feedback.met': true }
+    ]
+  })
+    .sort({ 'feedback.updatedAt': -1 })
+    .limit(FEEDBACK_LOOKBACK)
+    .select('matchedProfileId snapshot feedback')
+    .lean();
+
+  rated.forEach(match => {
+    addSignal(
+      { _id: match.matchedProfileId, ...match.snapshot },
+      feedbackSignal(match.feedback)
+    );
+  });
+
+  const connectedIds = (user.connections || [])
+    .filter(c => c.status === 'accepted')
+    .map(c => c.userId);
+
+  if (connectedIds.length > 0) {
+    const connected = await User.find({ _id: { $in: connectedIds } })
+      .select('_id role industry')
+      .lean();
+    connected.forEach(candidate => addSignal(candidate, SIGNAL_WEIGHTS.connected));
+  }
+
+  const affinities = new Map();
+  totals.forEach(({ sum, count }, feature) => {
+    // Shrink towards 0 until there is enough evidence, bounded to [-1, 1]
+    const affinity = sum / (count + PRIOR_STRENGTH);
+    affinities.set(feature, Math.max(-1, Math.min(1, affinity)));
+  });
+
+  return {
+    affinities,
+    signals: rated.length + connectedIds.length
+  };
+}
+
+/**
+ * Adjust a base match score with the user's preference model
+ * @returns {Object} { score, adjustment }
+ */
+function personalizeScore(baseScore, user, candidate, model) {
+  if (!model || model.affinities.size === 0) {
+    return { score: baseScore, adjustment: 0 };
+  }
+
+  let raw = 0;
+  extractFeatures(user, candidate).forEach(feature => {
+    const affinity = model.affinities.get(feature);
+    if (affinity === undefined) return;
+    const family = feature.split(':')[0];
+    raw += affinity * (FEATURE_WEIGHTS[family] || 0);
+  });
+
+  const adjustment = Math.max(-1, Math.min(1, raw)) * MAX_ADJUSTMENT;
+  const score = Math.max(0, Math.min(1, baseScore * (1 + adjustment)));
+
+  return { score, adjustment };
+}
+
+module.exports = {
+  buildPreferenceModel,
+  personalizeScore
+};
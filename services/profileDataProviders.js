@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { linkedinUrlKey } = require('../utils/linkedinUrl');
+const { markUpstreamError } = require('../utils/upstreamError');
+
+/**
+ * Profile data providers
+ * Each provider exposes { name, fetchPerson(linkedinUrl) => Promise<person|null> }
+ * where `person` is a People Data Labs style person record (full_name,
+ * job_title, experience[], education[], skills[], ...). Providers for other
+ * sources map into that record, and normalizePerson turns it into the
+ * `linkedinSummary` shape stored on profiles, so every source is normalized
+ * the same way.
+ */
+
+const PDL_ENRICH_URL = 'https://api.peopledatalabs.com/v5/person/enrich';
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, '..', 'fixtures', 'profiles.json');
+
+/**
+ * Normalize a person record into the profile `linkedinSummary` shape
+ * @param {Object} person - PDL style person record
+ * @param {string} linkedinUrl - URL the record was fetched for
+ * @param {string} source - Provider name
+ */
+function normalizePerson(person, linkedinUrl, source) {
+  // Normalize education data
+  let education = [];
+  if (Array.isArray(person.education)) {
+    education = person.education.map(e => ({
+      school: e.school?.name || e.school_name || '',
+      degree: Array.isArray(e.degrees) ? e.degrees[0] : e.degree || '',
+      fieldOfStudy: e.majors?.[0] || e.field_of_study || '',
+      startDate: e.start_date || '',
+      endDate: e.end_date || ''
+    }));
+  } else if (person.education && typeof person.education === 'object') {
+    education = [{
+      school: person.education.school?.name || person.education.school_name || '',
+      degree: Array.isArray(person.education.degrees) ? person.education.degrees[0] : '',
+      fieldOfStudy: person.education.majors?.[0] || '',
+      startDate: person.education.start_date || '',
+      endDate: person.education.end_date || ''
+    }];
+  }
+
+  // Normalize experience data
+  let experience = [];
+  if (Array.isArray(person.experience)) {
+    experience = person.experience.map(exp => ({
+      title: exp.title?.name || exp.job_title || '',
+      company: exp.company?.name || exp.company_name || '',
+      location: exp.location?.name || exp.location || '',
+      startDate: exp.start_date || '',
+      endDate: exp.end_date || (exp.is_current ? 'Present' : ''),
+      description: exp.summary || ''
+    }));
+  }
+
+  // Get current job info
+  const currentJob = experience.find(exp => exp.endDate === 'Present' || !exp.endDate) || {};
+
+  // Normalize skills and interests
+  const skills = Array.isArray(person.skills) ? person.skills.slice(0, 20) : [];
+  const interests = Array.isArray(person.interests) ? person.interests.slice(0, 15) : [];
+
+  return {
+    name: person.full_name || '',
+    title: person.job_title || currentJob.title || '',
+    company: person.job_company_name || currentJob.company || '',
+    industry: person.industry || person.job_company_industry || '',
+    location: person.location_name || person.job_company_location_region || '',
+    headline: Array.isArray(person.job_title_levels) && person.job_title_levels.length > 0
+      ? person.job_title_levels[0]
+      : person.job_title || '',
+    about: person.summary || '',
+    education,
+    experience,
+    currentJob: {
+      title: currentJob.title || person.job_title || '',
+      company: currentJob.company || person.job_company_name || '',
+      location: currentJob.location || person.job_company_location_region || '',
+      startDate: currentJob.startDate || person.job_start_date || ''
+    },
+    skills,
+    interests,
+    linkedinUrl: person.linkedin_url
+      ? (/^https?:\/\//.test(person.linkedin_url) ? person.linkedin_url : `https://${person.linkedin_url}`)
+      : linkedinUrl,
+    profilePictureUrl: person.profile_pic_url || '',
+    connections: person.linkedin_connections || 0,
+    source
+  };
+}
+
+/**
+ * People Data Labs person enrichment
+ */
+function createPdlProvider(options = {}) {
+  const timeout = options.timeout || 10000;
+
+  return {
+    name: 'pdl',
+    async fetchPerson(linkedinUrl) {
+      const apiKey = options.apiKey || process.env.PDL_API_KEY;
+      if (!apiKey) {
+        throw new Error('PDL_API_KEY is not configured');
+      }
+
+      try {
+        const response = await axios.get(PDL_ENRICH_URL, {
+          params: { profile: linkedinUrl },
+          headers: { 'X-Api-Key': apiKey },
+          timeout
+        });
+        return response.data?.data || null;
+      } catch (error) {
+        // 404 means PDL has no record for this profile
+        if (error.response?.status === 404) return null;
+        markUpstreamError(error);
+        if (error.response) {
+          const message = error.response.data?.error?.message || error.response.statusText;
+          const apiError = new Error(`PDL API error ${error.response.status}: ${message}`);
+          apiError.retryable = error.retryable;
+          throw apiError;
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Fixture-backed provider for tests and offline development
+ * Reads a JSON object mapping LinkedIn URLs to person records.
+ */
+function createFixtureProvider(options = {}) {
+  const fixturesPath = options.path || process.env.PROFILE_FIXTURES_PATH || DEFAULT_FIXTURES_PATH;
+  let records = options.records ? indexRecords(options.records) : null;
+
+  function indexRecords(raw) {
+    return new Map(Object.entries(raw).map(([url, person]) => [linkedinUrlKey(url), person]));
+  }
+
+  return {
+    name: 'fixture',
+    async fetchPerson(linkedinUrl) {
+      if (!records) {
+        records = indexRecords(JSON.parse(fs.readFileSync(fixturesPath, 'utf8')));
+      }
+      return records.get(linkedinUrlKey(linkedinUrl)) || null;
+    }
+  };
+}
+
+/**
+ * Try providers in order; the first one that returns a record wins.
+ * Errors are logged and the next provider is tried. When no provider has a
+ * record and one of them failed transiently (timeout, 429, 5xx), that error
+ * is thrown so the caller can retry instead of treating the profile as unknown.
+ */
+function createChainProvider(providers) {
+  return {
+    name: providers.map(p => p.name).join('>'),
+    providers,
+    async fetch(linkedinUrl) {
+      let transientError = null;
+
+      for (const provider of providers) {
+        try {
+          const person = await provider.fetchPerson(linkedinUrl);
+          if (person) {
+            return normalizePerson(person, linkedinUrl, provider.name);
+          }
+          console.log(`ℹ️  ${provider.name}: no profile data for ${linkedinUrl}`);
+        } catch (error) {
+          console.error(`⚠️  ${provider.name} provider failed:`, error.message);
+          if (error.retryable) transientError = error;
+        }
+      }
+
+      if (transientError) throw transientError;
+      return null;
+    }
+  };
+}
+
+const providerFactories = {
+  pdl: createPdlProvider,
+  fixture: createFixtureProvider
+};
+
+const PROFILE_DATA_PROVIDERS = Object.keys(providerFactories);
+
+const providerCache = new Map();
+
+/**
+ * Build (or reuse) a provider chain from a list of provider names
+ * @param {string[]} names - e.g. ['pdl', 'fixture']; defaults to PROFILE_DATA_PROVIDERS env (pdl)
+ */
+function getProfileDataProvider(names) {
+  const list = names && names.length > 0
+    ? names
+    : (process.env.PROFILE_DATA_PROVIDERS || 'pdl').split(',').map(n => n.trim()).filter(Boolean);
+
+  const cacheKey = list.join(',');
+  if (!providerCache.has(cacheKey)) {
+    const providers = list.map(name => {
+      const factory = providerFactories[name];
+      if (!factory) {
+        throw new Error(`Unknown profile data provider: ${name}`);
+      }
+      return factory();
+    });
+    providerCache.set(cacheKey, createChainProvider(providers));
+  }
+
+  return providerCache.get(cacheKey);
+}
+
+module.exports = {
+  PROFILE_DATA_PROVIDERS,
+  normalizePerson,
+  createPdlProvider,
+  createFixtureProvider,
+  createChainProvider,
+  getProfileDataProvider
+};
@@ -0,0 +1,597 @@
+const User = require('../models/User');
+const { scrapeLinkedIn } = require('./linkedinService');
+const { enrichProfile } = require('./openaiService');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { emitEvent } = require('./webhookService');
+const { getOperationCost, reserveUnits, recordUsage, releaseUnits } = require('./usageService');
+const { Match } = require('../models/Match');
+const { IntroductionDraft } = require('../models/IntroductionDraft');
+const { ServiceError } = require('../utils/ServiceError');
+const { runInTransaction } = require('../utils/transaction');
+const { canonicalizeLinkedInUrl, requireLinkedInUrl } = require('../utils/linkedinUrl');
+const {
+  LOCKABLE_FIELDS,
+  recordProvenance,
+  applyFromSource,
+  applyUserEdits,
+  unlockFields,
+  formatProvenance
+} = require('./provenanceService');
+
+const PROFILE_CREATE_JOB = 'profile.create';
+const PROFILE_ENRICH_JOB = 'profile.enrich';
+
+// Fields API clients may change through PATCH /api/v1/profiles/:id
+const EDITABLE_FIELDS = [
+  'name', 'email', 'bio', 'skills', 'interests', 'role',
+  'businessType', 'industry', 'location', 'linkedinURL'
+];
+
+/**
+ * Helper functions
+ */
+const ensureArray = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+  }
+  return [];
+};
+
+const mergeArrays = (...arrays) => {
+  const merged = arrays.flat().filter(Boolean);
+  return [...new Set(merged)];
+};
+
+// Emails are stored trimmed and lowercased (see the User schema)
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * Find an existing profile for this client by LinkedIn URL or email
+ * The URL is compared in canonical form (see utils/linkedinUrl).
+ */
+async function findExistingProfile(clientId, linkedinURL, email) {
+  return User.findOne({
+    $or: [
+      { linkedinURL: canonicalizeLinkedInUrl(linkedinURL) || linkedinURL },
+      ...(email ? [{ email: normalizeEmail(email) }] : [])
+    ],
+    clientId
+  });
+}
+
+/**
+ * Build the initial profile document from API input
+ */
+function buildProfileData({ name, email, linkedinURL, clientId, additionalData = {} }) {
+  const profileData = {
+    name,
+    email: email || `${Date.now()}@generated.local`, // Generate email if not provided
+    clientId, // Track which client created this
+    linkedinURL: canonicalizeLinkedInUrl(linkedinURL) || linkedinURL,
+    bio: additionalData.bio || '',
+    skills: ensureArray(additionalData.skills),
+    interests: ensureArray(additionalData.interests),
+    role: additionalData.role || '',
+    businessType: additionalData.businessType || '',
+    industry: additionalData.industry || '',
+    location: additionalData.location || '',
+    education: [],
+    experience: [],
+    linkedinSummary: {},
+    password: Math.random().toString(36).slice(-16) // Random password (not used for API access)
+  };
+
+  recordProvenance(profileData, 'user');
+  return profileData;
+}
+
+/**
+ * STEP 1: Merge scraped LinkedIn data into the profile (input takes priority)
+ * @param {Object} options - { forceRefresh? } bypasses the LinkedIn cache,
+ *                           { propagateRetryable? } throws transient provider errors so the job retries
+ */
+async function applyLinkedInData(profileData, options = {}) {
+  try {
+    const linkedinData = await scrapeLinkedIn(profileData.linkedinURL, {
+      clientId: profileData.clientId,
+      forceRefresh: options.forceRefresh,
+      propagateRetryable: options.propagateRetryable
+    });
+
+    if (linkedinData) {
+      profileData.linkedinSummary = linkedinData;
+      profileData.linkedinFetchedAt = linkedinData.fetchedAt;
+
+      applyFromSource(profileData, 'linkedin', linkedinData.source, () => {
+        profileData.bio = profileData.bio || linkedinData.about || '';
+        profileData.role = profileData.role || linkedinData.title || linkedinData.headline || '';
+        profileData.industry = profileData.industry || linkedinData.industry || '';
+        profileData.location = profileData.location || linkedinData.location || '';
+        profileData.skills = mergeArrays(profileData.skills, linkedinData.skills);
+        profileData.interests = mergeArrays(profileData.interests, linkedinData.interests);
+        profileData.education = linkedinData.education || [];
+        profileData.experience = linkedinData.experience || [];
+      });
+
+      console.log(`✅ LinkedIn data scraped: ${profileData.skills.length} skills, ${profileData.experience.length} experiences`);
+    }
+  } catch (error) {
+    if (options.propagateRetryable && error.retryable) throw error;
+    console.log(`⚠️  LinkedIn scraping failed: ${error.message}`);
+  }
+
+  return profileData;
+}
+
+/**
+ * Fields of a profile that are sent to the enrichment model
+ */
+function toEnrichmentInput(profileData) {
+  return {
+    clientId: profileData.clientId,
+    name: profileData.name,
+    bio: profileData.bio,
+    skills: profileData.skills,
+    interests: profileData.interests,
+    role: profileData.role,
+    industry: profileData.industry,
+    businessType: profileData.businessType,
+    location: profileData.location,
+    education: profileData.education,
+    linkedinSummary: profileData.linkedinSummary
+  };
+}
+
+/**
+ * STEP 2: Apply AI enrichment to the profile
+ * @param {Object} options - { propagateRetryable? } throws transient provider errors so the job retries
+ * @returns {Object} { enriched: boolean, status: 'full' | 'partial' | 'failed', reason?: string, error?: string }
+ */
+async function applyEnrichment(profileData, options = {}) {
+  try {
+    const enrichedData = await enrichProfile(toEnrichmentInput(profileData), options);
+    const failed = enrichedData.enrichmentStatus === 'failed';
+
+    // Locked (manually edited) fields keep their value; only real model output counts as 'llm'
+    applyFromSource(profileData, failed ? null : 'llm', enrichedData.llmModel, () => {
+      profileData.enrichedBio = enrichedData.enrichedBio || profileData.bio;
+      profileData.enrichedSkills = enrichedData.enrichedSkills.length > 0
+        ? enrichedData.enrichedSkills
+        : profileData.skills;
+      profileData.role = enrichedData.role || profileData.role;
+      profileData.industry = enrichedData.industry || profileData.industry;
+      profileData.businessType = enrichedData.businessType || profileData.businessType;
+      profileData.location = enrichedData.location || profileData.location;
+      profileData.interests = mergeArrays(profileData.interests, enrichedData.analyzedInterests);
+      profileData.collaborationTargets = enrichedData.collaborationTargets || [];
+    });
+    profileData.profileEmbedding = enrichedData.profileEmbedding;
+    profileData.embeddingModel = enrichedData.embeddingModel || null;
+    profileData.enrichmentStatus = enrichedData.enrichmentStatus;
+    profileData.enrichmentStatusReason = enrichedData.enrichmentStatusReason;
+    profileData.enrichmentPromptVersion = enrichedData.promptVersion;
+    profileData.enrichmentModel = enrichedData.llmModel;
+
+    // enrichProfile falls back to the input data when there is no usable model output
+    if (failed) {
+      console.error(`❌ Profile enrichment failed:`, enrichedData.enrichmentStatusReason);
+      return { enriched: false, status: 'failed', error: enrichedData.enrichmentStatusReason };
+    }
+
+    profileData.profileEnrichedAt = new Date();
+
+    console.log(`✅ Profile enriched (${enrichedData.enrichmentStatus}): ${profileData.collaborationTargets.length} collaboration targets`);
+    return { enriched: true, status: enrichedData.enrichmentStatus, reason: enrichedData.enrichmentStatusReason };
+  } catch (error) {
+    if (options.propagateRetryable && error.retryable) throw error;
+    console.error(`❌ Profile enrichment failed:`, error.message);
+    profileData.enrichedBio = profileData.bio;
+    profileData.enrichedSkills = profileData.skills;
+    profileData.collaborationTargets = [];
+    profileData.enrichmentStatus = 'failed';
+    profileData.enrichmentStatusReason = error.message;
+    return { enriched: false, status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Run the full scrape → enrich → save pipeline for an API profile
+ * @param {Object} input - { name, email?, linkedinURL, clientId, additionalData? }
+ * @param {Object} options - { onProgress?: async (step, percent) => void,
+ *                             propagateRetryable?: throw transient upstream errors instead of using defaults }
+ * @returns {Object} The saved User document
+ */
+async function createEnrichedProfile(input, options = {}) {
+  const { onProgress = async () => {}, propagateRetryable = false } = options;
+
+  // Re-check for duplicates: another request may have created the profile meanwhile
+  const existingProfile = await findExistingProfile(input.clientId, input.linkedinURL, input.email);
+  if (existingProfile) {
+    const error = new ServiceError('Profile already exists', 409, 'PROFILE_EXISTS');
+    error.retryable = false;
+    throw error;
+  }
+
+  const profileData = buildProfileData(input);
+
+  console.log(`🔍 Step 1: Scraping LinkedIn profile...`);
+  await onProgress('scraping', 10);
+  await applyLinkedInData(profileData, { propagateRetryable });
+
+  console.log(`🤖 Step 2: Enriching profile with AI...`);
+  await onProgress('enriching', 40);
+  const enrichment = await applyEnrichment(profileData, { propagateRetryable });
+
+  console.log(`💾 Step 3: Saving profile to database...`);
+  await onProgress('saving', 80);
+  const profile = await User.create(profileData);
+
+  console.log(`✅ Profile created: ${profile._id}`);
+
+  const eventData = { profileId: profile._id, name: profile.name, linkedinURL: profile.linkedinURL };
+  await emitEvent(profile.clientId, 'profile.created', eventData);
+  await emitEvent(
+    profile.clientId,
+    enrichment.enriched ? 'profile.enriched' : 'profile.enrichment_failed',
+    enrichment.enriched
+      ? { ...eventData, collaborationTargets: profile.collaborationTargets.length, enrichmentStatus: enrichment.status }
+      : { ...eventData, reason: enrichment.error }
+  );
+
+  return profile;
+}
+
+/**
+ * Load a profile owned by a client or throw a 404
+ */
+async function getClientProfile(profileId, clientId) {
+  const profile = await User.findOne({ _id: profileId, clientId });
+  if (!profile) {
+    throw new ServiceError('Profile not found', 404, 'PROFILE_NOT_FOUND');
+  }
+  return profile;
+}
+
+/**
+ * Update the editable fields of a client's profile
+ * Edited fields are locked so re-enrichment does not overwrite them.
+ * @param {string} profileId
+ * @param {string} clientId
+ * @param {Object} changes - Subset of EDITABLE_FIELDS
+ * @param {Object} options - { unlock?: fields to hand back to enrichment }
+ * @returns {Object} Updated User document
+ */
+async function updateClientProfile(profileId, clientId, changes, options = {}) {
+  const { unlock = [] } = options;
+
+  if (!Array.isArray(unlock) || unlock.some(field => !LOCKABLE_FIELDS.includes(field))) {
+    throw new ServiceError(
+      `unlock must be a list of: ${LOCKABLE_FIELDS.join(', ')}`,
+      400,
+      'INVALID_UNLOCK_FIELDS'
+    );
+  }
+
+  const updates = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (changes[field] !== undefined) {
+      if (['skills', 'interests'].includes(field)) {
+        updates[field] = ensureArray(changes[field]);
+      } else {
+        updates[field] = typeof changes[field] === 'string' ? changes[field].trim() : changes[field];
+      }
+    }
+  });
+
+  if (Object.keys(updates).length === 0 && unlock.length === 0) {
+    throw new ServiceError(
+      `Provide at least one of: ${EDITABLE_FIELDS.join(', ')}, unlock`,
+      400,
+      'NO_UPDATES'
+    );
+  }
+
+  if (updates.name !== undefined && !updates.name) {
+    throw new ServiceError('name cannot be empty', 400, 'VALIDATION_ERROR');
+  }
+
+  if (updates.linkedinURL !== undefined) {
+    updates.linkedinURL = requireLinkedInUrl(updates.linkedinURL);
+  }
+
+  const profile = await getClientProfile(profileId, clientId);
+
+  // Keep the per-client LinkedIn URL / email uniqueness used at creation
+  if (updates.linkedinURL || updates.email) {
+    const duplicate = await User.findOne({
+      _id: { $ne: profile._id },
+      clientId,
+      $or: [
+        ...(updates.linkedinURL ? [{ linkedinURL: updates.linkedinURL }] : []),
+        ...(updates.email ? [{ email: normalizeEmail(updates.email) }] : [])
+      ]
+    }).select('_id');
+
+    if (duplicate) {
+      throw new ServiceError('Another profile already uses this linkedinURL or email', 409, 'PROFILE_EXISTS');
+    }
+  }
+
+  const locked = applyUserEdits(profile, updates);
+  const unlocked = unlockFields(profile, unlock.filter(field => updates[field] === undefined));
+  await profile.save();
+
+  console.log(`✏️  Profile updated: ${profile._id} (${Object.keys(updates).join(', ')})`, {
+    locked,
+    unlocked
+  });
+
+  return profile;
+}
+
+/**
+ * Re-run scrape → enrich on an existing profile and save the result
+ * @param {Object} options - { onProgress?, forceRefresh? (skip the LinkedIn cache),
+ *                             propagateRetryable? (throw transient upstream errors) }
+ * @returns {Object} { profile, enrichment }
+ */
+async function refreshProfileEnrichment(profileId, clientId, options = {}) {
+  const { onProgress = async () => {}, forceRefresh = false, propagateRetryable = false } = options;
+  const profile = await getClientProfile(profileId, clientId);
+
+  // Start from the stored profile; scraped data only fills gaps
+  const profileData = {
+    name: profile.name,
+    clientId: profile.clientId,
+    linkedinURL: profile.linkedinURL,
+    bio: profile.bio,
+    skills: [...profile.skills],
+    interests: [...profile.interests],
+    role: profile.role,
+    businessType: profile.businessType,
+    industry: profile.industry,
+    location: profile.location,
+    education: profile.education.map(e => e.toObject()),
+    experience: profile.experience.map(e => e.toObject()),
+    linkedinSummary: profile.linkedinSummary || {},
+    fieldProvenance: formatProvenance(profile)
+  };
+
+  if (profileData.linkedinURL) {
+    console.log(`🔍 Re-enrichment step 1: Scraping LinkedIn profile...`);
+    await onProgress('scraping', 10);
+    await applyLinkedInData(profileData, { forceRefresh, propagateRetryable });
+  }
+
+  console.log(`🤖 Re-enrichment step 2: Enriching profile with AI...`);
+  await onProgress('enriching', 40);
+  const enrichment = await applyEnrichment(profileData, { propagateRetryable });
+
+  await onProgress('saving', 80);
+  delete profileData.name;
+  if (!enrichment.enriched) {
+    // Keep the previous AI output rather than overwriting it with fallbacks,
+    // but record that this enrichment failed (enrichmentStatus / reason)
+    ['enrichedBio', 'enrichedSkills', 'collaborationTargets', 'profileEmbedding', 'embeddingModel',
+      'enrichmentPromptVersion', 'enrichmentModel']
+      .forEach(field => delete profileData[field]);
+  }
+  profile.set(profileData);
+  await profile.save();
+
+  console.log(`✅ Profile re-enriched: ${profile._id}`);
+
+  const eventData = { profileId: profile._id, name: profile.name, linkedinURL: profile.linkedinURL };
+  await emitEvent(
+    profile.clientId,
+    enrichment.enriched ? 'profile.enriched' : 'profile.enrichment_failed',
+    enrichment.enriched
+      ? { ...eventData, collaborationTargets: profile.collaborationTargets.length, enrichmentStatus: enrichment.status }
+      : { ...eventData, reason: enrichment.error }
+  );
+
+  return { profile, enrichment };
+}
+
+/**
+ * Queue re-enrichment of an existing profile
+ * @param {Object} options - { forceRefresh? } re-fetch LinkedIn data instead of using the cache
+ */
+async function queueProfileEnrichment(profileId, clientId, options = {}) {
+  const { forceRefresh = false } = options;
+  return enqueueJob(PROFILE_ENRICH_JOB, { profileId, clientId, forceRefresh }, { clientId });
+}
+
+/**
+ * Queue creation of a profile, reserving its enrichment on the client's quota
+ * The job records the usage once the profile exists and gives the units back
+ * when it fails or finds a duplicate (see settleCreateBilling).
+ * @param {Object} input - { name, email?, linkedinURL, additionalData? }
+ * @param {Object} apiClient - { clientId, keyId, monthlyQuota } of the requesting key
+ * @returns {Object} The job document
+ */
+async function queueProfileCreation(input, { clientId, keyId, monthlyQuota }) {
+  const { units } = getOperationCost('enrichment');
+
+  const reservation = await reserveUnits(clientId, units, monthlyQuota ?? null);
+  if (!reservation.reserved) {
+    throw new ServiceError('Monthly quota exceeded', 429, 'QUOTA_EXCEEDED');
+  }
+
+  try {
+    return await enqueueJob(PROFILE_CREATE_JOB, {
+      ...input,
+      clientId,
+      billing: { keyId, month: reservation.month, units }
+    }, { clientId });
+  } catch (error) {
+    await releaseUnits(clientId, reservation.month, units);
+    throw error;
+  }
+}
+
+/**
+ * Queue re-enrichment for profiles whose LinkedIn data is older than N days
+ * @param {Object} options - { olderThanDays, clientId?, limit? }
+ * @returns {number} Number of jobs queued
+ */
+async function queueStaleLinkedInResync({ olderThanDays, clientId, limit = 500 }) {
+  const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+
+  const query = {
+    linkedinURL: { $nin: [null, ''] },
+    $or: [
+      { linkedinFetchedAt: { $lt: cutoff } },
+      { linkedinFetchedAt: null }
+    ]
+  };
+  if (clientId !== undefined) {
+    query.clientId = clientId;
+  }
+
+  const profiles = await User.find(query)
+    .sort({ linkedinFetchedAt: 1 })
+    .limit(limit)
+    .select('_id clientId');
+
+  for (const profile of profiles) {
+    // Bypass the LinkedIn cache: a stale cached entry would keep the old fetchedAt
+    await queueProfileEnrichment(profile._id, profile.clientId ?? null, { forceRefresh: true });
+  }
+
+  return profiles.length;
+}
+
+/**
+ * Delete a client's profile and scrub every reference to it: other users'
+ * connections, its own match history and introduction drafts. Other
+ * profiles' match history keeps the rows (their feedback feeds
+ * personalization) with the deleted profile's id removed.
+ */
+async function deleteClientProfile(profileId, clientId) {
+  const profile = await getClientProfile(profileId, clientId);
+
+  await runInTransaction(async (session) => {
+    await User.deleteOne({ _id: profile._id }, { session });
+    await User.updateMany(
+      { 'connections.userId': profile._id },
+      { $pull: { connections: { userId: profile._id } } },
+      { session }
+    );
+    await Match.deleteMany({ profileId: profile._id }, { session });
+    await Match.updateMany(
+      { matchedProfileId: profile._id },
+      { $set: { matchedProfileId: null, matchedProfileDeletedAt: new Date() } },
+      { session }
+    );
+    await IntroductionDraft.deleteMany({ profileIds: profile._id }, { session });
+  });
+
+  console.log(`🗑️  Profile deleted: ${profile._id}`);
+
+  return profile;
+}
+
+// Upstream timeouts / 429 / 5xx fail the attempt so the queue retries with
+// backoff; only the last attempt falls back to defaults
+const hasAttemptsLeft = (job) => job.attempts < job.maxAttempts;
+
+/**
+ * Settle the usage reserved for a profile.create job
+ * (see queueProfileCreation and bulkImportService)
+ */
+async function settleCreateBilling(job, created) {
+  const { billing } = job.payload;
+  if (!billing) return;
+
+  try {
+    if (created) {
+      await recordUsage({ clientId: job.clientId, keyId: billing.keyId, operation: 'enrichment' });
+    } else {
+      await releaseUnits(job.clientId, billing.month, billing.units);
+    }
+  } catch (error) {
+    console.error('⚠️  Failed to settle profile creation usage:', error.message);
+  }
+}
+
+// Background handler for POST /api/v1/profiles and bulk-imported rows
+registerJobHandler(PROFILE_CREATE_JOB, async (job, { setProgress }) => {
+  try {
+    const profile = await createEnrichedProfile(job.payload, {
+      onProgress: setProgress,
+      propagateRetryable: hasAttemptsLeft(job)
+    });
+    await settleCreateBilling(job, true);
+    return { profileId: profile._id };
+  } catch (error) {
+    // Invalid documents will not become valid on retry
+    if (error.name === 'ValidationError') {
+      error.retryable = false;
+      error.code = 'VALIDATION_ERROR';
+    }
+
+    const givingUp = error.retryable === false || job.attempts >= job.maxAttempts;
+    if (givingUp) {
+      await settleCreateBilling(job, false);
+    }
+
+    // Tell the client when the job gives up without creating a profile
+    if (error.code !== 'PROFILE_EXISTS' && givingUp) {
+      await emitEvent(job.clientId, 'profile.enrichment_failed', {
+        jobId: job._id,
+        profileId: null,
+        name: job.payload.name,
+        linkedinURL: job.payload.linkedinURL,
+        reason: error.message
+      });
+    }
+
+    throw error;
+  }
+});
+
+// Background handler for POST /api/v1/profiles/:id/enrich and PATCH with reEnrich
+registerJobHandler(PROFILE_ENRICH_JOB, async (job, { setProgress }) => {
+  try {
+    const { profile } = await refreshProfileEnrichment(job.payload.profileId, job.payload.clientId, {
+      onProgress: setProgress,
+      forceRefresh: job.payload.forceRefresh,
+      propagateRetryable: hasAttemptsLeft(job)
+    });
+    return { profileId: profile._id };
+  } catch (error) {
+    // A deleted profile will not come back on retry
+    if (error.code === 'PROFILE_NOT_FOUND') {
+      error.retryable = false;
+    }
+    throw error;
+  }
+});
+
+module.exports = {
+  PROFILE_CREATE_JOB,
+  PROFILE_ENRICH_JOB,
+  EDITABLE_FIELDS,
+  ensureArray,
+  mergeArrays,
+  findExistingProfile,
+  buildProfileData,
+  applyLinkedInData,
+  toEnrichmentInput,
+  applyEnrichment,
+  createEnrichedProfile,
+  queueProfileCreation,
+  updateClientProfile,
+  refreshProfileEnrichment,
+  queueProfileEnrichment,
+  queueStaleLinkedInResync,
+  deleteClientProfile
+};
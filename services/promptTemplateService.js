@@ -0,0 +1,233 @@
+const { PromptTemplate } = require('../models/PromptTemplate');
+const { DEFAULT_PROMPTS, PROMPT_NAMES } = require('../config/prompts');
+const { ServiceError } = require('../utils/ServiceError');
+const { runInTransaction } = require('../utils/transaction');
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+const MAX_TEMPLATE_LENGTH = 20000;
+
+/**
+ * Plain template object (stored version or built-in version 0)
+ */
+function toTemplateObject(doc, name) {
+  if (!doc) {
+    const builtIn = DEFAULT_PROMPTS[name];
+    return {
+      name,
+      version: 0,
+      system: builtIn.system,
+      template: builtIn.template,
+      isActive: true,
+      notes: 'Built-in default',
+      builtIn: true
+    };
+  }
+
+  return {
+    name: doc.name,
+    version: doc.version,
+    system: doc.system,
+    template: doc.template,
+    isActive: doc.isActive,
+    notes: doc.notes,
+    createdBy: doc.createdBy,
+    createdAt: doc.createdAt,
+    activatedAt: doc.activatedAt,
+    builtIn: false
+  };
+}
+
+const ensureKnownName = (name) => {
+  if (!PROMPT_NAMES.includes(name)) {
+    throw new ServiceError(
+      `Unknown prompt: ${name} (available: ${PROMPT_NAMES.join(', ')})`,
+      404,
+      'PROMPT_NOT_FOUND'
+    );
+  }
+};
+
+/**
+ * The version used for new requests (built-in default when none is active)
+ */
+async function getActivePromptTemplate(name) {
+  ensureKnownName(name);
+  const doc = await PromptTemplate.findOne({ name, isActive: true }).sort({ version: -1 }).lean();
+  return toTemplateObject(doc, name);
+}
+
+/**
+ * A specific version (0 is the built-in default)
+ */
+async function getPromptTemplate(name, version) {
+  ensureKnownName(name);
+
+  const number = Number(version);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new ServiceError('version must be a non-negative integer', 400, 'INVALID_PROMPT_VERSION');
+  }
+  if (number === 0) return toTemplateObject(null, name);
+
+  const doc = await PromptTemplate.findOne({ name, version: number }).lean();
+  if (!doc) {
+    throw new ServiceError(`Version ${version} of prompt ${name} not found`, 404, 'PROMPT_VERSION_NOT_FOUND');
+  }
+  return toTemplateObject(doc, name);
+}
+
+/**
+ * Every prompt with its active version
+ */
+async function listPrompts() {
+  return Promise.all(PROMPT_NAMES.map(async (name) => {
+    const [active, versions] = await Promise.all([
+      getActivePromptTemplate(name),
+      PromptTemplate.countDocuments({ name })
+    ]);
+    return {
+      name,
+      variables: DEFAULT_PROMPTS[name].variables,
+      activeVersion: active.version,
+      versions
+    };
+  }));
+}
+
+/**
+ * All stored versions of a prompt, newest first, plus the built-in default
+ */
+async function listPromptVersions(name) {
+  ensureKnownName(name);
+  const docs = await PromptTemplate.find({ name }).sort({ version: -1 }).lean();
+  const versions = docs.map(doc => toTemplateObject(doc, name));
+  const builtIn = toTemplateObject(null, name);
+  builtIn.isActive = !versions.some(v => v.isActive);
+  return [...versions, builtIn];
+}
+
+/**
+ * Check a template's text and placeholders
+ * @returns {Array<string>} Validation error messages
+ */
+function validateTemplate(name, { system, template }) {
+  const errors = [];
+
+  [['system', system], ['template', template]].forEach(([field, value]) => {
+    if (typeof value !== 'string' || !value.trim()) {
+      errors.push(`${field} must be a non-empty string`);
+    } else if (value.length > MAX_TEMPLATE_LENGTH) {
+      errors.push(`${field} must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+    }
+  });
+
+  if (typeof template === 'string') {
+    const allowed = DEFAULT_PROMPTS[name].variables;
+    const unknown = [...template.matchAll(PLACEHOLDER)]
+      .map(match => match[1])
+      .filter(variable => !allowed.includes(variable));
+    if (unknown.length) {
+      errors.push(`Unknown placeholders: ${[...new Set(unknown)].join(', ')} (allowed: ${allowed.join(', ')})`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Deactivate the current version of a prompt and activate another
+ */
+async function setActiveVersion(name, version, session) {
+  await PromptTemplate.updateMany(
+    { name, isActive: true, version: { $ne: version } },
+    { $set: { isActive: false } },
+    { session }
+  );
+
+  if (version > 0) {
+    await PromptTemplate.updateOne(
+      { name, version },
+      { $set: { isActive: true, activatedAt: new Date() } },
+      { session }
+    );
+  }
+}
+
+/**
+ * Store a new version of a prompt
+ * @param {string} name - One of PROMPT_NAMES
+ * @param {Object} input - { system, template, notes?, activate? }
+ * @param {string} createdBy - Admin identifier for traceability
+ */
+async function createPromptVersion(name, input, createdBy) {
+  ensureKnownName(name);
+
+  const errors = validateTemplate(name, input || {});
+  if (errors.length > 0) {
+    throw new ServiceError('Invalid prompt template', 400, 'INVALID_PROMPT_TEMPLATE', errors);
+  }
+
+  const doc = await runInTransaction(async (session) => {
+    const [latest] = await PromptTemplate.find({ name })
+      .sort({ version: -1 })
+      .limit(1)
+      .session(session);
+
+    const [created] = await PromptTemplate.create([{
+      name,
+      version: (latest?.version || 0) + 1,
+      system: input.system,
+      template: input.template,
+      notes: input.notes || '',
+      createdBy
+    }], { session });
+
+    if (input.activate) {
+      await setActiveVersion(name, created.version, session);
+      created.isActive = true;
+    }
+
+    return created;
+  });
+
+  console.log(`📝 Prompt ${name} v${doc.version} created${input.activate ? ' and activated' : ''}`);
+
+  return getPromptTemplate(name, doc.version);
+}
+
+/**
+ * Make a stored version (or the built-in default, version 0) the active one
+ */
+async function activatePromptVersion(name, version) {
+  const template = await getPromptTemplate(name, version);
+
+  await runInTransaction(session => setActiveVersion(name, template.version, session));
+
+  console.log(`📝 Prompt ${name} v${template.version} activated`);
+
+  return { ...template, isActive: true };
+}
+
+/**
+ * Fill a template's {{placeholders}}; missing variables render as ''
+ * @returns {Array} Chat messages [{ role: 'system' }, { role: 'user' }]
+ */
+function renderPrompt(template, variables) {
+  const content = template.template.replace(PLACEHOLDER, (match, variable) =>
+    variables[variable] === undefined || variables[variable] === null ? '' : String(variables[variable])
+  );
+
+  return [
+    { role: 'system', content: template.system },
+    { role: 'user', content }
+  ];
+}
+
+module.exports = {
+  getActivePromptTemplate,
+  getPromptTemplate,
+  listPrompts,
+  listPromptVersions,
+  createPromptVersion,
+  activatePromptVersion,
+  renderPrompt
+};
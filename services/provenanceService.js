@@ -0,0 +1,195 @@
+/**
+ * Field provenance
+ * Profiles keep, per field, where the current value came from:
+ *   user     - registration / API input or a manual edit
+ *   linkedin - the profile data provider (detail: 'pdl', 'fixture', ...)
+ *   llm      - AI enrichment (detail: model name)
+ * List fields also record the source of each item, so a single skill can be
+ * traced. Fields edited by the user are locked: enrichment leaves them alone
+ * until they are unlocked.
+ *
+ * The helpers work on plain profile objects (pipeline data, where
+ * `fieldProvenance` is an object) and on User documents (where it is a Map).
+ */
+
+const PROVENANCE_SOURCES = ['user', 'linkedin', 'llm'];
+
+// Fields whose provenance is tracked
+const TRACKED_FIELDS = [
+  'bio', 'enrichedBio', 'skills', 'enrichedSkills', 'interests',
+  'role', 'businessType', 'industry', 'location',
+  'education', 'experience', 'collaborationTargets'
+];
+
+// Fields a manual edit locks
+const LOCKABLE_FIELDS = ['bio', 'skills', 'interests', 'role', 'businessType', 'industry', 'location'];
+
+// The AI-written counterpart shown instead of the field (bio → enrichedBio);
+// a manual edit overwrites and locks it too so the edit is what clients see
+const DISPLAY_FIELDS = {
+  bio: 'enrichedBio',
+  skills: 'enrichedSkills'
+};
+
+const LIST_FIELDS = ['skills', 'enrichedSkills', 'interests'];
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+function readEntry(profile, field) {
+  const provenance = profile.fieldProvenance;
+  if (!provenance) return null;
+  const entry = provenance instanceof Map ? provenance.get(field) : provenance[field];
+  return entry?.toObject ? entry.toObject() : entry || null;
+}
+
+function writeEntry(profile, field, entry) {
+  if (profile.fieldProvenance instanceof Map) {
+    profile.fieldProvenance.set(field, entry);
+  } else {
+    profile.fieldProvenance = { ...(profile.fieldProvenance || {}), [field]: entry };
+  }
+}
+
+/**
+ * Whether enrichment must leave a field alone
+ */
+function isLocked(profile, field) {
+  return !!readEntry(profile, field)?.locked;
+}
+
+/**
+ * Record that a field's current value came from `source`
+ * List items that were already tracked keep their original source.
+ */
+function setProvenance(profile, field, source, detail, options = {}) {
+  const previous = readEntry(profile, field);
+  const entry = {
+    source,
+    detail: detail || null,
+    locked: options.locked ?? previous?.locked ?? false,
+    updatedAt: new Date()
+  };
+
+  if (LIST_FIELDS.includes(field)) {
+    const known = new Map((previous?.items || []).map(item => [item.value, item.source]));
+    entry.items = (profile[field] || []).map(value => ({
+      value,
+      source: options.overrideItems ? source : known.get(value) || source
+    }));
+  }
+
+  writeEntry(profile, field, entry);
+}
+
+/**
+ * Mark every non-empty tracked field as coming from `source`
+ */
+function recordProvenance(profile, source, detail) {
+  TRACKED_FIELDS.forEach(field => {
+    if (!isEmpty(profile[field])) {
+      setProvenance(profile, field, source, detail);
+    }
+  });
+}
+
+/**
+ * Run `apply` (which merges data from one source into the profile), then
+ * restore locked fields and record provenance for every field it changed
+ * (no provenance is recorded when `source` is null, e.g. fallback values)
+ */
+function applyFromSource(profile, source, detail, apply) {
+  const before = new Map(TRACKED_FIELDS.map(field => [field, JSON.stringify(profile[field] ?? null)]));
+  const locked = TRACKED_FIELDS.filter(field => isLocked(profile, field));
+  const lockedValues = new Map(locked.map(field => [field, profile[field]]));
+
+  apply();
+
+  locked.forEach(field => { profile[field] = lockedValues.get(field); });
+
+  TRACKED_FIELDS.forEach(field => {
+    if (source && !locked.includes(field) && JSON.stringify(profile[field] ?? null) !== before.get(field)) {
+      setProvenance(profile, field, source, detail);
+    }
+  });
+
+  return profile;
+}
+
+/**
+ * Apply a manual edit: set the values, then mark them (and their display
+ * counterparts) as user-provided and locked
+ * @param {Object} profile - User document or plain profile
+ * @param {Object} updates - Field values (only LOCKABLE_FIELDS are locked)
+ * @returns {string[]} Fields that were locked
+ */
+function applyUserEdits(profile, updates) {
+  const lockedFields = [];
+
+  Object.entries(updates).forEach(([field, value]) => {
+    profile[field] = value;
+    if (!LOCKABLE_FIELDS.includes(field)) return;
+
+    setProvenance(profile, field, 'user', null, { locked: true, overrideItems: true });
+    lockedFields.push(field);
+
+    const displayField = DISPLAY_FIELDS[field];
+    if (displayField) {
+      profile[displayField] = value;
+      setProvenance(profile, displayField, 'user', null, { locked: true, overrideItems: true });
+      lockedFields.push(displayField);
+    }
+  });
+
+  return lockedFields;
+}
+
+/**
+ * Let enrichment update fields again
+ * @returns {string[]} Fields that were unlocked
+ */
+function unlockFields(profile, fields) {
+  const unlocked = [];
+
+  fields.forEach(field => {
+    [field, DISPLAY_FIELDS[field]].filter(Boolean).forEach(name => {
+      const entry = readEntry(profile, name);
+      if (entry?.locked) {
+        writeEntry(profile, name, { ...entry, locked: false });
+        unlocked.push(name);
+      }
+    });
+  });
+
+  return unlocked;
+}
+
+/**
+ * Plain { field: entry } object (for pipeline copies and API responses)
+ */
+function formatProvenance(profile) {
+  return Object.fromEntries(
+    TRACKED_FIELDS
+      .map(field => [field, readEntry(profile, field)])
+      .filter(([, entry]) => entry)
+      .map(([field, entry]) => [field, {
+        source: entry.source,
+        detail: entry.detail || null,
+        locked: !!entry.locked,
+        updatedAt: entry.updatedAt,
+        ...(entry.items && { items: entry.items.map(item => ({ value: item.value, source: item.source })) })
+      }])
+  );
+}
+
+module.exports = {
+  PROVENANCE_SOURCES,
+  TRACKED_FIELDS,
+  LOCKABLE_FIELDS,
+  isLocked,
+  recordProvenance,
+  applyFromSource,
+  applyUserEdits,
+  unlockFields,
+  formatProvenance
+};
@@ -0,0 +1,202 @@
+const { RateLimit } = require('../models/RateLimit');
+
+/**
+ * Token-bucket rate limiting
+ *
+ * Each key has one bucket per limit, e.g.
+ *   { name: 'minute', capacity: 20, windowMs: 60 * 1000 }       // 20 per minute
+ *   { name: 'hour', capacity: 100, windowMs: 60 * 60 * 1000 }   // 100 per hour
+ * A bucket refills continuously at capacity / windowMs tokens per ms.
+ * A request is allowed only when every bucket has a token, and then takes one
+ * from each. Stores implement `take(key, buckets, now)` and return the token
+ * levels after the request: { allowed, tokens: { [bucketName]: number } }.
+ */
+
+const refillRate = (bucket) => bucket.capacity / bucket.windowMs;
+
+/**
+ * In-memory store (single process; for tests and local development)
+ */
+function createMemoryStore() {
+  const state = new Map();
+
+  return {
+    async take(key, buckets, now = Date.now()) {
+      const entry = state.get(key) || { tokens: {}, updatedAt: now };
+      const elapsed = Math.max(0, now - entry.updatedAt);
+
+      const tokens = {};
+      buckets.forEach(bucket => {
+        const current = entry.tokens[bucket.name] ?? bucket.capacity;
+        tokens[bucket.name] = Math.min(bucket.capacity, current + elapsed * refillRate(bucket));
+      });
+
+      const allowed = buckets.every(bucket => tokens[bucket.name] >= 1);
+      if (allowed) {
+        buckets.forEach(bucket => { tokens[bucket.name] -= 1; });
+      }
+
+      state.set(key, { tokens, updatedAt: now });
+      return { allowed, tokens };
+    },
+
+    reset() {
+      state.clear();
+    }
+  };
+}
+
+/**
+ * MongoDB store
+ * Refill, check and decrement happen in one pipeline update on a single
+ * document, so concurrent requests across server instances cannot overspend.
+ */
+function createMongoStore() {
+  async function take(key, buckets, now = Date.now()) {
+    const nowDate = new Date(now);
+    const elapsed = {
+      $max: [0, { $subtract: [nowDate, { $ifNull: ['$updatedAt', nowDate] }] }]
+    };
+    const longestWindow = Math.max(...buckets.map(b => b.windowMs));
+
+    const refill = {};
+    const hasToken = [];
+    const spend = {};
+
+    buckets.forEach(bucket => {
+      const field = `tokens.${bucket.name}`;
+      refill[field] = {
+        $min: [
+          bucket.capacity,
+          { $add: [{ $ifNull: [`$${field}`, bucket.capacity] }, { $multiply: [elapsed, refillRate(bucket)] }] }
+        ]
+      };
+      hasToken.push({ $gte: [`$${field}`, 1] });
+      spend[field] = { $cond: ['$allowed', { $subtract: [`$${field}`, 1] }, `$${field}`] };
+    });
+
+    const pipeline = [
+      { $set: refill },
+      { $set: { allowed: { $and: hasToken } } },
+      { $set: { ...spend, updatedAt: nowDate, expiresAt: new Date(now + longestWindow) } }
+    ];
+
+    let doc;
+    try {
+      doc = await RateLimit.collection.findOneAndUpdate(
+        { key },
+        pipeline,
+        { upsert: true, returnDocument: 'after' }
+      );
+    } catch (error) {
+      // Two first requests raced to create the document; the retry updates it
+      if (error.code !== 11000) throw error;
+      doc = await RateLimit.collection.findOneAndUpdate(
+        { key },
+        pipeline,
+        { returnDocument: 'after' }
+      );
+    }
+
+    return {
+      allowed: doc.allowed,
+      tokens: doc.tokens
+    };
+  }
+
+  return { take };
+}
+
+/**
+ * Turn token levels into client-facing limit information
+ * The reported bucket is the one closest to running out.
+ */
+function describeLimit(buckets, tokens, allowed, now = Date.now()) {
+  const details = buckets.map(bucket => {
+    const level = tokens[bucket.name];
+    const rate = refillRate(bucket);
+    return {
+      name: bucket.name,
+      limit: bucket.capacity,
+      remaining: Math.max(0, Math.floor(level)),
+      // When the bucket is full again
+      resetAt: now + Math.ceil((bucket.capacity - level) / rate),
+      // When the next token is available
+      retryAfterMs: level >= 1 ? 0 : Math.ceil((1 - level) / rate)
+    };
+  });
+
+  const limiting = allowed
+    ? details.reduce((a, b) => (b.remaining / b.limit < a.remaining / a.limit ? b : a))
+    : details.reduce((a, b) => (b.retryAfterMs > a.retryAfterMs ? b : a));
+
+  return limiting;
+}
+
+/**
+ * Build rate limiting middleware
+ * @param {Object} options
+ * @param {Object} options.store - createMemoryStore() or createMongoStore()
+ * @param {Function} options.getKey - req => bucket key
+ * @param {Function} options.getBuckets - req => bucket definitions
+ * @param {boolean} options.failOpen - let requests through when the store errors
+ */
+function createRateLimiter({ store, getKey, getBuckets, failOpen = false }) {
+  return async (req, res, next) => {
+    const now = Date.now();
+    const buckets = getBuckets(req);
+    let result;
+
+    try {
+      result = await store.take(getKey(req), buckets, now);
+    } catch (error) {
+      console.error('Rate limit error:', error);
+      if (failOpen) return next();
+      return res.status(503).json({
+        success: false,
+        error: 'Rate limiting is temporarily unavailable',
+        code: 'RATE_LIMIT_UNAVAILABLE'
+      });
+    }
+
+    const limit = describeLimit(buckets, result.tokens, result.allowed, now);
+    // Seconds until the next request can pass; 0 while tokens remain
+    const retryAfter = result.allowed ? 0 : Math.max(1, Math.ceil(limit.retryAfterMs / 1000));
+
+    res.set({
+      'X-RateLimit-Limit': String(limit.limit),
+      'X-RateLimit-Remaining': String(limit.remaining),
+      'X-RateLimit-Reset': String(Math.ceil(limit.resetAt / 1000)), // Unix time, seconds
+      'Retry-After': String(retryAfter)
+    });
+
+    if (!result.allowed) {
+      return res.status(429).json({
+        success: false,
+        error: 'Rate limit exceeded',
+        code: 'RATE_LIMIT_EXCEEDED',
+        limit: limit.limit,
+        window: limit.name,
+        retryAfter // seconds
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Store selected by RATE_LIMIT_STORE (mongo | memory)
+ */
+function createDefaultStore() {
+  return process.env.RATE_LIMIT_STORE === 'memory'
+    ? createMemoryStore()
+    : createMongoStore();
+}
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  createDefaultStore,
+  createRateLimiter
+};
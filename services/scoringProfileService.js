@@ -0,0 +1,172 @@
+const { ScoringProfile } = require('../models/ScoringProfile');
+const { ServiceError } = require('../utils/ServiceError');
+
+/**
+ * Built-in scoring used when a client has no profile of its own (version 0)
+ */
+const DEFAULT_SCORING_PROFILE = Object.freeze({
+  clientId: null,
+  version: 0,
+  weights: Object.freeze({
+    collaborationTargets: 0.35,
+    skills: 0.4,
+    industry: 0.15,
+    location: 0.05,
+    interests: 0.05,
+    semantic: 0.25
+  }),
+  sameRolePenalty: 0.7,
+  complementPairs: Object.freeze([
+    ['hospitality', 'marketing'],
+    ['tourism', 'advertising'],
+    ['technology', 'finance'],
+    ['education', 'consulting'],
+    ['real estate', 'architecture'],
+    ['healthcare', 'wellness'],
+    ['food', 'event management']
+  ])
+});
+
+const WEIGHT_KEYS = Object.keys(DEFAULT_SCORING_PROFILE.weights);
+
+/**
+ * Plain scoring object for a stored profile, filling gaps from the defaults
+ */
+function toScoringObject(doc) {
+  return {
+    clientId: doc.clientId,
+    version: doc.version,
+    weights: { ...DEFAULT_SCORING_PROFILE.weights, ...(doc.weights?.toObject?.() || doc.weights || {}) },
+    sameRolePenalty: doc.sameRolePenalty ?? DEFAULT_SCORING_PROFILE.sameRolePenalty,
+    // An explicitly stored empty list disables complement bonuses
+    complementPairs: Array.isArray(doc.complementPairs)
+      ? doc.complementPairs.map(pair => [...pair])
+      : DEFAULT_SCORING_PROFILE.complementPairs.map(pair => [...pair]),
+    updatedAt: doc.updatedAt
+  };
+}
+
+/**
+ * Get the scoring profile for a client (defaults when none is stored)
+ */
+async function getScoringProfile(clientId) {
+  if (!clientId) return DEFAULT_SCORING_PROFILE;
+
+  const doc = await ScoringProfile.findOne({ clientId });
+  return doc ? toScoringObject(doc) : { ...DEFAULT_SCORING_PROFILE, clientId };
+}
+
+/**
+ * Validate a partial scoring profile update
+ * @returns {Array<string>} Validation error messages
+ */
+function validateScoringUpdate(updates) {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    return ['scoringProfile must be an object'];
+  }
+
+  const errors = [];
+
+  if (updates.weights !== undefined) {
+    if (!updates.weights || typeof updates.weights !== 'object') {
+      errors.push('weights must be an object');
+    } else {
+      Object.entries(updates.weights).forEach(([key, value]) => {
+        if (!WEIGHT_KEYS.includes(key)) {
+          errors.push(`Unknown weight: ${key} (allowed: ${WEIGHT_KEYS.join(', ')})`);
+        } else if (typeof value !== 'number' || value < 0 || !Number.isFinite(value)) {
+          errors.push(`weights.${key} must be a non-negative number`);
+        }
+      });
+    }
+  }
+
+  if (updates.sameRolePenalty !== undefined) {
+    const penalty = updates.sameRolePenalty;
+    if (typeof penalty !== 'number' || penalty < 0 || penalty > 1) {
+      errors.push('sameRolePenalty must be a number between 0 and 1');
+    }
+  }
+
+  if (updates.complementPairs !== undefined) {
+    const pairs = updates.complementPairs;
+    const valid = Array.isArray(pairs) && pairs.every(pair =>
+      Array.isArray(pair) &&
+      pair.length === 2 &&
+      pair.every(industry => typeof industry === 'string' && industry.trim())
+    );
+    if (!valid) {
+      errors.push('complementPairs must be an array of [industryA, industryB] string pairs');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a scoring profile update against the client's current profile
+ * without storing it (so callers can check all of their input first)
+ * @param {string} clientId
+ * @param {Object} updates - { weights?, sameRolePenalty?, complementPairs? }
+ * @param {string} updatedBy - Admin identifier for traceability
+ * @returns {Object} Prepared update for saveScoringUpdate
+ * @throws {ServiceError} 400 INVALID_SCORING_PROFILE
+ */
+async function prepareScoringUpdate(clientId, updates, updatedBy) {
+  const errors = validateScoringUpdate(updates);
+  if (errors.length > 0) {
+    throw new ServiceError('Invalid scoring profile', 400, 'INVALID_SCORING_PROFILE', errors);
+  }
+
+  const current = await getScoringProfile(clientId);
+
+  const weights = { ...current.weights, ...(updates.weights || {}) };
+  if (!WEIGHT_KEYS.some(key => weights[key] > 0)) {
+    throw new ServiceError('Invalid scoring profile', 400, 'INVALID_SCORING_PROFILE', [
+      'At least one weight must be greater than 0'
+    ]);
+  }
+
+  const set = { weights, updatedBy };
+  if (updates.sameRolePenalty !== undefined) {
+    set.sameRolePenalty = updates.sameRolePenalty;
+  }
+  if (updates.complementPairs !== undefined) {
+    set.complementPairs = updates.complementPairs.map(pair => pair.map(industry => industry.trim().toLowerCase()));
+  }
+
+  return { clientId, set };
+}
+
+/**
+ * Store an update from prepareScoringUpdate; bumps the version
+ */
+async function saveScoringUpdate({ clientId, set }) {
+  const doc = await ScoringProfile.findOneAndUpdate(
+    { clientId },
+    { $set: set, $inc: { version: 1 } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: false }
+  );
+
+  console.log(`⚖️  Scoring profile updated for ${clientId} (v${doc.version})`);
+
+  return toScoringObject(doc);
+}
+
+/**
+ * Create or update a client's scoring profile; bumps the version
+ * @param {string} clientId
+ * @param {Object} updates - { weights?, sameRolePenalty?, complementPairs? }
+ * @param {string} updatedBy - Admin identifier for traceability
+ */
+async function updateScoringProfile(clientId, updates, updatedBy) {
+  return saveScoringUpdate(await prepareScoringUpdate(clientId, updates, updatedBy));
+}
+
+module.exports = {
+  DEFAULT_SCORING_PROFILE,
+  getScoringProfile,
+  prepareScoringUpdate,
+  saveScoringUpdate,
+  updateScoringProfile
+};
@@ -0,0 +1,177 @@
+const { ApiKey } = require('../models/ApiKey');
+const { UsageRollup } = require('../models/UsageRollup');
+const { MonthlyUsage } = require('../models/MonthlyUsage');
+const { OPERATION_COSTS, USAGE_SERIES } = require('../config/metering');
+const { ServiceError } = require('../utils/ServiceError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SERIES_DAYS = 366;
+
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+const toMonthKey = (date) => date.toISOString().slice(0, 7);
+
+/**
+ * Start of the next UTC month (when monthly quotas reset)
+ */
+function nextMonthStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+/**
+ * Whether a monthly quota applies (null/undefined: unlimited; 0 blocks all metered usage)
+ */
+const hasQuota = (quota) => quota !== undefined && quota !== null;
+
+/**
+ * Cost of a request
+ * @param {string} operation - Key of OPERATION_COSTS
+ * @param {number} quantity - Number of items (e.g. rows in a bulk import)
+ * @returns {Object} { units, category }
+ */
+function getOperationCost(operation, quantity = 1) {
+  const cost = OPERATION_COSTS[operation] || OPERATION_COSTS.read;
+  return {
+    units: cost.units * quantity,
+    category: cost.category || null
+  };
+}
+
+/**
+ * Units a client has used in the current UTC month
+ */
+async function getMonthlyUnits(clientId, now = new Date()) {
+  const [result] = await UsageRollup.aggregate([
+    { $match: { clientId, month: toMonthKey(now) } },
+    { $group: { _id: null, units: { $sum: '$units' } } }
+  ]);
+  return result?.units || 0;
+}
+
+/**
+ * Atomically reserve units on the client's monthly counter
+ * With a quota, the reservation only succeeds while the counter stays within it.
+ * @param {string} clientId
+ * @param {number} units
+ * @param {number|null} quota - Monthly quota (null: unlimited, always reserved)
+ * @returns {Object} { reserved, used (units counted before this reservation), month }
+ */
+async function reserveUnits(clientId, units, quota = null, now = new Date()) {
+  const month = toMonthKey(now);
+  const filter = { clientId, month, ...(hasQuota(quota) && { units: { $lte: quota - units } }) };
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const counter = await MonthlyUsage.findOneAndUpdate(filter, { $inc: { units } }, { new: true });
+    if (counter) {
+      return { reserved: true, used: counter.units - units, month };
+    }
+
+    const existing = await MonthlyUsage.findOne({ clientId, month }).lean();
+    if (existing) {
+      return { reserved: false, used: existing.units, month };
+    }
+
+    // First metered request of the month: start from what the daily rollups count
+    try {
+      await MonthlyUsage.create({ clientId, month, units: await getMonthlyUnits(clientId, now) });
+    } catch (error) {
+      if (error.code !== 11000) throw error; // Created by a concurrent request
+    }
+  }
+
+  throw new Error('Could not reserve usage units');
+}
+
+/**
+ * Give back units reserved for a request that was not billed
+ */
+async function releaseUnits(clientId, month, units) {
+  await MonthlyUsage.updateOne({ clientId, month }, { $inc: { units: -units } });
+}
+
+/**
+ * Record a completed request in the daily rollup and on the key
+ * @param {Object} usage - { clientId, keyId, operation, quantity }
+ */
+async function recordUsage({ clientId, keyId, operation, quantity = 1 }, now = new Date()) {
+  const { units, category } = getOperationCost(operation, quantity);
+
+  const inc = {
+    calls: 1,
+    units,
+    [`operations.${operation}`]: 1
+  };
+  if (category) {
+    inc[category] = quantity;
+  }
+
+  await Promise.all([
+    UsageRollup.updateOne(
+      { clientId, date: toDateKey(now) },
+      { $inc: inc, $setOnInsert: { month: toMonthKey(now) } },
+      { upsert: true }
+    ),
+    keyId && ApiKey.updateOne({ _id: keyId }, { $inc: { usageUnits: units } })
+  ]);
+
+  return units;
+}
+
+/**
+ * Daily usage time series for a client
+ * Days without traffic are included with zero counts.
+ * @param {string} clientId
+ * @param {Object} range - { from?: 'YYYY-MM-DD', to?: 'YYYY-MM-DD' } (default: last 30 days)
+ */
+async function getUsageSeries(clientId, { from, to } = {}) {
+  const end = to ? new Date(`${to}T00:00:00Z`) : new Date(`${toDateKey(new Date())}T00:00:00Z`);
+  const start = from ? new Date(`${from}T00:00:00Z`) : new Date(end.getTime() - 29 * DAY_MS);
+
+  if (isNaN(start) || isNaN(end) || start > end) {
+    throw new ServiceError('from and to must be dates (YYYY-MM-DD) with from <= to', 400, 'INVALID_DATE_RANGE');
+  }
+
+  const days = Math.round((end - start) / DAY_MS) + 1;
+  if (days > MAX_SERIES_DAYS) {
+    throw new ServiceError(`Date range cannot exceed ${MAX_SERIES_DAYS} days`, 400, 'INVALID_DATE_RANGE');
+  }
+
+  const rollups = await UsageRollup.find({
+    clientId,
+    date: { $gte: toDateKey(start), $lte: toDateKey(end) }
+  }).lean();
+
+  const byDate = new Map(rollups.map(r => [r.date, r]));
+  const totals = Object.fromEntries(USAGE_SERIES.map(series => [series, 0]));
+
+  const series = [];
+  for (let i = 0; i < days; i++) {
+    const date = toDateKey(new Date(start.getTime() + i * DAY_MS));
+    const rollup = byDate.get(date) || {};
+    const point = { date };
+
+    USAGE_SERIES.forEach(name => {
+      point[name] = rollup[name] || 0;
+      totals[name] += point[name];
+    });
+
+    series.push(point);
+  }
+
+  return {
+    from: toDateKey(start),
+    to: toDateKey(end),
+    totals,
+    series
+  };
+}
+
+module.exports = {
+  hasQuota,
+  getOperationCost,
+  getMonthlyUnits,
+  reserveUnits,
+  releaseUnits,
+  recordUsage,
+  getUsageSeries,
+  nextMonthStart
+};
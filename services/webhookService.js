@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { ApiKey, WEBHOOK_EVENTS } = require('../models/ApiKey');
+const { WebhookDelivery } = require('../models/WebhookDelivery');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { ServiceError } = require('../utils/ServiceError');
+const { assertPublicHost, publicLookup } = require('../utils/publicAddress');
+
+const WEBHOOK_DELIVERY_JOB = 'webhook.deliver';
+const MAX_DELIVERY_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Deliveries only connect to public addresses (checked again at connect time)
+const deliveryAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * Generate a webhook signing secret
+ */
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Sign a payload: HMAC-SHA256 over "<timestamp>.<body>"
+ * Receivers recompute it with their secret and compare against the v1 value.
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+/**
+ * Validate a subscription URL's scheme (the host is checked by assertPublicHost)
+ */
+function validateWebhookUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const allowHttp = process.env.NODE_ENV !== 'production';
+    return parsed.protocol === 'https:' || (allowHttp && parsed.protocol === 'http:');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Add a webhook subscription to an API key
+ * @returns {Object} The subscription, including its secret (shown only once)
+ */
+async function createSubscription(apiKeyId, { url, events = ['*'], description = '' }) {
+  if (!url || !validateWebhookUrl(url)) {
+    throw new ServiceError('A valid https url is required', 400, 'INVALID_WEBHOOK_URL');
+  }
+
+  try {
+    await assertPublicHost(new URL(url).hostname);
+  } catch (error) {
+    throw new ServiceError(
+      error.code === 'NON_PUBLIC_ADDRESS'
+        ? 'url must point to a public address'
+        : `url host could not be resolved (${error.code || error.message})`,
+      400,
+      'INVALID_WEBHOOK_URL'
+    );
+  }
+
+  const eventList = Array.isArray(events) ? events : [events];
+  const unknown = eventList.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+  if (eventList.length === 0 || unknown.length > 0) {
+    throw new ServiceError(
+      `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')} or *`,
+      400,
+      'INVALID_WEBHOOK_EVENTS'
+    );
+  }
+
+  const secret = generateWebhookSecret();
+  const subscription = { url, events: eventList, description, secret };
+
+  const apiKey = await ApiKey.findByIdAndUpdate(
+    apiKeyId,
+    { $push: { webhooks: subscription } },
+    { new: true }
+  ).select('webhooks +webhooks.secret');
+
+  const created = apiKey.webhooks[apiKey.webhooks.length - 1];
+
+  console.log(`🪝 Webhook subscription created: ${url} (${eventList.join(', ')})`);
+
+  return {
+    webhookId: created._id,
+    url: created.url,
+    events: created.events,
+    description: created.description,
+    isActive: created.isActive,
+    createdAt: created.createdAt,
+    secret
+  };
+}
+
+/**
+ * Remove a webhook subscription
+ */
+async function deleteSubscription(apiKeyId, webhookId) {
+  const result = await ApiKey.updateOne(
+    { _id: apiKeyId, 'webhooks._id': webhookId },
+    { $pull: { webhooks: { _id: webhookId } } }
+  );
+
+  if (result.matchedCount === 0) {
+    throw new ServiceError('Webhook not found', 404, 'WEBHOOK_NOT_FOUND');
+  }
+}
+
+/**
+ * List subscriptions for an API key (without secrets)
+ */
+async function listSubscriptions(apiKeyId) {
+  const apiKey = await ApiKey.findById(apiKeyId).select('webhooks');
+  return (apiKey?.webhooks || []).map(formatSubscription);
+}
+
+const formatSubscription = (webhook) => ({
+  webhookId: webhook._id,
+  url: webhook.url,
+  events: webhook.events,
+  description: webhook.description,
+  isActive: webhook.isActive,
+  createdAt: webhook.createdAt
+});
+
+/**
+ * Queue an event for every matching subscription of a client.
+ * Never throws: webhook problems must not break the request that triggered them.
+ * @param {string} clientId
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event payload
+ */
+async function emitEvent(clientId, event, data) {
+  if (!clientId) return [];
+
+  try {
+    const keys = await ApiKey.find({
+      clientId,
+      webhooks: {
+        $elemMatch: { isActive: true, events: { $in: [event, '*'] } }
+      }
+    }).select('clientId webhooks');
+
+    const deliveries = [];
+
+    for (const key of keys) {
+      const subscriptions = key.webhooks.filter(w =>
+        w.isActive && (w.events.includes(event) || w.events.includes('*'))
+      );
+
+      for (const webhook of subscriptions) {
+        const delivery = new WebhookDelivery({
+          clientId,
+          apiKeyId: key._id,
+          webhookId: webhook._id,
+          url: webhook.url,
+          event
+        });
+
+        delivery.payload = {
+          id: delivery._id,
+          event,
+          createdAt: new Date().toISOString(),
+          data
+        };
+
+        await delivery.save();
+        await enqueueJob(WEBHOOK_DELIVERY_JOB, { deliveryId: delivery._id }, {
+          clientId,
+          maxAttempts: MAX_DELIVERY_ATTEMPTS
+        });
+
+        deliveries.push(delivery);
+      }
+    }
+
+    if (deliveries.length > 0) {
+      console.log(`🪝 ${event} queued for ${deliveries.length} webhook(s)`);
+    }
+
+    return deliveries;
+  } catch (error) {
+    console.error(`⚠️  Failed to emit ${event} webhook:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Send one delivery attempt and log it
+ * @returns {boolean} true when the receiver answered 2xx
+ */
+async function attemptDelivery(delivery) {
+  // Look up by subscription id: subscriptions move to the new key when a key is rotated
+  const apiKey = await ApiKey.findOne({ 'webhooks._id': delivery.webhookId })
+    .select('webhooks +webhooks.secret');
+  const webhook = apiKey?.webhooks.id(delivery.webhookId);
+
+  if (!webhook || !webhook.isActive) {
+    const error = new Error('Webhook subscription no longer active');
+    error.retryable = false;
+    error.code = 'WEBHOOK_INACTIVE';
+    throw error;
+  }
+
+  // The host may have been re-pointed since the subscription was created
+  try {
+    await assertPublicHost(new URL(webhook.url).hostname);
+  } catch (error) {
+    if (error.code !== 'NON_PUBLIC_ADDRESS') throw error;
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { $push: { attempts: { attemptedAt: new Date(), error: error.message, durationMs: 0 } } }
+    );
+    error.retryable = false;
+    throw error;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = signPayload(webhook.secret, timestamp, body);
+  const startedAt = Date.now();
+  const attempt = { attemptedAt: new Date() };
+
+  try {
+    const response = await axios.post(webhook.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ProfileMatching-Webhooks/1.0',
+        'X-Webhook-Id': String(delivery._id),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `t=${timestamp},v1=${signature}`
+      },
+      timeout: DELIVERY_TIMEOUT_MS,
+      ...deliveryAgents,
+      maxRedirects: 0, // A redirect could lead to an internal address
+      validateStatus: () => true // Record every status instead of throwing
+    });
+
+    attempt.statusCode = response.status;
+  } catch (error) {
+    attempt.error = error.message;
+    attempt.blocked = error.code === 'NON_PUBLIC_ADDRESS' || error.cause?.code === 'NON_PUBLIC_ADDRESS';
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  const succeeded = attempt.statusCode >= 200 && attempt.statusCode < 300;
+
+  const { blocked, ...attemptLog } = attempt;
+  const update = { $push: { attempts: attemptLog } };
+  if (succeeded) {
+    update.$set = { status: 'succeeded', deliveredAt: new Date() };
+  }
+  await WebhookDelivery.updateOne({ _id: delivery._id }, update);
+
+  if (!succeeded) {
+    const error = new Error(attempt.error || `Receiver responded with ${attempt.statusCode}`);
+    error.code = blocked ? 'NON_PUBLIC_ADDRESS' : 'WEBHOOK_DELIVERY_FAILED';
+    if (blocked) error.retryable = false;
+    throw error;
+  }
+
+  return true;
+}
+
+// Background delivery; the job queue provides retries with exponential backoff
+registerJobHandler(WEBHOOK_DELIVERY_JOB, async (job) => {
+  const delivery = await WebhookDelivery.findById(job.payload.deliveryId);
+  if (!delivery || delivery.status === 'succeeded') return null;
+
+  try {
+    await attemptDelivery(delivery);
+    return { deliveryId: delivery._id, status: 'succeeded' };
+  } catch (error) {
+    const isLastAttempt = error.retryable === false || job.attempts >= job.maxAttempts;
+    if (isLastAttempt) {
+      await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: { status: 'failed' } });
+    }
+    throw error;
+  }
+});
+
+/**
+ * Re-send a stored delivery with its original payload
+ */
+async function replayDelivery(deliveryId) {
+  // Pending deliveries already have a job queued
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: { $ne: 'pending' } },
+    { $set: { status: 'pending' }, $inc: { replayCount: 1 } },
+    { new: true }
+  );
+
+  if (!delivery) {
+    if (await WebhookDelivery.exists({ _id: deliveryId })) {
+      throw new ServiceError('Delivery is still pending', 409, 'DELIVERY_PENDING');
+    }
+    throw new ServiceError('Delivery not found', 404, 'DELIVERY_NOT_FOUND');
+  }
+
+  await enqueueJob(WEBHOOK_DELIVERY_JOB, { deliveryId: delivery._id }, {
+    clientId: delivery.clientId,
+    maxAttempts: MAX_DELIVERY_ATTEMPTS
+  });
+
+  console.log(`🔁 Webhook delivery replayed: ${delivery._id} (${delivery.event})`);
+
+  return delivery;
+}
+
+/**
+ * Delivery log for a client, newest first
+ * @param {Object} filters - { clientId, status?, event?, page?, limit? }
+ */
+async function listDeliveries({ clientId, status, event, page = 1, limit = 20 }) {
+  const query = { clientId };
+  if (status) query.status = status;
+  if (event) query.event = event;
+
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+  const [deliveries, total] = await Promise.all([
+    WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    WebhookDelivery.countDocuments(query)
+  ]);
+
+  return {
+    deliveries,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum)
+    }
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signPayload,
+  createSubscription,
+  deleteSubscription,
+  listSubscriptions,
+  emitEvent,
+  replayDelivery,
+  listDeliveries
+};
@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ApiKey } = require('../models/ApiKey');
+const { ScoringProfile } = require('../models/ScoringProfile');
+const { listApiKeys, updateApiKey, regenerateApiKey } = require('../controllers/adminController');
+const { mockQuery, runHandler, quiet } = require('./helpers');
+
+const clientKey = (fields = {}) => new ApiKey({
+  name: 'Acme',
+  clientId: 'acme',
+  keyHash: 'hash',
+  keyPrefix: 'prefix',
+  ...fields
+});
+
+/**
+ * Stub the models updateApiKey reads and writes
+ */
+function stubClient(t, keys = [clientKey()]) {
+  quiet(t);
+  t.mock.method(ApiKey, 'exists', async () => ({ _id: keys[0]._id }));
+  t.mock.method(ApiKey, 'updateMany', async () => ({ modifiedCount: keys.length }));
+  t.mock.method(ApiKey, 'find', () => mockQuery(keys));
+  t.mock.method(ScoringProfile, 'findOne', () => mockQuery(null));
+  t.mock.method(ScoringProfile, 'findOneAndUpdate', async (filter, update) => ({
+    clientId: 'acme',
+    version: 1,
+    ...update.$set
+  }));
+}
+
+test('listApiKeys matches the search literally', async (t) => {
+  t.mock.method(ApiKey, 'find', () => mockQuery([]));
+
+  const res = await runHandler(listApiKeys, { query: { search: '(a+)+$[' } });
+
+  assert.equal(res.statusCode, 200);
+  const [query] = ApiKey.find.mock.calls[0].arguments;
+  assert.deepEqual(query.$or.map(clause => Object.keys(clause)[0]), ['name', 'clientId', 'keyName']);
+  query.$or.forEach(clause => {
+    const { $regex } = Object.values(clause)[0];
+    assert.equal($regex, '\\(a\\+\\)\\+\\$\\[');
+    assert.ok(new RegExp($regex).test('(a+)+$['));
+  });
+});
+
+test('updateApiKey writes nothing when a key field is invalid', async (t) => {
+  stubClient(t);
+
+  const res = await runHandler(updateApiKey, {
+    params: { clientId: 'acme' },
+    body: { rateLimit: 'lots', scoringProfile: { sameRolePenalty: 0.5 } }
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'VALIDATION_ERROR');
+  assert.match(res.body.details[0], /rateLimit/);
+  assert.equal(ScoringProfile.findOneAndUpdate.mock.callCount(), 0);
+  assert.equal(ApiKey.updateMany.mock.callCount(), 0);
+});
+
+test('updateApiKey writes nothing when the scoring profile is invalid', async (t) => {
+  stubClient(t);
+
+  const res = await runHandler(updateApiKey, {
+    params: { clientId: 'acme' },
+    body: { rateLimit: 500, scoringProfile: { weights: { skills: -1 } } }
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'INVALID_SCORING_PROFILE');
+  assert.deepEqual(res.body.details, ['weights.skills must be a non-negative number']);
+  assert.equal(ApiKey.updateMany.mock.callCount(), 0);
+});
+
+test('updateApiKey stores key settings and the scoring profile together', async (t) => {
+  stubClient(t);
+
+  const res = await runHandler(updateApiKey, {
+    params: { clientId: 'acme' },
+    body: { rateLimit: 500, scoringProfile: { sameRolePenalty: 0.5 } }
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.scoringProfile.sameRolePenalty, 0.5);
+  assert.equal(ScoringProfile.findOneAndUpdate.mock.callCount(), 1);
+  ApiKey.updateMany.mock.calls.forEach(call => assert.equal(call.arguments[1].rateLimit, 500));
+});
+
+test('updateApiKey keeps the grace expiry of rotated keys', async (t) => {
+  stubClient(t);
+  const expiresAt = '2030-01-01T00:00:00.000Z';
+
+  await runHandler(updateApiKey, { params: { clientId: 'acme' }, body: { expiresAt, isActive: true, notes: 'vip' } });
+
+  const [current, rotated] = ApiKey.updateMany.mock.calls.map(call => call.arguments);
+  assert.deepEqual(current[0], { clientId: 'acme', revokedAt: null, rotatedAt: null });
+  assert.deepEqual(current[1], { notes: 'vip', expiresAt, isActive: true });
+  assert.deepEqual(rotated[0], { clientId: 'acme', revokedAt: null, rotatedAt: { $ne: null } });
+  assert.deepEqual(rotated[1], { notes: 'vip' });
+});
+
+/**
+ * Stub the reads and writes of a rotation; `retired` is what the guarded
+ * update of the old key returns (null when another request got there first)
+ */
+function stubRotation(t, oldKey, retired = undefined) {
+  quiet(t);
+  t.mock.method(ApiKey, 'find', () => mockQuery([oldKey]));
+  t.mock.method(ApiKey.prototype, 'save', async function () { return this; });
+  t.mock.method(ApiKey, 'deleteOne', async () => ({ deletedCount: 1 }));
+  t.mock.method(ApiKey, 'findOneAndUpdate', async (filter, { $set }) =>
+    (retired === undefined ? Object.assign(oldKey, $set) : retired)
+  );
+}
+
+test('regenerateApiKey issues a replacement and retires the old key with a guarded update', async (t) => {
+  const oldKey = clientKey({ rateLimit: 250, scopes: ['profiles:read'] });
+  stubRotation(t, oldKey);
+
+  const res = await runHandler(regenerateApiKey, { params: { clientId: 'acme' }, body: { gracePeriodHours: 2 } });
+
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body.data.apiKey, /^sk_/);
+  assert.equal(res.body.data.status, 'active');
+  assert.equal(res.body.data.previousKey.status, 'rotating');
+
+  const [filter, { $set }] = ApiKey.findOneAndUpdate.mock.calls[0].arguments;
+  assert.deepEqual(
+    { _id: filter._id, isActive: filter.isActive, revokedAt: filter.revokedAt, rotatedAt: filter.rotatedAt },
+    { _id: oldKey._id, isActive: true, revokedAt: null, rotatedAt: null }
+  );
+  assert.ok(filter.$or.some(clause => clause.expiresAt?.$gt instanceof Date));
+  assert.equal(String($set.replacedBy), String(res.body.data.keyId));
+  const grace = $set.expiresAt.getTime() - $set.rotatedAt.getTime();
+  assert.equal(grace, 2 * 60 * 60 * 1000);
+  assert.equal(ApiKey.deleteOne.mock.callCount(), 0);
+});
+
+test('regenerateApiKey rejects expired keys', async (t) => {
+  stubRotation(t, clientKey({ expiresAt: new Date(Date.now() - 1000) }));
+
+  const res = await runHandler(regenerateApiKey, { params: { clientId: 'acme' }, body: {} });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'KEY_EXPIRED');
+  assert.equal(ApiKey.prototype.save.mock.callCount(), 0);
+});
+
+test('regenerateApiKey removes the replacement when the old key changed meanwhile', async (t) => {
+  stubRotation(t, clientKey(), null);
+
+  const res = await runHandler(regenerateApiKey, { params: { clientId: 'acme' }, body: {} });
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.code, 'KEY_CHANGED');
+  const saved = ApiKey.prototype.save.mock.calls[0].this;
+  assert.deepEqual(ApiKey.deleteOne.mock.calls[0].arguments[0], { _id: saved._id });
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ApiKey, KEY_PREFIX_LENGTH, hashKey } = require('../models/ApiKey');
+const { generateApiKey, authenticateApiKey } = require('../middleware/apiKeyAuth');
+const { createApiKey, listApiKeys } = require('../controllers/adminController');
+const { mockResponse, mockQuery, runHandler, quiet } = require('./helpers');
+
+const RAW_KEY = generateApiKey('sk');
+
+const storedKey = (rawKey = RAW_KEY, fields = {}) => {
+  const key = new ApiKey({ name: 'Acme', clientId: 'acme', ...fields });
+  key.setKey(rawKey);
+  return key;
+};
+
+test.beforeEach((t) => quiet(t));
+
+test('only a hash and a short prefix of the secret are stored', () => {
+  const key = storedKey();
+
+  assert.equal(key.keyHash, hashKey(RAW_KEY));
+  assert.equal(key.keyPrefix, RAW_KEY.slice(0, KEY_PREFIX_LENGTH));
+  assert.equal(key.keyPrefix.length, 11);
+  assert.equal(key.keyPreview, `${key.keyPrefix}••••••••`);
+  assert.ok(!JSON.stringify(key.toObject()).includes(RAW_KEY));
+});
+
+test('keys are looked up by prefix and matched by hash', async (t) => {
+  // A different secret that happens to share the prefix
+  const sibling = `${RAW_KEY.slice(0, KEY_PREFIX_LENGTH)}${'0'.repeat(RAW_KEY.length - KEY_PREFIX_LENGTH)}`;
+  const match = storedKey();
+  t.mock.method(ApiKey, 'find', () => mockQuery([storedKey(sibling), match]));
+
+  assert.equal(await ApiKey.findByKey(RAW_KEY), match);
+  const [filter] = ApiKey.find.mock.calls[0].arguments;
+  assert.deepEqual(filter, { keyPrefix: RAW_KEY.slice(0, KEY_PREFIX_LENGTH) });
+  assert.equal(ApiKey.find.mock.callCount(), 1);
+
+  assert.equal(await ApiKey.findByKey(`${RAW_KEY.slice(0, -1)}x`), null);
+  assert.equal(await ApiKey.findByKey('sk_short'), null);
+  assert.equal(await ApiKey.findByKey(['sk_array']), null);
+  assert.equal(ApiKey.find.mock.callCount(), 2);
+});
+
+test('authentication accepts a valid key and exposes no secret', async (t) => {
+  const key = storedKey(RAW_KEY, { scopes: ['profiles:read'] });
+  t.mock.method(ApiKey, 'findByKey', async (raw) => (raw === RAW_KEY ? key : null));
+  t.mock.method(key, 'save', async () => key);
+
+  const req = { headers: { authorization: `Bearer ${RAW_KEY}` } };
+  let nextCalled = false;
+  await authenticateApiKey(req, mockResponse(), () => { nextCalled = true; });
+
+  assert.equal(nextCalled, true);
+  assert.equal(key.usageCount, 1);
+  assert.equal(req.apiClient.clientId, 'acme');
+  assert.equal(req.apiClient.keyPreview, key.keyPreview);
+  assert.deepEqual([...req.apiClient.scopes], ['profiles:read']);
+  assert.ok(!JSON.stringify(req.apiClient).includes(RAW_KEY));
+  assert.ok(!JSON.stringify(req.apiClient).includes(key.keyHash));
+});
+
+test('authentication rejects missing, unknown, disabled and expired keys', async (t) => {
+  const keys = {
+    disabled: storedKey(generateApiKey('sk'), { isActive: false }),
+    expired: storedKey(generateApiKey('sk'), { expiresAt: new Date(Date.now() - 1000) })
+  };
+  t.mock.method(ApiKey, 'findByKey', async (raw) => keys[raw] || null);
+
+  const cases = [
+    [{}, 401, 'MISSING_API_KEY'],
+    [{ 'x-api-key': 'sk_unknown' }, 401, 'INVALID_API_KEY'],
+    [{ 'x-api-key': 'disabled' }, 403, 'DISABLED_API_KEY'],
+    [{ 'x-api-key': 'expired' }, 403, 'EXPIRED_API_KEY']
+  ];
+
+  for (const [headers, status, code] of cases) {
+    const res = await runHandler(authenticateApiKey, { headers });
+    assert.equal(res.statusCode, status, code);
+    assert.equal(res.body.code, code);
+    assert.equal(res.nextCalled, false);
+  }
+});
+
+test('the secret is shown once on creation and never listed', async (t) => {
+  let saved = null;
+  t.mock.method(ApiKey, 'exists', async () => null);
+  t.mock.method(ApiKey.prototype, 'save', async function () {
+    saved = this;
+    return this;
+  });
+
+  const created = await runHandler(createApiKey, { body: { name: 'Acme', clientId: 'acme' } });
+
+  assert.equal(created.statusCode, 201);
+  const rawKey = created.body.data.apiKey;
+  assert.match(rawKey, /^sk_[0-9a-f]{64}$/);
+  assert.equal(saved.keyHash, hashKey(rawKey));
+
+  t.mock.method(ApiKey, 'find', () => mockQuery([saved]));
+  const listed = await runHandler(listApiKeys);
+  assert.equal(listed.statusCode, 200);
+  assert.ok(!JSON.stringify(listed.body).includes(rawKey));
+  assert.ok(!JSON.stringify(listed.body).includes(saved.keyHash));
+});
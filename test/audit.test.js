@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AuditLog } = require('../models/AuditLog');
+const { requestId, auditRequests } = require('../middleware/audit');
+const { recordAudit } = require('../services/auditService');
+const { getAuditLog } = require('../controllers/auditController');
+const { mockResponse, mockQuery, runHandler, quiet } = require('./helpers');
+
+/**
+ * Run a request through requestId + auditRequests, let `route` set what the
+ * router would (actor, route, params), answer with `statusCode` and return
+ * the audit entry written when the response finishes
+ */
+function audited(req, statusCode, route = (r) => r) {
+  const res = mockResponse();
+  req = { method: 'GET', originalUrl: '/api/v1/health', headers: {}, params: {}, ip: '203.0.113.7', ...req };
+
+  requestId(req, res, () => {});
+  auditRequests('/api/v1')(req, res, () => {});
+  route(req);
+  res.status(statusCode);
+  res.emit('finish');
+
+  return { req, res, entry: AuditLog.create.mock.calls.at(-1)?.arguments[0] };
+}
+
+test.beforeEach((t) => {
+  quiet(t);
+  t.mock.method(AuditLog, 'create', async (entry) => entry);
+});
+
+test('requests get an id, taken from X-Request-Id when it is safe', () => {
+  const { req, res } = audited({ headers: { 'x-request-id': 'req-42' } }, 200);
+  assert.equal(req.id, 'req-42');
+  assert.equal(res.headers['X-Request-Id'], 'req-42');
+
+  const { req: generated } = audited({ headers: { 'x-request-id': 'bad id\n' } }, 200);
+  assert.match(generated.id, /^[0-9a-f-]{36}$/);
+});
+
+test('API key requests are logged with the key, route pattern and target', () => {
+  const { entry } = audited(
+    { method: 'DELETE', originalUrl: '/api/v1/profiles/p1?x=1', headers: { 'user-agent': 'curl' } },
+    200,
+    (req) => {
+      req.apiClient = { keyId: 'key1', keyPreview: 'sk_abcdefgh••••••••', clientId: 'acme' };
+      req.route = { path: '/profiles/:profileId' };
+      req.params = { profileId: 'p1' };
+    }
+  );
+
+  assert.deepEqual(entry.actor, { type: 'api_key', id: 'key1', label: 'sk_abcdefgh••••••••', clientId: 'acme' });
+  assert.equal(entry.action, 'DELETE /api/v1/profiles/:profileId');
+  assert.deepEqual(entry.target, { type: 'profile', id: 'p1' });
+  assert.equal(entry.outcome, 'success');
+  assert.equal(entry.statusCode, 200);
+  assert.equal(entry.ip, '203.0.113.7');
+  assert.equal(entry.userAgent, 'curl');
+  assert.equal(typeof entry.durationMs, 'number');
+});
+
+test('denied and failed requests are logged with their outcome', () => {
+  const denied = audited({ originalUrl: '/api/v1/profiles?page=2' }, 401);
+  assert.deepEqual(denied.entry.actor, { type: 'anonymous' });
+  assert.equal(denied.entry.action, 'GET /api/v1/profiles');
+  assert.equal(denied.entry.outcome, 'denied');
+
+  assert.equal(audited({ originalUrl: '/api/v1/matches' }, 403).entry.outcome, 'denied');
+  assert.equal(audited({ originalUrl: '/api/v1/matches' }, 404).entry.outcome, 'failure');
+  assert.equal(audited({ originalUrl: '/api/v1/matches' }, 500).entry.outcome, 'failure');
+
+  const admin = audited({ method: 'POST', originalUrl: '/api/admin/keys', body: { clientId: 'acme' } }, 201, (req) => {
+    req.user = { _id: 'u1', email: 'ops@example.com' };
+  });
+  assert.deepEqual(admin.entry.actor, { type: 'admin', id: 'u1', label: 'ops@example.com' });
+  assert.deepEqual(admin.entry.target, { type: 'client', id: 'acme' });
+});
+
+test('a failed audit write never breaks the request', async () => {
+  AuditLog.create.mock.mockImplementation(async () => { throw new Error('database down'); });
+
+  await recordAudit({ requestId: 'r1' });
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('the audit log is filtered, paged and newest first', async (t) => {
+  const find = mockQuery([{ _id: 'a1', requestId: 'r1', action: 'GET /api/v1/profiles' }]);
+  t.mock.method(AuditLog, 'find', () => find);
+  t.mock.method(AuditLog, 'countDocuments', async () => 120);
+
+  const res = await runHandler(getAuditLog, {
+    query: { clientId: 'acme', action: 'profiles.*', outcome: 'denied', from: '2026-01-01', page: '2', limit: '500' }
+  });
+
+  assert.equal(res.statusCode, 200);
+  const [query] = AuditLog.find.mock.calls[0].arguments;
+  assert.equal(query['actor.clientId'], 'acme');
+  assert.deepEqual(query.action, { $regex: 'profiles\\.\\*', $options: 'i' });
+  assert.equal(query.outcome, 'denied');
+  assert.deepEqual(query.createdAt, { $gte: new Date('2026-01-01') });
+  assert.deepEqual(find.calls.sort, [{ createdAt: -1 }]);
+  assert.deepEqual(find.calls.skip, [100]);
+  assert.deepEqual(find.calls.limit, [100]);
+  assert.deepEqual(res.body.pagination, { page: 2, limit: 100, total: 120, pages: 2 });
+  assert.equal(res.body.data[0].id, 'a1');
+
+  const invalid = await runHandler(getAuditLog, { query: { to: 'yesterday' } });
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(invalid.body.code, 'INVALID_DATE_RANGE');
+});
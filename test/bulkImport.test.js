@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { Job } = require('../models/Job');
+const { MonthlyUsage } = require('../models/MonthlyUsage');
+const { parseCsv, parseNdjson, detectFormat } = require('../utils/importParser');
+const { findExistingProfile, PROFILE_CREATE_JOB } = require('../services/profileService');
+const { PROFILE_IMPORT_JOB, getImportReport } = require('../services/bulkImportService');
+const { mockQuery, runQueuedJob, quiet } = require('./helpers');
+
+test.beforeEach((t) => quiet(t));
+
+test('parseCsv handles quotes, CRLF and blank lines and keeps file line numbers', () => {
+  const csv = [
+    'name,linkedinURL,email,role,additionalData',
+    '"Silva, Ana",https://www.linkedin.com/in/ana, Ana@Example.com ,Hotel Manager,"{""skills"":[""operations""]}"',
+    '',
+    'Ben Ross,https://www.linkedin.com/in/ben,,,',
+    'Cara,https://www.linkedin.com/in/cara,,,{not json'
+  ].join('\r\n');
+
+  const [ana, ben, cara] = parseCsv(csv);
+
+  assert.equal(ana.row, 2);
+  assert.deepEqual(ana.data, {
+    name: 'Silva, Ana',
+    linkedinURL: 'https://www.linkedin.com/in/ana',
+    email: 'ana@example.com',
+    additionalData: { skills: ['operations'], role: 'Hotel Manager' }
+  });
+  assert.equal(ben.row, 4);
+  assert.equal(ben.data.email, undefined);
+  assert.equal(cara.row, 5);
+  assert.match(cara.error, /^Invalid additionalData/);
+});
+
+test('parseNdjson reports invalid lines by line number', () => {
+  const rows = parseNdjson([
+    '{"name":"Ana","linkedinURL":"https://www.linkedin.com/in/ana","industry":"hospitality"}',
+    '',
+    '[1,2]',
+    '{oops'
+  ].join('\n'));
+
+  assert.deepEqual(rows[0], {
+    row: 1,
+    data: { name: 'Ana', linkedinURL: 'https://www.linkedin.com/in/ana', email: undefined, additionalData: { industry: 'hospitality' } }
+  });
+  assert.deepEqual(rows[1], { row: 3, error: 'Row must be a JSON object' });
+  assert.equal(rows[2].row, 4);
+  assert.match(rows[2].error, /^Invalid JSON/);
+});
+
+test('detectFormat prefers the explicit format over the Content-Type', () => {
+  assert.equal(detectFormat('CSV', 'application/x-ndjson'), 'csv');
+  assert.equal(detectFormat('xml'), null);
+  assert.equal(detectFormat(undefined, 'text/csv; charset=utf-8'), 'csv');
+  assert.equal(detectFormat(undefined, 'application/jsonl'), 'ndjson');
+  assert.equal(detectFormat(undefined, 'text/plain'), null);
+});
+
+test('existing profiles are matched by canonical URL and normalized email', async (t) => {
+  t.mock.method(User, 'findOne', async () => null);
+
+  await findExistingProfile('acme', 'http://linkedin.com/in/ana/', '  Ana@Example.COM ');
+
+  assert.deepEqual(User.findOne.mock.calls[0].arguments[0], {
+    $or: [{ linkedinURL: 'https://www.linkedin.com/in/ana' }, { email: 'ana@example.com' }],
+    clientId: 'acme'
+  });
+});
+
+test('the import job dedupes rows and queues one billed create job per new profile', async (t) => {
+  const existingId = new mongoose.Types.ObjectId();
+  t.mock.method(User, 'find', () => mockQuery([{ _id: existingId, linkedinURL: 'https://www.linkedin.com/in/ana', email: 'ana@example.com' }]));
+  t.mock.method(Job, 'find', () => mockQuery([]));
+  t.mock.method(Job, 'create', async (doc) => ({ _id: `child-${doc.payload.importRow}`, ...doc }));
+  t.mock.method(MonthlyUsage, 'findOneAndUpdate', async (filter, { $inc }) => ({ units: $inc.units }));
+
+  const profile = (name, url, extra = {}) => ({ name, linkedinURL: `https://www.linkedin.com/in/${url}`, additionalData: {}, ...extra });
+  const rows = [
+    { row: 2, data: profile('Ana', 'ana') },
+    { row: 3, data: profile('Ana again', 'ana-2', { email: 'ana@example.com' }) },
+    { row: 4, data: profile('Ben', 'ben') },
+    { row: 5, data: profile('Ben twin', 'BEN/') },
+    { row: 6, data: { name: 'Cara', linkedinURL: 'https://example.com/cara', additionalData: {} } },
+    { row: 7, data: { name: '', linkedinURL: 'https://www.linkedin.com/in/dan', additionalData: {} } },
+    { row: 8, error: 'Invalid JSON: oops' }
+  ];
+
+  const outcome = await runQueuedJob(t, {
+    _id: 'import1',
+    type: PROFILE_IMPORT_JOB,
+    clientId: 'acme',
+    payload: { rows, keyId: 'key1', monthlyQuota: null },
+    attempts: 1,
+    maxAttempts: 3
+  });
+
+  assert.equal(outcome.status, 'completed');
+  assert.deepEqual(outcome.result.rows.map(r => [r.row, r.status, r.code || null]), [
+    [2, 'duplicate', null],
+    [3, 'duplicate', null],
+    [4, 'pending', null],
+    [5, 'duplicate', null],
+    [6, 'failed', 'INVALID_LINKEDIN_URL'],
+    [7, 'failed', 'MISSING_REQUIRED_FIELDS'],
+    [8, 'failed', 'INVALID_ROW']
+  ]);
+  assert.equal(outcome.result.rows[0].profileId, existingId);
+  assert.equal(outcome.result.rows[3].reason, 'Same linkedinURL as row 4');
+
+  assert.equal(Job.create.mock.callCount(), 1);
+  const [child] = Job.create.mock.calls[0].arguments;
+  assert.equal(child.type, PROFILE_CREATE_JOB);
+  assert.deepEqual(
+    { importJobId: child.payload.importJobId, importRow: child.payload.importRow, keyId: child.payload.billing.keyId },
+    { importJobId: 'import1', importRow: 4, keyId: 'key1' }
+  );
+});
+
+test('rows that do not fit the quota fail without being queued', async (t) => {
+  t.mock.method(User, 'find', () => mockQuery([]));
+  t.mock.method(Job, 'find', () => mockQuery([]));
+  t.mock.method(Job, 'create', async (doc) => ({ _id: 'child', ...doc }));
+  t.mock.method(MonthlyUsage, 'findOneAndUpdate', async () => null);
+  t.mock.method(MonthlyUsage, 'findOne', () => mockQuery({ units: 0 }));
+
+  const outcome = await runQueuedJob(t, {
+    _id: 'import2',
+    type: PROFILE_IMPORT_JOB,
+    clientId: 'acme',
+    payload: { rows: [{ row: 2, data: { name: 'Ana', linkedinURL: 'https://www.linkedin.com/in/ana', additionalData: {} } }], monthlyQuota: 0 },
+    attempts: 1,
+    maxAttempts: 3
+  });
+
+  assert.deepEqual(outcome.result.rows, [{ row: 2, status: 'failed', code: 'QUOTA_EXCEEDED', reason: 'Monthly quota exceeded' }]);
+  assert.equal(Job.create.mock.callCount(), 0);
+});
+
+test('the import report follows the create jobs row by row', async (t) => {
+  const profileId = new mongoose.Types.ObjectId();
+  t.mock.method(Job, 'find', () => mockQuery([
+    { _id: 'c1', status: 'completed', result: { profileId } },
+    { _id: 'c2', status: 'failed', lastError: { code: 'PROFILE_EXISTS', message: 'Profile already exists' } },
+    { _id: 'c3', status: 'failed', lastError: { code: 'VALIDATION_ERROR', message: 'Bad email' } },
+    { _id: 'c4', status: 'running' }
+  ]));
+
+  assert.equal(await getImportReport({ result: null }), null);
+
+  const report = await getImportReport({
+    result: {
+      rows: [
+        { row: 2, status: 'pending', jobId: 'c1' },
+        { row: 3, status: 'pending', jobId: 'c2' },
+        { row: 4, status: 'pending', jobId: 'c3' },
+        { row: 5, status: 'pending', jobId: 'c4' },
+        { row: 6, status: 'failed', code: 'INVALID_ROW', reason: 'Invalid JSON' }
+      ]
+    }
+  });
+
+  assert.equal(report.status, 'processing');
+  assert.deepEqual(report.summary, { total: 5, created: 1, duplicate: 1, failed: 2, pending: 1 });
+  assert.equal(report.results[0].profileId, profileId);
+  assert.deepEqual(report.results[2], { row: 4, status: 'failed', jobId: 'c3', code: 'VALIDATION_ERROR', reason: 'Bad email' });
+});
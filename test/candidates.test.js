@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { findCollaborationMatches } = require('../services/matchService');
+const { mockQuery, quiet } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const seeker = {
+  _id: id(),
+  name: 'Ana Silva',
+  role: 'Hotel Manager',
+  industry: 'hospitality',
+  skills: ['operations'],
+  collaborationTargets: [{ roles: ['Marketing Lead'], industries: ['marketing'], keywords: ['branding'] }],
+  connections: []
+};
+
+const candidate = (name, fields = {}) => ({
+  _id: id(),
+  name,
+  role: 'Marketing Lead',
+  industry: 'marketing',
+  skills: ['branding'],
+  collaborationTargets: [],
+  ...fields
+});
+
+test.beforeEach((t) => {
+  quiet(t);
+  t.mock.method(User, 'findById', () => mockQuery(seeker));
+});
+
+test('small pools are scored in full with only the scorer fields loaded', async (t) => {
+  const pool = [candidate('Ben Ross'), candidate('Cara Lima')];
+  const find = mockQuery(pool);
+  t.mock.method(User, 'countDocuments', async () => pool.length);
+  t.mock.method(User, 'find', () => find);
+
+  const matches = await findCollaborationMatches(seeker._id, { clientId: 'acme', minScore: 0, maxCandidates: 10 });
+
+  assert.equal(User.find.mock.callCount(), 1);
+  const fields = find.calls.select[0].split(' ');
+  ['role', 'industry', 'skills', 'collaborationTargets', 'profileEmbedding', 'embeddingModel'].forEach(field =>
+    assert.ok(fields.includes(field), field)
+  );
+  assert.ok(!fields.includes('password'));
+  assert.deepEqual(matches.map(m => m.name).sort(), ['Ben Ross', 'Cara Lima']);
+});
+
+test('large pools are shortlisted by indexed signals, strongest first, then topped up', async (t) => {
+  const strong = candidate('Ben Ross');
+  const weak = candidate('Cara Lima', { role: 'Chef' });
+  const filler = candidate('Dan Costa', { role: 'Chef', industry: 'food', skills: [] });
+  t.mock.method(User, 'countDocuments', async () => 10000);
+
+  const queries = [];
+  t.mock.method(User, 'find', (query) => {
+    queries.push(query);
+    if (query._id?.$in) return mockQuery([strong, weak].filter(c => query._id.$in.includes(String(c._id))));
+    if (query.role) return mockQuery([{ _id: strong._id }]);
+    if (query.industry) return mockQuery([{ _id: strong._id }, { _id: weak._id }]);
+    if (Object.keys(query).some(key => key.startsWith('collaborationTargets.'))) return mockQuery([]);
+    return mockQuery([filler]);
+  });
+
+  const matches = await findCollaborationMatches(seeker._id, { clientId: 'acme', minScore: 0, maxCandidates: 3 });
+
+  // One query per indexed signal, each scoped to the client and excluding the seeker
+  const branches = queries.filter(q => !q._id?.$in && !q._id?.$nin);
+  assert.ok(branches.some(q => q.role?.$in.includes('Marketing Lead')));
+  assert.ok(branches.some(q => q.industry?.$in.includes('marketing')));
+  assert.ok(branches.some(q => q['collaborationTargets.roles']?.$in.includes('Hotel Manager')));
+  branches.forEach(q => {
+    assert.equal(q.clientId, 'acme');
+    assert.deepEqual(q._id, { $ne: seeker._id });
+  });
+
+  const shortlist = queries.find(q => q._id?.$in);
+  assert.deepEqual(shortlist._id.$in, [String(strong._id), String(weak._id)]);
+
+  // Top-up excludes the shortlist
+  const topUp = queries.find(q => q._id?.$nin);
+  assert.deepEqual(topUp._id.$nin, [String(strong._id), String(weak._id)]);
+
+  assert.deepEqual(matches.map(m => m.name).sort(), ['Ben Ross', 'Cara Lima', 'Dan Costa']);
+  assert.equal(matches[0].name, 'Ben Ross');
+});
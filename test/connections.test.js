@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ApiKey } = require('../models/ApiKey');
+const {
+  sendConnectionRequest,
+  acceptConnectionRequest,
+  rejectConnectionRequest,
+  withdrawConnectionRequest,
+  listConnections
+} = require('../services/connectionService');
+const { serviceConnections } = require('../controllers/connectionController');
+const { findCollaborationMatches } = require('../services/matchService');
+const { mockQuery, runHandler, stubTransactions, quiet } = require('./helpers');
+
+const ana = { _id: new mongoose.Types.ObjectId(), name: 'Ana Silva', clientId: 'acme', connections: [] };
+const ben = { _id: new mongoose.Types.ObjectId(), name: 'Ben Ross', clientId: 'acme', connections: [] };
+
+/**
+ * Stub the two profiles (Ana acting, Ben as the other side) and the writes
+ */
+function stubPair(t, { connections = [], other = ben, updateResult = { matchedCount: 1, modifiedCount: 1 } } = {}) {
+  const session = stubTransactions(t);
+  t.mock.method(User, 'findById', () => mockQuery({ ...ana, connections }));
+  t.mock.method(User, 'findOne', () => mockQuery(other));
+  t.mock.method(User, 'updateOne', async () => updateResult);
+  t.mock.method(ApiKey, 'find', () => mockQuery([]));
+  return session;
+}
+
+const updates = () => User.updateOne.mock.calls.map(call => call.arguments);
+
+test.beforeEach((t) => quiet(t));
+
+test('a request is recorded on both profiles in one transaction', async (t) => {
+  const session = stubPair(t, { connections: [{ userId: ben._id, status: 'rejected', direction: 'outgoing' }] });
+
+  const entry = await sendConnectionRequest(ana._id, ben._id);
+
+  const { requestedAt, ...state } = entry;
+  assert.deepEqual(state, { userId: ben._id, status: 'pending', direction: 'outgoing' });
+  assert.ok(requestedAt instanceof Date);
+  assert.deepEqual(User.findOne.mock.calls[0].arguments[0], { _id: ben._id, clientId: 'acme' });
+
+  const [pullAna, pullBen, pushAna, pushBen] = updates();
+  assert.deepEqual(pullAna.slice(0, 2), [{ _id: ana._id }, { $pull: { connections: { userId: ben._id } } }]);
+  assert.deepEqual(pullBen.slice(0, 2), [{ _id: ben._id }, { $pull: { connections: { userId: ana._id } } }]);
+  assert.equal(pushAna[1].$push.connections.direction, 'outgoing');
+  assert.equal(pushBen[1].$push.connections.direction, 'incoming');
+  updates().forEach(([, , options]) => assert.equal(options.session, session));
+});
+
+test('requests are refused to oneself, across clients and when one is pending or accepted', async (t) => {
+  stubPair(t);
+  await assert.rejects(sendConnectionRequest(ana._id, String(ana._id)), { statusCode: 400, code: 'INVALID_CONNECTION' });
+
+  User.findOne.mock.mockImplementation(() => mockQuery(null));
+  await assert.rejects(sendConnectionRequest(ana._id, ben._id), { statusCode: 404, code: 'PROFILE_NOT_FOUND' });
+
+  User.findOne.mock.mockImplementation(() => mockQuery(ben));
+  User.findById.mock.mockImplementation(() => mockQuery({ ...ana, connections: [{ userId: ben._id, status: 'accepted' }] }));
+  await assert.rejects(sendConnectionRequest(ana._id, ben._id), { statusCode: 409, code: 'ALREADY_CONNECTED' });
+
+  User.findById.mock.mockImplementation(() => mockQuery({
+    ...ana,
+    connections: [{ userId: ben._id, status: 'pending', direction: 'incoming' }]
+  }));
+  await assert.rejects(sendConnectionRequest(ana._id, ben._id), {
+    code: 'CONNECTION_PENDING',
+    message: 'This profile has already sent you a connection request'
+  });
+
+  assert.equal(User.updateOne.mock.callCount(), 0);
+});
+
+test('accepting updates both sides, then notifies the client', async (t) => {
+  stubPair(t);
+
+  const connection = await acceptConnectionRequest(ana._id, ben._id);
+
+  assert.equal(connection.status, 'accepted');
+  assert.ok(connection.connectedAt instanceof Date);
+
+  const [mine, theirs] = updates();
+  assert.deepEqual(mine[0], {
+    _id: ana._id,
+    connections: { $elemMatch: { userId: ben._id, status: 'pending', direction: 'incoming' } }
+  });
+  assert.deepEqual(theirs[0].connections.$elemMatch, { userId: ana._id, status: 'pending', direction: 'outgoing' });
+  assert.equal(theirs[1].$set['connections.$.status'], 'accepted');
+
+  const [webhookQuery] = ApiKey.find.mock.calls[0].arguments;
+  assert.equal(webhookQuery.clientId, 'acme');
+  assert.deepEqual(webhookQuery.webhooks.$elemMatch.events, { $in: ['connection.accepted', '*'] });
+});
+
+test('rejecting records the answer without notifying anyone', async (t) => {
+  stubPair(t);
+
+  const connection = await rejectConnectionRequest(ana._id, ben._id);
+
+  assert.equal(connection.status, 'rejected');
+  assert.equal(connection.connectedAt, undefined);
+  assert.equal(ApiKey.find.mock.callCount(), 0);
+});
+
+test('answering or withdrawing needs a pending request', async (t) => {
+  stubPair(t, { updateResult: { matchedCount: 0, modifiedCount: 0 } });
+
+  await assert.rejects(acceptConnectionRequest(ana._id, ben._id), { statusCode: 404, code: 'REQUEST_NOT_FOUND' });
+  await assert.rejects(withdrawConnectionRequest(ana._id, ben._id), { statusCode: 404, code: 'REQUEST_NOT_FOUND' });
+  assert.equal(ApiKey.find.mock.callCount(), 0);
+});
+
+test('withdrawing removes the pending entries on both sides', async (t) => {
+  stubPair(t);
+
+  await withdrawConnectionRequest(ana._id, ben._id);
+
+  const [mine, theirs] = updates();
+  assert.deepEqual(mine[1], { $pull: { connections: { userId: ben._id, status: 'pending', direction: 'outgoing' } } });
+  assert.deepEqual(theirs[1], { $pull: { connections: { userId: ana._id, status: 'pending', direction: 'incoming' } } });
+});
+
+test('listing filters by status and direction and skips deleted profiles', async (t) => {
+  t.mock.method(User, 'findById', () => mockQuery({
+    connections: [
+      { userId: { _id: ben._id, name: 'Ben Ross' }, status: 'accepted', direction: 'outgoing' },
+      { userId: null, status: 'accepted', direction: 'incoming' },
+      { userId: { _id: 'c1', name: 'Cara' }, status: 'pending', direction: 'incoming' }
+    ]
+  }));
+
+  const accepted = await listConnections(ana._id, { status: 'accepted' });
+  assert.deepEqual(accepted.map(c => c.name), ['Ben Ross']);
+
+  const incoming = await listConnections(ana._id, { direction: 'incoming' });
+  assert.deepEqual(incoming.map(c => c.name), ['Cara']);
+});
+
+test('API key routes only act for the client\'s own profiles', async (t) => {
+  t.mock.method(User, 'findOne', () => mockQuery(null));
+
+  const res = await runHandler(serviceConnections.send, {
+    params: { profileId: String(ana._id) },
+    body: { targetProfileId: String(ben._id) },
+    apiClient: { clientId: 'other' }
+  });
+
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.body.code, 'PROFILE_NOT_FOUND');
+  assert.deepEqual(User.findOne.mock.calls[0].arguments[0], { _id: String(ana._id), clientId: 'other' });
+
+  const invalid = await runHandler(serviceConnections.list, { query: { status: 'blocked' }, apiClient: { clientId: 'acme' } });
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(invalid.body.code, 'INVALID_STATUS');
+});
+
+test('matching leaves out accepted connections', async (t) => {
+  t.mock.method(User, 'findById', () => mockQuery({
+    ...ana,
+    connections: [
+      { userId: ben._id, status: 'accepted' },
+      { userId: 'pending-id', status: 'pending' }
+    ]
+  }));
+  t.mock.method(User, 'countDocuments', async () => 0);
+  t.mock.method(User, 'find', () => mockQuery([]));
+
+  await findCollaborationMatches(ana._id, { clientId: 'acme' });
+
+  const [query] = User.find.mock.calls[0].arguments;
+  assert.deepEqual(query._id, { $ne: ana._id, $nin: [ben._id] });
+  assert.equal(query.clientId, 'acme');
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createLocalEmbeddingProvider,
+  getEmbeddingProvider,
+  setEmbeddingProvider,
+  cosineSimilarity,
+  embedProfile
+} = require('../services/embeddingService');
+const { calculateMatchScore } = require('../services/matchService');
+const { DEFAULT_SCORING_PROFILE } = require('../services/scoringProfileService');
+const { quiet } = require('./helpers');
+
+/**
+ * Set environment variables for a test (undefined unsets) and start from no provider
+ */
+function withEnv(t, vars) {
+  const saved = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+  const apply = (values) => Object.entries(values).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+
+  apply(vars);
+  setEmbeddingProvider(null);
+  t.after(() => {
+    apply(saved);
+    setEmbeddingProvider(null);
+  });
+}
+
+test.beforeEach((t) => quiet(t));
+
+test('the fixture LLM provider defaults embeddings to the local provider', (t) => {
+  withEnv(t, { LLM_PROVIDER: 'fixture', EMBEDDING_PROVIDER: undefined });
+
+  assert.match(getEmbeddingProvider().name, /^local:/);
+});
+
+test('embeddings default to OpenAI otherwise, and EMBEDDING_PROVIDER wins', (t) => {
+  withEnv(t, { LLM_PROVIDER: undefined, EMBEDDING_PROVIDER: undefined });
+  assert.match(getEmbeddingProvider().name, /^openai:/);
+
+  withEnv(t, { LLM_PROVIDER: 'fixture', EMBEDDING_PROVIDER: 'openai' });
+  assert.match(getEmbeddingProvider().name, /^openai:/);
+
+  withEnv(t, { EMBEDDING_PROVIDER: 'word2vec' });
+  assert.throws(() => getEmbeddingProvider(), /Unknown embedding provider: word2vec/);
+});
+
+test('local embeddings are deterministic, normalized and closer for related texts', async () => {
+  const provider = createLocalEmbeddingProvider();
+
+  const [a, again, related, unrelated, empty] = await provider.embed([
+    'machine learning engineer',
+    'machine learning engineer',
+    'machine learning researcher',
+    'boutique hotel in lisbon',
+    ''
+  ]);
+
+  assert.deepEqual(a, again);
+  assert.equal(a.length, 256);
+  assert.ok(Math.abs(cosineSimilarity(a, a) - 1) < 1e-9);
+  assert.ok(cosineSimilarity(a, related) > cosineSimilarity(a, unrelated));
+  assert.ok(empty.every(v => v === 0));
+});
+
+test('cosine similarity is 0 for missing or mismatched vectors', () => {
+  assert.equal(cosineSimilarity(null, [1]), 0);
+  assert.equal(cosineSimilarity([], []), 0);
+  assert.equal(cosineSimilarity([1, 0], [1, 0, 0]), 0);
+  assert.equal(cosineSimilarity([0, 0], [1, 0]), 0);
+  assert.equal(cosineSimilarity([1, 0], [0, 1]), 0);
+});
+
+test('embedProfile embeds the profile and each target in one call', async (t) => {
+  const local = createLocalEmbeddingProvider();
+  t.mock.method(local, 'embed');
+  setEmbeddingProvider(local);
+  t.after(() => setEmbeddingProvider(null));
+
+  const result = await embedProfile({
+    role: 'ML Engineer',
+    skills: ['python'],
+    collaborationTargets: [{ type: 'partner', keywords: ['machine learning'] }, { roles: ['Designer'] }]
+  });
+
+  assert.equal(local.embed.mock.callCount(), 1);
+  assert.equal(local.embed.mock.calls[0].arguments[0].length, 3);
+  assert.equal(result.embeddingModel, local.name);
+  assert.equal(result.targetEmbeddings.length, 2);
+});
+
+test('embedProfile returns null when the provider fails', async (t) => {
+  setEmbeddingProvider({ name: 'broken', embed: async () => { throw new Error('offline'); } });
+  t.after(() => setEmbeddingProvider(null));
+
+  assert.equal(await embedProfile({ role: 'ML Engineer' }), null);
+});
+
+test('semantic similarity counts only between embeddings of the same model', async () => {
+  const provider = createLocalEmbeddingProvider();
+  const [target, engineer, hotelier] = await provider.embed([
+    'machine learning engineer',
+    'ML engineer building machine learning models',
+    'boutique hotel manager'
+  ]);
+
+  const seeker = {
+    role: 'Founder',
+    embeddingModel: provider.name,
+    collaborationTargets: [{ roles: [], keywords: [], embedding: target }]
+  };
+  const candidate = (embedding, embeddingModel = provider.name) => ({
+    role: 'Engineer',
+    profileEmbedding: embedding,
+    embeddingModel
+  });
+
+  const close = calculateMatchScore(seeker, candidate(engineer), DEFAULT_SCORING_PROFILE);
+  const far = calculateMatchScore(seeker, candidate(hotelier), DEFAULT_SCORING_PROFILE);
+  const otherModel = calculateMatchScore(seeker, candidate(engineer, 'openai:text-embedding-3-small'), DEFAULT_SCORING_PROFILE);
+
+  assert.ok(close > far);
+  assert.notEqual(close, otherModel);
+});
@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PromptTemplate } = require('../models/PromptTemplate');
+const { validateEnrichment, ENRICHMENT_FIELDS } = require('../services/enrichmentSchema');
+const { createFixtureProvider, setLlmProvider } = require('../services/llmProviders');
+const { createLocalEmbeddingProvider, setEmbeddingProvider } = require('../services/embeddingService');
+const { enrichProfile } = require('../services/openaiService');
+
+const profile = {
+  name: 'Jane Doe',
+  role: 'Product Manager',
+  industry: 'technology',
+  bio: 'Builds B2B products.',
+  skills: ['roadmapping', 'analytics'],
+  interests: ['saas']
+};
+
+// Valid enrichment JSON, as the fixture provider answers it
+async function fixtureAnswer() {
+  const completion = await createFixtureProvider({ responses: {} }).complete({ task: 'enrichProfile', input: profile });
+  return JSON.parse(completion.content);
+}
+
+// Provider answering each request with the next scripted answer (an Error is thrown);
+// requests are recorded with a copy of the conversation as it was sent
+function scriptedProvider(answers) {
+  const requests = [];
+  return {
+    name: 'fixture',
+    defaultModel: 'fixture',
+    requests,
+    async complete(request) {
+      requests.push({ ...request, messages: [...request.messages] });
+      const answer = answers[Math.min(requests.length, answers.length) - 1];
+      if (answer instanceof Error) throw answer;
+      return { content: typeof answer === 'string' ? answer : JSON.stringify(answer), model: 'fixture' };
+    }
+  };
+}
+
+test.beforeEach((t) => {
+  // No stored prompt versions: the built-in template (version 0) is used
+  t.mock.method(PromptTemplate, 'findOne', () => ({ sort: () => ({ lean: async () => null }) }));
+  setEmbeddingProvider(createLocalEmbeddingProvider());
+});
+
+test.after(() => {
+  setLlmProvider(null);
+  setEmbeddingProvider(null);
+});
+
+test('validateEnrichment accepts the fixture answer and normalizes it', async () => {
+  const answer = await fixtureAnswer();
+  answer.enrichedSkills = [' roadmapping ', 'roadmapping', 'analytics'];
+
+  const validation = validateEnrichment(answer);
+
+  assert.deepEqual(validation.errors, []);
+  assert.deepEqual(validation.invalidFields, []);
+  assert.deepEqual(validation.value.enrichedSkills, ['roadmapping', 'analytics']);
+  // Targets are sorted by priority
+  assert.deepEqual(validation.value.collaborationTargets.map(t => t.priority), [8, 7]);
+});
+
+test('validateEnrichment reports invalid fields and keeps the valid targets', async () => {
+  const answer = await fixtureAnswer();
+  answer.enrichedBio = '';
+  delete answer.location;
+  answer.collaborationTargets[1].priority = 42;
+
+  const validation = validateEnrichment(answer);
+
+  assert.deepEqual(validation.invalidFields, ['enrichedBio', 'location', 'collaborationTargets']);
+  assert.deepEqual(validation.errorsByField.location, ['location is required']);
+  assert.deepEqual(validation.errorsByField.collaborationTargets, [
+    'collaborationTargets[1].priority must be a number between 0 and 10'
+  ]);
+  assert.equal(validation.value.collaborationTargets, undefined);
+  assert.equal(validation.validTargets.length, 1);
+  assert.equal(validation.value.role, 'Product Manager');
+});
+
+test('validateEnrichment rejects a non-object response', () => {
+  const validation = validateEnrichment([]);
+  assert.deepEqual(validation.invalidFields, ENRICHMENT_FIELDS);
+  assert.deepEqual(validation.value, {});
+});
+
+test('enrichProfile with the fixture provider is a full enrichment', async () => {
+  setLlmProvider(createFixtureProvider({ responses: {} }));
+
+  const result = await enrichProfile(profile);
+
+  assert.equal(result.enrichmentStatus, 'full');
+  assert.equal(result.enrichmentStatusReason, '');
+  assert.equal(result.promptVersion, 0);
+  assert.equal(result.llmModel, 'fixture');
+  assert.equal(result.collaborationTargets.length, 2);
+  assert.ok(result.profileEmbedding.length > 0);
+});
+
+test('enrichProfile re-asks with the validation errors until the output is valid', async () => {
+  const valid = await fixtureAnswer();
+  const provider = scriptedProvider(['not json', { ...valid, enrichedSkills: [] }, valid]);
+  setLlmProvider(provider);
+
+  const result = await enrichProfile(profile);
+
+  assert.equal(provider.requests.length, 3);
+  assert.equal(result.enrichmentStatus, 'full');
+
+  const repairs = provider.requests.slice(1).map(request => request.messages.at(-1).content);
+  assert.match(repairs[0], /Response is not valid JSON/);
+  assert.match(repairs[1], /enrichedSkills must have at least 1 item/);
+  // Fields accepted earlier are not asked for again
+  assert.doesNotMatch(repairs[1], /enrichedBio/);
+});
+
+test('enrichProfile keeps the first valid value of each field across repairs', async () => {
+  const valid = await fixtureAnswer();
+  const provider = scriptedProvider([
+    { ...valid, role: 7 },
+    { ...valid, role: 'Head of Product', enrichedBio: 'A different bio' }
+  ]);
+  setLlmProvider(provider);
+
+  const result = await enrichProfile(profile);
+
+  assert.equal(provider.requests.length, 2);
+  assert.equal(result.enrichmentStatus, 'full');
+  assert.equal(result.role, 'Head of Product');
+  assert.equal(result.enrichedBio, valid.enrichedBio);
+});
+
+test('enrichProfile is partial when fields stay invalid after every repair', async () => {
+  const valid = await fixtureAnswer();
+  const provider = scriptedProvider([{ ...valid, enrichedSkills: 'roadmapping' }]);
+  setLlmProvider(provider);
+
+  const result = await enrichProfile(profile);
+
+  // First answer plus ENRICHMENT_MAX_REPAIRS (default 2) re-asks
+  assert.equal(provider.requests.length, 3);
+  assert.equal(result.enrichmentStatus, 'partial');
+  assert.equal(result.enrichmentStatusReason, 'Still invalid after 3 attempt(s): enrichedSkills');
+  // The field falls back to the input data
+  assert.deepEqual(result.enrichedSkills, profile.skills);
+});
+
+test('enrichProfile is partial when a repair request fails', async () => {
+  const valid = await fixtureAnswer();
+  const provider = scriptedProvider([{ ...valid, industry: null }, new Error('socket hang up')]);
+  setLlmProvider(provider);
+
+  const result = await enrichProfile(profile);
+
+  assert.equal(provider.requests.length, 2);
+  assert.equal(result.enrichmentStatus, 'partial');
+  assert.equal(
+    result.enrichmentStatusReason,
+    'Still invalid after 2 attempt(s): industry (repair request failed: socket hang up)'
+  );
+});
+
+test('enrichProfile fails when no attempt produced a valid field', async () => {
+  setLlmProvider(scriptedProvider(['[]']));
+
+  const result = await enrichProfile(profile);
+
+  assert.equal(result.enrichmentStatus, 'failed');
+  assert.match(result.enrichmentStatusReason, /^No valid enrichment after 3 attempt\(s\): Response must be a JSON object/);
+  assert.deepEqual(result.collaborationTargets, []);
+});
+
+test('enrichProfile rethrows retryable provider errors only when asked to', async () => {
+  const error = Object.assign(new Error('Request timed out'), { retryable: true });
+
+  setLlmProvider(scriptedProvider([error]));
+  const result = await enrichProfile(profile);
+  assert.equal(result.enrichmentStatus, 'failed');
+  assert.equal(result.enrichmentStatusReason, 'Request timed out');
+
+  setLlmProvider(scriptedProvider([error]));
+  await assert.rejects(enrichProfile(profile, { propagateRetryable: true }), error);
+});
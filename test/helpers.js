@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const { Job } = require('../models/Job');
+const { startJobWorker, stopJobWorker } = require('../services/jobQueue');
+
+/**
+ * Shared test doubles for controllers, middleware and Mongoose queries
+ */
+
+// Tests run without a database: queries that are not stubbed fail at once
+// instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+/**
+ * Minimal Express response recording status, headers and body
+ */
+function mockResponse() {
+  const listeners = {};
+
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    finished: false,
+    set(name, value) {
+      if (typeof name === 'object') Object.assign(this.headers, name);
+      else this.headers[name] = value;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      this.finished = true;
+      return this;
+    },
+    once(event, listener) {
+      listeners[event] = listener;
+      return this;
+    },
+    on(event, listener) {
+      listeners[event] = listener;
+      return this;
+    },
+    // Fire a response event registered by the code under test ('close', 'finish')
+    emit(event) {
+      listeners[event]?.();
+    }
+  };
+}
+
+/**
+ * Stand-in for a Mongoose query: chainable (sort, select, lean, ...) and
+ * awaitable, resolving to `result` (called first when it is a function).
+ * Chained calls are recorded in `query.calls`, e.g. calls.limit = [20].
+ */
+function mockQuery(result) {
+  const settle = () => Promise.resolve(typeof result === 'function' ? result() : result);
+  const query = {
+    calls: {},
+    then: (resolve, reject) => settle().then(resolve, reject),
+    catch: (reject) => settle().catch(reject),
+    exec: () => settle()
+  };
+  ['sort', 'select', 'lean', 'skip', 'limit', 'populate', 'session'].forEach(method => {
+    query[method] = (...args) => {
+      query.calls[method] = args;
+      return query;
+    };
+  });
+  return query;
+}
+
+/**
+ * Run an Express handler (or middleware) and return the response;
+ * `next` is recorded as `res.nextCalled` / `res.nextError`
+ */
+async function runHandler(handler, req = {}) {
+  const res = mockResponse();
+  res.nextCalled = false;
+  await handler({ params: {}, query: {}, body: {}, headers: {}, ...req }, res, (error) => {
+    res.nextCalled = true;
+    res.nextError = error;
+  });
+  return res;
+}
+
+/**
+ * Let the job worker claim `job`, run its registered handler once and stop;
+ * resolves with the outcome ($set) the worker wrote. Job writes are stubbed
+ * and recorded on Job.updateOne.
+ */
+function runQueuedJob(t, job) {
+  const updates = [];
+  let claims = 0;
+
+  return new Promise((resolve) => {
+    t.mock.method(Job, 'updateMany', async () => ({ modifiedCount: 0 }));
+    t.mock.method(Job, 'updateOne', async (filter, update) => {
+      updates.push({ filter, update });
+      return { matchedCount: 1 };
+    });
+    t.mock.method(Job, 'findOneAndUpdate', async () => {
+      claims++;
+      if (claims === 1) return job;
+
+      // Queue drained: stop before the next poll is scheduled
+      stopJobWorker();
+      resolve(updates.find(({ update }) => update.$set?.status)?.update.$set);
+      return null;
+    });
+
+    startJobWorker();
+  });
+}
+
+/**
+ * Run transactions without a replica set: callbacks run once with a fake
+ * session, which is returned so tests can check it is passed along
+ */
+function stubTransactions(t) {
+  const session = {
+    withTransaction: async (callback) => callback(),
+    endSession: async () => {}
+  };
+  t.mock.method(mongoose, 'startSession', async () => session);
+  return session;
+}
+
+/**
+ * Silence console output for a test
+ */
+function quiet(t) {
+  ['log', 'warn', 'error'].forEach(level => t.mock.method(console, level, () => {}));
+}
+
+module.exports = { mockResponse, mockQuery, runHandler, runQueuedJob, stubTransactions, quiet };
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ApiKey } = require('../models/ApiKey');
+const { IntroductionDraft } = require('../models/IntroductionDraft');
+const { PromptTemplate } = require('../models/PromptTemplate');
+const { ScoringProfile } = require('../models/ScoringProfile');
+const { createFixtureProvider, setLlmProvider } = require('../services/llmProviders');
+const { draftIntroduction } = require('../services/introductionService');
+const { mockQuery, quiet } = require('./helpers');
+
+const profiles = [
+  { name: 'Ana Silva', role: 'Hotel Manager', industry: 'hospitality', skills: ['operations'], collaborationTargets: [] },
+  { name: 'Ben Ross', role: 'Marketing Lead', industry: 'marketing', skills: ['branding'], collaborationTargets: [] }
+].map(profile => ({ ...profile, _id: new mongoose.Types.ObjectId(), updatedAt: new Date('2026-01-01') }));
+
+const byId = (id) => profiles.find(p => String(p._id) === String(id)) || null;
+
+/**
+ * Stub the models read by draftIntroduction; returns the cached entry holder
+ */
+function stubModels(t, { cached = null, scoringVersion = null } = {}) {
+  t.mock.method(User, 'findOne', ({ _id }) => mockQuery(byId(_id)));
+  t.mock.method(User, 'findById', (id) => mockQuery(byId(id)));
+  t.mock.method(ApiKey, 'findOne', () => mockQuery(null));
+  t.mock.method(PromptTemplate, 'findOne', () => mockQuery(null));
+  t.mock.method(ScoringProfile, 'findOne', () => mockQuery(
+    scoringVersion === null ? null : { clientId: 'acme', version: scoringVersion, weights: {} }
+  ));
+  t.mock.method(IntroductionDraft, 'findOne', () => mockQuery(cached));
+  t.mock.method(IntroductionDraft, 'updateOne', async () => ({}));
+}
+
+test.beforeEach((t) => {
+  quiet(t);
+  setLlmProvider(createFixtureProvider({ responses: {} }));
+});
+
+test.after(() => setLlmProvider(null));
+
+test('drafts a message for each side with the fixture provider and caches them', async (t) => {
+  stubModels(t);
+
+  const intro = await draftIntroduction('acme', profiles[0]._id, profiles[1]._id, { tone: 'friendly', length: 'short' });
+
+  assert.equal(intro.cached, false);
+  assert.match(intro.drafts.toProfile1, /^Hi Ana, I'd like to introduce you to Ben Ross/);
+  assert.match(intro.drafts.toProfile2, /^Hi Ben, I'd like to introduce you to Ana Silva/);
+  assert.equal(intro.promptVersion, 0);
+
+  const [, { $set: entry }] = IntroductionDraft.updateOne.mock.calls[0].arguments;
+  assert.equal(entry.scoringVersion, 0);
+  assert.equal(entry.pairKey, profiles.map(p => String(p._id)).sort().join(':'));
+});
+
+test('rejects lengths and tones that are not offered', async (t) => {
+  stubModels(t);
+
+  for (const length of ['constructor', 'toString', '__proto__', ['short']]) {
+    await assert.rejects(
+      draftIntroduction('acme', profiles[0]._id, profiles[1]._id, { length }),
+      { statusCode: 400, code: 'INVALID_LENGTH' },
+      String(length)
+    );
+  }
+  await assert.rejects(
+    draftIntroduction('acme', profiles[0]._id, profiles[1]._id, { tone: 'rude' }),
+    { statusCode: 400, code: 'INVALID_TONE' }
+  );
+  await assert.rejects(
+    draftIntroduction('acme', profiles[0]._id, profiles[0]._id),
+    { statusCode: 400, code: 'SAME_PROFILE' }
+  );
+});
+
+test('serves the cached drafts until the scoring profile changes', async (t) => {
+  const pairKey = profiles.map(p => String(p._id)).sort().join(':');
+  const cached = {
+    clientId: 'acme',
+    pairKey,
+    tone: 'professional',
+    length: 'medium',
+    drafts: { [String(profiles[0]._id)]: 'cached 1', [String(profiles[1]._id)]: 'cached 2' },
+    grounding: {},
+    profilesUpdatedAt: [profiles[0].updatedAt, profiles[1].updatedAt],
+    promptVersion: 0,
+    scoringVersion: 2
+  };
+
+  stubModels(t, { cached, scoringVersion: 2 });
+  const hit = await draftIntroduction('acme', profiles[1]._id, profiles[0]._id);
+  assert.equal(hit.cached, true);
+  assert.equal(hit.drafts.toProfile1, 'cached 2');
+
+  t.mock.restoreAll();
+  quiet(t);
+  stubModels(t, { cached, scoringVersion: 3 });
+  const miss = await draftIntroduction('acme', profiles[1]._id, profiles[0]._id);
+  assert.equal(miss.cached, false);
+});
+
+test('maps provider failures to 503 when retrying may help and 502 otherwise', async (t) => {
+  stubModels(t);
+
+  const failing = (error) => ({ name: 'fixture', defaultModel: 'fixture', complete: async () => { throw error; } });
+
+  setLlmProvider(failing(Object.assign(new Error('Rate limit reached'), { status: 429 })));
+  await assert.rejects(
+    draftIntroduction('acme', profiles[0]._id, profiles[1]._id),
+    { statusCode: 503, code: 'LLM_UNAVAILABLE' }
+  );
+
+  setLlmProvider(failing(Object.assign(new Error('Incorrect API key provided'), { status: 401 })));
+  await assert.rejects(
+    draftIntroduction('acme', profiles[0]._id, profiles[1]._id),
+    { statusCode: 502, code: 'LLM_REQUEST_FAILED' }
+  );
+});
+
+test('gives up with INTRODUCTION_FAILED when the output stays unusable', async (t) => {
+  stubModels(t);
+  setLlmProvider(createFixtureProvider({ responses: { introduction: { toProfile1: 'Hi' } } }));
+
+  await assert.rejects(
+    draftIntroduction('acme', profiles[0]._id, profiles[1]._id),
+    { statusCode: 502, code: 'INTRODUCTION_FAILED' }
+  );
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Job } = require('../models/Job');
+const { registerJobHandler } = require('../services/jobQueue');
+const { runQueuedJob, quiet } = require('./helpers');
+
+const JOB_TYPE = 'test.retry';
+// JOB_BACKOFF_MS and JOB_LOCK_TIMEOUT_MS defaults
+const BASE_BACKOFF_MS = 5000;
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Run `job` once with `handler`; resolves with the outcome the worker wrote
+ */
+function runJob(t, job, handler) {
+  registerJobHandler(JOB_TYPE, handler);
+  return runQueuedJob(t, job);
+}
+
+const newJob = (attempts, maxAttempts = 3) => ({ _id: 'job1', type: JOB_TYPE, payload: {}, attempts, maxAttempts });
+
+test.beforeEach((t) => quiet(t));
+
+test('a completed job stores its result', async (t) => {
+  const outcome = await runJob(t, newJob(1), async () => ({ ok: true }));
+
+  assert.equal(outcome.status, 'completed');
+  assert.deepEqual(outcome.result, { ok: true });
+  assert.equal(outcome.lockedBy, null);
+});
+
+test('a failed job is queued again with exponential backoff', async (t) => {
+  const before = Date.now();
+  const outcome = await runJob(t, newJob(2), async () => {
+    throw Object.assign(new Error('Upstream timed out'), { code: 'ETIMEDOUT', retryable: true });
+  });
+
+  assert.equal(outcome.status, 'queued');
+  assert.deepEqual(
+    { message: outcome.lastError.message, code: outcome.lastError.code },
+    { message: 'Upstream timed out', code: 'ETIMEDOUT' }
+  );
+  // Second attempt: base * 2
+  const delay = outcome.runAt.getTime() - before;
+  assert.ok(delay >= 2 * BASE_BACKOFF_MS && delay < 2 * BASE_BACKOFF_MS + 1000, `delay ${delay}`);
+});
+
+test('errors without a retryable flag are retried too', async (t) => {
+  const outcome = await runJob(t, newJob(1), async () => { throw new Error('boom'); });
+
+  assert.equal(outcome.status, 'queued');
+  assert.equal(outcome.lastError.code, 'JOB_FAILED');
+});
+
+test('a job fails permanently on its last attempt', async (t) => {
+  const outcome = await runJob(t, newJob(3), async () => {
+    throw Object.assign(new Error('Upstream timed out'), { retryable: true });
+  });
+
+  assert.equal(outcome.status, 'failed');
+  assert.ok(outcome.completedAt instanceof Date);
+});
+
+test('non-retryable errors fail the job immediately', async (t) => {
+  const outcome = await runJob(t, newJob(1), async () => {
+    throw Object.assign(new Error('Profile not found'), { code: 'PROFILE_NOT_FOUND', retryable: false });
+  });
+
+  assert.equal(outcome.status, 'failed');
+  assert.equal(outcome.lastError.code, 'PROFILE_NOT_FOUND');
+});
+
+test('outcomes are only written while this worker holds the lock', async (t) => {
+  await runJob(t, newJob(1), async () => ({ ok: true }));
+
+  const filters = Job.updateOne.mock.calls.map(call => call.arguments[0]);
+  assert.ok(filters.length > 0);
+  filters.forEach(filter => {
+    assert.equal(filter._id, 'job1');
+    assert.equal(typeof filter.lockedBy, 'string');
+  });
+});
+
+test('only jobs with attempts left are reclaimed after a lock expires', async (t) => {
+  await runJob(t, newJob(1), async () => null);
+
+  const [claimFilter] = Job.findOneAndUpdate.mock.calls[0].arguments;
+  const reclaim = claimFilter.$or.find(branch => branch.status === 'running');
+  assert.deepEqual(reclaim.$expr, { $lt: ['$attempts', '$maxAttempts'] });
+
+  const [exhaustedFilter, exhaustedUpdate] = Job.updateMany.mock.calls[0].arguments;
+  assert.deepEqual(exhaustedFilter.$expr, { $gte: ['$attempts', '$maxAttempts'] });
+  assert.equal(exhaustedUpdate.$set.status, 'failed');
+  assert.equal(exhaustedUpdate.$set.lastError.code, 'JOB_LOCK_EXPIRED');
+});
+
+test('a long-running job renews its lock until it finishes', async (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+
+  const outcome = await runJob(t, newJob(1), async () => {
+    // Past the lock timeout: without renewals another worker could reclaim the job
+    t.mock.timers.tick(LOCK_TIMEOUT_MS);
+    return { ok: true };
+  });
+
+  const renewals = Job.updateOne.mock.calls
+    .map(call => call.arguments)
+    .filter(([, update]) => update.$set.lockedAt instanceof Date);
+  assert.equal(renewals.length, 3);
+  renewals.forEach(([filter]) => assert.deepEqual(Object.keys(filter), ['_id', 'lockedBy']));
+  assert.equal(outcome.status, 'completed');
+
+  // Stopped with the job: no renewals after the outcome
+  const calls = Job.updateOne.mock.callCount();
+  t.mock.timers.tick(LOCK_TIMEOUT_MS);
+  assert.equal(Job.updateOne.mock.callCount(), calls);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const { ApiKey } = require('../models/ApiKey');
+const { Job } = require('../models/Job');
+const { LinkedInCache } = require('../models/LinkedInCache');
+const { LINKEDIN_REFRESH_JOB, scrapeLinkedIn } = require('../services/linkedinService');
+const { PROFILE_ENRICH_JOB, queueStaleLinkedInResync } = require('../services/profileService');
+const { mockQuery, runQueuedJob, quiet } = require('./helpers');
+
+const JANE = 'https://www.linkedin.com/in/jane-fixture';
+const OMAR = 'https://www.linkedin.com/in/omar-fixture';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const cached = (urlKey, ageDays) => ({
+  urlKey,
+  providers: 'fixture',
+  summary: { name: 'Cached Name', skills: [], source: 'fixture' },
+  source: 'fixture',
+  fetchedAt: new Date(Date.now() - ageDays * DAY_MS),
+  refreshingAt: null
+});
+
+/**
+ * Stub the client's chain (fixture), the MongoDB cache and the job queue.
+ * Each test uses its own URL: the in-process cache lives for the whole run.
+ */
+function stubCache(t, entry = null, { claimed = true } = {}) {
+  t.mock.method(ApiKey, 'findOne', () => mockQuery({ profileDataProviders: ['fixture'] }));
+  t.mock.method(LinkedInCache, 'findOne', () => mockQuery(entry));
+  t.mock.method(LinkedInCache, 'updateOne', async () => ({ modifiedCount: claimed ? 1 : 0 }));
+  t.mock.method(Job, 'create', async (doc) => ({ _id: 'job1', ...doc }));
+}
+
+const cacheWrites = () => LinkedInCache.updateOne.mock.calls
+  .map(call => call.arguments)
+  .filter(([, update, options]) => options?.upsert);
+
+test.beforeEach((t) => quiet(t));
+
+test('fresh entries are served from cache without calling providers', async (t) => {
+  stubCache(t, cached('linkedin.com/in/fresh', 1));
+
+  const first = await scrapeLinkedIn('https://www.linkedin.com/in/fresh/', { clientId: 'acme' });
+  const second = await scrapeLinkedIn('http://linkedin.com/in/fresh', { clientId: 'acme' });
+
+  assert.equal(first.name, 'Cached Name');
+  assert.deepEqual(second, first);
+  assert.ok(first.fetchedAt instanceof Date);
+  // Looked up by normalized URL and provider chain; the second read is in-process
+  assert.deepEqual(LinkedInCache.findOne.mock.calls[0].arguments[0], { urlKey: 'linkedin.com/in/fresh', providers: 'fixture' });
+  assert.equal(LinkedInCache.findOne.mock.callCount(), 1);
+  assert.equal(cacheWrites().length, 0);
+  assert.equal(Job.create.mock.callCount(), 0);
+});
+
+test('stale entries are served while one background refresh is queued', async (t) => {
+  stubCache(t, cached('linkedin.com/in/stale', 10));
+
+  const summary = await scrapeLinkedIn('https://www.linkedin.com/in/stale', { clientId: 'acme' });
+
+  assert.equal(summary.name, 'Cached Name');
+  const [filter, update] = LinkedInCache.updateOne.mock.calls[0].arguments;
+  assert.equal(filter.urlKey, 'linkedin.com/in/stale');
+  assert.equal(filter.providers, 'fixture');
+  assert.ok(filter.$or.some(clause => clause.refreshingAt === null));
+  assert.ok(update.$set.refreshingAt instanceof Date);
+
+  const [job] = Job.create.mock.calls[0].arguments;
+  assert.equal(job.type, LINKEDIN_REFRESH_JOB);
+  assert.deepEqual(job.payload, { linkedinUrl: 'https://www.linkedin.com/in/stale', providers: 'fixture', clientId: 'acme' });
+});
+
+test('no second refresh is queued while one is pending', async (t) => {
+  stubCache(t, cached('linkedin.com/in/pending', 10), { claimed: false });
+
+  await scrapeLinkedIn('https://www.linkedin.com/in/pending', { clientId: 'acme' });
+
+  assert.equal(LinkedInCache.updateOne.mock.callCount(), 1);
+  assert.equal(Job.create.mock.callCount(), 0);
+});
+
+test('entries past the maximum staleness are refetched before returning', async (t) => {
+  stubCache(t, cached('linkedin.com/in/jane-fixture', 45));
+
+  const summary = await scrapeLinkedIn(JANE, { clientId: 'acme' });
+
+  assert.equal(summary.name, 'Jane Fixture');
+  const [[filter, { $set: entry }]] = cacheWrites();
+  assert.deepEqual(filter, { urlKey: 'linkedin.com/in/jane-fixture', providers: 'fixture' });
+  assert.equal(entry.source, 'fixture');
+  assert.ok(entry.expiresAt > entry.fetchedAt);
+});
+
+test('the refresh job refetches through the original chain and releases the lock', async (t) => {
+  stubCache(t);
+
+  const outcome = await runQueuedJob(t, {
+    _id: 'job1',
+    type: LINKEDIN_REFRESH_JOB,
+    payload: { linkedinUrl: OMAR, providers: 'fixture', clientId: 'acme' },
+    attempts: 1,
+    maxAttempts: 3
+  });
+
+  assert.equal(outcome.status, 'completed');
+  assert.deepEqual(outcome.result, { urlKey: 'linkedin.com/in/omar-fixture', providers: 'fixture', refreshed: true });
+  assert.equal(ApiKey.findOne.mock.callCount(), 0);
+  assert.equal(cacheWrites().length, 1);
+  const [, release] = LinkedInCache.updateOne.mock.calls.at(-1).arguments;
+  assert.deepEqual(release, { $set: { refreshingAt: null } });
+});
+
+test('re-sync queues a forced re-enrichment per stale profile', async (t) => {
+  const profiles = [{ _id: 'p1', clientId: 'acme' }, { _id: 'p2' }];
+  const find = mockQuery(profiles);
+  t.mock.method(User, 'find', () => find);
+  t.mock.method(Job, 'create', async (doc) => ({ _id: 'job', ...doc }));
+
+  assert.equal(await queueStaleLinkedInResync({ olderThanDays: 30, clientId: 'acme', limit: 50 }), 2);
+
+  const [query] = User.find.mock.calls[0].arguments;
+  assert.equal(query.clientId, 'acme');
+  const cutoff = query.$or[0].linkedinFetchedAt.$lt;
+  assert.ok(Math.abs(Date.now() - 30 * DAY_MS - cutoff) < 1000);
+  assert.deepEqual(query.$or[1], { linkedinFetchedAt: null });
+  assert.deepEqual(find.calls.sort, [{ linkedinFetchedAt: 1 }]);
+  assert.deepEqual(find.calls.limit, [50]);
+
+  const jobs = Job.create.mock.calls.map(call => call.arguments[0]);
+  assert.deepEqual(jobs.map(job => job.type), [PROFILE_ENRICH_JOB, PROFILE_ENRICH_JOB]);
+  assert.deepEqual(jobs.map(job => job.payload), [
+    { profileId: 'p1', clientId: 'acme', forceRefresh: true },
+    { profileId: 'p2', clientId: null, forceRefresh: true }
+  ]);
+});
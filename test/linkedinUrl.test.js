@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { canonicalizeLinkedInUrl, requireLinkedInUrl, linkedinUrlKey } = require('../utils/linkedinUrl');
+
+test('canonicalizeLinkedInUrl normalizes the accepted spellings of a profile URL', () => {
+  [
+    'linkedin.com/in/jane-doe',
+    'https://www.linkedin.com/in/jane-doe/',
+    'https://www.linkedin.com/in/jane-doe/?trk=public_profile#about',
+    'http://uk.linkedin.com/in/Jane-Doe',
+    'https://m.linkedin.com/in/jane-doe/details/experience/',
+    '  HTTPS://WWW.LINKEDIN.COM/IN/JANE-DOE  '
+  ].forEach(url => {
+    assert.equal(canonicalizeLinkedInUrl(url), 'https://www.linkedin.com/in/jane-doe', url);
+  });
+});
+
+test('canonicalizeLinkedInUrl keeps non-Latin slugs percent-encoded', () => {
+  assert.equal(
+    canonicalizeLinkedInUrl('https://www.linkedin.com/in/%C3%A9lodie-martin'),
+    'https://www.linkedin.com/in/%C3%A9lodie-martin'
+  );
+});
+
+test('canonicalizeLinkedInUrl rejects URLs that are not profile URLs', () => {
+  [
+    undefined,
+    '',
+    'not a url',
+    'https://www.linkedin.com/company/acme',
+    'https://www.linkedin.com/in/',
+    'https://www.linkedin.com/in/ab',
+    'https://linkedin.com.evil.example/in/jane-doe',
+    'https://evil.example/in/jane-doe',
+    'ftp://www.linkedin.com/in/jane-doe',
+    'https://www.linkedin.com/in/%E0%A4%A'
+  ].forEach(url => {
+    assert.equal(canonicalizeLinkedInUrl(url), null, String(url));
+  });
+});
+
+test('requireLinkedInUrl throws INVALID_LINKEDIN_URL for invalid input', () => {
+  assert.equal(requireLinkedInUrl('linkedin.com/in/jane-doe'), 'https://www.linkedin.com/in/jane-doe');
+  assert.throws(
+    () => requireLinkedInUrl('https://example.com/jane'),
+    { statusCode: 400, code: 'INVALID_LINKEDIN_URL' }
+  );
+});
+
+test('linkedinUrlKey gives every spelling of a profile the same key', () => {
+  assert.equal(linkedinUrlKey('http://uk.linkedin.com/in/Jane-Doe/?trk=x'), 'linkedin.com/in/jane-doe');
+  assert.equal(linkedinUrlKey('https://www.linkedin.com/in/jane-doe'), 'linkedin.com/in/jane-doe');
+  // Non-profile URLs fall back to a loose normalization
+  assert.equal(linkedinUrlKey('https://www.example.com/Jane/?a=1'), 'example.com/jane');
+});
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ApiKey } = require('../models/ApiKey');
+const { PromptTemplate } = require('../models/PromptTemplate');
+const {
+  createFixtureProvider,
+  createOpenAICompatibleProvider,
+  getLlmProvider,
+  setLlmProvider,
+  resolveLlmSettings,
+  normalizeLlmSettings
+} = require('../services/llmProviders');
+const { createLocalEmbeddingProvider, setEmbeddingProvider } = require('../services/embeddingService');
+const { enrichProfile, getClientLlmSettings } = require('../services/openaiService');
+const { updateApiKey } = require('../controllers/adminController');
+const { mockQuery, runHandler, quiet } = require('./helpers');
+
+/**
+ * Set environment variables for one test, restoring them afterwards
+ */
+function withEnv(t, vars) {
+  const saved = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+  Object.entries(vars).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+  t.after(() => Object.entries(saved).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }));
+}
+
+const LLM_ENV = { LLM_MODEL: undefined, LLM_TEMPERATURE: undefined, LLM_MAX_TOKENS: undefined };
+
+test.beforeEach((t) => {
+  quiet(t);
+  setLlmProvider(null);
+});
+
+test.after(() => {
+  setLlmProvider(null);
+  setEmbeddingProvider(null);
+});
+
+test('the fixture provider answers each task deterministically', async () => {
+  const fixtures = createFixtureProvider({ responses: {} });
+  const input = { name: 'Ana Silva', role: 'Hotel Manager', industry: 'hospitality', skills: ['operations'] };
+
+  const first = await fixtures.complete({ task: 'enrichProfile', input });
+  const second = await fixtures.complete({ task: 'enrichProfile', input });
+  assert.equal(first.content, second.content);
+  assert.equal(first.model, 'fixture');
+
+  const enrichment = JSON.parse(first.content);
+  assert.equal(enrichment.role, 'Hotel Manager');
+  assert.deepEqual(enrichment.enrichedSkills, ['operations']);
+  assert.equal(enrichment.collaborationTargets.length, 2);
+
+  const intro = JSON.parse((await fixtures.complete({
+    task: 'introduction',
+    input: { profile1: input, profile2: { name: 'Ben Ross', role: 'Chef' } }
+  })).content);
+  assert.match(intro.toProfile1, /^Hi Ana, I'd like to introduce you to Ben Ross, Chef\./);
+  assert.match(intro.toProfile2, /^Hi Ben, .* Ana Silva, Hotel Manager in hospitality\./);
+
+  await assert.rejects(fixtures.complete({ task: 'summarize', input }), { message: 'No LLM fixture for task: summarize' });
+});
+
+test('fixture answers can be scripted per task, inline or from a file', async (t) => {
+  const inline = createFixtureProvider({ responses: { enrichProfile: 'not json', introduction: { toProfile1: 'a' } } });
+  assert.equal((await inline.complete({ task: 'enrichProfile', model: 'gpt-x' })).content, 'not json');
+  assert.equal((await inline.complete({ task: 'enrichProfile', model: 'gpt-x' })).model, 'gpt-x');
+  assert.equal((await inline.complete({ task: 'introduction' })).content, '{"toProfile1":"a"}');
+
+  const file = path.join(os.tmpdir(), `llm-fixtures-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify({ enrichProfile: { role: 'From file' } }));
+  t.after(() => fs.unlinkSync(file));
+  withEnv(t, { LLM_FIXTURES_PATH: file });
+
+  assert.equal((await createFixtureProvider().complete({ task: 'enrichProfile' })).content, '{"role":"From file"}');
+});
+
+test('the provider is chosen with LLM_PROVIDER', (t) => {
+  withEnv(t, { LLM_PROVIDER: 'fixture' });
+  assert.equal(getLlmProvider().name, 'fixture');
+  assert.equal(getLlmProvider(), getLlmProvider());
+
+  setLlmProvider(null);
+  process.env.LLM_PROVIDER = 'anthropic';
+  assert.throws(() => getLlmProvider(), { message: 'Unknown LLM provider: anthropic' });
+
+  const custom = { name: 'custom' };
+  setLlmProvider(custom);
+  assert.equal(getLlmProvider(), custom);
+
+  withEnv(t, { LLM_BASE_URL: undefined });
+  assert.throws(() => createOpenAICompatibleProvider(), { message: 'LLM_BASE_URL is not configured' });
+  assert.equal(createOpenAICompatibleProvider({ baseURL: 'http://localhost:11434/v1' }).name, 'openai-compatible');
+});
+
+test('model settings: client overrides, then environment, then provider defaults', (t) => {
+  withEnv(t, LLM_ENV);
+  const provider = { defaultModel: 'gpt-4o-mini' };
+
+  assert.deepEqual(resolveLlmSettings(provider), { model: 'gpt-4o-mini', temperature: 0.7, maxTokens: 2500 });
+
+  withEnv(t, { LLM_MODEL: 'llama3', LLM_TEMPERATURE: '0', LLM_MAX_TOKENS: 'lots' });
+  assert.deepEqual(resolveLlmSettings(provider), { model: 'llama3', temperature: 0, maxTokens: 2500 });
+
+  assert.deepEqual(
+    resolveLlmSettings(provider, { model: 'gpt-4o', temperature: 0.2, maxTokens: 800 }),
+    { model: 'gpt-4o', temperature: 0.2, maxTokens: 800 }
+  );
+});
+
+test('client settings are validated before they are stored', () => {
+  assert.deepEqual(normalizeLlmSettings({ model: ' gpt-4o ', temperature: 0, maxTokens: 799.6 }), {
+    model: 'gpt-4o',
+    temperature: 0,
+    maxTokens: 800
+  });
+  assert.deepEqual(normalizeLlmSettings(null), {});
+  assert.deepEqual(normalizeLlmSettings({ model: null }), {});
+
+  assert.throws(() => normalizeLlmSettings(['gpt-4o']), { statusCode: 400, code: 'INVALID_LLM_SETTINGS' });
+  assert.throws(() => normalizeLlmSettings({ model: ' ', temperature: 3, maxTokens: '100' }), {
+    code: 'INVALID_LLM_SETTINGS',
+    details: [
+      'model must be a non-empty string',
+      'temperature must be a number between 0 and 2',
+      'maxTokens must be a number between 1 and 16000'
+    ]
+  });
+});
+
+test('invalid settings are rejected by the admin API without any write', async (t) => {
+  t.mock.method(ApiKey, 'updateMany', async () => ({}));
+
+  const res = await runHandler(updateApiKey, { params: { clientId: 'acme' }, body: { llmSettings: { temperature: -1 } } });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'INVALID_LLM_SETTINGS');
+  assert.deepEqual(res.body.details, ['temperature must be a number between 0 and 2']);
+  assert.equal(ApiKey.updateMany.mock.callCount(), 0);
+});
+
+test("a client's settings are read from its newest key that is not revoked", async (t) => {
+  const find = mockQuery({ llmSettings: { model: 'gpt-4o' } });
+  t.mock.method(ApiKey, 'findOne', () => find);
+
+  assert.deepEqual(await getClientLlmSettings('acme'), { model: 'gpt-4o' });
+  assert.deepEqual(ApiKey.findOne.mock.calls[0].arguments[0], { clientId: 'acme', revokedAt: null });
+  assert.deepEqual(find.calls.sort, [{ createdAt: -1 }]);
+
+  assert.deepEqual(await getClientLlmSettings(null), {});
+  assert.equal(ApiKey.findOne.mock.callCount(), 1);
+});
+
+test('enrichment runs with the client model settings', async (t) => {
+  withEnv(t, LLM_ENV);
+  t.mock.method(ApiKey, 'findOne', () => mockQuery({ llmSettings: { model: 'gpt-4o', temperature: 0.1 } }));
+  t.mock.method(PromptTemplate, 'findOne', () => mockQuery(null));
+  setEmbeddingProvider(createLocalEmbeddingProvider());
+  const fixtures = createFixtureProvider({ responses: {} });
+  t.mock.method(fixtures, 'complete');
+  setLlmProvider(fixtures);
+
+  const result = await enrichProfile({ name: 'Ana Silva', role: 'Hotel Manager', clientId: 'acme' });
+
+  const [request] = fixtures.complete.mock.calls[0].arguments;
+  assert.equal(request.task, 'enrichProfile');
+  assert.deepEqual([request.model, request.temperature, request.maxTokens], ['gpt-4o', 0.1, 2500]);
+  assert.equal(result.llmModel, 'gpt-4o');
+  assert.equal(result.enrichmentStatus, 'full');
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { Match } = require('../models/Match');
+const {
+  recordMatches,
+  recordFeedback,
+  getMatchHistory: fetchMatchHistory,
+  formatMatchRecord
+} = require('../services/matchHistoryService');
+const { getProfile, listProfiles, findMatches, getMatchHistory, compareProfiles } = require('../controllers/serviceController');
+const { mockQuery, runHandler, quiet } = require('./helpers');
+
+const apiClient = { clientId: 'acme' };
+const profileId = new mongoose.Types.ObjectId();
+
+test.beforeEach((t) => quiet(t));
+
+test('recordMatches stores one ranked record per match', async (t) => {
+  t.mock.method(Match, 'insertMany', async (docs) => docs);
+  const matchedId = new mongoose.Types.ObjectId();
+
+  const docs = await recordMatches({ _id: profileId }, [
+    {
+      _id: matchedId,
+      matchScore: 82,
+      role: 'Marketing Lead',
+      industry: 'marketing',
+      mutualReasoning: { mutualScore: 77, reasonsYouToThem: ['a'], reasonsThemToYou: ['b'] }
+    },
+    { _id: new mongoose.Types.ObjectId(), matchScore: 60, matchReasons: ['c'] }
+  ], { clientId: 'acme', scoringProfileVersion: 3 });
+
+  assert.equal(docs.length, 2);
+  assert.deepEqual(
+    { profileId: docs[0].profileId, matchedProfileId: docs[0].matchedProfileId, rank: docs[0].rank, score: docs[0].score },
+    { profileId, matchedProfileId: matchedId, rank: 1, score: 82 }
+  );
+  assert.deepEqual(docs[0].reasons, { youToThem: ['a'], themToYou: ['b'] });
+  assert.equal(docs[0].mutualScore, 77);
+  assert.equal(docs[0].scoringProfileVersion, 3);
+  assert.deepEqual(docs[1].reasons, ['c']);
+  assert.equal(docs[1].rank, 2);
+
+  assert.deepEqual(await recordMatches({ _id: profileId }, []), []);
+});
+
+test('recordFeedback validates the feedback', async () => {
+  await assert.rejects(recordFeedback('m1', 'acme', {}), { statusCode: 400, code: 'MISSING_FEEDBACK' });
+  await assert.rejects(recordFeedback('m1', 'acme', { rating: 'meh' }), { statusCode: 400, code: 'INVALID_FEEDBACK' });
+  await assert.rejects(recordFeedback('m1', 'acme', { met: 'yes' }), { statusCode: 400, code: 'INVALID_FEEDBACK' });
+});
+
+test('recordFeedback updates only the given fields of the client\'s match', async (t) => {
+  t.mock.method(Match, 'findOneAndUpdate', async (filter, update) => ({ _id: filter._id, feedback: { rating: null }, update }));
+
+  await recordFeedback('m1', 'acme', { contacted: true, rating: null });
+
+  const [filter, { $set }] = Match.findOneAndUpdate.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: 'm1', clientId: 'acme' });
+  assert.equal($set['feedback.rating'], null);
+  assert.equal($set['feedback.contacted'], true);
+  assert.ok($set['feedback.contactedAt'] instanceof Date);
+  assert.equal('feedback.met' in $set, false);
+
+  t.mock.method(Match, 'findOneAndUpdate', async () => null);
+  await assert.rejects(recordFeedback('m2', 'acme', { met: true }), { statusCode: 404, code: 'MATCH_NOT_FOUND' });
+});
+
+test('match history is paginated within bounds', async (t) => {
+  const find = mockQuery([]);
+  t.mock.method(Match, 'find', () => find);
+  t.mock.method(Match, 'countDocuments', async () => 250);
+
+  const history = await fetchMatchHistory(profileId, 'acme', { page: '-3', limit: '1000' });
+
+  assert.deepEqual(history.pagination, { page: 1, limit: 100, total: 250, pages: 3 });
+  assert.deepEqual(find.calls.limit, [100]);
+  assert.deepEqual(find.calls.skip, [0]);
+  assert.deepEqual(Match.find.mock.calls[0].arguments[0], { profileId, clientId: 'acme' });
+});
+
+test('formatMatchRecord flags matches whose profile was deleted', () => {
+  const matchedId = new mongoose.Types.ObjectId();
+
+  const live = formatMatchRecord({ _id: 'm1', matchedProfileId: { _id: matchedId, name: 'Ben Ross' }, score: 80 });
+  assert.equal(live.matchedProfileId, matchedId);
+  assert.equal(live.matchedProfileName, 'Ben Ross');
+  assert.equal(live.matchedProfileDeleted, false);
+
+  const deleted = formatMatchRecord({ _id: 'm2', matchedProfileId: null, matchedProfileDeletedAt: new Date() });
+  assert.equal(deleted.matchedProfileId, null);
+  assert.equal(deleted.matchedProfileDeleted, true);
+});
+
+test('malformed profile ids are a 400, not a 500', async () => {
+  const cases = [
+    [getMatchHistory, { params: { profileId: 'not-an-id' } }],
+    [getProfile, { params: { profileId: 'not-an-id' } }],
+    [findMatches, { body: { profileId: 'not-an-id' } }],
+    [compareProfiles, { body: { profileId1: 'not-an-id', profileId2: String(profileId) } }]
+  ];
+
+  for (const [handler, req] of cases) {
+    const res = await runHandler(handler, { ...req, apiClient });
+    assert.equal(res.statusCode, 400, handler.name);
+    assert.equal(res.body.code, 'INVALID_ID', handler.name);
+  }
+});
+
+test('getMatchHistory returns 404 for profiles of other clients', async (t) => {
+  t.mock.method(User, 'findOne', () => mockQuery(null));
+
+  const res = await runHandler(getMatchHistory, { params: { profileId: String(profileId) }, apiClient });
+
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.body.code, 'PROFILE_NOT_FOUND');
+  assert.deepEqual(User.findOne.mock.calls[0].arguments[0], { _id: String(profileId), clientId: 'acme' });
+});
+
+test('listProfiles clamps page and limit', async (t) => {
+  const find = mockQuery([]);
+  t.mock.method(User, 'find', () => find);
+  t.mock.method(User, 'countDocuments', async () => 0);
+
+  const res = await runHandler(listProfiles, { query: { page: '0', limit: '100000' }, apiClient });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(find.calls.limit, [100]);
+  assert.deepEqual(find.calls.skip, [0]);
+  assert.deepEqual(res.body.pagination, { page: 1, limit: 100, total: 0, pages: 0 });
+});
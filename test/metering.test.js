@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const { Job } = require('../models/Job');
+const { MonthlyUsage } = require('../models/MonthlyUsage');
+const { UsageRollup } = require('../models/UsageRollup');
+const { ApiKey } = require('../models/ApiKey');
+const { reserveUnits } = require('../services/usageService');
+const { PROFILE_CREATE_JOB, queueProfileCreation } = require('../services/profileService');
+const { meter } = require('../middleware/metering');
+const { createProfile } = require('../controllers/serviceController');
+const { mockQuery, runHandler, runQueuedJob, quiet } = require('./helpers');
+
+const apiClient = (monthlyQuota) => ({ clientId: 'acme', keyId: 'key1', name: 'Acme', monthlyQuota });
+
+/**
+ * Stub the monthly counter holding `used` units; reservations succeed while
+ * the counter stays within the filter's bound
+ */
+function stubCounter(t, used) {
+  t.mock.method(MonthlyUsage, 'findOneAndUpdate', async (filter, { $inc }) => {
+    if (filter.units && used > filter.units.$lte) return null;
+    return { units: used + $inc.units };
+  });
+  t.mock.method(MonthlyUsage, 'findOne', () => mockQuery({ units: used }));
+  t.mock.method(MonthlyUsage, 'updateOne', async () => ({}));
+  t.mock.method(UsageRollup, 'updateOne', async () => ({}));
+  t.mock.method(ApiKey, 'updateOne', async () => ({}));
+}
+
+// Settling runs after the response closes and is not awaited
+const settled = () => new Promise(resolve => setImmediate(resolve));
+
+test.beforeEach((t) => quiet(t));
+
+test('reservations are bounded by the quota, including a quota of 0', async (t) => {
+  stubCounter(t, 0);
+
+  assert.equal((await reserveUnits('acme', 10, null)).reserved, true);
+  assert.equal('units' in MonthlyUsage.findOneAndUpdate.mock.calls[0].arguments[0], false);
+
+  assert.equal((await reserveUnits('acme', 10, 0)).reserved, false);
+  assert.deepEqual(MonthlyUsage.findOneAndUpdate.mock.calls[1].arguments[0].units, { $lte: -10 });
+
+  assert.equal((await reserveUnits('acme', 10, 10)).reserved, true);
+});
+
+test('a monthly quota of 0 blocks metered requests', async (t) => {
+  stubCounter(t, 0);
+
+  const res = await runHandler(meter('read'), { apiClient: apiClient(0) });
+
+  assert.equal(res.nextCalled, false);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.code, 'QUOTA_EXCEEDED');
+  assert.equal(res.headers['X-Quota-Limit'], '0');
+  assert.equal(res.headers['X-Quota-Remaining'], '0');
+});
+
+test('requests within the quota report what is left', async (t) => {
+  stubCounter(t, 40);
+
+  const res = await runHandler(meter('match'), { apiClient: apiClient(50) });
+
+  assert.equal(res.nextCalled, true);
+  assert.equal(res.headers['X-Quota-Remaining'], '5');
+});
+
+test('without a quota, successful requests are billed and failed ones released', async (t) => {
+  stubCounter(t, 0);
+
+  const ok = await runHandler(meter('enrichment'), { apiClient: apiClient(null) });
+  assert.equal(ok.nextCalled, true);
+  assert.equal('X-Quota-Limit' in ok.headers, false);
+
+  ok.writableFinished = true;
+  ok.emit('close');
+  await settled();
+
+  const [rollupFilter, { $inc }] = UsageRollup.updateOne.mock.calls[0].arguments;
+  assert.equal(rollupFilter.clientId, 'acme');
+  assert.deepEqual({ units: $inc.units, enrichments: $inc.enrichments }, { units: 10, enrichments: 1 });
+  assert.equal(MonthlyUsage.updateOne.mock.callCount(), 0);
+
+  const failed = await runHandler(meter('enrichment'), { apiClient: apiClient(null) });
+  failed.writableFinished = true;
+  failed.statusCode = 500;
+  failed.emit('close');
+  await settled();
+
+  assert.deepEqual(MonthlyUsage.updateOne.mock.calls[0].arguments[1], { $inc: { units: -10 } });
+});
+
+test('profile creation reserves its enrichment with the job', async (t) => {
+  stubCounter(t, 0);
+  t.mock.method(Job, 'create', async (doc) => ({ _id: 'job1', ...doc }));
+
+  const job = await queueProfileCreation({ name: 'Ana Silva', linkedinURL: 'https://www.linkedin.com/in/ana' }, apiClient(100));
+
+  assert.equal(job.type, PROFILE_CREATE_JOB);
+  assert.equal(job.payload.clientId, 'acme');
+  const { keyId, month, units } = job.payload.billing;
+  assert.deepEqual({ keyId, units }, { keyId: 'key1', units: 10 });
+  assert.match(month, /^\d{4}-\d{2}$/);
+});
+
+test('profile creation is refused when the enrichment does not fit the quota', async (t) => {
+  stubCounter(t, 95);
+  t.mock.method(User, 'findOne', async () => null);
+  t.mock.method(Job, 'create', async () => { throw new Error('should not be called'); });
+
+  const res = await runHandler(createProfile, {
+    body: { name: 'Ana Silva', linkedinURL: 'https://www.linkedin.com/in/ana' },
+    apiClient: apiClient(100)
+  });
+
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.code, 'QUOTA_EXCEEDED');
+});
+
+test('the reservation is released when the job cannot be queued', async (t) => {
+  stubCounter(t, 0);
+  t.mock.method(Job, 'create', async () => { throw new Error('connection lost'); });
+
+  await assert.rejects(queueProfileCreation({ name: 'Ana Silva', linkedinURL: 'https://www.linkedin.com/in/ana' }, apiClient(null)));
+
+  assert.deepEqual(MonthlyUsage.updateOne.mock.calls[0].arguments[1], { $inc: { units: -10 } });
+});
+
+test('a create job that finds a duplicate gives its units back', async (t) => {
+  stubCounter(t, 0);
+  t.mock.method(User, 'findOne', async () => ({ _id: 'existing' }));
+
+  const outcome = await runQueuedJob(t, {
+    _id: 'job1',
+    type: PROFILE_CREATE_JOB,
+    clientId: 'acme',
+    payload: {
+      name: 'Ana Silva',
+      linkedinURL: 'https://www.linkedin.com/in/ana',
+      clientId: 'acme',
+      billing: { keyId: 'key1', month: '2026-10', units: 10 }
+    },
+    attempts: 1,
+    maxAttempts: 3
+  });
+
+  assert.equal(outcome.status, 'failed');
+  assert.equal(outcome.lastError.code, 'PROFILE_EXISTS');
+  assert.deepEqual(MonthlyUsage.updateOne.mock.calls[0].arguments, [
+    { clientId: 'acme', month: '2026-10' },
+    { $inc: { units: -10 } }
+  ]);
+  assert.equal(UsageRollup.updateOne.mock.callCount(), 0);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { Match } = require('../models/Match');
+const { buildPreferenceModel, personalizeScore } = require('../services/personalizationService');
+const { findCollaborationMatches } = require('../services/matchService');
+const { mockQuery, quiet } = require('./helpers');
+
+const user = { _id: new mongoose.Types.ObjectId(), name: 'Ana Silva', role: 'Hotel Manager', industry: 'hospitality', connections: [] };
+
+const rated = (rating, snapshot, extra = {}) => ({
+  matchedProfileId: new mongoose.Types.ObjectId(),
+  snapshot,
+  feedback: { rating, ...extra }
+});
+
+const hotelier = { _id: new mongoose.Types.ObjectId(), role: 'Front Office Lead', industry: 'Hospitality' };
+const marketer = { _id: new mongoose.Types.ObjectId(), role: 'Marketing Lead', industry: 'marketing' };
+
+test.beforeEach((t) => quiet(t));
+
+test('repeatedly dismissed same-industry candidates are ranked down', async (t) => {
+  t.mock.method(Match, 'find', () => mockQuery([
+    rated('down', { role: 'Chef', industry: 'hospitality' }),
+    rated('down', { role: 'Concierge', industry: 'hospitality' }),
+    rated('down', { role: 'Sommelier', industry: 'hospitality' }),
+    rated('up', { role: 'Designer', industry: 'marketing' }, { met: true })
+  ]));
+
+  const model = await buildPreferenceModel(user, 'acme');
+
+  assert.equal(model.signals, 4);
+  assert.ok(model.affinities.get('sameIndustry:true') < 0);
+  assert.ok(model.affinities.get('industry:marketing') > 0);
+
+  const down = personalizeScore(0.6, user, hotelier, model);
+  const up = personalizeScore(0.6, user, marketer, model);
+  assert.ok(down.score < 0.6 && down.adjustment < 0);
+  assert.ok(up.score > 0.6 && up.adjustment > 0);
+  // Never moves the base score by more than 30%
+  assert.ok(down.adjustment >= -0.3 && up.adjustment <= 0.3);
+
+  const [query] = Match.find.mock.calls[0].arguments;
+  assert.deepEqual({ profileId: query.profileId, clientId: query.clientId }, { profileId: user._id, clientId: 'acme' });
+});
+
+test('accepted connections count as positive signals', async (t) => {
+  t.mock.method(Match, 'find', () => mockQuery([]));
+  t.mock.method(User, 'find', () => mockQuery([marketer]));
+
+  const model = await buildPreferenceModel({
+    ...user,
+    connections: [{ userId: marketer._id, status: 'accepted' }, { userId: hotelier._id, status: 'pending' }]
+  });
+
+  assert.deepEqual(User.find.mock.calls[0].arguments[0], { _id: { $in: [marketer._id] } });
+  assert.equal(model.signals, 1);
+  assert.ok(model.affinities.get(`profile:${marketer._id}`) > 0);
+});
+
+test('without feedback the base score is kept', () => {
+  assert.deepEqual(personalizeScore(0.5, user, marketer, null), { score: 0.5, adjustment: 0 });
+  assert.deepEqual(personalizeScore(0.5, user, marketer, { affinities: new Map(), signals: 0 }), { score: 0.5, adjustment: 0 });
+});
+
+test('matching only reads feedback when personalize is set, and reports the adjustment', async (t) => {
+  const candidate = { ...marketer, name: 'Ben Ross', skills: ['branding'], collaborationTargets: [] };
+  t.mock.method(User, 'findById', () => mockQuery(user));
+  t.mock.method(User, 'countDocuments', async () => 1);
+  t.mock.method(User, 'find', () => mockQuery([candidate]));
+  t.mock.method(Match, 'find', () => mockQuery([rated('up', { role: 'Marketing Lead', industry: 'marketing' })]));
+
+  const [plain] = await findCollaborationMatches(user._id, { minScore: 0 });
+  assert.equal(Match.find.mock.callCount(), 0);
+  assert.equal(plain.personalization, undefined);
+
+  const [personalized] = await findCollaborationMatches(user._id, { minScore: 0, personalize: true });
+  assert.equal(Match.find.mock.callCount(), 1);
+  assert.equal(personalized.personalization.baseScore, plain.matchScore);
+  assert.ok(personalized.personalization.adjustment > 0);
+  assert.ok(personalized.matchScore >= plain.matchScore);
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { ApiKey } = require('../models/ApiKey');
+const { LinkedInCache } = require('../models/LinkedInCache');
+const {
+  normalizePerson,
+  createPdlProvider,
+  createFixtureProvider,
+  createChainProvider,
+  getProfileDataProvider
+} = require('../services/profileDataProviders');
+const { scrapeLinkedIn } = require('../services/linkedinService');
+const { mockQuery, quiet } = require('./helpers');
+
+const URL = 'https://www.linkedin.com/in/ana';
+
+const person = {
+  full_name: 'Ana Silva',
+  job_title: 'Hotel Manager',
+  job_company_name: 'Casa Azul',
+  industry: 'hospitality',
+  skills: ['operations', 'revenue management'],
+  experience: [{ title: { name: 'Hotel Manager' }, company: { name: 'Casa Azul' }, is_current: true }],
+  education: [{ school: { name: 'EHL' }, degrees: ['BSc'], majors: ['hospitality'] }],
+  linkedin_url: 'linkedin.com/in/ana'
+};
+
+const provider = (name, fetchPerson) => ({ name, fetchPerson: test.mock.fn(fetchPerson) });
+
+const upstreamError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, statusText: 'Error', data: {} }
+});
+
+test.beforeEach((t) => quiet(t));
+
+test('person records are normalized into the linkedinSummary shape', () => {
+  const summary = normalizePerson(person, URL, 'pdl');
+
+  assert.equal(summary.name, 'Ana Silva');
+  assert.equal(summary.title, 'Hotel Manager');
+  assert.equal(summary.company, 'Casa Azul');
+  assert.deepEqual(summary.currentJob, { title: 'Hotel Manager', company: 'Casa Azul', location: '', startDate: '' });
+  assert.deepEqual(summary.education[0], { school: 'EHL', degree: 'BSc', fieldOfStudy: 'hospitality', startDate: '', endDate: '' });
+  assert.equal(summary.experience[0].endDate, 'Present');
+  assert.equal(summary.linkedinUrl, 'https://linkedin.com/in/ana');
+  assert.equal(summary.source, 'pdl');
+
+  const empty = normalizePerson({}, URL, 'fixture');
+  assert.deepEqual([empty.skills, empty.experience, empty.education], [[], [], []]);
+  assert.equal(empty.linkedinUrl, URL);
+});
+
+test('the fixture provider matches URLs however they are written', async () => {
+  const fixtures = createFixtureProvider({ records: { [URL]: person } });
+
+  assert.equal(await fixtures.fetchPerson('http://linkedin.com/in/ana/?trk=x'), person);
+  assert.equal(await fixtures.fetchPerson('https://www.linkedin.com/in/ben'), null);
+
+  const bundled = await createFixtureProvider().fetchPerson('https://www.linkedin.com/in/jane-fixture');
+  assert.equal(bundled.full_name, 'Jane Fixture');
+});
+
+test('PDL misses return null and upstream failures are classified', async (t) => {
+  const pdl = createPdlProvider({ apiKey: 'pdl-key' });
+  t.mock.method(axios, 'get', async () => ({ data: { data: person } }));
+
+  assert.equal(await pdl.fetchPerson(URL), person);
+  const [, { params, headers }] = axios.get.mock.calls[0].arguments;
+  assert.deepEqual(params, { profile: URL });
+  assert.equal(headers['X-Api-Key'], 'pdl-key');
+
+  axios.get.mock.mockImplementation(async () => { throw upstreamError(404); });
+  assert.equal(await pdl.fetchPerson(URL), null);
+
+  axios.get.mock.mockImplementation(async () => { throw upstreamError(503); });
+  await assert.rejects(pdl.fetchPerson(URL), { message: /PDL API error 503/, retryable: true });
+
+  axios.get.mock.mockImplementation(async () => { throw upstreamError(402); });
+  await assert.rejects(pdl.fetchPerson(URL), { retryable: false });
+
+  const saved = process.env.PDL_API_KEY;
+  delete process.env.PDL_API_KEY;
+  t.after(() => { if (saved !== undefined) process.env.PDL_API_KEY = saved; });
+  await assert.rejects(createPdlProvider().fetchPerson(URL), { message: 'PDL_API_KEY is not configured' });
+});
+
+test('the chain falls back to the next provider and tags the source', async () => {
+  const failing = provider('pdl', async () => { throw new Error('PDL_API_KEY is not configured'); });
+  const fixtures = provider('fixture', async () => person);
+  const never = provider('other', async () => person);
+
+  const chain = createChainProvider([failing, fixtures, never]);
+  const summary = await chain.fetch(URL);
+
+  assert.equal(chain.name, 'pdl>fixture>other');
+  assert.equal(summary.source, 'fixture');
+  assert.equal(never.fetchPerson.mock.callCount(), 0);
+});
+
+test('transient failures are rethrown when no provider has the profile', async () => {
+  const transient = Object.assign(new Error('timeout of 10000ms exceeded'), { retryable: true });
+  const chain = createChainProvider([
+    provider('pdl', async () => { throw transient; }),
+    provider('fixture', async () => null)
+  ]);
+  await assert.rejects(chain.fetch(URL), transient);
+
+  const permanent = createChainProvider([
+    provider('pdl', async () => { throw new Error('bad request'); }),
+    provider('fixture', async () => null)
+  ]);
+  assert.equal(await permanent.fetch(URL), null);
+});
+
+test('chains are built from names, defaulting to PROFILE_DATA_PROVIDERS', (t) => {
+  const saved = process.env.PROFILE_DATA_PROVIDERS;
+  process.env.PROFILE_DATA_PROVIDERS = 'fixture, pdl';
+  t.after(() => {
+    if (saved === undefined) delete process.env.PROFILE_DATA_PROVIDERS;
+    else process.env.PROFILE_DATA_PROVIDERS = saved;
+  });
+
+  assert.equal(getProfileDataProvider().name, 'fixture>pdl');
+  assert.equal(getProfileDataProvider(['pdl', 'fixture']).name, 'pdl>fixture');
+  assert.equal(getProfileDataProvider(['fixture']), getProfileDataProvider(['fixture']));
+  assert.throws(() => getProfileDataProvider(['linkedin']), { message: 'Unknown profile data provider: linkedin' });
+});
+
+test("a client's chain is read from its newest key that is not revoked", async (t) => {
+  t.mock.method(ApiKey, 'findOne', () => mockQuery({ profileDataProviders: ['fixture'] }));
+  t.mock.method(LinkedInCache, 'updateOne', async () => ({}));
+
+  const summary = await scrapeLinkedIn('https://www.linkedin.com/in/jane-fixture', { clientId: 'acme', forceRefresh: true });
+
+  assert.equal(summary.source, 'fixture');
+  assert.deepEqual(ApiKey.findOne.mock.calls[0].arguments[0], { clientId: 'acme', revokedAt: null });
+  const [filter] = LinkedInCache.updateOne.mock.calls[0].arguments;
+  assert.equal(filter.providers, 'fixture');
+});
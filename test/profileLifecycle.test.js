@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { Job } = require('../models/Job');
+const { Match } = require('../models/Match');
+const { IntroductionDraft } = require('../models/IntroductionDraft');
+const { PROFILE_ENRICH_JOB } = require('../services/profileService');
+const { updateProfile, deleteProfile, reEnrichProfile } = require('../controllers/serviceController');
+const { mockQuery, runHandler, stubTransactions, quiet } = require('./helpers');
+
+const apiClient = { clientId: 'acme' };
+
+const storedProfile = () => new User({
+  name: 'Ana Silva',
+  email: 'ana@example.com',
+  password: 'secret-hash',
+  clientId: 'acme',
+  role: 'Hotel Manager',
+  linkedinURL: 'https://www.linkedin.com/in/ana'
+});
+
+/**
+ * Stub the client's profile lookup (null: not this client's profile) and writes
+ */
+function stubProfile(t, profile = storedProfile(), duplicate = null) {
+  t.mock.method(User, 'findOne', (filter) => mockQuery(filter._id?.$ne ? duplicate : profile));
+  t.mock.method(User.prototype, 'save', async function () { return this; });
+  t.mock.method(Job, 'create', async (doc) => ({ _id: 'job1', status: 'queued', ...doc }));
+  return profile;
+}
+
+const patch = (body) => runHandler(updateProfile, { params: { profileId: 'p1' }, body, apiClient });
+
+test.beforeEach((t) => quiet(t));
+
+test('PATCH updates only editable fields and locks them', async (t) => {
+  const profile = stubProfile(t);
+
+  const res = await patch({ role: ' Founder ', skills: 'sales, hospitality', password: 'hijack', clientId: 'other' });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(User.findOne.mock.calls[0].arguments[0], { _id: 'p1', clientId: 'acme' });
+  assert.equal(profile.role, 'Founder');
+  assert.deepEqual([...profile.skills], ['sales', 'hospitality']);
+  assert.equal(profile.password, 'secret-hash');
+  assert.equal(profile.clientId, 'acme');
+  assert.equal(res.body.data.provenance.role.locked, true);
+  assert.equal(res.body.job, undefined);
+});
+
+test('PATCH with reEnrich queues an enrichment job', async (t) => {
+  stubProfile(t);
+
+  const res = await patch({ bio: 'New bio', reEnrich: 'true' });
+
+  assert.equal(res.body.job.jobId, 'job1');
+  const [job] = Job.create.mock.calls[0].arguments;
+  assert.equal(job.type, PROFILE_ENRICH_JOB);
+  assert.equal(job.payload.clientId, 'acme');
+});
+
+test('PATCH rejects empty, invalid and conflicting updates', async (t) => {
+  stubProfile(t, storedProfile(), { _id: new mongoose.Types.ObjectId() });
+
+  assert.equal((await patch({ password: 'x' })).body.code, 'NO_UPDATES');
+  assert.equal((await patch({ name: '  ' })).body.code, 'VALIDATION_ERROR');
+  assert.equal((await patch({ linkedinURL: 'https://example.com/ana' })).statusCode, 400);
+
+  const conflict = await patch({ email: ' Ben@Example.com ' });
+  assert.equal(conflict.statusCode, 409);
+  assert.equal(conflict.body.code, 'PROFILE_EXISTS');
+  const [filter] = User.findOne.mock.calls.at(-1).arguments;
+  assert.deepEqual(filter.$or, [{ email: 'ben@example.com' }]);
+  assert.equal(filter.clientId, 'acme');
+
+  assert.equal(User.prototype.save.mock.callCount(), 0);
+});
+
+test('profiles of other clients cannot be updated, deleted or re-enriched', async (t) => {
+  stubTransactions(t);
+  stubProfile(t, null);
+  t.mock.method(User, 'deleteOne', async () => ({}));
+
+  const req = { params: { profileId: 'p1' }, body: { role: 'CEO' }, apiClient };
+  for (const handler of [updateProfile, deleteProfile, reEnrichProfile]) {
+    const res = await runHandler(handler, req);
+    assert.equal(res.statusCode, 404, handler.name);
+    assert.equal(res.body.code, 'PROFILE_NOT_FOUND', handler.name);
+  }
+
+  assert.equal(User.deleteOne.mock.callCount(), 0);
+  assert.equal(Job.create.mock.callCount(), 0);
+});
+
+test('DELETE removes the profile and scrubs references in one transaction', async (t) => {
+  const session = stubTransactions(t);
+  const profile = stubProfile(t);
+  const calls = [];
+  const record = (model, method) => t.mock.method(model, method, async (...args) => {
+    calls.push([`${model.modelName}.${method}`, ...args]);
+    return {};
+  });
+  record(User, 'deleteOne');
+  record(User, 'updateMany');
+  record(Match, 'deleteMany');
+  record(Match, 'updateMany');
+  record(IntroductionDraft, 'deleteMany');
+
+  const res = await runHandler(deleteProfile, { params: { profileId: 'p1' }, apiClient });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.profileId, profile._id);
+  assert.deepEqual(calls.map(([name, filter]) => [name, filter]), [
+    ['User.deleteOne', { _id: profile._id }],
+    ['User.updateMany', { 'connections.userId': profile._id }],
+    ['Match.deleteMany', { profileId: profile._id }],
+    ['Match.updateMany', { matchedProfileId: profile._id }],
+    ['IntroductionDraft.deleteMany', { profileIds: profile._id }]
+  ]);
+  assert.deepEqual(calls[1][2], { $pull: { connections: { userId: profile._id } } });
+  assert.equal(calls[3][2].$set.matchedProfileId, null);
+  calls.forEach(call => assert.equal(call.at(-1).session, session));
+});
+
+test('re-enrichment is queued with a fresh LinkedIn fetch', async (t) => {
+  const profile = stubProfile(t);
+
+  const res = await runHandler(reEnrichProfile, { params: { profileId: 'p1' }, apiClient });
+
+  assert.equal(res.statusCode, 202);
+  assert.equal(res.body.data.statusUrl, '/api/v1/jobs/job1');
+  const [job] = Job.create.mock.calls[0].arguments;
+  assert.deepEqual(job.payload, { profileId: profile._id, clientId: 'acme', forceRefresh: true });
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ApiKey } = require('../models/ApiKey');
+const { PromptTemplate } = require('../models/PromptTemplate');
+const { createFixtureProvider, setLlmProvider } = require('../services/llmProviders');
+const { dryRunPrompt } = require('../controllers/promptController');
+const { mockQuery, runHandler, quiet } = require('./helpers');
+
+const profile = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Ana Silva',
+  role: 'Hotel Manager',
+  industry: 'hospitality',
+  skills: ['operations'],
+  clientId: 'acme'
+};
+
+test.beforeEach((t) => {
+  quiet(t);
+  setLlmProvider(createFixtureProvider({ responses: {} }));
+  t.mock.method(User, 'findById', () => mockQuery(profile));
+  t.mock.method(ApiKey, 'findOne', () => mockQuery(null));
+  t.mock.method(PromptTemplate, 'findOne', () => mockQuery(null));
+});
+
+test.after(() => setLlmProvider(null));
+
+test('dry runs render the prompt for a stored profile', async () => {
+  const res = await runHandler(dryRunPrompt, {
+    params: { name: 'enrichProfile' },
+    body: { profileId: String(profile._id) }
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.prompt, 'enrichProfile');
+  assert.equal(res.body.data.promptVersion, 0);
+  assert.equal(res.body.data.provider, 'fixture');
+  assert.ok(res.body.data.messages.some(message => message.content.includes('Ana Silva')));
+});
+
+test('dry runs only accept prompts with a preview, not inherited names', async () => {
+  for (const name of ['constructor', '__proto__', 'toString', 'introduction']) {
+    const res = await runHandler(dryRunPrompt, { params: { name }, body: { profileId: String(profile._id) } });
+
+    assert.equal(res.statusCode, 400, name);
+    assert.equal(res.body.code, 'DRY_RUN_NOT_SUPPORTED', name);
+  }
+  assert.equal(User.findById.mock.callCount(), 0);
+});
+
+test('dry runs need a profile', async () => {
+  const missing = await runHandler(dryRunPrompt, { params: { name: 'enrichProfile' }, body: {} });
+  assert.equal(missing.statusCode, 400);
+  assert.equal(missing.body.code, 'MISSING_REQUIRED_FIELDS');
+
+  User.findById.mock.mockImplementation(() => mockQuery(null));
+  const notFound = await runHandler(dryRunPrompt, {
+    params: { name: 'enrichProfile' },
+    body: { profileId: String(profile._id) }
+  });
+  assert.equal(notFound.statusCode, 404);
+  assert.equal(notFound.body.code, 'PROFILE_NOT_FOUND');
+});
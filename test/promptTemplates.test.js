@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const { PromptTemplate } = require('../models/PromptTemplate');
+const { DEFAULT_PROMPTS } = require('../config/prompts');
+const {
+  getActivePromptTemplate,
+  listPromptVersions,
+  renderPrompt
+} = require('../services/promptTemplateService');
+const { addPromptVersion, activateVersion, dryRunPrompt } = require('../controllers/promptController');
+const { mockQuery, runHandler, stubTransactions, quiet } = require('./helpers');
+
+const stored = (version, fields = {}) => ({
+  name: 'enrichProfile',
+  version,
+  system: `System v${version}`,
+  template: `Profile of {{name}}:\n{{context}} (v${version})`,
+  isActive: false,
+  notes: '',
+  ...fields
+});
+
+/**
+ * Stub the prompt collection holding `versions`; writes are recorded
+ */
+function stubTemplates(t, versions = []) {
+  const session = stubTransactions(t);
+  t.mock.method(PromptTemplate, 'find', () => mockQuery([...versions].sort((a, b) => b.version - a.version)));
+  t.mock.method(PromptTemplate, 'findOne', (filter) => mockQuery(
+    versions.find(v => (filter.version === undefined ? v.isActive : v.version === filter.version)) || null
+  ));
+  t.mock.method(PromptTemplate, 'create', async ([doc]) => {
+    versions.push({ isActive: false, ...doc });
+    return [versions.at(-1)];
+  });
+  t.mock.method(PromptTemplate, 'updateMany', async () => ({}));
+  t.mock.method(PromptTemplate, 'updateOne', async () => ({}));
+  return session;
+}
+
+const body = (fields = {}) => ({ system: 'Be brief.', template: 'About {{ name }}: {{context}}', ...fields });
+
+test.beforeEach((t) => quiet(t));
+
+test('the built-in default is version 0 and is active until a version is activated', async (t) => {
+  stubTemplates(t, [stored(1)]);
+
+  const active = await getActivePromptTemplate('enrichProfile');
+  assert.equal(active.version, 0);
+  assert.equal(active.builtIn, true);
+  assert.equal(active.template, DEFAULT_PROMPTS.enrichProfile.template);
+
+  const versions = await listPromptVersions('enrichProfile');
+  assert.deepEqual(versions.map(v => [v.version, v.isActive]), [[1, false], [0, true]]);
+
+  await assert.rejects(getActivePromptTemplate('summarize'), { statusCode: 404, code: 'PROMPT_NOT_FOUND' });
+});
+
+test('new versions are numbered after the latest and stored in a transaction', async (t) => {
+  const session = stubTemplates(t, [stored(1), stored(2)]);
+
+  const res = await runHandler(addPromptVersion, {
+    params: { name: 'enrichProfile' },
+    body: body({ notes: 'Shorter' }),
+    user: { email: 'ops@example.com' }
+  });
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(res.body.data.version, 3);
+  assert.equal(res.body.data.isActive, false);
+  const [[doc], options] = PromptTemplate.create.mock.calls[0].arguments;
+  assert.equal(doc.createdBy, 'ops@example.com');
+  assert.equal(doc.notes, 'Shorter');
+  assert.equal(options.session, session);
+  assert.equal(PromptTemplate.updateMany.mock.callCount(), 0);
+});
+
+test('templates may only use the prompt variables', async (t) => {
+  stubTemplates(t);
+
+  const res = await runHandler(addPromptVersion, {
+    params: { name: 'enrichProfile' },
+    body: body({ system: ' ', template: 'Hi {{name}}, {{ email }} {{password}} {{email}}' })
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'INVALID_PROMPT_TEMPLATE');
+  assert.deepEqual(res.body.details, [
+    'system must be a non-empty string',
+    'Unknown placeholders: email, password (allowed: context, name)'
+  ]);
+  assert.equal(PromptTemplate.create.mock.callCount(), 0);
+});
+
+test('activating a version deactivates the previous one', async (t) => {
+  const session = stubTemplates(t, [stored(1, { isActive: true }), stored(2)]);
+
+  const res = await runHandler(activateVersion, { params: { name: 'enrichProfile', version: '2' } });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.version, 2);
+  assert.equal(res.body.data.isActive, true);
+  const [deactivate, , deactivateOptions] = PromptTemplate.updateMany.mock.calls[0].arguments;
+  assert.deepEqual(deactivate, { name: 'enrichProfile', isActive: true, version: { $ne: 2 } });
+  assert.equal(deactivateOptions.session, session);
+  const [activate, update] = PromptTemplate.updateOne.mock.calls[0].arguments;
+  assert.deepEqual(activate, { name: 'enrichProfile', version: 2 });
+  assert.equal(update.$set.isActive, true);
+});
+
+test('activating version 0 restores the built-in default', async (t) => {
+  stubTemplates(t, [stored(1, { isActive: true })]);
+
+  const res = await runHandler(activateVersion, { params: { name: 'enrichProfile', version: '0' } });
+
+  assert.equal(res.body.data.builtIn, true);
+  assert.deepEqual(PromptTemplate.updateMany.mock.calls[0].arguments[0].version, { $ne: 0 });
+  assert.equal(PromptTemplate.updateOne.mock.callCount(), 0);
+});
+
+test('unknown or invalid versions cannot be activated', async (t) => {
+  stubTemplates(t, [stored(1)]);
+
+  const missing = await runHandler(activateVersion, { params: { name: 'enrichProfile', version: '7' } });
+  assert.equal(missing.statusCode, 404);
+  assert.equal(missing.body.code, 'PROMPT_VERSION_NOT_FOUND');
+
+  const invalid = await runHandler(activateVersion, { params: { name: 'enrichProfile', version: '-1' } });
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(invalid.body.code, 'INVALID_PROMPT_VERSION');
+
+  assert.equal(PromptTemplate.updateMany.mock.callCount(), 0);
+});
+
+test('placeholders are filled and missing variables render empty', () => {
+  const messages = renderPrompt(stored(1), { name: 'Ana Silva', context: null });
+
+  assert.deepEqual(messages, [
+    { role: 'system', content: 'System v1' },
+    { role: 'user', content: 'Profile of Ana Silva:\n (v1)' }
+  ]);
+});
+
+test('dry runs can render a version that is not active yet', async (t) => {
+  stubTemplates(t, [stored(1, { isActive: true }), stored(2)]);
+  t.mock.method(User, 'findById', () => mockQuery({ _id: 'p1', name: 'Ana Silva', role: 'Hotel Manager' }));
+
+  const res = await runHandler(dryRunPrompt, {
+    params: { name: 'enrichProfile' },
+    body: { profileId: 'p1', version: 2 }
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.promptVersion, 2);
+  assert.match(res.body.data.messages[1].content, /^Profile of Ana Silva:[\s\S]*\(v2\)$/);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isLocked,
+  recordProvenance,
+  applyFromSource,
+  applyUserEdits,
+  unlockFields,
+  formatProvenance
+} = require('../services/provenanceService');
+
+const newProfile = () => {
+  const profile = {
+    bio: 'Original bio',
+    enrichedBio: 'Original bio',
+    skills: ['sales'],
+    enrichedSkills: ['sales'],
+    role: 'Founder',
+    industry: 'tourism'
+  };
+  recordProvenance(profile, 'user');
+  return profile;
+};
+
+test('applyFromSource records the source of every changed field', () => {
+  const profile = newProfile();
+
+  applyFromSource(profile, 'llm', 'gpt-4o-mini', () => {
+    profile.enrichedBio = 'AI bio';
+    profile.industry = 'hospitality';
+  });
+
+  const provenance = formatProvenance(profile);
+  assert.equal(provenance.enrichedBio.source, 'llm');
+  assert.equal(provenance.enrichedBio.detail, 'gpt-4o-mini');
+  assert.equal(provenance.industry.source, 'llm');
+  // Untouched fields keep their source
+  assert.equal(provenance.role.source, 'user');
+});
+
+test('list items keep the source they were first seen from', () => {
+  const profile = newProfile();
+
+  applyFromSource(profile, 'linkedin', 'pdl', () => {
+    profile.skills = ['sales', 'partnerships'];
+  });
+
+  assert.deepEqual(formatProvenance(profile).skills.items, [
+    { value: 'sales', source: 'user' },
+    { value: 'partnerships', source: 'linkedin' }
+  ]);
+});
+
+test('manual edits lock the field and its display counterpart', () => {
+  const profile = newProfile();
+
+  const locked = applyUserEdits(profile, { bio: 'Edited bio', location: 'Lisbon', name: 'Jane' });
+
+  assert.deepEqual(locked, ['bio', 'enrichedBio', 'location']);
+  assert.equal(profile.enrichedBio, 'Edited bio');
+  assert.ok(isLocked(profile, 'bio'));
+  assert.ok(isLocked(profile, 'enrichedBio'));
+  assert.ok(!isLocked(profile, 'role'));
+});
+
+test('enrichment leaves locked fields alone', () => {
+  const profile = newProfile();
+  applyUserEdits(profile, { bio: 'Edited bio' });
+
+  applyFromSource(profile, 'llm', 'gpt-4o-mini', () => {
+    profile.enrichedBio = 'AI bio';
+    profile.role = 'CEO';
+  });
+
+  const provenance = formatProvenance(profile);
+  assert.equal(profile.enrichedBio, 'Edited bio');
+  assert.equal(provenance.enrichedBio.source, 'user');
+  assert.equal(profile.role, 'CEO');
+  assert.equal(provenance.role.source, 'llm');
+});
+
+test('unlocked fields can be enriched again', () => {
+  const profile = newProfile();
+  applyUserEdits(profile, { bio: 'Edited bio' });
+
+  assert.deepEqual(unlockFields(profile, ['bio', 'role']), ['bio', 'enrichedBio']);
+
+  applyFromSource(profile, 'llm', 'gpt-4o-mini', () => {
+    profile.enrichedBio = 'AI bio';
+  });
+
+  assert.equal(profile.enrichedBio, 'AI bio');
+  assert.equal(formatProvenance(profile).enrichedBio.source, 'llm');
+  assert.equal(formatProvenance(profile).enrichedBio.locked, false);
+});
+
+test('locks work on User documents, where provenance is a Map', () => {
+  const profile = { bio: 'Original bio', fieldProvenance: new Map() };
+
+  applyUserEdits(profile, { bio: 'Edited bio' });
+  applyFromSource(profile, 'llm', null, () => { profile.bio = 'AI bio'; });
+
+  assert.equal(profile.bio, 'Edited bio');
+  assert.ok(profile.fieldProvenance.get('bio').locked);
+});
+
+test('fallback values (no source) record no provenance', () => {
+  const profile = { role: '' };
+
+  applyFromSource(profile, null, null, () => { profile.role = 'Professional'; });
+
+  assert.deepEqual(formatProvenance(profile), {});
+});
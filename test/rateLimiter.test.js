@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore, createRateLimiter } = require('../services/rateLimiter');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const buckets = [
+  { name: 'minute', capacity: 2, windowMs: MINUTE },
+  { name: 'hour', capacity: 3, windowMs: HOUR }
+];
+
+// Minimal Express response recording status, headers and body
+function mockResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+      if (typeof name === 'object') Object.assign(this.headers, name);
+      else this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+async function run(limiter) {
+  const res = mockResponse();
+  let passed = false;
+  await limiter({}, res, () => { passed = true; });
+  return { res, passed };
+}
+
+test('memory store takes one token from every bucket', async () => {
+  const store = createMemoryStore();
+  const now = Date.now();
+
+  assert.deepEqual(await store.take('a', buckets, now), { allowed: true, tokens: { minute: 1, hour: 2 } });
+  assert.deepEqual(await store.take('a', buckets, now), { allowed: true, tokens: { minute: 0, hour: 1 } });
+
+  const denied = await store.take('a', buckets, now);
+  assert.equal(denied.allowed, false);
+  // A denied request spends nothing
+  assert.deepEqual(denied.tokens, { minute: 0, hour: 1 });
+
+  // Keys have separate buckets
+  assert.equal((await store.take('b', buckets, now)).allowed, true);
+});
+
+test('memory store refills continuously up to capacity', async () => {
+  const store = createMemoryStore();
+  const now = Date.now();
+
+  await store.take('a', buckets, now);
+  await store.take('a', buckets, now);
+
+  // Half a minute refills one minute token (2 per minute)
+  const later = await store.take('a', buckets, now + MINUTE / 2);
+  assert.equal(later.allowed, true);
+  assert.equal(later.tokens.minute, 0);
+
+  // The hourly bucket is the limit now, until it refills too
+  assert.equal((await store.take('a', buckets, now + MINUTE)).allowed, false);
+  assert.equal((await store.take('a', buckets, now + HOUR / 3 + MINUTE)).allowed, true);
+
+  const idle = await store.take('a', buckets, now + 10 * HOUR);
+  assert.deepEqual(idle.tokens, { minute: 1, hour: 2 });
+});
+
+test('limiter sends rate limit headers on every response', async () => {
+  const limiter = createRateLimiter({ store: createMemoryStore(), getKey: () => 'a', getBuckets: () => buckets });
+
+  const first = await run(limiter);
+  assert.equal(first.passed, true);
+  assert.equal(first.res.headers['X-RateLimit-Limit'], '2');
+  assert.equal(first.res.headers['X-RateLimit-Remaining'], '1');
+  assert.equal(first.res.headers['Retry-After'], '0');
+  assert.ok(Number(first.res.headers['X-RateLimit-Reset']) >= Math.floor(Date.now() / 1000));
+});
+
+test('limiter answers 429 with Retry-After once a bucket is empty', async () => {
+  const limiter = createRateLimiter({ store: createMemoryStore(), getKey: () => 'a', getBuckets: () => buckets });
+
+  await run(limiter);
+  await run(limiter);
+  const { res, passed } = await run(limiter);
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.code, 'RATE_LIMIT_EXCEEDED');
+  assert.equal(res.body.window, 'minute');
+  // One minute token comes back every 30 seconds
+  assert.equal(res.headers['Retry-After'], '30');
+  assert.equal(res.body.retryAfter, 30);
+  assert.equal(res.headers['X-RateLimit-Remaining'], '0');
+});
+
+test('limiter fails closed on store errors unless failOpen is set', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const store = { take: async () => { throw new Error('store down'); } };
+
+  const closed = await run(createRateLimiter({ store, getKey: () => 'a', getBuckets: () => buckets }));
+  assert.equal(closed.passed, false);
+  assert.equal(closed.res.statusCode, 503);
+  assert.equal(closed.res.body.code, 'RATE_LIMIT_UNAVAILABLE');
+
+  const open = await run(createRateLimiter({ store, getKey: () => 'a', getBuckets: () => buckets, failOpen: true }));
+  assert.equal(open.passed, true);
+});
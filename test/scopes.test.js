@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ApiKey } = require('../models/ApiKey');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const { requireScope } = require('../middleware/apiKeyAuth');
+const { createApiKey, addClientKey, updateApiKey } = require('../controllers/adminController');
+const serviceRoutes = require('../routes/serviceRoutes');
+const { mockQuery, runHandler, quiet } = require('./helpers');
+
+/**
+ * The scope a /api/v1 route asks for: run its first handler with a key that
+ * has no scopes and read the rejection
+ */
+async function requiredScope(method, path) {
+  const layer = serviceRoutes.stack.find(l => l.route?.path === path && l.route.methods[method]);
+  const res = await runHandler(layer.route.stack[0].handle, { apiClient: { scopes: [] } });
+  return res.nextCalled ? null : res.body.requiredScope;
+}
+
+test.beforeEach((t) => quiet(t));
+
+test('requests without the scope are refused with INSUFFICIENT_SCOPE', async () => {
+  const guard = requireScope('matches:write');
+
+  const allowed = await runHandler(guard, { apiClient: { scopes: ['matches:read', 'matches:write'] } });
+  assert.equal(allowed.nextCalled, true);
+
+  for (const apiClient of [{ scopes: ['matches:read'] }, { scopes: undefined }, undefined]) {
+    const res = await runHandler(guard, { apiClient });
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.code, 'INSUFFICIENT_SCOPE');
+    assert.equal(res.body.requiredScope, 'matches:write');
+    assert.equal(res.nextCalled, false);
+  }
+});
+
+test('each /api/v1 route checks the scope for what it does', async () => {
+  const expected = [
+    ['post', '/profiles', 'profiles:write'],
+    ['post', '/profiles/bulk', 'profiles:write'],
+    ['get', '/profiles/:profileId', 'profiles:read'],
+    ['patch', '/profiles/:profileId', 'profiles:write'],
+    ['delete', '/profiles/:profileId', 'profiles:write'],
+    ['get', '/profiles/:profileId/match-history', 'matches:read'],
+    ['get', '/jobs/:jobId', 'profiles:read'],
+    ['post', '/profiles/:profileId/connections', 'profiles:write'],
+    ['post', '/matches', 'matches:write'],
+    ['post', '/matches/compare', 'matches:read'],
+    ['post', '/matches/compare/introduction', 'matches:read'],
+    ['post', '/matches/:matchId/feedback', 'matches:write'],
+    ['post', '/webhooks', 'webhooks:manage']
+  ];
+
+  for (const [method, path, scope] of expected) {
+    assert.equal(await requiredScope(method, path), scope, `${method.toUpperCase()} ${path}`);
+  }
+});
+
+test('keys get every scope unless limited, and unknown scopes are rejected', async (t) => {
+  t.mock.method(ApiKey, 'exists', async () => null);
+  t.mock.method(ApiKey.prototype, 'save', async function () { return this; });
+
+  assert.deepEqual([...new ApiKey({ name: 'Legacy', clientId: 'old' }).scopes], API_KEY_SCOPES);
+
+  const full = await runHandler(createApiKey, { body: { name: 'Acme', clientId: 'acme' } });
+  assert.deepEqual([...full.body.data.scopes], API_KEY_SCOPES);
+
+  const limited = await runHandler(createApiKey, {
+    body: { name: 'Acme', clientId: 'acme', scopes: ['profiles:read', 'profiles:read'] }
+  });
+  assert.deepEqual([...limited.body.data.scopes], ['profiles:read']);
+
+  const invalid = await runHandler(createApiKey, { body: { name: 'Acme', clientId: 'acme', scopes: ['admin'] } });
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(invalid.body.code, 'INVALID_SCOPES');
+
+  const update = await runHandler(updateApiKey, { params: { clientId: 'acme' }, body: { scopes: 'profiles:read' } });
+  assert.equal(update.body.code, 'INVALID_SCOPES');
+});
+
+test('additional keys inherit the client scopes unless given their own', async (t) => {
+  const template = new ApiKey({ name: 'Acme', clientId: 'acme', scopes: ['matches:read'] });
+  t.mock.method(ApiKey, 'findOne', () => mockQuery(template));
+  t.mock.method(ApiKey.prototype, 'save', async function () { return this; });
+
+  const inherited = await runHandler(addClientKey, { params: { clientId: 'acme' }, body: { keyName: 'ci' } });
+  assert.equal(inherited.statusCode, 201);
+  assert.deepEqual([...inherited.body.data.scopes], ['matches:read']);
+
+  const own = await runHandler(addClientKey, {
+    params: { clientId: 'acme' },
+    body: { keyName: 'ci', scopes: ['profiles:read'] }
+  });
+  assert.deepEqual([...own.body.data.scopes], ['profiles:read']);
+});
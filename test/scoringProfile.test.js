@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ScoringProfile } = require('../models/ScoringProfile');
+const {
+  DEFAULT_SCORING_PROFILE,
+  getScoringProfile,
+  updateScoringProfile
+} = require('../services/scoringProfileService');
+const { calculateMatchScore } = require('../services/matchService');
+const { mockQuery, quiet } = require('./helpers');
+
+const hotel = { role: 'Hotel Manager', industry: 'hospitality' };
+const agency = { role: 'Marketing Lead', industry: 'marketing' };
+
+test.beforeEach((t) => quiet(t));
+
+test('clients without a stored profile get the defaults (version 0)', async (t) => {
+  t.mock.method(ScoringProfile, 'findOne', () => mockQuery(null));
+
+  const profile = await getScoringProfile('acme');
+
+  assert.equal(profile.version, 0);
+  assert.equal(profile.clientId, 'acme');
+  assert.deepEqual(profile.weights, DEFAULT_SCORING_PROFILE.weights);
+});
+
+test('stored profiles fill missing settings from the defaults', async (t) => {
+  t.mock.method(ScoringProfile, 'findOne', () => mockQuery({ clientId: 'acme', version: 4, weights: { skills: 1 } }));
+
+  const profile = await getScoringProfile('acme');
+
+  assert.equal(profile.version, 4);
+  assert.equal(profile.weights.skills, 1);
+  assert.equal(profile.weights.industry, DEFAULT_SCORING_PROFILE.weights.industry);
+  assert.equal(profile.sameRolePenalty, DEFAULT_SCORING_PROFILE.sameRolePenalty);
+  assert.deepEqual(profile.complementPairs, DEFAULT_SCORING_PROFILE.complementPairs);
+});
+
+test('an empty complement pair list disables complement bonuses', async (t) => {
+  t.mock.method(ScoringProfile, 'findOne', () => mockQuery({ clientId: 'acme', version: 2, complementPairs: [] }));
+
+  const profile = await getScoringProfile('acme');
+
+  assert.deepEqual(profile.complementPairs, []);
+  assert.ok(calculateMatchScore(hotel, agency, profile) < calculateMatchScore(hotel, agency, DEFAULT_SCORING_PROFILE));
+});
+
+test('updates are validated before anything is stored', async (t) => {
+  t.mock.method(ScoringProfile, 'findOne', () => mockQuery(null));
+  t.mock.method(ScoringProfile, 'findOneAndUpdate', async () => { throw new Error('should not be called'); });
+
+  for (const updates of [null, [], 'weights', 42]) {
+    await assert.rejects(updateScoringProfile('acme', updates, 'admin'), {
+      statusCode: 400,
+      code: 'INVALID_SCORING_PROFILE',
+      details: ['scoringProfile must be an object']
+    });
+  }
+
+  await assert.rejects(updateScoringProfile('acme', {
+    weights: { skills: -1, karma: 1 },
+    sameRolePenalty: 2,
+    complementPairs: [['tourism']]
+  }, 'admin'), {
+    details: [
+      'weights.skills must be a non-negative number',
+      'Unknown weight: karma (allowed: collaborationTargets, skills, industry, location, interests, semantic)',
+      'sameRolePenalty must be a number between 0 and 1',
+      'complementPairs must be an array of [industryA, industryB] string pairs'
+    ]
+  });
+
+  const zero = Object.fromEntries(Object.keys(DEFAULT_SCORING_PROFILE.weights).map(key => [key, 0]));
+  await assert.rejects(updateScoringProfile('acme', { weights: zero }, 'admin'), {
+    details: ['At least one weight must be greater than 0']
+  });
+});
+
+test('updates merge into the current weights, normalize pairs and bump the version', async (t) => {
+  t.mock.method(ScoringProfile, 'findOne', () => mockQuery(null));
+  t.mock.method(ScoringProfile, 'findOneAndUpdate', async (filter, update) => ({ ...filter, version: 1, ...update.$set }));
+
+  const profile = await updateScoringProfile('acme', {
+    weights: { skills: 0.8 },
+    complementPairs: [[' Tourism ', 'Advertising']]
+  }, 'admin@example.com');
+
+  const [filter, update, options] = ScoringProfile.findOneAndUpdate.mock.calls[0].arguments;
+  assert.deepEqual(filter, { clientId: 'acme' });
+  assert.deepEqual(update.$inc, { version: 1 });
+  assert.equal(update.$set.updatedBy, 'admin@example.com');
+  assert.equal(options.upsert, true);
+
+  assert.equal(profile.weights.skills, 0.8);
+  assert.equal(profile.weights.industry, DEFAULT_SCORING_PROFILE.weights.industry);
+  assert.deepEqual(profile.complementPairs, [['tourism', 'advertising']]);
+});
+
+test('the same-role penalty comes from the scoring profile', () => {
+  const twin = { ...hotel };
+  const lenient = { ...DEFAULT_SCORING_PROFILE, sameRolePenalty: 1 };
+
+  assert.ok(calculateMatchScore(hotel, twin, DEFAULT_SCORING_PROFILE) < calculateMatchScore(hotel, twin, lenient));
+});
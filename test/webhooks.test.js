@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const axios = require('axios');
+const { ApiKey } = require('../models/ApiKey');
+const { Job } = require('../models/Job');
+const { WebhookDelivery } = require('../models/WebhookDelivery');
+const {
+  signPayload,
+  createSubscription,
+  emitEvent,
+  replayDelivery
+} = require('../services/webhookService');
+const { isPublicAddress, assertPublicHost } = require('../utils/publicAddress');
+const { mockQuery, runQueuedJob, quiet } = require('./helpers');
+
+// Literal public address, so no DNS lookup is needed
+const RECEIVER_URL = 'https://93.184.216.34/hooks';
+const SECRET = 'whsec_test';
+
+const webhook = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  url: RECEIVER_URL,
+  events: ['*'],
+  isActive: true,
+  secret: SECRET,
+  ...fields
+});
+
+/**
+ * Run one delivery job attempt against a stubbed receiver answering `status`
+ */
+function deliver(t, { status, attempts = 1, maxAttempts = 6 }) {
+  const subscription = webhook();
+  const delivery = {
+    _id: new mongoose.Types.ObjectId(),
+    webhookId: subscription._id,
+    event: 'profile.created',
+    status: 'pending',
+    payload: { event: 'profile.created', data: { profileId: 'p1' } }
+  };
+
+  t.mock.method(WebhookDelivery, 'findById', async () => delivery);
+  t.mock.method(WebhookDelivery, 'updateOne', async () => ({}));
+  t.mock.method(ApiKey, 'findOne', () => mockQuery({ webhooks: { id: () => subscription } }));
+  t.mock.method(axios, 'post', async () => ({ status }));
+
+  return runQueuedJob(t, {
+    _id: 'job1',
+    type: 'webhook.deliver',
+    payload: { deliveryId: delivery._id },
+    attempts,
+    maxAttempts
+  });
+}
+
+test.beforeEach((t) => quiet(t));
+
+test('payloads are signed with HMAC-SHA256 over "<timestamp>.<body>"', () => {
+  const expected = crypto.createHmac('sha256', SECRET).update('1700000000.{"a":1}').digest('hex');
+
+  assert.equal(signPayload(SECRET, 1700000000, '{"a":1}'), expected);
+  assert.notEqual(signPayload('other', 1700000000, '{"a":1}'), expected);
+  assert.notEqual(signPayload(SECRET, 1700000001, '{"a":1}'), expected);
+});
+
+test('only public addresses are accepted as webhook targets', async (t) => {
+  ['93.184.216.34', '2606:4700:4700::1111'].forEach(address => assert.ok(isPublicAddress(address), address));
+  ['127.0.0.1', '10.1.2.3', '192.168.0.10', '169.254.169.254', '100.64.0.1', '::1', 'fd00:ec2::254', 'localhost']
+    .forEach(address => assert.ok(!isPublicAddress(address), address));
+
+  await assert.rejects(assertPublicHost('[::1]'), { code: 'NON_PUBLIC_ADDRESS' });
+  await assertPublicHost('93.184.216.34');
+
+  process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS = 'true';
+  t.after(() => delete process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS);
+  await assertPublicHost('127.0.0.1');
+});
+
+test('subscriptions need a public URL and known events, and return the secret once', async (t) => {
+  t.mock.method(ApiKey, 'findByIdAndUpdate', (id, { $push }) => mockQuery({
+    webhooks: [{ ...$push.webhooks, _id: 'wh1', isActive: true }]
+  }));
+
+  await assert.rejects(createSubscription('key1', { url: 'ftp://example.com' }), { statusCode: 400, code: 'INVALID_WEBHOOK_URL' });
+  await assert.rejects(createSubscription('key1', { url: 'http://169.254.169.254/latest' }), {
+    code: 'INVALID_WEBHOOK_URL',
+    message: 'url must point to a public address'
+  });
+  await assert.rejects(createSubscription('key1', { url: RECEIVER_URL, events: ['profile.deleted_forever'] }), {
+    code: 'INVALID_WEBHOOK_EVENTS'
+  });
+  assert.equal(ApiKey.findByIdAndUpdate.mock.callCount(), 0);
+
+  const subscription = await createSubscription('key1', { url: RECEIVER_URL, events: 'profile.created' });
+  assert.deepEqual(subscription.events, ['profile.created']);
+  assert.match(subscription.secret, /^whsec_[0-9a-f]{48}$/);
+});
+
+test('events are queued for matching active subscriptions only', async (t) => {
+  const subscriptions = [
+    webhook({ events: ['profile.created'] }),
+    webhook({ events: ['*'] }),
+    webhook({ events: ['match.generated'] }),
+    webhook({ events: ['*'], isActive: false })
+  ];
+  t.mock.method(ApiKey, 'find', () => mockQuery([{ _id: 'key1', webhooks: subscriptions }]));
+  t.mock.method(WebhookDelivery.prototype, 'save', async function () { return this; });
+  t.mock.method(Job, 'create', async (doc) => ({ _id: 'job', ...doc }));
+
+  const deliveries = await emitEvent('acme', 'profile.created', { profileId: 'p1' });
+
+  assert.deepEqual(deliveries.map(d => String(d.webhookId)), [String(subscriptions[0]._id), String(subscriptions[1]._id)]);
+  assert.deepEqual(deliveries[0].payload.data, { profileId: 'p1' });
+  Job.create.mock.calls.forEach(({ arguments: [job] }) => {
+    assert.equal(job.type, 'webhook.deliver');
+    assert.equal(job.maxAttempts, 6);
+  });
+
+  // Webhook failures never break the request that emitted the event
+  ApiKey.find.mock.mockImplementation(() => { throw new Error('database down'); });
+  assert.deepEqual(await emitEvent('acme', 'profile.created', {}), []);
+  assert.deepEqual(await emitEvent(null, 'profile.created', {}), []);
+});
+
+test('a delivery is signed and logged as succeeded on 2xx', async (t) => {
+  const outcome = await deliver(t, { status: 204 });
+
+  assert.equal(outcome.status, 'completed');
+
+  const [url, body, { headers }] = axios.post.mock.calls[0].arguments;
+  assert.equal(url, RECEIVER_URL);
+  const timestamp = headers['X-Webhook-Timestamp'];
+  assert.equal(headers['X-Webhook-Signature'], `t=${timestamp},v1=${signPayload(SECRET, timestamp, body)}`);
+  assert.equal(headers['X-Webhook-Event'], 'profile.created');
+
+  const [, update] = WebhookDelivery.updateOne.mock.calls[0].arguments;
+  assert.equal(update.$push.attempts.statusCode, 204);
+  assert.equal(update.$set.status, 'succeeded');
+});
+
+test('failed deliveries are retried with backoff until the last attempt', async (t) => {
+  const retry = await deliver(t, { status: 500, attempts: 1 });
+
+  assert.equal(retry.status, 'queued');
+  assert.equal(retry.lastError.code, 'WEBHOOK_DELIVERY_FAILED');
+  assert.equal(retry.lastError.message, 'Receiver responded with 500');
+  assert.ok(retry.runAt > new Date());
+  assert.equal(WebhookDelivery.updateOne.mock.calls.some(call => call.arguments[1].$set?.status === 'failed'), false);
+
+  t.mock.restoreAll();
+  quiet(t);
+  const last = await deliver(t, { status: 500, attempts: 6 });
+
+  assert.equal(last.status, 'failed');
+  assert.ok(WebhookDelivery.updateOne.mock.calls.some(call => call.arguments[1].$set?.status === 'failed'));
+});
+
+test('replays are refused for pending or unknown deliveries', async (t) => {
+  t.mock.method(WebhookDelivery, 'findOneAndUpdate', async () => null);
+  t.mock.method(WebhookDelivery, 'exists', async () => ({ _id: 'd1' }));
+  await assert.rejects(replayDelivery('d1'), { statusCode: 409, code: 'DELIVERY_PENDING' });
+
+  WebhookDelivery.exists.mock.mockImplementation(async () => null);
+  await assert.rejects(replayDelivery('d2'), { statusCode: 404, code: 'DELIVERY_NOT_FOUND' });
+});
+
+test('replaying queues the stored payload again', async (t) => {
+  const delivery = { _id: 'd1', clientId: 'acme', event: 'profile.created' };
+  t.mock.method(WebhookDelivery, 'findOneAndUpdate', async () => delivery);
+  t.mock.method(Job, 'create', async (doc) => ({ _id: 'job', ...doc }));
+
+  assert.equal(await replayDelivery('d1'), delivery);
+
+  const [filter, update] = WebhookDelivery.findOneAndUpdate.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: 'd1', status: { $ne: 'pending' } });
+  assert.deepEqual(update.$inc, { replayCount: 1 });
+  assert.deepEqual(Job.create.mock.calls[0].arguments[0].payload, { deliveryId: 'd1' });
+});
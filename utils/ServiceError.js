@@ -0,0 +1,17 @@
+/**
+ * Error thrown by services when a request cannot be fulfilled.
+ * Carries the HTTP status and error code used by controllers and the global error handler.
+ */
+class ServiceError extends Error {
+  constructor(message, statusCode = 400, code = 'BAD_REQUEST', details) {
+    super(message);
+    this.name = 'ServiceError';
+    this.statusCode = statusCode;
+    this.code = code;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+module.exports = { ServiceError };
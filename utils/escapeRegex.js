@@ -0,0 +1,6 @@
+/**
+ * Escape user input for use as a literal inside a MongoDB $regex
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { escapeRegex };
@@ -0,0 +1,155 @@
+/**
+ * Parsers for bulk profile uploads.
+ * Both return one entry per data row: { row, data } or { row, error },
+ * where `row` is the row's line number in the uploaded file (blank lines
+ * are skipped but still counted).
+ */
+
+const PROFILE_FIELDS = ['bio', 'skills', 'interests', 'role', 'businessType', 'industry', 'location'];
+
+/**
+ * Split CSV text into records (handles quoted fields, escaped quotes and CRLF)
+ * @returns {Array} [{ values, line }] where `line` is the file line the record starts on
+ */
+function splitCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ values: record, line: recordLine });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ values: record, line: recordLine });
+  }
+
+  // Drop blank lines
+  return records.filter(r => r.values.some(value => value.trim() !== ''));
+}
+
+/**
+ * Turn a flat row into the createProfile input shape.
+ * Known profile columns are folded into additionalData.
+ */
+function toProfileInput(raw) {
+  let additionalData = raw.additionalData || {};
+
+  if (typeof additionalData === 'string') {
+    additionalData = additionalData.trim() ? JSON.parse(additionalData) : {};
+  }
+
+  PROFILE_FIELDS.forEach(field => {
+    if (raw[field] !== undefined && raw[field] !== '' && additionalData[field] === undefined) {
+      additionalData[field] = raw[field];
+    }
+  });
+
+  return {
+    name: raw.name ? String(raw.name).trim() : '',
+    linkedinURL: raw.linkedinURL ? String(raw.linkedinURL).trim() : '',
+    email: raw.email ? String(raw.email).trim().toLowerCase() : undefined,
+    additionalData
+  };
+}
+
+/**
+ * Parse CSV with a header row
+ * Columns: name, linkedinURL, email, additionalData (JSON) and optional profile fields
+ */
+function parseCsv(text) {
+  const [header, ...records] = splitCsvRecords(text);
+
+  if (!header) return [];
+
+  const columns = header.values.map(c => c.trim());
+
+  return records.map(({ values, line: row }) => {
+    try {
+      const raw = {};
+      columns.forEach((column, i) => {
+        raw[column] = values[i] !== undefined ? values[i].trim() : '';
+      });
+      return { row, data: toProfileInput(raw) };
+    } catch (error) {
+      return { row, error: `Invalid additionalData: ${error.message}` };
+    }
+  });
+}
+
+/**
+ * Parse newline-delimited JSON (one profile object per line)
+ */
+function parseNdjson(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line, index) => ({ line, row: index + 1 }))
+    .filter(({ line }) => line.trim() !== '')
+    .map(({ line, row }) => {
+      try {
+        const raw = JSON.parse(line);
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+          return { row, error: 'Row must be a JSON object' };
+        }
+        return { row, data: toProfileInput(raw) };
+      } catch (error) {
+        return { row, error: `Invalid JSON: ${error.message}` };
+      }
+    });
+}
+
+/**
+ * Detect upload format from an explicit format or the Content-Type header
+ * @returns {'csv'|'ndjson'|null}
+ */
+function detectFormat(format, contentType = '') {
+  if (format) {
+    const normalized = String(format).toLowerCase();
+    return ['csv', 'ndjson'].includes(normalized) ? normalized : null;
+  }
+
+  if (contentType.includes('csv')) return 'csv';
+  if (contentType.includes('ndjson') || contentType.includes('jsonl')) return 'ndjson';
+
+  return null;
+}
+
+module.exports = {
+  parseCsv,
+  parseNdjson,
+  detectFormat
+};
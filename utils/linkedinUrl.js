@@ -0,0 +1,79 @@
+const { ServiceError } = require('./ServiceError');
+
+// linkedin.com, www.linkedin.com, country subdomains (uk., de., ...) and mobile (m.)
+const LINKEDIN_HOST = /^(?:(?:www|m|[a-z]{2})\.)?linkedin\.com$/;
+// Public profile slugs: letters (any script), digits, "-" and "_"
+const PROFILE_SLUG = /^[\p{L}\p{N}_-]{3,100}$/u;
+
+/**
+ * Canonical form of a LinkedIn profile URL
+ * "linkedin.com/in/jane", "https://www.linkedin.com/in/jane/?trk=x" and
+ * "http://uk.linkedin.com/in/Jane" all become "https://www.linkedin.com/in/jane".
+ * @param {string} url
+ * @returns {string|null} Canonical URL, or null when it is not a profile URL
+ */
+function canonicalizeLinkedInUrl(url) {
+  if (typeof url !== 'string' || !url.trim()) return null;
+
+  let parsed;
+  try {
+    const raw = url.trim();
+    parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `https://${raw}`);
+  } catch {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+  if (!LINKEDIN_HOST.test(parsed.hostname.toLowerCase())) return null;
+
+  // Only /in/<slug>; trailing sections such as /details/experience are dropped
+  const [section, rawSlug] = parsed.pathname.split('/').filter(Boolean);
+  if (section?.toLowerCase() !== 'in' || !rawSlug) return null;
+
+  let slug;
+  try {
+    slug = decodeURIComponent(rawSlug).toLowerCase();
+  } catch {
+    return null;
+  }
+
+  if (!PROFILE_SLUG.test(slug)) return null;
+
+  return `https://www.linkedin.com/in/${encodeURIComponent(slug)}`;
+}
+
+/**
+ * Canonicalize a LinkedIn URL or throw INVALID_LINKEDIN_URL
+ */
+function requireLinkedInUrl(url) {
+  const canonical = canonicalizeLinkedInUrl(url);
+  if (!canonical) {
+    throw new ServiceError(
+      'linkedinURL must be a LinkedIn profile URL (https://www.linkedin.com/in/<profile>)',
+      400,
+      'INVALID_LINKEDIN_URL'
+    );
+  }
+  return canonical;
+}
+
+/**
+ * Cache/lookup key for a LinkedIn URL: the canonical URL without protocol
+ * and "www." ("linkedin.com/in/jane"). URLs that are not profile URLs fall
+ * back to a loosely normalized form.
+ */
+function linkedinUrlKey(url) {
+  return String(canonicalizeLinkedInUrl(url) || url || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/[?#].*$/, '')
+    .replace(/\/+$/, '');
+}
+
+module.exports = {
+  canonicalizeLinkedInUrl,
+  requireLinkedInUrl,
+  linkedinUrlKey
+};
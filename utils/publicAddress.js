@@ -0,0 +1,86 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Public address checks for outbound requests to client-chosen URLs
+ * (webhooks), so the server cannot be pointed at loopback, private,
+ * link-local or cloud metadata addresses.
+ */
+
+const blockedRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // RFC1918
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, incl. 169.254.169.254 metadata
+  ['172.16.0.0', 12], // RFC1918
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // RFC1918
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['fc00::', 7], // unique local, incl. fd00:ec2::254 metadata
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is publicly routable
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blockedRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Private targets can be allowed for local development receivers
+const allowPrivateNetworks = () => process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true';
+
+const blockedError = (hostname, address) => {
+  const error = new Error(`${hostname} resolves to a non-public address (${address})`);
+  error.code = 'NON_PUBLIC_ADDRESS';
+  return error;
+};
+
+/**
+ * Resolve a hostname and make sure every address it resolves to is public
+ * @throws {Error} code NON_PUBLIC_ADDRESS, or the DNS error
+ */
+async function assertPublicHost(hostname) {
+  if (allowPrivateNetworks()) return;
+
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true, verbatim: true });
+
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked) {
+    throw blockedError(host, blocked.address);
+  }
+}
+
+/**
+ * dns.lookup replacement for http(s) agents: refuses non-public addresses at
+ * connect time, so a hostname cannot be re-pointed after it was checked
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    if (!allowPrivateNetworks()) {
+      const list = Array.isArray(address) ? address : [{ address }];
+      const blocked = list.find(entry => !isPublicAddress(entry.address));
+      if (blocked) return callback(blockedError(hostname, blocked.address));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+module.exports = { isPublicAddress, assertPublicHost, publicLookup };
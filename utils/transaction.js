@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+/**
+ * Run a callback inside a MongoDB transaction
+ * Transactions need MongoDB to run as a replica set (or sharded cluster);
+ * a standalone server rejects them.
+ * @param {Function} callback - async (session) => result
+ * @returns {*} The callback's result once the transaction has committed
+ */
+async function runInTransaction(callback) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await callback(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = { runInTransaction };
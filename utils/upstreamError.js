@@ -0,0 +1,35 @@
+/**
+ * Classify failures of upstream APIs (People Data Labs, LLM providers).
+ * Timeouts, connection errors, 408/429 and 5xx responses are transient:
+ * they are flagged `retryable` so queued jobs retry them with backoff
+ * instead of falling back to defaults on the first attempt.
+ */
+
+const TRANSIENT_NETWORK_CODES = ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Whether an HTTP status / network error is worth retrying
+ * @param {Object} error - axios or OpenAI SDK error
+ */
+function isTransientUpstreamError(error) {
+  const status = error.response?.status ?? error.status;
+  if (typeof status === 'number') {
+    return status === 408 || status === 429 || status >= 500;
+  }
+  return TRANSIENT_NETWORK_CODES.includes(error.code) ||
+    TRANSIENT_NETWORK_CODES.includes(error.cause?.code) ||
+    /timed? ?out|connection error/i.test(error.message || '');
+}
+
+/**
+ * Set `error.retryable` from the error itself (kept when already set)
+ * @returns {Error} The same error
+ */
+function markUpstreamError(error) {
+  if (error.retryable === undefined) {
+    error.retryable = isTransientUpstreamError(error);
+  }
+  return error;
+}
+
+module.exports = { isTransientUpstreamError, markUpstreamError };